@@ -1,14 +1,273 @@
+use std::sync::atomic::{AtomicBool, Ordering};
+
+#[cfg(desktop)]
+use tauri::{
+    menu::{Menu, MenuItem, PredefinedMenuItem},
+    tray::{MouseButton, MouseButtonState, TrayIconBuilder, TrayIconEvent},
+    Emitter, WebviewUrl, WebviewWindowBuilder,
+};
+use tauri::{AppHandle, Manager, WindowEvent};
+
+/// Opens the quick capture window from anywhere. Shown to the user by
+/// getCaptureShortcut() in desktop.js, so change both together.
+#[cfg(desktop)]
+const CAPTURE_SHORTCUT: &str = "CommandOrControl+Shift+Space";
+
+/// Whether closing the board window hides it to the tray instead of quitting.
+/// Set by the board window from its settings each time it loads.
+#[derive(Default)]
+struct CloseToTray(AtomicBool);
+
 // Learn more about Tauri commands at https://tauri.app/develop/calling-rust/
 #[tauri::command]
 fn greet(name: &str) -> String {
     format!("Hello, {}! You've been greeted from Rust!", name)
 }
 
+/// Read config.json from the app config directory, if there is one.
+/// Lets self-hosters preconfigure the backend without editing source.
+#[tauri::command]
+fn read_app_config(app: tauri::AppHandle) -> Result<Option<String>, String> {
+    let path = app
+        .path()
+        .app_config_dir()
+        .map_err(|e| e.to_string())?
+        .join("config.json");
+
+    match std::fs::read_to_string(&path) {
+        Ok(contents) => Ok(Some(contents)),
+        Err(e) if e.kind() == std::io::ErrorKind::NotFound => Ok(None),
+        Err(e) => Err(format!("Failed to read {}: {}", path.display(), e)),
+    }
+}
+
+fn local_board_path(app: &tauri::AppHandle) -> Result<std::path::PathBuf, String> {
+    Ok(app
+        .path()
+        .app_data_dir()
+        .map_err(|e| e.to_string())?
+        .join("board.json"))
+}
+
+/// Read the local-only board, or None if there isn't one yet.
+#[tauri::command]
+fn local_board_load(app: tauri::AppHandle) -> Result<Option<String>, String> {
+    let path = local_board_path(&app)?;
+
+    match std::fs::read_to_string(&path) {
+        Ok(contents) => Ok(Some(contents)),
+        Err(e) if e.kind() == std::io::ErrorKind::NotFound => Ok(None),
+        Err(e) => Err(format!("Failed to read {}: {}", path.display(), e)),
+    }
+}
+
+/// Save the local-only board. Writes a temporary file and renames it over
+/// the old one, so a crash mid-write can't leave a half-written board.
+#[tauri::command]
+fn local_board_save(app: tauri::AppHandle, contents: String) -> Result<(), String> {
+    let path = local_board_path(&app)?;
+    if let Some(dir) = path.parent() {
+        std::fs::create_dir_all(dir).map_err(|e| e.to_string())?;
+    }
+
+    let temp = path.with_extension("json.tmp");
+    std::fs::write(&temp, contents)
+        .map_err(|e| format!("Failed to write {}: {}", temp.display(), e))?;
+    std::fs::rename(&temp, &path)
+        .map_err(|e| format!("Failed to save {}: {}", path.display(), e))
+}
+
+/// Save an exported board to the Downloads folder, returning where it went.
+/// Only the file name is used, and an existing file is never overwritten:
+/// "board.csv" becomes "board (1).csv" and so on.
+#[tauri::command]
+fn save_export(app: tauri::AppHandle, file_name: String, contents: String) -> Result<String, String> {
+    let name = std::path::Path::new(&file_name)
+        .file_name()
+        .ok_or_else(|| format!("Invalid file name: {}", file_name))?
+        .to_owned();
+    let dir = app.path().download_dir().map_err(|e| e.to_string())?;
+    std::fs::create_dir_all(&dir).map_err(|e| e.to_string())?;
+
+    let stem = std::path::Path::new(&name)
+        .file_stem()
+        .map(|s| s.to_string_lossy().into_owned())
+        .unwrap_or_default();
+    let extension = std::path::Path::new(&name)
+        .extension()
+        .map(|e| format!(".{}", e.to_string_lossy()))
+        .unwrap_or_default();
+    let mut path = dir.join(&name);
+    let mut copy = 1;
+    while path.exists() {
+        path = dir.join(format!("{} ({}){}", stem, copy, extension));
+        copy += 1;
+    }
+
+    std::fs::write(&path, contents)
+        .map_err(|e| format!("Failed to write {}: {}", path.display(), e))?;
+    Ok(path.display().to_string())
+}
+
+#[tauri::command]
+fn set_close_to_tray(state: tauri::State<CloseToTray>, enabled: bool) {
+    state.0.store(enabled, Ordering::Relaxed);
+}
+
+/// Bring the board window back, from the tray or behind other windows.
+fn show_board_window(app: &AppHandle) {
+    if let Some(window) = app.get_webview_window("main") {
+        let _ = window.unminimize();
+        let _ = window.show();
+        let _ = window.set_focus();
+    }
+}
+
+#[tauri::command]
+fn show_board(app: AppHandle) {
+    show_board_window(&app);
+}
+
+/// Show the quick capture window, making it the first time. It's a small
+/// window on top of everything else that hides again once it loses focus.
+#[cfg(desktop)]
+fn show_capture_window(app: &AppHandle) -> tauri::Result<()> {
+    let window = match app.get_webview_window("capture") {
+        Some(window) => window,
+        None => WebviewWindowBuilder::new(app, "capture", WebviewUrl::App("capture.html".into()))
+            .title("Quick Add")
+            .inner_size(560.0, 130.0)
+            .resizable(false)
+            .decorations(false)
+            .always_on_top(true)
+            .skip_taskbar(true)
+            .visible(false)
+            .build()?,
+    };
+    window.center()?;
+    window.show()?;
+    window.set_focus()?;
+    app.emit_to("capture", "capture-opened", ())
+}
+
+#[tauri::command]
+fn hide_capture(app: AppHandle) -> Result<(), String> {
+    match app.get_webview_window("capture") {
+        Some(window) => window.hide().map_err(|e| e.to_string()),
+        None => Ok(()),
+    }
+}
+
+/// The tray icon: a menu to quick add, start the focus timer, show the board
+/// or quit, and a left click to show the board.
+#[cfg(desktop)]
+fn build_tray(app: &tauri::App) -> tauri::Result<()> {
+    let quick_add = MenuItem::with_id(app, "quick_add", "Quick add", true, None::<&str>)?;
+    let start_timer =
+        MenuItem::with_id(app, "start_timer", "Start focus timer", true, None::<&str>)?;
+    let show = MenuItem::with_id(app, "show_board", "Show board", true, None::<&str>)?;
+    let quit = MenuItem::with_id(app, "quit", "Quit", true, None::<&str>)?;
+    let separator = PredefinedMenuItem::separator(app)?;
+    let menu = Menu::with_items(app, &[&quick_add, &start_timer, &show, &separator, &quit])?;
+
+    let mut tray = TrayIconBuilder::with_id("main")
+        .tooltip("ADHD Kanban")
+        .menu(&menu)
+        .show_menu_on_left_click(false)
+        .on_menu_event(|app, event| match event.id.as_ref() {
+            "quick_add" => {
+                if let Err(e) = show_capture_window(app) {
+                    eprintln!("Failed to open quick capture: {}", e);
+                }
+            }
+            "start_timer" => {
+                // The board window runs the timer, and shows it
+                show_board_window(app);
+                let _ = app.emit_to("main", "tray-start-timer", ());
+            }
+            "show_board" => show_board_window(app),
+            "quit" => app.exit(0),
+            _ => {}
+        })
+        .on_tray_icon_event(|tray, event| {
+            if let TrayIconEvent::Click {
+                button: MouseButton::Left,
+                button_state: MouseButtonState::Up,
+                ..
+            } = event
+            {
+                show_board_window(tray.app_handle());
+            }
+        });
+    if let Some(icon) = app.default_window_icon() {
+        tray = tray.icon(icon.clone());
+    }
+    tray.build(app)?;
+    Ok(())
+}
+
+/// Register the quick capture shortcut. Another app may already have it, in
+/// which case the tray's "Quick add" still works.
+#[cfg(desktop)]
+fn register_capture_shortcut(app: &tauri::App) -> Result<(), Box<dyn std::error::Error>> {
+    use tauri_plugin_global_shortcut::{GlobalShortcutExt, ShortcutState};
+
+    app.handle().plugin(
+        tauri_plugin_global_shortcut::Builder::new()
+            .with_handler(|app, _shortcut, event| {
+                if event.state() == ShortcutState::Pressed {
+                    if let Err(e) = show_capture_window(app) {
+                        eprintln!("Failed to open quick capture: {}", e);
+                    }
+                }
+            })
+            .build(),
+    )?;
+    if let Err(e) = app.global_shortcut().register(CAPTURE_SHORTCUT) {
+        eprintln!("Failed to register {}: {}", CAPTURE_SHORTCUT, e);
+    }
+    Ok(())
+}
+
 #[cfg_attr(mobile, tauri::mobile_entry_point)]
 pub fn run() {
     tauri::Builder::default()
         .plugin(tauri_plugin_opener::init())
-        .invoke_handler(tauri::generate_handler![greet])
+        .plugin(tauri_plugin_notification::init())
+        .manage(CloseToTray::default())
+        .setup(|app| {
+            #[cfg(desktop)]
+            {
+                build_tray(app)?;
+                register_capture_shortcut(app)?;
+            }
+            Ok(())
+        })
+        .on_window_event(|window, event| match (window.label(), event) {
+            ("capture", WindowEvent::Focused(false)) => {
+                let _ = window.hide();
+            }
+            ("main", WindowEvent::CloseRequested { api, .. }) => {
+                if window.state::<CloseToTray>().0.load(Ordering::Relaxed) {
+                    api.prevent_close();
+                    let _ = window.hide();
+                } else {
+                    // The hidden capture window would otherwise keep the app running
+                    window.app_handle().exit(0);
+                }
+            }
+            _ => {}
+        })
+        .invoke_handler(tauri::generate_handler![
+            greet,
+            read_app_config,
+            local_board_load,
+            local_board_save,
+            save_export,
+            set_close_to_tray,
+            show_board,
+            hide_capture
+        ])
         .run(tauri::generate_context!())
         .expect("error while running tauri application");
 }
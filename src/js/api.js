@@ -5,12 +5,43 @@
  * Works as both ES module (for tests) and browser global
  */
 
+import {
+    nextTempId,
+    hasPendingMutations,
+    enqueueMutation,
+    upgradeOutbox,
+    flushOutbox,
+} from './outbox.js';
+import { getApiBase, getConfigError, isLocalMode, setStorageMode } from './config.js';
+import { localBackend } from './local-backend.js';
+import {
+    NetworkError,
+    TimeoutError,
+    ApiError,
+    createAbortError,
+    isAbortError,
+    createApiError,
+} from './errors.js';
+
 const CONFIG = {
-    // Switch to localhost for local development
-    // API_BASE: 'http://localhost:8000/api/v1',
-    API_BASE: 'https://adhdkanban-production.up.railway.app/api/v1',
+    // Chosen at runtime - see config.js and the server settings dialog
+    get API_BASE() {
+        return getApiBase();
+    },
+    
+    // Request defaults; each can be overridden per call (timeout, retries, retryDelay)
+    REQUEST_TIMEOUT: 15000,
+    MAX_RETRIES: 2,
+    RETRY_BASE_DELAY: 500,
+    RETRY_MAX_DELAY: 8000,
 };
 
+// Safe to repeat, so retried automatically unless a call opts out
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+
+// Server errors worth retrying - the request may well succeed a moment later
+const RETRYABLE_STATUSES = [502, 503, 504];
+
 // Token management
 function getToken() {
     return localStorage.getItem('auth_token');
@@ -24,14 +55,123 @@ function clearToken() {
     localStorage.removeItem('auth_token');
 }
 
+// Local-only mode needs no account
 function isAuthenticated() {
-    return !!getToken();
+    return !!getToken() || isLocalMode();
+}
+
+// Whether a failed attempt might succeed if tried again
+function isTransientError(error) {
+    if (error instanceof NetworkError) {
+        return true;
+    }
+    return error instanceof ApiError && RETRYABLE_STATUSES.includes(error.status);
+}
+
+// Exponential backoff with jitter: ~base, ~2x base, ~4x base... capped
+function getRetryDelay(attempt, baseDelay = CONFIG.RETRY_BASE_DELAY) {
+    const delay = Math.min(baseDelay * 2 ** attempt, CONFIG.RETRY_MAX_DELAY);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+}
+
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(createAbortError());
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(createAbortError());
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+// fetch() that gives up after `timeout` ms and follows the caller's AbortSignal
+async function fetchWithTimeout(url, init, timeout, signal) {
+    if (signal?.aborted) {
+        throw createAbortError();
+    }
+    
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    signal?.addEventListener('abort', onAbort, { once: true });
+    
+    let timedOut = false;
+    const timer = timeout > 0
+        ? setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout)
+        : null;
+    
+    try {
+        return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+        if (timedOut) {
+            throw new TimeoutError();
+        }
+        if (signal?.aborted) {
+            throw createAbortError();
+        }
+        // Handle network errors
+        throw new NetworkError();
+    } finally {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
 }
 
-// API request helper
+/**
+ * API request helper
+ * Besides the usual fetch options, accepts:
+ *   timeout    - ms before giving up on an attempt (0 disables)
+ *   retries    - extra attempts after a network error or 502/503/504
+ *   retryDelay - base backoff delay in ms
+ *   idempotent - whether retrying is safe; defaults to true for GET/PUT/DELETE
+ *   signal     - AbortSignal for cancelling the request, including pending retries
+ */
 async function apiRequest(endpoint, options = {}) {
-    const url = `${CONFIG.API_BASE}${endpoint}`;
+    const {
+        timeout = CONFIG.REQUEST_TIMEOUT,
+        retries = CONFIG.MAX_RETRIES,
+        retryDelay = CONFIG.RETRY_BASE_DELAY,
+        idempotent,
+        signal,
+        ...fetchOptions
+    } = options;
+    
+    const method = (fetchOptions.method || 'GET').toUpperCase();
+    const canRetry = idempotent ?? IDEMPOTENT_METHODS.includes(method);
+    const maxRetries = canRetry ? retries : 0;
+    
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await sendRequest(endpoint, fetchOptions, timeout, signal);
+        } catch (error) {
+            const offline = typeof navigator !== 'undefined' && navigator.onLine === false;
+            if (attempt >= maxRetries || offline || !isTransientError(error)) {
+                throw error;
+            }
+            await wait(getRetryDelay(attempt, retryDelay), signal);
+        }
+    }
+}
+
+// A single attempt at a request
+async function sendRequest(endpoint, options, timeout, signal) {
     const token = getToken();
+    const apiBase = CONFIG.API_BASE;
+    // No quiet fallback to another server
+    if (!apiBase) {
+        throw new ApiError(getConfigError(), { code: 'no_server' });
+    }
+    const url = `${apiBase}${endpoint}`;
     
     const headers = {
         'Content-Type': 'application/json',
@@ -42,16 +182,7 @@ async function apiRequest(endpoint, options = {}) {
         headers['Authorization'] = `Token ${token}`;
     }
     
-    let response;
-    try {
-        response = await fetch(url, {
-            ...options,
-            headers,
-        });
-    } catch (error) {
-        // Handle network errors
-        throw new Error('Network error: Unable to connect to server');
-    }
+    const response = await fetchWithTimeout(url, { ...options, headers }, timeout, signal);
     
     // Handle 401 - redirect to login
     if (response.status === 401) {
@@ -59,7 +190,7 @@ async function apiRequest(endpoint, options = {}) {
         if (typeof window !== 'undefined' && window.location) {
             window.location.href = 'index.html';
         }
-        throw new Error('Session expired');
+        throw new ApiError('Session expired', { status: 401 });
     }
     
     // Handle 204 No Content
@@ -77,7 +208,10 @@ async function apiRequest(endpoint, options = {}) {
         } else if (contentType) {
             // Response is not JSON, try to get text for error message
             const text = await response.text();
-            throw new Error(text || `Server returned ${response.status} ${response.statusText}`);
+            throw new ApiError(text || `Server returned ${response.status} ${response.statusText}`, {
+                status: response.status,
+                body: text,
+            });
         } else {
             // No content-type header, try to parse as JSON (for test mocks)
             data = await response.json();
@@ -85,34 +219,343 @@ async function apiRequest(endpoint, options = {}) {
     } catch (error) {
         // If JSON parsing fails or response is not JSON
         if (error instanceof SyntaxError) {
-            throw new Error(`Invalid response from server: ${response.status} ${response.statusText}`);
+            throw new ApiError(`Invalid response from server: ${response.status} ${response.statusText}`, {
+                status: response.status,
+                code: 'invalid_response',
+            });
         }
         // Re-throw if it's already an Error we created
         throw error;
     }
     
     if (!response.ok) {
-        // Extract error message from response
-        let message = 'Request failed';
-        if (data && typeof data === 'object') {
-            if (data.error) {
-                message = data.error;
-            } else if (data.detail) {
-                message = data.detail;
-            } else if (data.username) {
-                message = Array.isArray(data.username) ? data.username[0] : data.username;
-            } else if (data.password) {
-                message = Array.isArray(data.password) ? data.password[0] : data.password;
-            } else if (data.non_field_errors) {
-                message = Array.isArray(data.non_field_errors) ? data.non_field_errors[0] : data.non_field_errors;
-            }
-        }
-        throw new Error(message);
+        throw createApiError(response, data);
     }
     
     return data;
 }
 
+// Conditional-update header: the server refuses the write (409/412) if the
+// record has moved on from the version the edit was based on
+function versionHeaders(version) {
+    return version === null || version === undefined ? {} : { 'If-Match': `"${version}"` };
+}
+
+// Column updates used to take just the new name
+function columnChanges(changes) {
+    return typeof changes === 'string' ? { name: changes } : changes;
+}
+
+// Task fields besides title and description that are copied along with a task
+const TASK_DETAIL_FIELDS = ['due_date', 'due_time', 'do_date', 'estimate', 'priority', 'labels', 'checklist', 'pomodoros'];
+
+// Unset fields, empty lists and no focus sessions are left out, as that's
+// what a new task has anyway
+function pickTaskDetails(task) {
+    const fields = {};
+    TASK_DETAIL_FIELDS.forEach(field => {
+        const value = task[field];
+        if (value !== undefined && value !== null && value !== 0 && !(Array.isArray(value) && value.length === 0)) {
+            fields[field] = value;
+        }
+    });
+    return fields;
+}
+
+// Board operations against the API server. The local backend
+// (local-backend.js) implements the same operations for local-only mode,
+// and the outbox replays queued mutations through these.
+const remoteBackend = {
+    // Boards - each has its own columns; labels are shared by all of them
+    getBoards(options = {}) {
+        return apiRequest('/boards/', options);
+    },
+    
+    // Without a board ID, the account's main board
+    getBoard({ boardId = null, ...options } = {}) {
+        return apiRequest(boardId === null ? '/board/' : `/boards/${boardId}/`, options);
+    },
+    
+    createBoard(name) {
+        return apiRequest('/boards/', {
+            method: 'POST',
+            body: JSON.stringify({ name }),
+        });
+    },
+    
+    updateBoard(id, changes) {
+        return apiRequest(`/boards/${id}/`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes),
+        });
+    },
+    
+    // The server deletes the board's columns and tasks with it
+    deleteBoard(id) {
+        return apiRequest(`/boards/${id}/`, {
+            method: 'DELETE',
+        });
+    },
+    
+    getTask(id, options = {}) {
+        return apiRequest(`/tasks/${id}/`, options);
+    },
+    
+    // Without a board ID, the column goes on the main board
+    createColumn(name, boardId = null) {
+        const body = boardId === null ? { name } : { name, board_id: boardId };
+        return apiRequest('/columns/', {
+            method: 'POST',
+            body: JSON.stringify(body),
+        });
+    },
+    
+    updateColumn(id, changes, version = null, options = {}) {
+        return apiRequest(`/columns/${id}/`, {
+            method: 'PATCH',
+            headers: versionHeaders(version),
+            body: JSON.stringify(columnChanges(changes)),
+            ...options,
+        });
+    },
+    
+    deleteColumn(id) {
+        return apiRequest(`/columns/${id}/`, {
+            method: 'DELETE',
+        });
+    },
+    
+    reorderColumns(columnOrders, options = {}) {
+        // Sets absolute positions, so repeating it is harmless
+        return apiRequest('/reorder-columns/', {
+            method: 'POST',
+            body: JSON.stringify({ column_orders: columnOrders }),
+            idempotent: true,
+            ...options,
+        });
+    },
+    
+    createTask(title, columnId, description = '', fields = {}) {
+        const body = { title, column_id: columnId, ...fields };
+        if (description) {
+            body.description = description;
+        }
+        return apiRequest('/tasks/', {
+            method: 'POST',
+            body: JSON.stringify(body),
+        });
+    },
+    
+    updateTask(id, changes, version = null, options = {}) {
+        return apiRequest(`/tasks/${id}/`, {
+            method: 'PATCH',
+            headers: versionHeaders(version),
+            body: JSON.stringify(changes),
+            ...options,
+        });
+    },
+    
+    deleteTask(id) {
+        return apiRequest(`/tasks/${id}/`, {
+            method: 'DELETE',
+        });
+    },
+    
+    // order is the 1-based position in the new column; without it the task goes last
+    moveTask(taskId, columnId, order = null, options = {}) {
+        const body = { column_id: columnId };
+        if (order !== null) {
+            body.order = order;
+        }
+        return apiRequest(`/tasks/${taskId}/move/`, {
+            method: 'POST',
+            body: JSON.stringify(body),
+            idempotent: true,
+            ...options,
+        });
+    },
+    
+    reorderTasks(taskOrders, options = {}) {
+        return apiRequest('/reorder-tasks/', {
+            method: 'POST',
+            body: JSON.stringify({ task_orders: taskOrders }),
+            idempotent: true,
+            ...options,
+        });
+    },
+    
+    // Archive
+    getArchive(options = {}) {
+        return apiRequest('/archive/', options);
+    },
+    
+    archiveTask(id) {
+        return apiRequest(`/tasks/${id}/archive/`, {
+            method: 'POST',
+        });
+    },
+    
+    restoreArchivedTask(id) {
+        return apiRequest(`/archive/${id}/restore/`, {
+            method: 'POST',
+        });
+    },
+    
+    purgeArchivedTask(id) {
+        return apiRequest(`/archive/${id}/`, {
+            method: 'DELETE',
+        });
+    },
+    
+    // Labels
+    getLabels(options = {}) {
+        return apiRequest('/labels/', options);
+    },
+    
+    createLabel(name, color) {
+        return apiRequest('/labels/', {
+            method: 'POST',
+            body: JSON.stringify({ name, color }),
+        });
+    },
+    
+    updateLabel(id, changes) {
+        return apiRequest(`/labels/${id}/`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes),
+        });
+    },
+    
+    // The server also takes the label off any tasks that have it
+    deleteLabel(id) {
+        return apiRequest(`/labels/${id}/`, {
+            method: 'DELETE',
+        });
+    },
+};
+
+// What a queued mutation resolves with until the server has seen it
+const optimisticResults = {
+    createBoard: (tempId, [name]) => ({ id: tempId, name }),
+    updateBoard: (tempId, [id, changes]) => ({ id, ...changes }),
+    createColumn: (tempId, [name, boardId = null]) => (
+        boardId === null
+            ? { id: tempId, name, order: null, tasks: [] }
+            : { id: tempId, board: boardId, name, order: null, tasks: [] }
+    ),
+    createTask: (tempId, [title, columnId, description = '', fields = {}]) => ({
+        ...fields,
+        id: tempId,
+        title,
+        description,
+        column: columnId,
+        order: null,
+        created_at: new Date().toISOString(),
+    }),
+    updateColumn: (tempId, [id, changes]) => ({ id, ...columnChanges(changes) }),
+    updateTask: (tempId, [id, changes]) => ({ id, ...changes }),
+    moveTask: (tempId, [taskId, columnId, order = null]) => (
+        order === null ? { id: taskId, column: columnId } : { id: taskId, column: columnId, order }
+    ),
+    archiveTask: (tempId, [id]) => ({ id, archived_at: new Date().toISOString() }),
+    restoreArchivedTask: (tempId, [id]) => ({ id }),
+    createLabel: (tempId, [name, color]) => ({ id: tempId, name, color }),
+    updateLabel: (tempId, [id, changes]) => ({ id, ...changes }),
+};
+
+const CREATE_MUTATIONS = ['createBoard', 'createColumn', 'createTask', 'createLabel'];
+
+// Queue a mutation for later and answer optimistically
+function queueMutation(type, args) {
+    const tempId = CREATE_MUTATIONS.includes(type) ? nextTempId() : null;
+    enqueueMutation(type, args, tempId);
+    const buildResult = optimisticResults[type];
+    return buildResult ? buildResult(tempId, args) : null;
+}
+
+function getBackend() {
+    return isLocalMode() ? localBackend : remoteBackend;
+}
+
+/**
+ * Whether a failed mutation is safe to send again later
+ * That's when the server couldn't be reached or answered with a passing
+ * gateway error (502, 503, 504). A create that timed out may have been made
+ * anyway, so sending it again could add it twice; the board is reloaded to
+ * find out, and one that's missing is offered to be added again.
+ */
+function canReplay(type, error) {
+    return isTransientError(error) && !(error instanceof TimeoutError && CREATE_MUTATIONS.includes(type));
+}
+
+// Send a mutation now, or queue it if offline or if earlier mutations are still queued
+// requestOptions (signal, timeout...) only apply to the immediate attempt
+async function sendMutation(type, args, requestOptions = {}) {
+    if (isLocalMode()) {
+        return await localBackend[type](...args);
+    }
+    if (!hasPendingMutations()) {
+        try {
+            return await remoteBackend[type](...args, requestOptions);
+        } catch (error) {
+            if (!canReplay(type, error)) {
+                throw error instanceof TimeoutError
+                    ? new TimeoutError('The server took too long to answer, so this may have been saved anyway. Reload to check before trying again.')
+                    : error;
+            }
+        }
+    }
+    return queueMutation(type, args);
+}
+
+// updateTask used to take (id, title, description); changes queued then are
+// brought up to (id, changes, version) so they replay as meant
+function upgradeMutation(mutation) {
+    if (mutation.type === 'updateTask' && !(mutation.args[1] && typeof mutation.args[1] === 'object')) {
+        const [id, title, description] = mutation.args;
+        return { ...mutation, args: [id, { title, description }, null] };
+    }
+    return mutation;
+}
+
+// Local tasks already pushed, per server and account, so pushing again (say
+// after a failure partway) doesn't copy them twice. A task is known by its ID
+// and when it was made, as a fresh local store hands out the same IDs again.
+const PUSHED_TASKS_KEY = 'pushed_tasks';
+
+function pushedTaskKey(task) {
+    return `${task.id} ${task.created_at || ''}`;
+}
+
+function loadPushedTasks(account) {
+    try {
+        const pushed = JSON.parse(localStorage.getItem(PUSHED_TASKS_KEY)) || {};
+        return new Set(pushed[account] || []);
+    } catch (error) {
+        return new Set();
+    }
+}
+
+function savePushedTasks(account, tasks) {
+    let pushed;
+    try {
+        pushed = JSON.parse(localStorage.getItem(PUSHED_TASKS_KEY)) || {};
+    } catch (error) {
+        pushed = {};
+    }
+    pushed[account] = [...tasks];
+    localStorage.setItem(PUSHED_TASKS_KEY, JSON.stringify(pushed));
+}
+
+// Replay queued mutations; resolves true once the outbox is empty
+function syncOutbox() {
+    upgradeOutbox(upgradeMutation);
+    return flushOutbox(
+        (type, args) => remoteBackend[type](...args),
+        (error, mutation) => canReplay(mutation.type, error)
+    );
+}
+
 // API methods
 const api = {
     // Auth
@@ -143,6 +586,11 @@ const api = {
     },
     
     async logout() {
+        // Leaving local-only mode keeps the local board for next time
+        if (isLocalMode()) {
+            setStorageMode('remote');
+            return;
+        }
         try {
             await apiRequest('/auth/logout/', { method: 'POST' });
         } catch (e) {
@@ -153,83 +601,272 @@ const api = {
     },
     
     async getCurrentUser() {
+        if (isLocalMode()) {
+            return { username: 'Local board', local: true };
+        }
         return await apiRequest('/auth/me/');
     },
     
-    // Board
-    async getBoard() {
-        return await apiRequest('/board/');
+    // Boards
+    // The user's boards, as { id, name }
+    async getBoards(options = {}) {
+        return await getBackend().getBoards(options);
+    },
+    
+    /**
+     * A board ({ id, name, columns })
+     * @param {Object} [options] - { boardId } of the board to fetch (the main
+     *   board if not given), plus request options
+     */
+    async getBoard(options = {}) {
+        return await getBackend().getBoard(options);
+    },
+    
+    // A new board comes with the default columns
+    async createBoard(name) {
+        return await sendMutation('createBoard', [name]);
+    },
+    
+    /**
+     * Rename a board
+     * @param {Object} changes - { name }
+     */
+    async updateBoard(id, changes) {
+        return await sendMutation('updateBoard', [id, changes]);
+    },
+    
+    // Deletes the board's columns and tasks too; an account keeps at least one board
+    async deleteBoard(id) {
+        return await sendMutation('deleteBoard', [id]);
+    },
+    
+    /**
+     * Copy the local-only boards into the signed-in account, then switch to it
+     * The first board goes into the account's main board and the others into
+     * account boards with the same name (made if need be). Columns and labels
+     * are merged into account ones with the same name. Tasks already pushed
+     * to the account are left out, so a push that failed partway can be tried
+     * again.
+     * @param {Object} [options] - { maxColumns } a board may hold, and the
+     *   { account } (username) being pushed to
+     * @returns {Promise<{columns: number, tasks: number}>} How much was created
+     */
+    async pushLocalBoard({ maxColumns = null, account = '' } = {}) {
+        if (!getToken()) {
+            throw new ApiError('Sign in to push your local board', { status: 401 });
+        }
+        
+        const sameName = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+        const localBoards = await localBackend.getBoards();
+        const remoteBoards = localBoards.length > 1 ? await remoteBackend.getBoards() : [];
+        
+        // Where each local board goes, and the columns already there
+        const plans = [];
+        for (const [index, board] of localBoards.entries()) {
+            const local = await localBackend.getBoard({ boardId: board.id });
+            const target = index === 0 ? null : remoteBoards.find(b => sameName(b.name, board.name));
+            const remote = index === 0 || target
+                ? await remoteBackend.getBoard({ boardId: target ? target.id : null })
+                : { columns: [] };
+            plans.push({
+                name: board.name,
+                local,
+                target,
+                isNew: index > 0 && !target,
+                remoteColumns: [...remote.columns],
+            });
+        }
+        
+        // Check the column limit before creating anything
+        for (const { name, local, remoteColumns } of plans) {
+            const newColumns = local.columns.filter(column =>
+                !remoteColumns.some(c => sameName(c.name, column.name))
+            ).length;
+            if (maxColumns !== null && remoteColumns.length + newColumns > maxColumns) {
+                throw new ApiError(
+                    `"${name}" would need ${remoteColumns.length + newColumns} columns in your account; the limit is ${maxColumns}`,
+                    { status: 400, code: 'column_limit' }
+                );
+            }
+        }
+        
+        // Local label IDs -> account label IDs
+        const labelIds = new Map();
+        const localLabels = await localBackend.getLabels();
+        if (localLabels.length > 0) {
+            const remoteLabels = await remoteBackend.getLabels();
+            for (const label of localLabels) {
+                const target = remoteLabels.find(l => sameName(l.name, label.name))
+                    || await remoteBackend.createLabel(label.name, label.color);
+                labelIds.set(label.id, target.id);
+            }
+        }
+        
+        const pushedTo = `${CONFIG.API_BASE} ${account}`;
+        const pushed = loadPushedTasks(pushedTo);
+        const created = { columns: 0, tasks: 0 };
+        for (const plan of plans) {
+            let boardId = plan.target ? plan.target.id : null;
+            const remoteColumns = plan.remoteColumns;
+            if (plan.isNew) {
+                boardId = (await remoteBackend.createBoard(plan.name)).id;
+                remoteColumns.push(...(await remoteBackend.getBoard({ boardId })).columns);
+            }
+            for (const column of plan.local.columns) {
+                let target = remoteColumns.find(c => sameName(c.name, column.name));
+                if (!target) {
+                    target = await remoteBackend.createColumn(column.name, boardId);
+                    remoteColumns.push(target);
+                    created.columns++;
+                }
+                for (const task of column.tasks) {
+                    if (pushed.has(pushedTaskKey(task))) continue;
+                    const details = pickTaskDetails(task);
+                    const taskLabels = (details.labels || []).map(id => labelIds.get(id)).filter(id => id !== undefined);
+                    delete details.labels;
+                    if (taskLabels.length > 0) {
+                        details.labels = taskLabels;
+                    }
+                    await remoteBackend.createTask(task.title, target.id, task.description, details);
+                    pushed.add(pushedTaskKey(task));
+                    savePushedTasks(pushedTo, pushed);
+                    created.tasks++;
+                }
+            }
+        }
+        
+        setStorageMode('remote');
+        return created;
     },
     
     // Columns
-    async createColumn(name) {
-        return await apiRequest('/columns/', {
-            method: 'POST',
-            body: JSON.stringify({ name }),
-        });
+    // On the given board, or the main board
+    async createColumn(name, boardId = null) {
+        return await sendMutation('createColumn', [name, boardId]);
     },
     
-    async updateColumn(id, name) {
-        return await apiRequest(`/columns/${id}/`, {
-            method: 'PATCH',
-            body: JSON.stringify({ name }),
-        });
+    /**
+     * Update a column
+     * @param {string|Object} changes - New name, or fields to change:
+     *   { name, wip_limit (number or null for none), wip_block (boolean) }
+     * @param {Object} [options] - { version } to refuse the write if the column changed since
+     */
+    async updateColumn(id, changes, { version = null, ...options } = {}) {
+        return await sendMutation('updateColumn', [id, changes, version], options);
     },
     
     async deleteColumn(id) {
-        return await apiRequest(`/columns/${id}/`, {
-            method: 'DELETE',
-        });
+        return await sendMutation('deleteColumn', [id]);
     },
     
-    async reorderColumns(columnOrders) {
-        return await apiRequest('/reorder-columns/', {
-            method: 'POST',
-            body: JSON.stringify({ column_orders: columnOrders }),
-        });
+    async reorderColumns(columnOrders, options = {}) {
+        return await sendMutation('reorderColumns', [columnOrders], options);
     },
     
     // Tasks
-    async createTask(title, columnId, description = '') {
-        const body = { title, column_id: columnId };
-        if (description) {
-            body.description = description;
-        }
-        return await apiRequest('/tasks/', {
-            method: 'POST',
-            body: JSON.stringify(body),
-        });
+    /**
+     * Create a task
+     * @param {Object} [fields] - Optional details: { due_date, do_date } as 'YYYY-MM-DD' or null,
+     *   due_time as 'HH:MM', estimate in minutes, priority ('high', 'medium' or 'low'),
+     *   labels and checklist
+     */
+    async createTask(title, columnId, description = '', fields = {}) {
+        return await sendMutation('createTask', [title, columnId, description, fields]);
     },
     
-    async updateTask(id, title, description) {
-        return await apiRequest(`/tasks/${id}/`, {
-            method: 'PATCH',
-            body: JSON.stringify({ title, description }),
-        });
+    async getTask(id) {
+        return await getBackend().getTask(id);
+    },
+    
+    /**
+     * Update some of a task's fields, e.g. { title, description, due_date, do_date }
+     * @param {Object} [options] - { version } to refuse the write if the task changed since;
+     *   a refused write throws an ApiError with code 'conflict'
+     */
+    async updateTask(id, changes, { version = null, ...options } = {}) {
+        return await sendMutation('updateTask', [id, changes, version], options);
     },
     
     async deleteTask(id) {
-        return await apiRequest(`/tasks/${id}/`, {
-            method: 'DELETE',
-        });
+        return await sendMutation('deleteTask', [id]);
     },
     
-    async moveTask(taskId, columnId) {
-        return await apiRequest(`/tasks/${taskId}/move/`, {
-            method: 'POST',
-            body: JSON.stringify({ column_id: columnId }),
-        });
+    /**
+     * Move a task to another column, optionally at a position, in one request
+     * The column may be on another board, which moves the task to that board.
+     * @param {Object} [options] - { order } 1-based position in the column, plus request options
+     */
+    async moveTask(taskId, columnId, { order = null, ...options } = {}) {
+        return await sendMutation('moveTask', [taskId, columnId, order], options);
     },
     
-    async reorderTasks(taskOrders) {
-        return await apiRequest('/reorder-tasks/', {
-            method: 'POST',
-            body: JSON.stringify({ task_orders: taskOrders }),
-        });
+    async reorderTasks(taskOrders, options = {}) {
+        return await sendMutation('reorderTasks', [taskOrders], options);
+    },
+    
+    /**
+     * Archived tasks, each with the column it came from (column, column_name)
+     * and when it was archived (archived_at)
+     */
+    async getArchive(options = {}) {
+        return await getBackend().getArchive(options);
+    },
+    
+    // Take a task off the board, keeping it in the archive
+    async archiveTask(id) {
+        return await sendMutation('archiveTask', [id]);
+    },
+    
+    /**
+     * Put an archived task back at the end of its column
+     * (the first column if its own has been deleted)
+     */
+    async restoreArchivedTask(id) {
+        return await sendMutation('restoreArchivedTask', [id]);
+    },
+    
+    async purgeArchivedTask(id) {
+        return await sendMutation('purgeArchivedTask', [id]);
+    },
+    
+    // Labels - tasks refer to them by ID in their labels field
+    async getLabels(options = {}) {
+        return await getBackend().getLabels(options);
+    },
+    
+    async createLabel(name, color) {
+        return await sendMutation('createLabel', [name, color]);
+    },
+    
+    /**
+     * Rename or recolour a label
+     * @param {Object} changes - { name, color }
+     */
+    async updateLabel(id, changes) {
+        return await sendMutation('updateLabel', [id, changes]);
+    },
+    
+    async deleteLabel(id) {
+        return await sendMutation('deleteLabel', [id]);
     },
 };
 
 // Export for testing - these exports work when imported as ES module
 // In browser, these are ignored and globals are used instead
-export { CONFIG, getToken, setToken, clearToken, isAuthenticated, apiRequest, api };
+export {
+    CONFIG,
+    ApiError,
+    NetworkError,
+    TimeoutError,
+    isAbortError,
+    getRetryDelay,
+    getToken,
+    setToken,
+    clearToken,
+    isAuthenticated,
+    apiRequest,
+    syncOutbox,
+    pickTaskDetails,
+    api,
+};
 export default api;
@@ -0,0 +1,71 @@
+/**
+ * Archive for ADHD Kanban
+ * Finished cards can be put away rather than deleted, and come back later
+ *
+ * Archived tasks are kept apart from the board by the API. Each one remembers
+ * the column it came from (column, column_name) and when it was archived
+ * (archived_at).
+ */
+
+import { matchesQuery } from './filters.js';
+import { getColumnEntryTimes } from './column-entry.js';
+
+const ARCHIVE_SETTINGS_KEY = 'archive_settings';
+const MAX_ARCHIVE_DAYS = 365;
+const DAY = 86400000;
+
+// Auto-archive is off (days: null) until it's set
+const DEFAULT_ARCHIVE_SETTINGS = { days: null };
+
+/**
+ * Check the auto-archive delay: whole days, or null for never
+ * @returns {Object|null} Field name -> messages, or null if valid
+ */
+function validateArchiveSettings(settings) {
+    const { days } = settings;
+    if (days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_ARCHIVE_DAYS)) {
+        return { days: [`Enter a whole number of days from 1 to ${MAX_ARCHIVE_DAYS}, or leave it empty.`] };
+    }
+    return null;
+}
+
+function loadArchiveSettings() {
+    try {
+        const settings = { ...DEFAULT_ARCHIVE_SETTINGS, ...JSON.parse(localStorage.getItem(ARCHIVE_SETTINGS_KEY)) };
+        return validateArchiveSettings(settings) ? { ...DEFAULT_ARCHIVE_SETTINGS } : settings;
+    } catch (error) {
+        return { ...DEFAULT_ARCHIVE_SETTINGS };
+    }
+}
+
+function saveArchiveSettings(settings) {
+    localStorage.setItem(ARCHIVE_SETTINGS_KEY, JSON.stringify({ days: settings.days }));
+}
+
+/**
+ * Cards that have been in the last column for at least `days` days
+ * It's measured from when they got there, so edits don't put it off.
+ */
+function getAutoArchiveTasks(columns, days, now = Date.now()) {
+    if (!days || columns.length === 0) return [];
+    const last = columns[columns.length - 1];
+    const entered = getColumnEntryTimes(last, now);
+    return last.tasks.filter(task => now - entered.get(task.id) >= days * DAY);
+}
+
+// Archived tasks matching a search, most recently archived first
+function searchArchive(tasks, query) {
+    return tasks
+        .filter(task => matchesQuery(task, query))
+        .sort((a, b) => (b.archived_at || '').localeCompare(a.archived_at || ''));
+}
+
+export {
+    ARCHIVE_SETTINGS_KEY,
+    MAX_ARCHIVE_DAYS,
+    validateArchiveSettings,
+    loadArchiveSettings,
+    saveArchiveSettings,
+    getAutoArchiveTasks,
+    searchArchive,
+};
@@ -4,6 +4,14 @@
  */
 
 import { api, isAuthenticated } from './api.js';
+import { loadConfig, getEnvironments, getCurrentEnvironmentId, getConfigError, setStorageMode } from './config.js';
+import { openServerSettings } from './settings.js';
+import { clearFieldErrors, setFieldError, showFieldErrors } from './form-errors.js';
+import { clearOutbox } from './outbox.js';
+import { BOARD_CACHE_KEY, loadBoardCache } from './boards.js';
+
+// Requests need the configured server, so resolve it first
+await loadConfig();
 
 // Check if already authenticated
 if (isAuthenticated()) {
@@ -20,6 +28,63 @@ const registerError = document.getElementById('register-error');
 const loginSubmit = document.getElementById('login-submit');
 const registerSubmit = document.getElementById('register-submit');
 
+// API field name -> input, for showing validation messages inline
+const LOGIN_FIELDS = {
+    username: 'login-username',
+    password: 'login-password',
+};
+
+const REGISTER_FIELDS = {
+    username: 'register-username',
+    email: 'register-email',
+    password: 'register-password',
+    password_confirm: 'register-password-confirm',
+};
+
+function showFormError(form, errorEl, error, fields, fallback) {
+    const message = showFieldErrors(form, error, fields);
+    if (message !== null) {
+        errorEl.textContent = message || fallback;
+        errorEl.classList.add('show');
+    }
+}
+
+// Show which server we're signing in to
+const currentEnv = getEnvironments().find(env => env.id === getCurrentEnvironmentId());
+document.getElementById('server-name').textContent = `Server: ${currentEnv.label}`;
+document.getElementById('server-name').title = currentEnv.apiBase;
+
+document.getElementById('show-settings').addEventListener('click', (e) => {
+    e.preventDefault();
+    openServerSettings();
+});
+
+// A server chosen without a URL needs one before anything can be sent
+if (getConfigError()) {
+    openServerSettings();
+}
+
+// Local-only mode: no account, the board is kept on this device
+document.getElementById('use-local').addEventListener('click', (e) => {
+    e.preventDefault();
+    setStorageMode('local');
+    localStorage.removeItem('board_cache');
+    window.location.href = 'board.html';
+});
+
+/**
+ * Drop what's left over from another account: after a session runs out, its
+ * cached board and unsynced changes are still here, and the changes would
+ * otherwise be sent as this account
+ */
+function forgetOtherAccount(username) {
+    const cache = loadBoardCache();
+    if (cache && cache.username !== username) {
+        clearOutbox();
+        localStorage.removeItem(BOARD_CACHE_KEY);
+    }
+}
+
 // Toggle between login and register
 document.getElementById('show-register').addEventListener('click', (e) => {
     e.preventDefault();
@@ -27,6 +92,7 @@ document.getElementById('show-register').addEventListener('click', (e) => {
     registerCard.style.display = 'block';
     loginError.classList.remove('show');
     registerError.classList.remove('show');
+    clearFieldErrors(loginForm);
 });
 
 document.getElementById('show-login').addEventListener('click', (e) => {
@@ -35,6 +101,7 @@ document.getElementById('show-login').addEventListener('click', (e) => {
     loginCard.style.display = 'block';
     loginError.classList.remove('show');
     registerError.classList.remove('show');
+    clearFieldErrors(registerForm);
 });
 
 // Login form submission
@@ -45,15 +112,16 @@ loginForm.addEventListener('submit', async (e) => {
     const password = document.getElementById('login-password').value;
     
     loginError.classList.remove('show');
+    clearFieldErrors(loginForm);
     loginSubmit.disabled = true;
     loginSubmit.textContent = 'Signing in...';
     
     try {
         await api.login(username, password);
+        forgetOtherAccount(username);
         window.location.href = 'board.html';
     } catch (error) {
-        loginError.textContent = error.message || 'Login failed';
-        loginError.classList.add('show');
+        showFormError(loginForm, loginError, error, LOGIN_FIELDS, 'Login failed');
     } finally {
         loginSubmit.disabled = false;
         loginSubmit.textContent = 'Sign In';
@@ -69,23 +137,26 @@ registerForm.addEventListener('submit', async (e) => {
     const password = document.getElementById('register-password').value;
     const passwordConfirm = document.getElementById('register-password-confirm').value;
     
+    registerError.classList.remove('show');
+    clearFieldErrors(registerForm);
+    
     // Client-side validation
     if (password !== passwordConfirm) {
-        registerError.textContent = 'Passwords do not match';
-        registerError.classList.add('show');
+        const confirmInput = document.getElementById('register-password-confirm');
+        setFieldError(confirmInput, 'Passwords do not match');
+        confirmInput.focus();
         return;
     }
     
-    registerError.classList.remove('show');
     registerSubmit.disabled = true;
     registerSubmit.textContent = 'Creating account...';
     
     try {
         await api.register(username, password, email || null);
+        forgetOtherAccount(username);
         window.location.href = 'board.html';
     } catch (error) {
-        registerError.textContent = error.message || 'Registration failed';
-        registerError.classList.add('show');
+        showFormError(registerForm, registerError, error, REGISTER_FIELDS, 'Registration failed');
     } finally {
         registerSubmit.disabled = false;
         registerSubmit.textContent = 'Create Account';
@@ -3,7 +3,138 @@
  * Handles rendering, drag-and-drop, and all board interactions
  */
 
-import { api, isAuthenticated } from './api.js';
+import { api, isAuthenticated, getToken, clearToken, syncOutbox, pickTaskDetails, NetworkError, TimeoutError, isAbortError } from './api.js';
+import { getPendingMutations, clearOutbox, onOutboxEvent, resolveTempIds } from './outbox.js';
+import { loadConfig, getApiBase, isLocalMode } from './config.js';
+import { startLiveSync, applyBoardEvents } from './realtime.js';
+import { openServerSettings } from './settings.js';
+import { clearFieldErrors, showFieldErrors } from './form-errors.js';
+import { mergeEdits, combineValues, mergeSets } from './merge.js';
+import { createHistory } from './history.js';
+import {
+    ARROW_KEYS,
+    getFocusTarget,
+    getCardMoveTarget,
+    getColumnMoveTarget,
+    describePosition,
+} from './keyboard-nav.js';
+import { enableTouchDrag, getInsertIndex, getMidpoints } from './pointer-drag.js';
+import {
+    getFocusColumn,
+    getFocusQueue,
+    stepFocus,
+    getFocusSuccessor,
+    loadFocusState,
+    saveFocusState,
+} from './focus.js';
+import {
+    TIMER_SETTINGS_KEY,
+    TIMER_STATE_KEY,
+    validateTimerSettings,
+    loadTimerSettings,
+    saveTimerSettings,
+    loadTimerState,
+    saveTimerState,
+    clearTimerState,
+    startTimer,
+    finishPhase,
+    getRemaining,
+    formatRemaining,
+    playChime,
+} from './timer.js';
+import { requestNotificationPermission, sendNotification } from './notifications.js';
+import {
+    toDayString,
+    formatDay,
+    formatTime,
+    describeDue,
+    describeDoOn,
+    getDueState,
+    isDoDateReached,
+} from './dates.js';
+import { getPriorityLabel, formatEstimate } from './planning.js';
+import { parseQuickAdd, getQuickAddColumn } from './quick-add.js';
+import {
+    DESKTOP_SETTINGS_KEY,
+    PENDING_CAPTURES_KEY,
+    CAPTURE_EVENT,
+    TRAY_TIMER_EVENT,
+    isDesktopApp,
+    getCaptureShortcut,
+    loadDesktopSettings,
+    saveDesktopSettings,
+    applyDesktopSettings,
+    onDesktopEvent,
+    showBoardWindow,
+    loadPendingCaptures,
+    removePendingCapture,
+} from './desktop.js';
+import {
+    REMINDER_SETTINGS_KEY,
+    validateReminderSettings,
+    loadReminderSettings,
+    saveReminderSettings,
+    getDueReminders,
+    claimReminder,
+    snoozeReminder,
+} from './reminders.js';
+import {
+    isLabelColor,
+    nextLabelColor,
+    getLabelTextColor,
+    getTaskLabels,
+} from './labels.js';
+import {
+    AGE_FILTERS,
+    createFilter,
+    normalizeFilter,
+    isFilterEmpty,
+    matchesFilter,
+    splitMatches,
+    loadSavedFilters,
+    saveSavedFilters,
+    putSavedFilter,
+    removeSavedFilter,
+} from './filters.js';
+import {
+    MAX_CHECKLIST_ITEMS,
+    MAX_ITEM_LENGTH,
+    getChecklistProgress,
+    formatProgress,
+    addItem,
+    toggleItem,
+    removeItem,
+    moveItem,
+    cleanChecklist,
+    sameChecklist,
+} from './checklist.js';
+import {
+    ARCHIVE_SETTINGS_KEY,
+    validateArchiveSettings,
+    loadArchiveSettings,
+    saveArchiveSettings,
+    getAutoArchiveTasks,
+    searchArchive,
+} from './archive.js';
+import {
+    BOARD_CACHE_KEY,
+    loadBoardCache,
+    loadLastBoard,
+    saveLastBoard,
+    pickBoard,
+    findBoardNamed,
+    getMatchingColumn,
+} from './boards.js';
+import {
+    MAX_IMPORT_SIZE,
+    EXPORT_TYPES,
+    exportJson,
+    exportCsv,
+    exportMarkdown,
+    getExportFileName,
+    planImport,
+} from './transfer.js';
+import { readAnyImport } from './importers.js';
 
 // Check authentication
 if (!isAuthenticated()) {
@@ -16,7 +147,82 @@ let columns = [];
 let draggedColumn = null;
 let draggedTask = null;
 
+// The user's boards, and the one shown
+let boards = [];
+let currentBoardId = null;
+
+// Columns of the board a card is being moved to
+let moveColumns = [];
+
+// The board's labels
+let labels = [];
+
+// A file or pasted list read for importing, and what importing it would do
+let importData = null;
+let importPlan = null;
+
+// Whether a quick-add task is being saved, so Enter twice doesn't add it twice
+let quickAdding = false;
+
+// Whether captures from the desktop app's capture window are being added
+let addingCaptures = false;
+
+// Search and filters narrowing down the cards shown, the user's saved filters,
+// and the name of the saved filter in use (until it's changed)
+let boardFilter = createFilter();
+let savedFilters = [];
+let activeFilterName = null;
+
+// In-flight requests that a newer request of the same kind replaces
+const supersedableRequests = new Map();
+
+// The task being edited, as it was when editing started (for conflict merges),
+// and the checklist steps as edited so far
+let editingTask = null;
+let editingChecklist = [];
+
+// Cards with their checklist opened up
+const openChecklists = new Set();
+
+// Live updates from other devices/windows, and events held back mid-interaction
+let liveSync = null;
+let deferredEvents = [];
+
+// Keyboard focus on the board ({ kind: 'task' | 'column', id }), and a card or
+// column picked up to move with the arrow keys
+let focusedItem = null;
+let keyboardGrab = null;
+
+// Touch drag and drop
+let touchDrag = null;
+
+// Focus mode: whether it's on, and the one task it shows
+const focusState = loadFocusState();
+
+// Focus timer: its settings, the running session or break (or null), and the
+// once-a-second tick while one runs
+let timerSettings = loadTimerSettings();
+let timerState = loadTimerState();
+let timerInterval = null;
+
+// Archive: when to archive finished cards, and the archived tasks being browsed
+let archiveSettings = loadArchiveSettings();
+let archivedTasks = [];
+
+// Reminders: which to send, and when
+let reminderSettings = loadReminderSettings();
+
+// Desktop app: whether closing the window leaves it in the tray
+let desktopSettings = loadDesktopSettings();
+
+// Undo/redo of board actions
+const boardHistory = createHistory();
+let toastTimer = null;
+
 const MAX_COLUMNS = 12;
+const OUTBOX_RETRY_INTERVAL = 30000;
+const TOAST_DURATION = 8000;
+const DAY_CHECK_INTERVAL = 60000;
 
 // DOM Elements
 const loadingState = document.getElementById('loading-state');
@@ -29,11 +235,138 @@ const usernameDisplay = document.getElementById('username-display');
 const userMenuBtn = document.getElementById('user-menu-btn');
 const userDropdown = document.getElementById('user-dropdown');
 const logoutBtn = document.getElementById('logout-btn');
+const pushBoardBtn = document.getElementById('push-board-btn');
+const syncStatus = document.getElementById('sync-status');
+const announcer = document.getElementById('board-announcer');
+const reminderList = document.getElementById('reminder-list');
+const toast = document.getElementById('toast');
+const toastMessage = document.getElementById('toast-message');
+const toastAction = document.getElementById('toast-action');
+const timerDisplay = document.getElementById('timer-display');
+const timerLabel = document.getElementById('timer-label');
+const timerRemaining = document.getElementById('timer-remaining');
+const focusBtn = document.getElementById('focus-btn');
+const focusView = document.getElementById('focus-view');
+const exitFocusBtn = document.getElementById('exit-focus-btn');
+const focusColumnLabel = document.getElementById('focus-column');
+const focusTask = document.getElementById('focus-task');
+const focusTitle = document.getElementById('focus-title');
+const focusDescription = document.getElementById('focus-description');
+const focusEmpty = document.getElementById('focus-empty');
+const focusDoneBtn = document.getElementById('focus-done-btn');
+const focusParkBtn = document.getElementById('focus-park-btn');
+const focusPrevBtn = document.getElementById('focus-prev-btn');
+const focusNextBtn = document.getElementById('focus-next-btn');
+const focusPosition = document.getElementById('focus-position');
+const boardSelect = document.getElementById('board-select');
+const searchInput = document.getElementById('search-input');
+const filterBar = document.getElementById('filter-bar');
+const filterColumn = document.getElementById('filter-column');
+const filterAge = document.getElementById('filter-age');
+const filterLabelsGroup = document.getElementById('filter-labels-group');
+const filterLabels = document.getElementById('filter-labels');
+const savedFilterSelect = document.getElementById('saved-filter-select');
+const deleteFilterBtn = document.getElementById('delete-filter-btn');
+const filterSummary = document.getElementById('filter-summary');
+const clearFilterBtn = document.getElementById('clear-filter-btn');
+const labelList = document.getElementById('label-list');
+const boardList = document.getElementById('board-list');
+const exportStatus = document.getElementById('export-status');
+const importFile = document.getElementById('import-file');
+const importText = document.getElementById('import-text');
+const importPreview = document.getElementById('import-preview');
+const quickAddForm = document.getElementById('quick-add-form');
+const quickAddInput = document.getElementById('quick-add-input');
+const quickAddPreview = document.getElementById('quick-add-preview');
 
 // Modals
 const taskModal = document.getElementById('task-modal');
 const columnModal = document.getElementById('column-modal');
 const editTaskModal = document.getElementById('edit-task-modal');
+const wipModal = document.getElementById('wip-modal');
+const timerModal = document.getElementById('timer-modal');
+const labelsModal = document.getElementById('labels-modal');
+const boardsModal = document.getElementById('boards-modal');
+const moveBoardModal = document.getElementById('move-board-modal');
+const saveFilterModal = document.getElementById('save-filter-modal');
+const archiveModal = document.getElementById('archive-modal');
+const exportModal = document.getElementById('export-modal');
+const importModal = document.getElementById('import-modal');
+const pushModal = document.getElementById('push-modal');
+const remindersModal = document.getElementById('reminders-modal');
+const desktopModal = document.getElementById('desktop-modal');
+
+// API field name -> input, for showing validation messages inline
+const TASK_FIELDS = {
+    title: 'task-title',
+    description: 'task-description',
+    column_id: 'task-column',
+    due_date: 'task-due-date',
+    due_time: 'task-due-time',
+    do_date: 'task-do-date',
+    estimate: 'task-estimate',
+    priority: 'task-priority',
+};
+
+const COLUMN_FIELDS = {
+    name: 'column-name',
+};
+
+const EDIT_TASK_FIELDS = {
+    title: 'edit-task-title',
+    description: 'edit-task-description',
+    due_date: 'edit-task-due-date',
+    due_time: 'edit-task-due-time',
+    do_date: 'edit-task-do-date',
+    estimate: 'edit-task-estimate',
+    priority: 'edit-task-priority',
+    checklist: 'edit-checklist-new',
+};
+
+const WIP_FIELDS = {
+    wip_limit: 'wip-limit',
+    wip_block: 'wip-block',
+};
+
+const TIMER_FIELDS = {
+    work: 'timer-work',
+    break: 'timer-break',
+};
+
+const REMINDER_FIELDS = {
+    dueLead: 'reminder-due-lead',
+    staleHours: 'reminder-stale-hours',
+    planningTime: 'reminder-planning-time',
+    quietStart: 'reminder-quiet-start',
+    quietEnd: 'reminder-quiet-end',
+    snooze: 'reminder-snooze',
+};
+
+const LABEL_FIELDS = {
+    name: 'label-name',
+    color: 'label-color',
+};
+
+const BOARD_FIELDS = {
+    name: 'board-name',
+};
+
+const MOVE_BOARD_FIELDS = {
+    column_id: 'move-column',
+};
+
+const ARCHIVE_FIELDS = {
+    days: 'archive-days',
+};
+
+const FILTER_FIELDS = {
+    name: 'filter-name',
+};
+
+const PUSH_FIELDS = {
+    username: 'push-username',
+    password: 'push-password',
+};
 
 // Utility functions
 function escapeHtml(text) {
@@ -47,8 +380,133 @@ function formatDate(dateString) {
     return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
 }
 
+function shortTitle(title) {
+    return title.length > 30 ? title.substring(0, 30) + '...' : title;
+}
+
+// Due and "do on" dates on a card, relative to today
+function taskDatesHtml(task) {
+    let html = '';
+    if (task.do_date) {
+        const reached = isDoDateReached(task.do_date) ? ' do-reached' : '';
+        html += `<span class="task-date do-date${reached}" title="Do on ${formatDay(task.do_date)}">${describeDoOn(task.do_date)}</span>`;
+    }
+    if (task.due_date) {
+        const state = getDueState(task.due_date);
+        // The time is left off once the day has passed
+        const time = task.due_time ? ` at ${formatTime(task.due_time)}` : '';
+        html += `<span class="task-date due-date${state ? ` ${state}` : ''}" title="Due ${formatDay(task.due_date)}${time}">${describeDue(task.due_date)}${state === 'overdue' ? '' : time}</span>`;
+    }
+    return html;
+}
+
+// Priority and estimate on a card
+function taskPlanHtml(task) {
+    let html = '';
+    if (task.priority) {
+        html += `<span class="task-priority priority-${task.priority}" title="${getPriorityLabel(task.priority)} priority">${getPriorityLabel(task.priority)}</span>`;
+    }
+    if (task.estimate) {
+        html += `<span class="task-estimate" title="Estimated ${formatEstimate(task.estimate)}">~${formatEstimate(task.estimate)}</span>`;
+    }
+    return html;
+}
+
+// Label colours for a chip
+function labelStyle(label) {
+    const color = isLabelColor(label.color) ? label.color : '#95a5a6';
+    return `background: ${color}; color: ${getLabelTextColor(color)};`;
+}
+
+function taskLabelsHtml(task) {
+    const taskLabels = getTaskLabels(task, labels);
+    if (taskLabels.length === 0) return '';
+    return `<div class="task-labels">${taskLabels.map(label =>
+        `<span class="label-chip" style="${labelStyle(label)}">${escapeHtml(label.name)}</span>`
+    ).join('')}</div>`;
+}
+
+// Checklist progress on a card, opening the steps themselves
+function checklistToggleHtml(task) {
+    const { done, total } = getChecklistProgress(task.checklist);
+    if (total === 0) return '';
+    const open = openChecklists.has(task.id);
+    return `<button class="task-checklist-toggle${done === total ? ' complete' : ''}" data-task-id="${task.id}" aria-expanded="${open}" aria-controls="checklist-${task.id}" aria-label="Checklist, ${done} of ${total} done" title="${open ? 'Hide' : 'Show'} checklist">☑ ${formatProgress(task.checklist)}</button>`;
+}
+
+// A card's open checklist, to tick steps off or make one its own task
+function checklistHtml(task) {
+    if (!openChecklists.has(task.id) || !task.checklist || task.checklist.length === 0) return '';
+    return `<ol class="task-checklist" id="checklist-${task.id}">${task.checklist.map((item, index) => `
+        <li class="checklist-item${item.done ? ' done' : ''}">
+            <label><input type="checkbox" data-index="${index}"${item.done ? ' checked' : ''}> <span>${escapeHtml(item.text)}</span></label>
+            <button class="checklist-promote" data-index="${index}" aria-label="Make this step its own task" title="Make this step its own task">↗</button>
+        </li>`).join('')}
+    </ol>`;
+}
+
+// A task's editable fields as the edit form holds them (an unset field is '')
+function editableTask(task) {
+    return {
+        title: task.title,
+        description: task.description || '',
+        due_date: task.due_date || '',
+        due_time: task.due_time || '',
+        do_date: task.do_date || '',
+        estimate: task.estimate ? String(task.estimate) : '',
+        priority: task.priority || '',
+        labels: [...(task.labels || [])],
+        checklist: (task.checklist || []).map(item => ({ ...item })),
+    };
+}
+
+// Edit form values as API changes
+function taskChanges(values) {
+    return {
+        ...values,
+        due_date: values.due_date || null,
+        due_time: values.due_time || null,
+        do_date: values.do_date || null,
+        estimate: values.estimate ? Number(values.estimate) : null,
+        priority: values.priority || null,
+    };
+}
+
+// Work-in-progress limits
+// 'over' when a column holds more cards than its limit, 'full' when exactly at it
+function getWipState(column) {
+    const count = column.tasks ? column.tasks.length : 0;
+    if (!column.wip_limit) return null;
+    if (count > column.wip_limit) return 'over';
+    return count === column.wip_limit ? 'full' : null;
+}
+
+// Column title with its task count, and the limit if it has one
+function columnTitleHtml(column) {
+    const count = column.tasks ? column.tasks.length : 0;
+    if (!column.wip_limit) {
+        return `${escapeHtml(column.name)} <span class="column-count">(${count})</span>`;
+    }
+    const over = getWipState(column) === 'over' ? '<span class="sr-only">, over the limit</span>' : '';
+    return `${escapeHtml(column.name)} <span class="column-count" title="${count} of ${column.wip_limit} allowed">(${count}/${column.wip_limit})${over}</span>`;
+}
+
+/**
+ * Opt-in soft block: ask before adding a card to a column at its limit
+ * @param {number} otherCount - Cards already in the column, not counting the one being added
+ * @returns {boolean} Whether to go ahead
+ */
+function allowIntoColumn(column, otherCount = column.tasks.length) {
+    if (!column.wip_limit || !column.wip_block || otherCount < column.wip_limit) {
+        return true;
+    }
+    return confirm(`"${column.name}" is at its limit of ${column.wip_limit}. Add this card anyway?`);
+}
+
 // Show/hide states
 function showLoading() {
+    filterBar.hidden = true;
+    quickAddForm.hidden = true;
     loadingState.style.display = 'flex';
     errorState.style.display = 'none';
     kanbanBoard.style.display = 'none';
@@ -58,6 +516,9 @@ function showError(message) {
     loadingState.style.display = 'none';
     errorState.style.display = 'flex';
     kanbanBoard.style.display = 'none';
+    filterBar.hidden = true;
+    quickAddForm.hidden = true;
+    focusView.hidden = true;
     errorMessage.textContent = message;
 }
 
@@ -65,6 +526,146 @@ function showBoard() {
     loadingState.style.display = 'none';
     errorState.style.display = 'none';
     kanbanBoard.style.display = 'flex';
+    filterBar.hidden = false;
+    quickAddForm.hidden = false;
+}
+
+// Board cache - lets the board open offline with any queued changes applied
+function saveBoardCache() {
+    localStorage.setItem(BOARD_CACHE_KEY, JSON.stringify({
+        username: currentUser ? currentUser.username : null,
+        boards,
+        board: currentBoardId,
+        columns,
+        labels,
+    }));
+}
+
+// Offline/pending changes indicator
+function updateSyncStatus() {
+    const pending = getPendingMutations().length;
+    if (pending === 0) {
+        syncStatus.classList.remove('show');
+        syncStatus.textContent = '';
+        return;
+    }
+    const changes = `${pending} change${pending > 1 ? 's' : ''}`;
+    syncStatus.textContent = navigator.onLine === false
+        ? `Offline - ${changes} saved locally`
+        : `Syncing ${changes}...`;
+    syncStatus.classList.add('show');
+}
+
+// Swap a temporary ID for the server's once a queued create has been replayed
+function reconcileTempId(tempId, id) {
+    let found = false;
+    const board = boards.find(b => b.id === tempId);
+    if (board) {
+        board.id = id;
+        renderBoardSelect();
+    }
+    if (currentBoardId === tempId) {
+        currentBoardId = id;
+        saveLastBoard(getUsername(), id);
+    }
+    const label = labels.find(l => l.id === tempId);
+    if (label) {
+        label.id = id;
+        boardFilter.labels = boardFilter.labels.map(labelId => (labelId === tempId ? id : labelId));
+        found = true;
+    }
+    if (boardFilter.column === tempId) {
+        boardFilter.column = id;
+    }
+    for (const column of columns) {
+        if (column.id === tempId) {
+            column.id = id;
+            column.tasks.forEach(task => { task.column = id; });
+            found = true;
+        }
+        if (column.board === tempId) {
+            column.board = id;
+        }
+        for (const task of column.tasks) {
+            if (task.id === tempId) {
+                task.id = id;
+                found = true;
+                if (openChecklists.delete(tempId)) {
+                    openChecklists.add(id);
+                }
+            }
+            if (task.labels && task.labels.includes(tempId)) {
+                task.labels = task.labels.map(labelId => (labelId === tempId ? id : labelId));
+                found = true;
+            }
+        }
+    }
+    if (found) {
+        renderBoard();
+    }
+}
+
+// Whether something with this name, made by a create, is on the board now
+function isOnBoard(type, name) {
+    switch (type) {
+        case 'createBoard':
+            return boards.some(board => board.name === name);
+        case 'createColumn':
+            return columns.some(column => column.name === name);
+        case 'createTask':
+            return columns.some(column => column.tasks.some(task => task.title === name));
+        case 'createLabel':
+            return labels.some(label => label.name === name);
+        default:
+            return false;
+    }
+}
+
+/**
+ * A create made offline timed out when it was sent, so it may or may not have
+ * been made. Reload to look, and if it isn't there, offer to send it again.
+ */
+async function offerToResend(mutation) {
+    // Column and board IDs it was given offline, as the server knows them
+    const args = resolveTempIds(mutation.args);
+    await loadBoard();
+    const [name] = args;
+    if (isOnBoard(mutation.type, name)) return;
+    if (!confirm(`"${name}", added while offline, may not have been saved: the server took too long to answer. It isn't on the board. Add it again?`)) return;
+    try {
+        await api[mutation.type](...args);
+        await loadBoard();
+    } catch (error) {
+        console.error('Failed to add again:', error);
+        alert(error.message || `Failed to add "${name}"`);
+    }
+}
+
+async function syncPendingChanges() {
+    if (getPendingMutations().length === 0) return;
+    try {
+        await syncOutbox();
+    } catch (error) {
+        console.error('Failed to sync offline changes:', error);
+    }
+}
+
+// Cancel the previous request under `key` (if still running) and return a signal for the new one
+function supersedeRequest(key) {
+    const previous = supersedableRequests.get(key);
+    if (previous) {
+        previous.abort();
+    }
+    const controller = new AbortController();
+    supersedableRequests.set(key, controller);
+    return controller.signal;
+}
+
+function finishRequest(key, signal) {
+    const controller = supersedableRequests.get(key);
+    if (controller && controller.signal === signal) {
+        supersedableRequests.delete(key);
+    }
 }
 
 // Update column limit UI
@@ -87,23 +688,50 @@ function updateColumnSelect() {
 }
 
 // Create task element
-function createTaskElement(task) {
+function createTaskElement(task, columnId) {
     const div = document.createElement('div');
     div.className = 'task';
     div.dataset.taskId = task.id;
     div.dataset.order = task.order;
     div.draggable = true;
     div.setAttribute('role', 'listitem');
-    div.setAttribute('aria-grabbed', 'false');
+    div.setAttribute('aria-describedby', 'board-instructions');
+    div.tabIndex = -1;
+    if (keyboardGrab && keyboardGrab.kind === 'task' && keyboardGrab.id === task.id) {
+        div.classList.add('keyboard-grabbed');
+    }
+    const timing = isTimingTask(task.id);
+    if (timing) {
+        div.classList.add('timing');
+    }
+    const dueState = getDueState(task.due_date);
+    if (dueState) {
+        div.classList.add(dueState);
+    }
+    // Filtered out cards stay in the column (hidden) so drop positions still line up
+    div.hidden = !isTaskShown(task, columnId);
     
     div.innerHTML = `
         <div class="task-controls">
+            <button class="task-timer" data-task-id="${task.id}" aria-label="${timing ? 'Stop' : 'Start'} focus timer" title="${timing ? 'Stop' : 'Start'} focus timer">${timing ? '■' : '⏱'}</button>
+            <button class="task-focus" data-task-id="${task.id}" aria-label="Focus on this task" title="Focus on this task">◎</button>
             <button class="task-edit" data-task-id="${task.id}" aria-label="Edit task" title="Edit task">✎</button>
+            <button class="task-archive" data-task-id="${task.id}" aria-label="Archive task" title="Archive task">⤓</button>
+            ${boards.length > 1 ? `<button class="task-move-board" data-task-id="${task.id}" aria-label="Move to another board" title="Move to another board">⇄</button>` : ''}
             <button class="task-delete" data-task-id="${task.id}" aria-label="Delete task" title="Delete task">×</button>
         </div>
-        <div class="task-title">${escapeHtml(task.title)}</div>
-        ${task.description ? `<div class="task-description">${escapeHtml(task.description)}</div>` : ''}
-        <div class="task-meta">${formatDate(task.created_at)}</div>
+        <div class="task-title">${highlightHtml(task.title)}</div>
+        ${task.description ? `<div class="task-description">${highlightHtml(task.description)}</div>` : ''}
+        ${taskLabelsHtml(task)}
+        <div class="task-meta">
+            ${formatDate(task.created_at)}
+            ${taskDatesHtml(task)}
+            ${taskPlanHtml(task)}
+            ${checklistToggleHtml(task)}
+            ${task.pomodoros ? `<span class="task-pomodoros" title="${task.pomodoros} focus session${task.pomodoros === 1 ? '' : 's'}">🍅 ${task.pomodoros}</span>` : ''}
+            ${timing ? `<span class="task-timer-status">${formatRemaining(getRemaining(timerState))}</span>` : ''}
+        </div>
+        ${checklistHtml(task)}
     `;
     
     // Task drag events
@@ -113,12 +741,61 @@ function createTaskElement(task) {
     // Edit task on double-click title
     div.querySelector('.task-title').addEventListener('dblclick', () => openEditTaskModal(task));
     
+    // Focus timer button
+    div.querySelector('.task-timer').addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (isTimingTask(task.id)) {
+            stopTaskTimer();
+        } else {
+            startTaskTimer(task);
+        }
+    });
+    
+    // Focus button
+    div.querySelector('.task-focus').addEventListener('click', (e) => {
+        e.stopPropagation();
+        enterFocusMode(task.id);
+    });
+    
+    // Checklist: open or close it, tick steps off, or make a step its own task
+    const checklistToggle = div.querySelector('.task-checklist-toggle');
+    if (checklistToggle) {
+        checklistToggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleChecklist(task.id);
+        });
+    }
+    div.querySelectorAll('.task-checklist input').forEach(input => {
+        input.addEventListener('change', () => tickChecklistItem(task.id, Number(input.dataset.index)));
+    });
+    div.querySelectorAll('.checklist-promote').forEach(button => {
+        button.addEventListener('click', (e) => {
+            e.stopPropagation();
+            promoteChecklistItem(task.id, Number(button.dataset.index));
+        });
+    });
+    
     // Edit button
     div.querySelector('.task-edit').addEventListener('click', (e) => {
         e.stopPropagation();
         openEditTaskModal(task);
     });
     
+    // Archive button
+    div.querySelector('.task-archive').addEventListener('click', (e) => {
+        e.stopPropagation();
+        handleArchiveTask(task);
+    });
+    
+    // Move to another board
+    const moveBoardBtn = div.querySelector('.task-move-board');
+    if (moveBoardBtn) {
+        moveBoardBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openMoveBoardModal(task);
+        });
+    }
+    
     // Delete button
     div.querySelector('.task-delete').addEventListener('click', (e) => {
         e.stopPropagation();
@@ -137,28 +814,39 @@ function createColumnElement(column, index) {
     div.setAttribute('role', 'region');
     div.setAttribute('aria-labelledby', `column-header-${column.id}`);
     
-    const taskCount = column.tasks ? column.tasks.length : 0;
+    const wipState = getWipState(column);
+    if (wipState) {
+        div.classList.add(`wip-${wipState}`);
+    }
     
     div.innerHTML = `
-        <div id="column-header-${column.id}" class="column-header">
+        <div id="column-header-${column.id}" class="column-header" tabindex="-1" aria-describedby="board-instructions">
             <span class="drag-handle" title="Drag to reorder">⋮</span>
             <div class="column-title" data-column-id="${column.id}">
-                ${escapeHtml(column.name)} (${taskCount})
+                ${columnTitleHtml(column)}
             </div>
             <div class="column-controls">
+                <button class="column-limit" data-column-id="${column.id}" aria-label="Set work-in-progress limit" title="Work-in-progress limit">WIP</button>
                 <button class="delete-column" data-column-id="${column.id}" aria-label="Delete column" title="Delete column">×</button>
             </div>
         </div>
         <div class="tasks" role="list"></div>
     `;
     
+    if (keyboardGrab && keyboardGrab.kind === 'column' && keyboardGrab.id === column.id) {
+        div.classList.add('keyboard-grabbed');
+    }
+    
     const tasksContainer = div.querySelector('.tasks');
     
     // Add tasks
     if (column.tasks && column.tasks.length > 0) {
         column.tasks.forEach(task => {
-            tasksContainer.appendChild(createTaskElement(task));
+            tasksContainer.appendChild(createTaskElement(task, column.id));
         });
+        if (isFilterActive() && !column.tasks.some(task => isTaskShown(task, column.id))) {
+            tasksContainer.insertAdjacentHTML('beforeend', '<div class="empty-column" role="note">No matching tasks</div>');
+        }
     } else {
         tasksContainer.innerHTML = '<div class="empty-column" role="note">No tasks yet</div>';
     }
@@ -188,20 +876,52 @@ function createColumnElement(column, index) {
     const titleEl = div.querySelector('.column-title');
     titleEl.addEventListener('dblclick', () => startColumnRename(column, titleEl));
     
+    // Work-in-progress limit
+    div.querySelector('.column-limit').addEventListener('click', () => openWipModal(column));
+    
     // Delete column
     div.querySelector('.delete-column').addEventListener('click', () => handleDeleteColumn(column));
     
     return div;
 }
 
+// Re-render a single column in place
+function renderColumn(columnId) {
+    const index = columns.findIndex(c => c.id === columnId);
+    const existing = kanbanBoard.querySelector(`.column[data-column-id="${columnId}"]`);
+    if (index === -1 || !existing) {
+        renderBoard();
+        return;
+    }
+    existing.replaceWith(createColumnElement(columns[index], index));
+}
+
 // Render the board
 function renderBoard() {
+    pruneFilter();
+    const hadFocus = kanbanBoard.contains(document.activeElement);
     kanbanBoard.innerHTML = '';
     columns.forEach((column, index) => {
         kanbanBoard.appendChild(createColumnElement(column, index));
     });
+    updateTabStops(hadFocus);
     updateColumnLimitUI();
     updateColumnSelect();
+    renderFilterBar();
+    renderFocus();
+    updateTimerDisplay();
+    saveBoardCache();
+}
+
+// Labels come separately from the board; offline, use the cached ones
+async function loadLabels() {
+    try {
+        return await api.getLabels();
+    } catch (error) {
+        console.error('Failed to load labels:', error);
+        const cache = loadBoardCache();
+        return (cache && cache.labels) || [];
+    }
 }
 
 // Load board data
@@ -212,19 +932,168 @@ async function loadBoard() {
         // Get user info
         currentUser = await api.getCurrentUser();
         usernameDisplay.textContent = currentUser.username;
+        updateLocalModeUI();
+        
+        // Push changes made offline before fetching, so the board includes them
+        await syncPendingChanges();
         
-        // Get board data
-        const data = await api.getBoard();
+        // Get board data - the board last opened here, if it's still there
+        boards = await api.getBoards();
+        const board = pickBoard(boards, loadLastBoard(currentUser.username));
+        const data = await api.getBoard({ boardId: board ? board.id : null });
+        currentBoardId = data.id ?? (board ? board.id : null);
         columns = data.columns;
+        labels = await loadLabels();
+        savedFilters = loadSavedFilters(currentUser.username);
+        deferredEvents = [];
         
+        renderBoardSelect();
         renderBoard();
         showBoard();
+        startBoardSync();
+        autoArchive();
+        checkReminders();
+        addPendingCaptures();
     } catch (error) {
+        const cache = error instanceof NetworkError ? loadBoardCache() : null;
+        if (cache) {
+            // Work offline from the last known board
+            usernameDisplay.textContent = cache.username || usernameDisplay.textContent;
+            boards = cache.boards || [];
+            currentBoardId = cache.board ?? null;
+            columns = cache.columns;
+            labels = cache.labels || [];
+            savedFilters = loadSavedFilters(cache.username);
+            renderBoardSelect();
+            renderBoard();
+            showBoard();
+            updateSyncStatus();
+            addPendingCaptures();
+            return;
+        }
         console.error('Failed to load board:', error);
         showError(error.message || 'Failed to load board');
     }
 }
 
+// Live sync
+// Dragging or renaming would be disrupted by a re-render, so hold events until done
+function isInteracting() {
+    return !!(draggedTask || draggedColumn || keyboardGrab
+        || (touchDrag && touchDrag.isDragging())
+        || kanbanBoard.querySelector('.column-rename-input'));
+}
+
+// Polling compares against local state, so skip it while local changes are in flight
+function isBusy() {
+    return isInteracting()
+        || boardHistory.isRunning()
+        || supersedableRequests.size > 0
+        || getPendingMutations().length > 0;
+}
+
+// Re-render what applyBoardEvents() says has changed
+function renderChanges(changed) {
+    // Hiding or showing cards for a filter that changed means redrawing them all
+    if (changed.structural || pruneFilter()) {
+        renderBoard();
+        return;
+    }
+    if (changed.columnIds.size === 0) return;
+    const hadFocus = kanbanBoard.contains(document.activeElement);
+    changed.columnIds.forEach(renderColumn);
+    updateTabStops(hadFocus);
+    updateColumnLimitUI();
+    updateColumnSelect();
+    renderFilterBar();
+    renderFocus();
+    updateTimerDisplay();
+    saveBoardCache();
+}
+
+// Columns of other boards come through too, from the server and other windows
+function isOtherBoardEvent(event) {
+    const board = event.column && event.column.board;
+    return board !== undefined && board !== null && board !== currentBoardId;
+}
+
+function handleLiveEvents(events) {
+    if (isInteracting()) {
+        deferredEvents.push(...events);
+        return;
+    }
+    // The board and label lists aren't part of the columns; the latest ones win
+    const boardsUpdate = events.filter(event => event.type === 'boards.updated').pop();
+    if (boardsUpdate) {
+        boards = boardsUpdate.boards;
+        renderBoardSelect();
+        if (boardsModal.classList.contains('active') && !boardList.contains(document.activeElement)) {
+            renderBoardList();
+        }
+        // The board shown was deleted somewhere else
+        if (boards.length > 0 && !boards.some(b => b.id === currentBoardId)) {
+            switchBoard(boards[0].id);
+            return;
+        }
+    }
+    const labelUpdate = events.filter(event => event.type === 'labels.updated').pop();
+    if (labelUpdate) {
+        labels = labelUpdate.labels;
+    }
+    const boardEvents = events.filter(event => !isOtherBoardEvent(event));
+    if (boardsUpdate || labelUpdate) {
+        // Every card may show a changed label, or gain or lose its move button
+        applyBoardEvents(columns, boardEvents);
+        renderBoard();
+        // Not while a label is being renamed here
+        if (labelUpdate && labelsModal.classList.contains('active') && !labelList.contains(document.activeElement)) {
+            renderLabelList();
+        }
+        return;
+    }
+    renderChanges(applyBoardEvents(columns, boardEvents));
+}
+
+function flushDeferredEvents() {
+    if (deferredEvents.length === 0 || isInteracting()) return;
+    const events = deferredEvents;
+    deferredEvents = [];
+    handleLiveEvents(events);
+}
+
+// Tell other open windows about a local change
+function publishChanges(...events) {
+    // Offline changes still carry temporary IDs; other windows catch up after sync
+    if (!liveSync || getPendingMutations().length > 0) return;
+    liveSync.publish(events);
+}
+
+function startBoardSync() {
+    if (liveSync) return;
+    liveSync = startLiveSync({
+        getApiBase,
+        getToken,
+        getColumns: () => columns,
+        fetchBoard: async () => {
+            const boardId = currentBoardId;
+            const data = await api.getBoard({ boardId });
+            // Switched boards meanwhile: compare the board shown with itself, which finds nothing
+            return boardId === currentBoardId ? data : { columns };
+        },
+        onEvents: handleLiveEvents,
+        isBusy,
+        // A local board only changes in this app's windows
+        server: !isLocalMode(),
+    });
+}
+
+// Local-only mode: offer to push the board to an account instead of logging out
+function updateLocalModeUI() {
+    const local = isLocalMode();
+    pushBoardBtn.hidden = !local;
+    logoutBtn.textContent = local ? 'Leave local mode' : 'Logout';
+}
+
 // Column drag and drop
 function handleColumnDragStart(e, column, element) {
     draggedColumn = { column, element, index: columns.findIndex(c => c.id === column.id) };
@@ -241,6 +1110,7 @@ function handleColumnDragEnd(e) {
         col.classList.remove('column-drag-over');
     });
     draggedColumn = null;
+    flushDeferredEvents();
 }
 
 function handleColumnDragOver(e) {
@@ -250,9 +1120,36 @@ function handleColumnDragOver(e) {
     } else if (draggedTask) {
         e.preventDefault();
         e.dataTransfer.dropEffect = 'move';
+        showDropIndicator(e.currentTarget, e.clientY);
+    }
+}
+
+// Where in a column a dragged task would land, from the pointer's height
+function getTaskDropIndex(columnEl, clientY) {
+    const tasks = Array.from(columnEl.querySelectorAll('.tasks .task'))
+        .filter(task => task !== draggedTask.element);
+    // Cards hidden by the filter have no position on screen, so aim between visible ones
+    const visible = tasks.filter(task => !task.hidden);
+    const before = visible[getInsertIndex(getMidpoints(visible, 'y'), clientY)] || null;
+    return { index: before ? tasks.indexOf(before) : tasks.length, before };
+}
+
+// Insertion line showing where a dragged task will land
+const dropIndicator = document.createElement('div');
+dropIndicator.className = 'drop-indicator';
+
+function showDropIndicator(columnEl, clientY) {
+    const list = columnEl.querySelector('.tasks');
+    const { before } = getTaskDropIndex(columnEl, clientY);
+    if (dropIndicator.parentNode !== list || dropIndicator.nextElementSibling !== before) {
+        list.insertBefore(dropIndicator, before);
     }
 }
 
+function hideDropIndicator() {
+    dropIndicator.remove();
+}
+
 function handleColumnDragEnter(e) {
     const column = e.currentTarget;
     if (draggedColumn && draggedColumn.element !== column && !draggedTask) {
@@ -297,14 +1194,24 @@ async function handleColumnDrop(e, targetColumn) {
             order: index + 1
         }));
         
+        // Update local state
+        const oldOrder = columns.map((column, index) => ({ id: column.id, order: index + 1 }));
+        columns = newOrder.map(o => columns.find(c => c.id === o.id));
+        columns.forEach((column, index) => { column.order = index + 1; });
+        saveBoardCache();
+        publishChanges({ type: 'columns.reordered', column_orders: newOrder });
+        recordColumnReorder(oldOrder, newOrder);
+        
+        const signal = supersedeRequest('reorder-columns');
         try {
-            await api.reorderColumns(newOrder);
-            // Update local state
-            const reorderedColumns = newOrder.map(o => columns.find(c => c.id === o.id));
-            columns = reorderedColumns;
+            await api.reorderColumns(newOrder, { signal });
         } catch (error) {
+            // A newer reorder replaced this one
+            if (isAbortError(error)) return;
             console.error('Failed to reorder columns:', error);
-            renderBoard(); // Reload on failure
+            loadBoard(); // Reload on failure
+        } finally {
+            finishRequest('reorder-columns', signal);
         }
     }
     
@@ -313,54 +1220,42 @@ async function handleColumnDrop(e, targetColumn) {
         const taskId = parseInt(draggedTask.element.dataset.taskId);
         const fromColumnId = draggedTask.columnId;
         const toColumnId = targetColumn.id;
+        const { index } = getTaskDropIndex(columnEl, e.clientY);
         
-        if (fromColumnId === toColumnId) {
-            // Reorder within same column
-            const tasksContainer = columnEl.querySelector('.tasks');
-            const dropTarget = e.target.closest('.task');
-            
-            if (dropTarget && dropTarget !== draggedTask.element) {
-                const allTasks = Array.from(tasksContainer.querySelectorAll('.task'));
-                const draggedIndex = allTasks.indexOf(draggedTask.element);
-                const targetIndex = allTasks.indexOf(dropTarget);
-                
-                if (draggedIndex < targetIndex) {
-                    dropTarget.parentNode.insertBefore(draggedTask.element, dropTarget.nextSibling);
-                } else {
-                    dropTarget.parentNode.insertBefore(draggedTask.element, dropTarget);
-                }
-                
-                // Build new order
-                const newOrder = Array.from(tasksContainer.querySelectorAll('.task')).map((task, index) => ({
-                    id: parseInt(task.dataset.taskId),
-                    order: index + 1
-                }));
-                
-                try {
-                    await api.reorderTasks(newOrder);
-                } catch (error) {
-                    console.error('Failed to reorder tasks:', error);
-                    loadBoard();
-                }
-            }
-        } else {
-            // Move to different column
-            try {
-                await api.moveTask(taskId, toColumnId);
-                
-                // Update local state
-                const fromCol = columns.find(c => c.id === fromColumnId);
-                const toCol = columns.find(c => c.id === toColumnId);
-                const taskIndex = fromCol.tasks.findIndex(t => t.id === taskId);
-                const task = fromCol.tasks.splice(taskIndex, 1)[0];
-                task.column = toColumnId;
-                toCol.tasks.push(task);
-                
-                renderBoard();
-            } catch (error) {
-                console.error('Failed to move task:', error);
-                loadBoard();
-            }
+        // Re-rendering removes the dragged element, which may then never get dragend
+        finishTaskDrag();
+        
+        if (fromColumnId !== toColumnId) {
+            await moveTaskToColumn(taskId, toColumnId, fromColumnId, index);
+            return;
+        }
+        
+        // Reorder within same column
+        const column = columns.find(c => c.id === toColumnId);
+        if (!column || column.tasks.findIndex(t => t.id === taskId) === index) return;
+        
+        const oldOrder = column.tasks.map((task, i) => ({ id: task.id, order: i + 1 }));
+        const newOrder = ordersWith(column.tasks, taskId, index);
+        
+        // Update local state
+        column.tasks = newOrder.map(o => column.tasks.find(t => t.id === o.id));
+        column.tasks.forEach((task, i) => { task.order = i + 1; });
+        renderColumn(toColumnId);
+        saveBoardCache();
+        publishChanges({ type: 'tasks.reordered', column_id: toColumnId, task_orders: newOrder });
+        recordTaskReorder(toColumnId, oldOrder, newOrder);
+        
+        const requestKey = `reorder-tasks-${toColumnId}`;
+        const signal = supersedeRequest(requestKey);
+        try {
+            await api.reorderTasks(newOrder, { signal });
+        } catch (error) {
+            // A newer reorder replaced this one
+            if (isAbortError(error)) return;
+            console.error('Failed to reorder tasks:', error);
+            loadBoard();
+        } finally {
+            finishRequest(requestKey, signal);
         }
     }
 }
@@ -374,27 +1269,33 @@ function handleTaskDragStart(e) {
         columnId: parseInt(columnEl.dataset.columnId)
     };
     taskEl.classList.add('dragging');
-    taskEl.setAttribute('aria-grabbed', 'true');
     e.dataTransfer.setData('text/plain', taskEl.dataset.taskId);
     e.dataTransfer.effectAllowed = 'move';
 }
 
-function handleTaskDragEnd(e) {
-    e.target.classList.remove('dragging');
-    e.target.setAttribute('aria-grabbed', 'false');
+function handleTaskDragEnd() {
+    finishTaskDrag();
+}
+
+// Clear up after a task drag; safe to call more than once
+function finishTaskDrag() {
+    if (draggedTask) {
+        draggedTask.element.classList.remove('dragging');
+    }
     document.querySelectorAll('.column').forEach(col => {
         col.classList.remove('drag-over');
     });
     document.querySelectorAll('.task').forEach(task => {
         task.classList.remove('drag-over-task');
     });
+    hideDropIndicator();
     draggedTask = null;
+    flushDeferredEvents();
 }
 
 // Column rename
 function startColumnRename(column, titleEl) {
     const currentName = column.name;
-    const taskCount = column.tasks ? column.tasks.length : 0;
     
     const input = document.createElement('input');
     input.type = 'text';
@@ -410,22 +1311,38 @@ function startColumnRename(column, titleEl) {
         const newName = input.value.trim();
         if (newName && newName !== currentName) {
             try {
-                await api.updateColumn(column.id, newName);
+                const updated = await api.updateColumn(column.id, newName, { version: column.version });
                 column.name = newName;
+                if (updated && updated.version !== undefined) {
+                    column.version = updated.version;
+                }
+                saveBoardCache();
+                publishChanges({ type: 'column.updated', column: { id: column.id, name: newName } });
+                recordColumnRename(column.id, currentName, newName);
             } catch (error) {
                 console.error('Failed to rename column:', error);
+                if (error.code === 'conflict') {
+                    alert(`"${currentName}" was changed somewhere else. The board will refresh so you can try again.`);
+                    loadBoard();
+                    return;
+                }
             }
         }
-        titleEl.innerHTML = `${escapeHtml(column.name)} (${taskCount})`;
+        titleEl.innerHTML = columnTitleHtml(column);
+        flushDeferredEvents();
     }
     
     input.addEventListener('blur', saveRename);
+    // Keyboard users get focus back on the column header
+    const header = titleEl.closest('.column-header');
     input.addEventListener('keydown', (e) => {
         if (e.key === 'Enter') {
             e.preventDefault();
             input.blur();
+            header.focus();
         } else if (e.key === 'Escape') {
-            titleEl.innerHTML = `${escapeHtml(currentName)} (${taskCount})`;
+            titleEl.innerHTML = columnTitleHtml(column);
+            header.focus();
         }
     });
 }
@@ -440,10 +1357,16 @@ async function handleDeleteColumn(column) {
     
     if (!confirm(confirmMsg)) return;
     
+    const index = columns.findIndex(c => c.id === column.id);
+    const snapshot = JSON.parse(JSON.stringify(column));
+    
     try {
         await api.deleteColumn(column.id);
         columns = columns.filter(c => c.id !== column.id);
         renderBoard();
+        publishChanges({ type: 'column.deleted', id: column.id });
+        recordColumnDelete(snapshot, index);
+        showToast(`Deleted column "${shortTitle(column.name)}"`, 'Undo', undoLast);
     } catch (error) {
         console.error('Failed to delete column:', error);
         alert('Failed to delete column');
@@ -452,7 +1375,7 @@ async function handleDeleteColumn(column) {
 
 // Delete task
 async function handleDeleteTask(task) {
-    const taskTitle = task.title.length > 30 ? task.title.substring(0, 30) + '...' : task.title;
+    const taskTitle = shortTitle(task.title);
     
     if (!confirm(`Delete "${taskTitle}"?`)) return;
     
@@ -460,58 +1383,2397 @@ async function handleDeleteTask(task) {
         await api.deleteTask(task.id);
         
         // Update local state
-        for (const column of columns) {
-            const index = column.tasks.findIndex(t => t.id === task.id);
-            if (index !== -1) {
-                column.tasks.splice(index, 1);
-                break;
-            }
+        const location = findTaskLocation(task.id);
+        if (location) {
+            location.column.tasks.splice(location.index, 1);
+            recordTaskDelete({ ...task, column: location.column.id }, location.index);
         }
         
         renderBoard();
+        publishChanges({ type: 'task.deleted', id: task.id });
+        showToast(`Deleted "${taskTitle}"`, 'Undo', undoLast);
     } catch (error) {
         console.error('Failed to delete task:', error);
         alert('Failed to delete task');
     }
 }
 
-// Move task between columns (used by document-level drop handler)
-async function moveTaskToColumn(taskId, newColumnId, oldColumnId) {
+// Archive
+async function handleArchiveTask(task) {
+    const location = findTaskLocation(task.id);
+    if (!location) return;
+    
     try {
-        await api.moveTask(taskId, newColumnId);
-        
-        // Update local state
-        const fromCol = columns.find(c => c.id === oldColumnId);
-        const toCol = columns.find(c => c.id === newColumnId);
-        const taskIndex = fromCol.tasks.findIndex(t => t.id === taskId);
-        const task = fromCol.tasks.splice(taskIndex, 1)[0];
-        task.column = newColumnId;
-        toCol.tasks.push(task);
-        
-        renderBoard();
+        await api.archiveTask(task.id);
+        applyChanges({ type: 'task.deleted', id: task.id });
+        recordTaskArchive({ ...location.task, column: location.column.id }, location.index);
+        showToast(`Archived "${shortTitle(task.title)}"`, 'Undo', undoLast);
     } catch (error) {
-        console.error('Failed to move task:', error);
-        loadBoard();
+        console.error('Failed to archive task:', error);
+        alert('Failed to archive task');
     }
 }
 
-// Modal helpers
-function openModal(modal) {
-    modal.classList.add('active');
+// Archive cards that have sat in the last column for the set number of days
+async function autoArchive() {
+    if (!archiveSettings.days || isBusy()) return;
+    const stale = getAutoArchiveTasks(columns, archiveSettings.days);
+    const archived = [];
+    for (const task of stale) {
+        try {
+            await api.archiveTask(task.id);
+            archived.push(task);
+        } catch (error) {
+            // Another window may have got there first
+            console.error('Failed to auto-archive task:', error);
+        }
+    }
+    if (archived.length > 0) {
+        applyChanges(...archived.map(task => ({ type: 'task.deleted', id: task.id })));
+        showToast(`Archived ${archived.length} finished card${archived.length === 1 ? '' : 's'}`, 'Show', openArchiveModal);
+    }
 }
 
-function closeModal(modal) {
-    modal.classList.remove('active');
+async function openArchiveModal() {
+    hideToast();
+    const search = document.getElementById('archive-search');
+    search.value = '';
+    document.getElementById('archive-days').value = archiveSettings.days || '';
+    archivedTasks = [];
+    document.getElementById('archive-list').innerHTML = '';
+    document.getElementById('archive-status').textContent = 'Loading...';
+    openModal(archiveModal);
+    search.focus();
+    
+    try {
+        archivedTasks = await api.getArchive();
+        renderArchiveList();
+    } catch (error) {
+        console.error('Failed to load archive:', error);
+        document.getElementById('archive-status').textContent = error instanceof NetworkError
+            ? 'The archive can\'t be shown while offline.'
+            : 'Failed to load the archive.';
+    }
 }
 
-function openEditTaskModal(task) {
-    document.getElementById('edit-task-id').value = task.id;
-    document.getElementById('edit-task-title').value = task.title;
+// Archived cards matching the search, with where they came from
+function renderArchiveList() {
+    const query = document.getElementById('archive-search').value;
+    const found = searchArchive(archivedTasks, query);
+    const status = document.getElementById('archive-status');
+    if (archivedTasks.length === 0) {
+        status.textContent = 'Nothing archived yet.';
+    } else if (query.trim()) {
+        status.textContent = `${found.length} of ${archivedTasks.length} archived card${archivedTasks.length === 1 ? '' : 's'} match`;
+    } else {
+        status.textContent = `${archivedTasks.length} archived card${archivedTasks.length === 1 ? '' : 's'}`;
+    }
+    
+    document.getElementById('archive-list').innerHTML = found.map(task => {
+        const title = splitMatches(task.title, query)
+            .map(part => (part.match ? `<mark>${escapeHtml(part.text)}</mark>` : escapeHtml(part.text)))
+            .join('');
+        const archivedOn = task.archived_at ? ` · archived ${formatDate(task.archived_at)}` : '';
+        // Name the board when it isn't this one
+        const board = !isOnThisBoard(task) && boards.find(b => b.id === task.board);
+        const from = `${board ? `${board.name} › ` : ''}${task.column_name || 'a deleted column'}`;
+        return `
+            <li class="archive-item" data-task-id="${task.id}">
+                <div class="archive-item-text">
+                    <div class="archive-item-title">${title}</div>
+                    <div class="archive-item-meta">From ${escapeHtml(from)}${archivedOn}</div>
+                </div>
+                <button type="button" class="btn-secondary archive-restore">Restore</button>
+                <button type="button" class="archive-purge" aria-label="Delete permanently" title="Delete permanently">×</button>
+            </li>
+        `;
+    }).join('');
+}
+
+// Whether an archived card came from the board shown (cards archived before
+// there were several boards don't say)
+function isOnThisBoard(item) {
+    return item.board === undefined || item.board === null || item.board === currentBoardId;
+}
+
+// Put an archived card back on its board
+async function restoreFromArchive(taskId) {
+    const item = archivedTasks.find(t => t.id === taskId);
+    if (!item) return;
+    // Where it will land, if that's on this board
+    const column = columns.find(c => c.id === item.column) || (isOnThisBoard(item) ? columns[0] : null);
+    if (isOnThisBoard(item) && !column) {
+        alert('Add a column to restore cards into.');
+        return;
+    }
+    if (column && !allowIntoColumn(column)) return;
+    
+    try {
+        const restored = await api.restoreArchivedTask(taskId);
+        const { board, column_name: columnName, archived_at: archivedAt, ...task } = item;
+        archivedTasks = archivedTasks.filter(t => t.id !== taskId);
+        renderArchiveList();
+        if (!column) {
+            const home = boards.find(b => b.id === board);
+            announce(`Restored "${shortTitle(item.title)}" to ${home ? home.name : 'its board'}`);
+            return;
+        }
+        applyChanges({ type: 'task.created', task: { ...task, column: column.id, ...restored } });
+        announce(`Restored "${shortTitle(item.title)}" to ${column.name}`);
+    } catch (error) {
+        console.error('Failed to restore task:', error);
+        alert('Failed to restore task');
+    }
+}
+
+async function purgeFromArchive(taskId) {
+    const item = archivedTasks.find(t => t.id === taskId);
+    if (!item || !confirm(`Permanently delete "${shortTitle(item.title)}"? This can't be undone.`)) return;
+    
+    try {
+        await api.purgeArchivedTask(taskId);
+        archivedTasks = archivedTasks.filter(t => t.id !== taskId);
+        renderArchiveList();
+        announce(`Deleted "${shortTitle(item.title)}"`);
+    } catch (error) {
+        console.error('Failed to delete archived task:', error);
+        alert('Failed to delete archived task');
+    }
+}
+
+// Work-in-progress limit dialog
+function openWipModal(column) {
+    document.getElementById('wip-column-id').value = column.id;
+    document.getElementById('wip-limit').value = column.wip_limit || '';
+    document.getElementById('wip-block').checked = !!column.wip_block;
+    document.getElementById('wip-hint').textContent =
+        `How many cards should "${column.name}" hold at most? Leave it blank for no limit.`;
+    openModal(wipModal);
+    document.getElementById('wip-limit').focus();
+}
+
+async function saveWipLimit(form) {
+    const column = columns.find(c => c.id === parseInt(document.getElementById('wip-column-id').value));
+    if (!column) {
+        closeModal(wipModal);
+        return;
+    }
+    
+    const limit = document.getElementById('wip-limit').value.trim();
+    const changes = {
+        wip_limit: limit === '' ? null : parseInt(limit, 10),
+        wip_block: document.getElementById('wip-block').checked,
+    };
+    const before = { wip_limit: column.wip_limit ?? null, wip_block: !!column.wip_block };
+    
+    try {
+        const updated = await api.updateColumn(column.id, changes, { version: column.version });
+        closeModal(wipModal);
+        const version = updated && updated.version !== undefined ? { version: updated.version } : {};
+        applyChanges({ type: 'column.updated', column: { id: column.id, ...changes, ...version } });
+        recordColumnLimit(column, before, changes);
+    } catch (error) {
+        console.error('Failed to save limit:', error);
+        if (error.code === 'conflict') {
+            closeModal(wipModal);
+            alert(`"${column.name}" was changed somewhere else. The board will refresh so you can try again.`);
+            loadBoard();
+            return;
+        }
+        showFormErrors(form, error, WIP_FIELDS, 'Failed to save the limit');
+    }
+}
+
+// Move a task to another column at `index` (default: the end), in one request
+async function moveTaskToColumn(taskId, newColumnId, oldColumnId, index = null) {
+    const fromCol = columns.find(c => c.id === oldColumnId);
+    const toCol = columns.find(c => c.id === newColumnId);
+    if (!fromCol || !toCol || !allowIntoColumn(toCol)) return;
+    const position = index === null ? toCol.tasks.length : Math.min(index, toCol.tasks.length);
+    
+    try {
+        const moved = await api.moveTask(taskId, newColumnId, { order: position + 1 });
+        
+        // Update local state
+        const taskIndex = fromCol.tasks.findIndex(t => t.id === taskId);
+        const task = fromCol.tasks.splice(taskIndex, 1)[0];
+        task.column = newColumnId;
+        task.column_changed_at = moved?.column_changed_at || new Date().toISOString();
+        toCol.tasks.splice(position, 0, task);
+        toCol.tasks.forEach((t, i) => { t.order = i + 1; });
+        const taskOrders = toCol.tasks.map(t => ({ id: t.id, order: t.order }));
+        
+        renderBoard();
+        publishChanges(
+            { type: 'task.updated', task },
+            { type: 'tasks.reordered', column_id: newColumnId, task_orders: taskOrders }
+        );
+        recordTaskMove(task, oldColumnId, taskIndex, newColumnId);
+    } catch (error) {
+        console.error('Failed to move task:', error);
+        loadBoard();
+    }
+}
+
+// Focus mode
+// Hides the board and shows one task at a time, stepping through "In Progress"
+
+function enterFocusMode(taskId = null) {
+    focusState.active = true;
+    if (taskId !== null) {
+        focusState.taskId = taskId;
+    }
+    saveFocusState(focusState);
+    renderFocus();
+    focusPrimaryAction();
+}
+
+function exitFocusMode() {
+    focusState.active = false;
+    saveFocusState(focusState);
+    renderFocus();
+    if (findTaskLocation(focusState.taskId)) {
+        focusItem({ kind: 'task', id: focusState.taskId });
+    }
+}
+
+// Keyboard focus on the main button, or "Back to board" when there's nothing to do
+function focusPrimaryAction() {
+    (focusTask.hidden || focusDoneBtn.hidden ? exitFocusBtn : focusDoneBtn).focus();
+}
+
+function setFocusTask(taskId) {
+    focusState.taskId = taskId;
+    saveFocusState(focusState);
+    renderFocus();
+}
+
+function renderFocus() {
+    focusView.hidden = !focusState.active;
+    kanbanBoard.inert = focusState.active;
+    document.body.classList.toggle('focus-active', focusState.active);
+    if (!focusState.active) return;
+    
+    // The focused task may have been deleted, here or elsewhere
+    let location = findTaskLocation(focusState.taskId);
+    if (!location) {
+        const first = stepFocus(columns, null, 1);
+        if (first !== focusState.taskId) {
+            focusState.taskId = first;
+            saveFocusState(focusState);
+        }
+        location = findTaskLocation(first);
+    }
+    
+    const focusColumn = getFocusColumn(columns);
+    const queue = getFocusQueue(columns);
+    focusTask.hidden = !location;
+    focusEmpty.hidden = !!location;
+    
+    if (location) {
+        const { task, column } = location;
+        const next = columns[columns.indexOf(column) + 1];
+        focusColumnLabel.textContent = column.name;
+        focusTitle.textContent = task.title;
+        focusDescription.textContent = task.description || '';
+        focusDescription.hidden = !task.description;
+        focusDoneBtn.hidden = !next;
+        if (next) {
+            focusDoneBtn.textContent = next === columns[columns.length - 1] ? `Done → ${next.name}` : `Move to ${next.name}`;
+        }
+        focusParkBtn.hidden = column === columns[0];
+        focusParkBtn.title = `Move back to ${columns[0].name} for later`;
+    } else {
+        focusColumnLabel.textContent = '';
+        focusEmpty.textContent = focusColumn
+            ? `Nothing in ${focusColumn.name} right now. Go back to the board and pick one thing to work on.`
+            : 'This board has no columns yet.';
+    }
+    
+    const index = location ? queue.indexOf(location.task) : -1;
+    if (index !== -1) {
+        focusPosition.textContent = `${index + 1} of ${queue.length} in ${focusColumn.name}`;
+    } else {
+        focusPosition.textContent = queue.length > 0 ? `${queue.length} in ${focusColumn.name}` : '';
+    }
+    const canStep = queue.length > (index === -1 ? 0 : 1);
+    focusPrevBtn.disabled = !canStep;
+    focusNextBtn.disabled = !canStep;
+}
+
+function stepFocusTask(step) {
+    const taskId = stepFocus(columns, focusState.taskId, step);
+    if (taskId !== null && taskId !== focusState.taskId) {
+        setFocusTask(taskId);
+    }
+}
+
+/**
+ * Move the focused task to another column ("done" or "park it")
+ * Once it has left "In Progress", the next task there takes its place.
+ * @param {Function} getTarget - (column) => the column to move it to
+ */
+async function moveFocusTask(getTarget) {
+    const location = findTaskLocation(focusState.taskId);
+    if (!location) return;
+    const { task, column } = location;
+    const target = getTarget(column);
+    if (!target || target === column) return;
+    
+    const successor = getFocusSuccessor(columns, task.id);
+    await moveTaskToColumn(task.id, target.id, column.id);
+    
+    const moved = findTaskLocation(task.id);
+    if (!moved || moved.column === column) return;
+    announce(`Moved "${task.title}" to ${target.name}`);
+    if (moved.column !== getFocusColumn(columns)) {
+        setFocusTask(successor);
+    }
+    focusPrimaryAction();
+}
+
+function handleFocusKeydown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (document.querySelector('.modal-overlay.active')) return;
+    
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+        e.preventDefault();
+        stepFocusTask(e.key === 'ArrowLeft' ? -1 : 1);
+    } else if (e.key === 'Escape') {
+        e.preventDefault();
+        exitFocusMode();
+    }
+}
+
+// Focus timer
+// A work session on a card, then a break; see timer.js
+
+// Whether a card's work session is running (breaks aren't shown on the card)
+function isTimingTask(taskId) {
+    return !!timerState && timerState.phase === 'work' && timerState.taskId === taskId;
+}
+
+function startTaskTimer(task) {
+    if (timerState && timerState.phase === 'work' && timerState.taskId !== task.id) {
+        const current = findTaskLocation(timerState.taskId);
+        if (current && !confirm(`Stop the timer on "${shortTitle(current.task.title)}" and start one on this task?`)) {
+            return;
+        }
+    }
+    requestNotificationPermission();
+    const previous = timerState;
+    timerState = startTimer(task.id, timerSettings);
+    updateTimer(previous);
+    announce(`Focus timer started: ${timerSettings.work} minutes on "${task.title}"`);
+}
+
+function stopTaskTimer() {
+    const previous = timerState;
+    clearTimerState();
+    timerState = null;
+    updateTimer(previous);
+    announce('Focus timer stopped');
+}
+
+/**
+ * Show the running timer in the header and on its card
+ * @param {Object} [previous] - The timer before a change, whose card needs redrawing
+ */
+function updateTimer(previous = timerState) {
+    if (timerState && !timerInterval) {
+        timerInterval = setInterval(tickTimer, 1000);
+    } else if (!timerState && timerInterval) {
+        clearInterval(timerInterval);
+        timerInterval = null;
+    }
+    
+    // Redraw the cards whose timer started or stopped
+    const changed = new Set([previous, timerState].filter(Boolean).map(state => state.taskId));
+    changed.forEach(taskId => {
+        const location = findTaskLocation(taskId);
+        const element = kanbanBoard.querySelector(`.task[data-task-id="${taskId}"]`);
+        if (location && element) {
+            renderColumn(location.column.id);
+        }
+    });
+    if (changed.size > 0) {
+        updateTabStops(kanbanBoard.contains(document.activeElement));
+    }
+    updateTimerDisplay();
+}
+
+function updateTimerDisplay() {
+    timerDisplay.hidden = !timerState;
+    timerDisplay.classList.toggle('on-break', !!timerState && timerState.phase === 'break');
+    if (!timerState) return;
+    const location = findTaskLocation(timerState.taskId);
+    timerLabel.textContent = timerState.phase === 'break'
+        ? 'Break'
+        : (location ? shortTitle(location.task.title) : 'Focus');
+    updateTimerRemaining();
+}
+
+// The once-a-second part: just the numbers
+function updateTimerRemaining() {
+    const remaining = formatRemaining(getRemaining(timerState));
+    timerRemaining.textContent = remaining;
+    const status = kanbanBoard.querySelector(`.task[data-task-id="${timerState.taskId}"] .task-timer-status`);
+    if (status) {
+        status.textContent = remaining;
+    }
+}
+
+function tickTimer() {
+    // Wait for the board, so a session that ended while the app was closed can be recorded
+    if (!timerState || columns.length === 0) return;
+    if (getRemaining(timerState) > 0) {
+        updateTimerRemaining();
+        return;
+    }
+    
+    const finished = timerState;
+    const finishedHere = finishPhase(finished, timerSettings);
+    timerState = loadTimerState();
+    updateTimer(finished);
+    if (!finishedHere) return;
+    
+    if (timerSettings.chime) {
+        playChime();
+    }
+    if (finished.phase === 'work') {
+        const location = findTaskLocation(finished.taskId);
+        sendNotification(
+            'Focus session done',
+            `${location ? `"${shortTitle(location.task.title)}": ` : ''}time for a ${timerSettings.break} minute break.`
+        );
+        recordFocusSession(finished.taskId);
+    } else {
+        sendNotification('Break over', 'Ready for the next one?');
+    }
+}
+
+// Count a completed work session against its task
+async function recordFocusSession(taskId) {
+    const location = findTaskLocation(taskId);
+    if (!location) return;
+    const pomodoros = (location.task.pomodoros || 0) + 1;
+    try {
+        const updated = await api.updateTask(taskId, { pomodoros });
+        applyChanges({
+            type: 'task.updated',
+            task: { ...location.task, pomodoros, version: updated?.version ?? location.task.version },
+        });
+    } catch (error) {
+        console.error('Failed to record focus session:', error);
+    }
+}
+
+// From the tray: a session on the task in focus mode, else the first one in progress
+function startTimerFromTray() {
+    if (timerState && timerState.phase === 'work') {
+        const current = findTaskLocation(timerState.taskId);
+        showToast(current ? `The focus timer is already running on "${shortTitle(current.task.title)}"` : 'The focus timer is already running');
+        return;
+    }
+    const location = findTaskLocation(focusState.active ? focusState.taskId : getFocusQueue(columns)[0]?.id);
+    if (!location) {
+        showToast('There\'s nothing in progress to time. Move a card to In Progress first.');
+        return;
+    }
+    startTaskTimer(location.task);
+}
+
+function openTimerModal() {
+    document.getElementById('timer-work').value = timerSettings.work;
+    document.getElementById('timer-break').value = timerSettings.break;
+    document.getElementById('timer-chime').checked = timerSettings.chime;
+    openModal(timerModal);
+    document.getElementById('timer-work').focus();
+}
+
+// Reminders
+// Due tasks, cards sitting in In Progress and the daily planning nudge; see reminders.js
+function checkReminders() {
+    // Wait for the board, so reminders are about what's on it
+    if (columns.length === 0) return;
+    const reminders = getDueReminders(columns, reminderSettings).filter(reminder => claimReminder(reminder.key));
+    if (reminders.length === 0) return;
+
+    reminders.forEach(reminder => {
+        const item = showReminder(reminder);
+        sendNotification(reminder.title, reminder.body, () => item.querySelector('.reminder-snooze').focus());
+    });
+}
+
+/**
+ * Show a sent reminder in the app with its own Snooze
+ * It stays until snoozed or dismissed, so one that came while the window was
+ * hidden (e.g. in the tray) is still there to snooze.
+ */
+function showReminder(reminder) {
+    const previous = Array.from(reminderList.children).find(el => el.dataset.key === reminder.key);
+    if (previous) previous.remove();
+
+    const item = document.createElement('div');
+    item.className = 'reminder';
+    item.dataset.key = reminder.key;
+    item.innerHTML = `
+        <div class="reminder-text"><strong>${escapeHtml(reminder.title)}:</strong> ${escapeHtml(reminder.body)}</div>
+        <button type="button" class="toast-action reminder-snooze" title="Remind me again in ${formatEstimate(reminderSettings.snooze)}">Snooze</button>
+        <button type="button" class="reminder-dismiss" aria-label="Dismiss reminder" title="Dismiss">×</button>
+    `;
+    item.querySelector('.reminder-snooze').addEventListener('click', () => {
+        snoozeReminder(reminder, reminderSettings.snooze);
+        item.remove();
+        announce(`Snoozed for ${formatEstimate(reminderSettings.snooze)}`);
+    });
+    item.querySelector('.reminder-dismiss').addEventListener('click', () => item.remove());
+    reminderList.appendChild(item);
+    return item;
+}
+
+const REMINDER_CHECKBOXES = {
+    due: 'reminder-due',
+    stale: 'reminder-stale',
+    planning: 'reminder-planning',
+    quiet: 'reminder-quiet',
+};
+
+function openRemindersModal() {
+    Object.entries(REMINDER_CHECKBOXES).forEach(([field, id]) => {
+        document.getElementById(id).checked = reminderSettings[field];
+    });
+    Object.entries(REMINDER_FIELDS).forEach(([field, id]) => {
+        document.getElementById(id).value = reminderSettings[field];
+    });
+    openModal(remindersModal);
+    document.getElementById('reminder-due').focus();
+}
+
+// Checklists
+function focusTaskControl(taskId, selector) {
+    const control = kanbanBoard.querySelector(`.task[data-task-id="${taskId}"] ${selector}`);
+    if (control) {
+        control.focus();
+    }
+}
+
+function toggleChecklist(taskId) {
+    if (!openChecklists.delete(taskId)) {
+        openChecklists.add(taskId);
+    }
+    const location = findTaskLocation(taskId);
+    if (location) {
+        renderColumn(location.column.id);
+    }
+    focusTaskControl(taskId, '.task-checklist-toggle');
+}
+
+async function tickChecklistItem(taskId, index) {
+    const location = findTaskLocation(taskId);
+    if (!location || !location.task.checklist || !location.task.checklist[index]) return;
+    const before = location.task.checklist;
+    const after = toggleItem(before, index);
+    
+    try {
+        await changeTask(taskId, { checklist: after });
+        recordChecklistChange(taskId, before, after, `${after[index].done ? 'tick' : 'untick'} "${shortTitle(after[index].text)}"`);
+        const { done, total } = getChecklistProgress(after);
+        announce(done === total ? `All ${total} steps done` : `${done} of ${total} steps done`);
+    } catch (error) {
+        console.error('Failed to update checklist:', error);
+        renderColumn(location.column.id);
+        alert('Failed to update the checklist');
+    }
+    focusTaskControl(taskId, `.task-checklist input[data-index="${index}"]`);
+}
+
+// Make a checklist step its own task, just below the card it came from
+async function promoteChecklistItem(taskId, index) {
+    const location = findTaskLocation(taskId);
+    if (!location || !location.task.checklist || !location.task.checklist[index]) return;
+    const { column, task } = location;
+    if (!allowIntoColumn(column)) return;
+    const item = task.checklist[index];
+    const before = task.checklist;
+    const after = removeItem(before, index);
+    const position = location.index + 1;
+    
+    try {
+        // It keeps the task's labels, so it stays in view under the label filter
+        const created = await api.createTask(item.text, column.id, '', pickTaskDetails({ labels: task.labels }));
+        const newTask = { ...created, column: column.id };
+        focusedItem = { kind: 'task', id: newTask.id };
+        applyChanges({ type: 'task.created', task: newTask });
+        await placeTask(newTask.id, column.id, position);
+        await changeTask(taskId, { checklist: after });
+        recordChecklistPromote(taskId, newTask, position, before, after);
+        announce(`"${shortTitle(item.text)}" is now its own task`);
+    } catch (error) {
+        console.error('Failed to make checklist step a task:', error);
+        alert('Failed to make the step its own task');
+        loadBoard();
+    }
+}
+
+// The checklist in the edit task modal, optionally focusing a control in one step's row
+function renderChecklistEditor(focus = null) {
+    const list = document.getElementById('edit-checklist');
+    list.innerHTML = '';
+    editingChecklist.forEach((item, index) => {
+        const row = document.createElement('li');
+        row.className = 'checklist-edit-item';
+        row.dataset.index = index;
+        row.innerHTML = `
+            <input type="checkbox" class="checklist-edit-done" aria-label="Done">
+            <input type="text" class="checklist-edit-text" maxlength="${MAX_ITEM_LENGTH}" aria-label="Step ${index + 1}">
+            <button type="button" class="checklist-edit-move" data-step="-1" aria-label="Move step up" title="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+            <button type="button" class="checklist-edit-move" data-step="1" aria-label="Move step down" title="Move down"${index === editingChecklist.length - 1 ? ' disabled' : ''}>↓</button>
+            <button type="button" class="checklist-edit-remove" aria-label="Remove step" title="Remove step">×</button>
+        `;
+        row.querySelector('.checklist-edit-done').checked = item.done;
+        row.querySelector('.checklist-edit-text').value = item.text;
+        list.appendChild(row);
+    });
+    
+    if (focus) {
+        const row = list.querySelector(`[data-index="${focus.index}"]`);
+        const control = row && row.querySelector(focus.selector);
+        // A move button is disabled once the step reaches the end
+        (control && !control.disabled ? control : row?.querySelector('.checklist-edit-text'))?.focus();
+    }
+}
+
+function addChecklistStep() {
+    const input = document.getElementById('edit-checklist-new');
+    const text = input.value.trim();
+    if (!text) return;
+    if (editingChecklist.length >= MAX_CHECKLIST_ITEMS) {
+        const message = `A checklist can have up to ${MAX_CHECKLIST_ITEMS} steps.`;
+        showFormErrors(document.getElementById('edit-task-form'), { fieldErrors: { checklist: [message] } }, EDIT_TASK_FIELDS, message);
+        return;
+    }
+    editingChecklist = addItem(editingChecklist, text);
+    input.value = '';
+    renderChecklistEditor();
+    input.focus();
+}
+
+// Search and filters
+function isFilterActive() {
+    return !isFilterEmpty(boardFilter);
+}
+
+function isTaskShown(task, columnId) {
+    return matchesFilter(task, columnId, boardFilter);
+}
+
+// Text with the searched-for words marked
+function highlightHtml(text) {
+    return splitMatches(text, boardFilter.query)
+        .map(part => (part.match ? `<mark>${escapeHtml(part.text)}</mark>` : escapeHtml(part.text)))
+        .join('');
+}
+
+/**
+ * Drop columns and labels that no longer exist from the filter
+ * @returns {boolean} Whether the filter changed
+ */
+function pruneFilter() {
+    const labelIds = boardFilter.labels.filter(id => labels.some(l => l.id === id));
+    const column = columns.some(c => c.id === boardFilter.column) ? boardFilter.column : null;
+    if (labelIds.length === boardFilter.labels.length && column === boardFilter.column) return false;
+    boardFilter = { ...boardFilter, labels: labelIds, column };
+    return true;
+}
+
+// The filter controls as the filter has them, and how many cards it lets through
+function renderFilterBar() {
+    filterColumn.innerHTML = '<option value="">Any column</option>' + columns.map(column =>
+        `<option value="${column.id}">${escapeHtml(column.name)}</option>`
+    ).join('');
+    filterColumn.value = boardFilter.column === null ? '' : boardFilter.column;
+    filterAge.innerHTML = '<option value="">Any age</option>' + AGE_FILTERS.map(age =>
+        `<option value="${age.value}">${age.label}</option>`
+    ).join('');
+    filterAge.value = boardFilter.age;
+    
+    filterLabelsGroup.hidden = labels.length === 0;
+    filterLabels.innerHTML = labels.map(label => `
+        <button type="button" class="label-chip filter-chip" data-label-id="${label.id}" aria-pressed="${boardFilter.labels.includes(label.id)}" style="${labelStyle(label)}">${escapeHtml(label.name)}</button>
+    `).join('');
+    
+    if (searchInput.value !== boardFilter.query) {
+        searchInput.value = boardFilter.query;
+    }
+    renderSavedFilters();
+    
+    clearFilterBtn.hidden = !isFilterActive();
+    if (isFilterActive()) {
+        const tasks = columns.flatMap(column => column.tasks.filter(task => isTaskShown(task, column.id)));
+        const total = columns.reduce((count, column) => count + column.tasks.length, 0);
+        filterSummary.textContent = `Showing ${tasks.length} of ${total} task${total === 1 ? '' : 's'}`;
+    } else {
+        filterSummary.textContent = '';
+    }
+}
+
+function renderSavedFilters() {
+    savedFilterSelect.innerHTML = `<option value="">${savedFilters.length > 0 ? 'Saved filters…' : 'No saved filters'}</option>`;
+    savedFilters.forEach(saved => {
+        const option = document.createElement('option');
+        option.value = saved.name;
+        option.textContent = saved.name;
+        savedFilterSelect.appendChild(option);
+    });
+    savedFilterSelect.disabled = savedFilters.length === 0;
+    savedFilterSelect.value = activeFilterName || '';
+    deleteFilterBtn.hidden = !activeFilterName;
+}
+
+// Change part of the filter; it's no longer the saved one it may have come from
+function setFilter(changes) {
+    boardFilter = { ...boardFilter, ...changes };
+    activeFilterName = null;
+    renderBoard();
+}
+
+function toggleFilterLabel(labelId) {
+    setFilter({
+        labels: boardFilter.labels.includes(labelId)
+            ? boardFilter.labels.filter(id => id !== labelId)
+            : [...boardFilter.labels, labelId],
+    });
+    filterLabels.querySelector(`[data-label-id="${labelId}"]`).focus();
+}
+
+function clearFilter() {
+    setFilter(createFilter());
+}
+
+function applySavedFilter(name) {
+    const saved = savedFilters.find(item => item.name === name);
+    if (!saved) return;
+    boardFilter = normalizeFilter(saved.filter);
+    activeFilterName = saved.name;
+    renderBoard();
+    announce(`Showing saved filter ${saved.name}`);
+}
+
+function getUsername() {
+    return currentUser ? currentUser.username : usernameDisplay.textContent;
+}
+
+function openSaveFilterModal() {
+    document.getElementById('filter-name').value = activeFilterName || '';
+    openModal(saveFilterModal);
+    document.getElementById('filter-name').focus();
+}
+
+function saveCurrentFilter(form) {
+    const name = document.getElementById('filter-name').value.trim();
+    if (!name) {
+        showFormErrors(form, { fieldErrors: { name: ['Enter a name for this filter.'] } }, FILTER_FIELDS, 'Enter a name for this filter.');
+        return;
+    }
+    savedFilters = putSavedFilter(savedFilters, name, boardFilter);
+    saveSavedFilters(getUsername(), savedFilters);
+    activeFilterName = savedFilters.find(item => item.name.toLowerCase() === name.toLowerCase()).name;
+    closeModal(saveFilterModal);
+    form.reset();
+    renderSavedFilters();
+    announce(`Saved filter ${activeFilterName}`);
+}
+
+function deleteSavedFilter() {
+    if (!activeFilterName || !confirm(`Delete the saved filter "${activeFilterName}"? The board stays filtered until you clear it.`)) return;
+    savedFilters = removeSavedFilter(savedFilters, activeFilterName);
+    saveSavedFilters(getUsername(), savedFilters);
+    activeFilterName = null;
+    renderSavedFilters();
+    savedFilterSelect.focus();
+}
+
+// Boards
+// The switcher in the header
+function renderBoardSelect() {
+    boardSelect.hidden = boards.length === 0;
+    boardSelect.innerHTML = boards.map(board =>
+        `<option value="${board.id}">${escapeHtml(board.name)}</option>`
+    ).join('');
+    boardSelect.value = currentBoardId;
+}
+
+// Show a changed board list here and in other open windows
+function boardsChanged() {
+    renderBoardSelect();
+    // Cards can only be moved to another board when there is one
+    renderBoard();
+    publishChanges({ type: 'boards.updated', boards });
+}
+
+/**
+ * Show another board
+ * What belongs to the board shown (undo history, open checklists, keyboard
+ * focus) starts afresh.
+ */
+async function switchBoard(boardId) {
+    if (boardId === currentBoardId) return;
+    try {
+        const data = await api.getBoard({ boardId });
+        currentBoardId = data.id ?? boardId;
+        columns = data.columns;
+    } catch (error) {
+        console.error('Failed to open board:', error);
+        renderBoardSelect();
+        alert(error instanceof NetworkError
+            ? 'Other boards can\'t be opened while offline.'
+            : error.message || 'Failed to open board');
+        return;
+    }
+    
+    saveLastBoard(getUsername(), currentBoardId);
+    boardHistory.clear();
+    hideToast();
+    openChecklists.clear();
+    deferredEvents = [];
+    focusedItem = null;
+    renderBoardSelect();
+    renderBoard();
+    const board = boards.find(b => b.id === currentBoardId);
+    announce(`Opened ${board ? board.name : 'board'}`);
+    autoArchive();
+}
+
+function openBoardsModal() {
+    renderBoardList();
+    openModal(boardsModal);
+    document.getElementById('board-name').focus();
+}
+
+// A row per board, to rename (saved on change), open or delete it
+function renderBoardList() {
+    boardList.innerHTML = '';
+    boards.forEach(board => {
+        const row = document.createElement('li');
+        row.className = 'board-row';
+        row.dataset.boardId = board.id;
+        row.innerHTML = `
+            <input type="text" class="board-row-name" required>
+            <button type="button" class="btn-secondary board-row-open">Open</button>
+            <button type="button" class="board-row-delete" title="Delete board">×</button>
+        `;
+        const name = row.querySelector('.board-row-name');
+        name.value = board.name;
+        name.setAttribute('aria-label', `Name of ${board.name}`);
+        const open = row.querySelector('.board-row-open');
+        open.disabled = board.id === currentBoardId;
+        open.setAttribute('aria-label', `Open ${board.name}`);
+        const remove = row.querySelector('.board-row-delete');
+        // There's always a board to show
+        remove.disabled = boards.length === 1;
+        remove.setAttribute('aria-label', `Delete board ${board.name}`);
+        boardList.appendChild(row);
+    });
+}
+
+async function addBoard(form) {
+    const name = document.getElementById('board-name').value.trim();
+    if (!name) return;
+    if (findBoardNamed(boards, name)) {
+        showFormErrors(form, { fieldErrors: { name: [`There's already a board called "${name}".`] } }, BOARD_FIELDS, 'Failed to add board');
+        return;
+    }
+    
+    try {
+        const board = await api.createBoard(name);
+        boards.push(board);
+        form.reset();
+        closeModal(boardsModal);
+        boardsChanged();
+        await switchBoard(board.id);
+    } catch (error) {
+        console.error('Failed to create board:', error);
+        showFormErrors(form, error, BOARD_FIELDS, 'Failed to add board');
+    }
+}
+
+// Save a name change from the board list, putting it back if that fails
+async function saveBoardName(boardId, input) {
+    const board = boards.find(b => b.id === boardId);
+    if (!board) return;
+    const name = input.value.trim();
+    if (!name || findBoardNamed(boards, name, boardId)) {
+        input.value = board.name;
+        return;
+    }
+    
+    try {
+        const updated = await api.updateBoard(boardId, { name });
+        Object.assign(board, { name }, updated);
+        boardsChanged();
+    } catch (error) {
+        console.error('Failed to rename board:', error);
+        input.value = board.name;
+        alert(error.message || 'Failed to rename board');
+    }
+}
+
+async function removeBoard(boardId) {
+    const board = boards.find(b => b.id === boardId);
+    if (!board || boards.length === 1) return;
+    if (!confirm(`Delete the board "${board.name}" with all its columns and tasks? This can't be undone.`)) return;
+    
+    try {
+        // Show another board first, so there's one to show
+        if (boardId === currentBoardId) {
+            await switchBoard(boards.find(b => b.id !== boardId).id);
+            if (currentBoardId === boardId) return;
+        }
+        await api.deleteBoard(boardId);
+        boards = boards.filter(b => b.id !== boardId);
+        renderBoardList();
+        boardsChanged();
+        document.getElementById('board-name').focus();
+    } catch (error) {
+        console.error('Failed to delete board:', error);
+        alert(error.message || 'Failed to delete board');
+    }
+}
+
+// Moving a card to another board
+function openMoveBoardModal(task) {
+    const others = boards.filter(b => b.id !== currentBoardId);
+    if (others.length === 0) return;
+    document.getElementById('move-task-id').value = task.id;
+    document.getElementById('move-board-hint').textContent = `Move "${shortTitle(task.title)}" to another board.`;
+    const select = document.getElementById('move-board');
+    select.innerHTML = others.map(board =>
+        `<option value="${board.id}">${escapeHtml(board.name)}</option>`
+    ).join('');
+    openModal(moveBoardModal);
+    select.focus();
+    loadMoveColumns();
+}
+
+// The chosen board's columns, starting with the one named like the card's column here
+async function loadMoveColumns() {
+    const form = document.getElementById('move-board-form');
+    const select = document.getElementById('move-column');
+    const boardId = Number(document.getElementById('move-board').value);
+    clearFormErrors(form);
+    moveColumns = [];
+    select.innerHTML = '<option value="">Loading...</option>';
+    select.disabled = true;
+    
+    try {
+        const data = await api.getBoard({ boardId });
+        // Another board was picked meanwhile
+        if (Number(document.getElementById('move-board').value) !== boardId) return;
+        moveColumns = data.columns;
+    } catch (error) {
+        console.error('Failed to load board:', error);
+        select.innerHTML = '';
+        showFormErrors(form, error, MOVE_BOARD_FIELDS, 'Failed to load that board');
+        return;
+    }
+    
+    if (moveColumns.length === 0) {
+        select.innerHTML = '';
+        showFormErrors(form, { fieldErrors: { column_id: ['That board has no columns yet.'] } }, MOVE_BOARD_FIELDS, 'Failed to load that board');
+        return;
+    }
+    const location = findTaskLocation(Number(document.getElementById('move-task-id').value));
+    const match = getMatchingColumn(moveColumns, location ? location.column.name : '');
+    select.innerHTML = moveColumns.map(column =>
+        `<option value="${column.id}">${escapeHtml(column.name)}</option>`
+    ).join('');
+    select.value = match.id;
+    select.disabled = false;
+}
+
+async function moveTaskToBoard(form) {
+    const location = findTaskLocation(Number(document.getElementById('move-task-id').value));
+    const target = moveColumns.find(c => c.id === Number(document.getElementById('move-column').value));
+    const board = boards.find(b => b.id === Number(document.getElementById('move-board').value));
+    if (!location || !target || !board || !allowIntoColumn(target)) return;
+    const { task, column, index } = location;
+    
+    try {
+        const moved = await api.moveTask(task.id, target.id);
+        closeModal(moveBoardModal);
+        // Gone from this board; windows showing the other one pick it up
+        applyChanges({ type: 'task.updated', task: { ...task, ...moved, column: target.id } });
+        recordTaskBoardMove(task, column.id, index, target.id, board);
+        showToast(`Moved "${shortTitle(task.title)}" to ${board.name}`, 'Undo', undoLast);
+    } catch (error) {
+        console.error('Failed to move task:', error);
+        showFormErrors(form, error, MOVE_BOARD_FIELDS, 'Failed to move task');
+    }
+}
+
+// Export and import
+// Import problems listed before "and N more"
+const MAX_SHOWN_PROBLEMS = 8;
+
+function countOf(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function getCurrentBoard() {
+    return boards.find(b => b.id === currentBoardId) || { name: 'Board' };
+}
+
+function openExportModal() {
+    document.getElementById('export-hint').textContent =
+        `Saves "${getCurrentBoard().name}" as it is now, including changes not yet synced.`;
+    exportStatus.textContent = '';
+    openModal(exportModal);
+    exportModal.querySelector('.export-option').focus();
+}
+
+// Save a file: to the Downloads folder in the desktop app, else as a browser download
+async function saveFile(fileName, contents, mimeType) {
+    const invoke = window.__TAURI__?.core?.invoke;
+    if (invoke) {
+        return await invoke('save_export', { fileName, contents });
+    }
+    const url = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url));
+    return fileName;
+}
+
+async function exportBoard(type) {
+    const board = { name: getCurrentBoard().name, columns };
+    const contents = {
+        json: () => exportJson(board, labels),
+        csv: () => exportCsv(columns),
+        markdown: () => exportMarkdown(board),
+    }[type]();
+
+    try {
+        const savedAs = await saveFile(getExportFileName(board.name, type), contents, EXPORT_TYPES[type].mimeType);
+        exportStatus.textContent = `Saved ${savedAs}`;
+    } catch (error) {
+        console.error('Failed to export board:', error);
+        exportStatus.textContent = `Failed to export: ${error.message || error}`;
+    }
+}
+
+function openImportModal() {
+    const form = document.getElementById('import-form');
+    form.reset();
+    clearFormErrors(form);
+    importData = null;
+    importPlan = null;
+    renderImportPreview();
+    openModal(importModal);
+    importFile.focus();
+}
+
+// Read the chosen file or pasted list and show what importing it would do
+async function previewImport() {
+    const file = importFile.files[0];
+    const pasted = importText.value;
+    importData = null;
+    importPlan = null;
+    clearFormErrors(document.getElementById('import-form'));
+    let result = null;
+    if (file && file.size > MAX_IMPORT_SIZE) {
+        result = { problems: [`This file is too big to import (the limit is ${MAX_IMPORT_SIZE / 1024 / 1024} MB).`] };
+    } else if (file) {
+        result = readAnyImport(await file.text(), file.name);
+        // Another file may have been picked while this one was read
+        if (importFile.files[0] !== file) return;
+    } else if (pasted.trim()) {
+        result = readAnyImport(pasted);
+    }
+    if (result) {
+        importData = result.data;
+        importPlan = result.problems.length === 0
+            ? { ...planImport(importData, columns, labels, MAX_COLUMNS), skipped: result.skipped }
+            : { problems: result.problems };
+    }
+    renderImportPreview();
+}
+
+function renderImportPreview() {
+    const plan = importPlan;
+    document.getElementById('import-submit-btn').disabled = !plan || plan.problems.length > 0;
+    importPreview.hidden = !plan;
+    if (!plan) return;
+
+    if (plan.problems.length > 0) {
+        const more = plan.problems.length - MAX_SHOWN_PROBLEMS;
+        importPreview.innerHTML = `
+            <p>This file can't be imported:</p>
+            <ul class="import-problems">
+                ${plan.problems.slice(0, MAX_SHOWN_PROBLEMS).map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}
+                ${more > 0 ? `<li>…and ${more} more</li>` : ''}
+            </ul>
+        `;
+        return;
+    }
+
+    const adds = [countOf(plan.taskCount, 'task')];
+    if (plan.newColumns > 0) adds.push(countOf(plan.newColumns, 'new column'));
+    if (plan.newLabels.length > 0) adds.push(countOf(plan.newLabels.length, 'new label'));
+    const skipped = plan.skipped || [];
+    importPreview.innerHTML = `
+        <p>Adds ${escapeHtml(adds.join(', '))} to "${escapeHtml(getCurrentBoard().name)}":</p>
+        <ul>
+            ${plan.columns.map(column => `
+                <li>
+                    ${escapeHtml(column.name)} - ${countOf(column.tasks.length, 'task')}
+                    ${column.existing ? '' : '<span class="import-new">new column</span>'}
+                </li>
+            `).join('')}
+        </ul>
+        ${skipped.length > 0 ? `
+            <p class="import-skipped-title">Left out:</p>
+            <ul class="import-skipped">
+                ${skipped.map(item => `<li>${escapeHtml(item)}</li>`).join('')}
+            </ul>
+        ` : ''}
+    `;
+}
+
+/**
+ * Add an import to the board: labels it needs, then each column (new ones
+ * placed as in the file) with its tasks in order
+ * Everything goes through the usual create requests, so it's queued like any
+ * other change when offline.
+ */
+async function runImport(form) {
+    if (!importData) return;
+    // The board may have changed since the preview
+    importPlan = { ...planImport(importData, columns, labels, MAX_COLUMNS), skipped: importPlan?.skipped };
+    renderImportPreview();
+    const plan = importPlan;
+    if (plan.problems.length > 0) return;
+
+    clearFormErrors(form);
+    document.getElementById('import-submit-btn').disabled = true;
+    const added = { columns: 0, tasks: 0 };
+    try {
+        for (const label of plan.newLabels) {
+            labels.push(await api.createLabel(label.name, label.color || nextLabelColor(labels)));
+        }
+        if (plan.newLabels.length > 0) {
+            labelsChanged();
+        }
+
+        let previous = null;
+        for (const [index, column] of plan.columns.entries()) {
+            let target = column.existing && columns.find(c => c.id === column.existing.id);
+            if (!target) {
+                const created = await api.createColumn(column.name, currentBoardId);
+                applyChanges({ type: 'column.created', column: { ...created, tasks: [] } });
+                added.columns++;
+                if (column.wip_limit || column.wip_block) {
+                    await changeColumn(created.id, { wip_limit: column.wip_limit, wip_block: column.wip_block });
+                }
+
+                // After the column before it in the file, else before the next
+                // one this board has, else at the end
+                const next = plan.columns.slice(index + 1).find(c => c.existing);
+                const position = previous ? columns.findIndex(c => c.id === previous.id) + 1
+                    : next ? columns.findIndex(c => c.id === next.existing.id)
+                        : columns.length - 1;
+                if (position !== -1 && position !== columns.length - 1) {
+                    const columnOrders = ordersWith(columns, created.id, position);
+                    await api.reorderColumns(columnOrders);
+                    applyChanges({ type: 'columns.reordered', column_orders: columnOrders });
+                }
+                target = columns.find(c => c.id === created.id);
+            }
+            previous = target;
+
+            // Each new task goes at the end, so the file's order is kept
+            for (const task of column.tasks) {
+                const details = pickTaskDetails({
+                    ...task,
+                    labels: task.labels.map(name => findLabelNamed(name)?.id).filter(id => id !== undefined),
+                });
+                const created = await api.createTask(task.title, target.id, task.description, details);
+                applyChanges({ type: 'task.created', task: { ...created, column: target.id } });
+                added.tasks++;
+            }
+        }
+    } catch (error) {
+        console.error('Failed to import:', error);
+        importData = null;
+        importPlan = null;
+        renderImportPreview();
+        showFormErrors(form, { message: `Import stopped after adding ${countOf(added.tasks, 'task')} and ${countOf(added.columns, 'column')}: ${error.message || 'unknown error'}` }, {}, 'Import stopped');
+        return;
+    }
+
+    closeModal(importModal);
+    const message = `Imported ${countOf(added.tasks, 'task')}${added.columns ? ` and ${countOf(added.columns, 'column')}` : ''}`;
+    showToast(message);
+    announce(message);
+}
+
+// Quick add
+// What the quick-add line will make, shown as it's typed
+function renderQuickAddPreview() {
+    const text = quickAddInput.value.trim();
+    if (!text) {
+        quickAddPreview.innerHTML = '';
+        return;
+    }
+    const parsed = parseQuickAdd(text, { columns, labels });
+    const column = getQuickAddColumn(parsed, columns);
+    const parts = [parsed.title
+        ? `<span class="quick-add-title">${escapeHtml(parsed.title)}</span>`
+        : '<span class="quick-add-note">Add a title</span>'];
+    if (column) {
+        parts.push(`<span class="quick-add-part">→ ${escapeHtml(column.name)}</span>`);
+    }
+    parsed.labels.forEach(label => {
+        parts.push(`<span class="label-chip" style="${labelStyle(label)}">${escapeHtml(label.name)}</span>`);
+    });
+    parsed.newLabels.forEach(name => {
+        parts.push(`<span class="label-chip quick-add-new-label" title="A new label">+ ${escapeHtml(name)}</span>`);
+    });
+    if (parsed.due_date) {
+        const time = parsed.due_time ? ` at ${formatTime(parsed.due_time)}` : '';
+        parts.push(`<span class="quick-add-part" title="${formatDay(parsed.due_date)}${time}">${describeDue(parsed.due_date)}${time}</span>`);
+    }
+    if (parsed.estimate) {
+        parts.push(`<span class="quick-add-part">~${formatEstimate(parsed.estimate)}</span>`);
+    }
+    if (parsed.priority) {
+        parts.push(`<span class="task-priority priority-${parsed.priority}">${getPriorityLabel(parsed.priority)}</span>`);
+    }
+    parsed.notes.forEach(note => {
+        parts.push(`<span class="quick-add-note">${escapeHtml(note)}</span>`);
+    });
+    quickAddPreview.innerHTML = parts.join('');
+}
+
+/**
+ * Add a quick-add task, with any labels it names that don't exist yet
+ * @returns {Promise<string|null>} What was added, or null if nothing was
+ *   (no title, or it's not to go over a column's limit)
+ */
+async function addQuickTask(parsed) {
+    const column = getQuickAddColumn(parsed, columns);
+    if (!parsed.title || !column || !allowIntoColumn(column)) return null;
+
+    const added = [];
+    for (const name of parsed.newLabels) {
+        const label = await api.createLabel(name, nextLabelColor(labels));
+        labels.push(label);
+        added.push(label);
+    }
+    if (added.length > 0) {
+        labelsChanged();
+    }
+    const details = pickTaskDetails({
+        due_date: parsed.due_date,
+        due_time: parsed.due_time,
+        estimate: parsed.estimate,
+        priority: parsed.priority,
+        labels: [...parsed.labels, ...added].map(label => label.id),
+    });
+    const created = await api.createTask(parsed.title, column.id, '', details);
+    const task = { ...created, column: column.id };
+    applyChanges({ type: 'task.created', task });
+    recordTaskCreate(task);
+
+    const message = `Added "${shortTitle(parsed.title)}" to ${column.name}`;
+    showToast(message, 'Undo', undoLast);
+    announce(message);
+    return message;
+}
+
+async function submitQuickAdd() {
+    if (quickAdding) return;
+    quickAdding = true;
+    try {
+        if (await addQuickTask(parseQuickAdd(quickAddInput.value, { columns, labels }))) {
+            quickAddInput.value = '';
+        }
+        renderQuickAddPreview();
+    } catch (error) {
+        console.error('Failed to quick add task:', error);
+        quickAddPreview.innerHTML = `<span class="quick-add-error" role="alert">${escapeHtml(error.message || 'Failed to add task')}</span>`;
+    } finally {
+        quickAdding = false;
+    }
+}
+
+// A quick-add line from the desktop app's capture window
+async function addCapturedTask(text) {
+    const parsed = parseQuickAdd(text, { columns, labels });
+    const column = getQuickAddColumn(parsed, columns);
+    try {
+        // Asking about going over a limit needs the board in view
+        if (column.wip_block && column.wip_limit && column.tasks.length >= column.wip_limit) {
+            await showBoardWindow();
+        }
+        await addQuickTask(parsed);
+    } catch (error) {
+        console.error('Failed to add captured task:', error);
+        sendNotification('Couldn\'t add a task', `"${parsed.title}": ${error.message || 'Failed to add task'}`);
+    }
+}
+
+/**
+ * Add the captures waiting for this window, oldest first
+ * They wait until the board has loaded. One that fails is reported and
+ * dropped, so a bad line can't block the rest.
+ */
+async function addPendingCaptures() {
+    if (addingCaptures || columns.length === 0) return;
+    addingCaptures = true;
+    try {
+        let capture;
+        while ((capture = loadPendingCaptures()[0])) {
+            await addCapturedTask(capture.text);
+            removePendingCapture(capture.id);
+        }
+    } finally {
+        addingCaptures = false;
+    }
+}
+
+// Labels
+// Checkboxes for a task's labels in the add and edit forms
+function renderLabelPicker(picker, selected = []) {
+    picker.hidden = labels.length === 0;
+    picker.querySelector('.label-options').innerHTML = labels.map(label => `
+        <label class="label-option">
+            <input type="checkbox" value="${label.id}"${selected.includes(label.id) ? ' checked' : ''}>
+            <span class="label-chip" style="${labelStyle(label)}">${escapeHtml(label.name)}</span>
+        </label>
+    `).join('');
+}
+
+function getPickedLabels(picker) {
+    return Array.from(picker.querySelectorAll('input:checked'), input => Number(input.value));
+}
+
+// Show a changed label list here and in other open windows
+function labelsChanged() {
+    renderBoard();
+    publishChanges({ type: 'labels.updated', labels });
+}
+
+function openLabelsModal() {
+    renderLabelList();
+    document.getElementById('label-color').value = nextLabelColor(labels);
+    openModal(labelsModal);
+    document.getElementById('label-name').focus();
+}
+
+// A row per label, to recolour, rename (saved on change) or delete it
+function renderLabelList() {
+    document.getElementById('no-labels-hint').hidden = labels.length > 0;
+    labelList.innerHTML = '';
+    labels.forEach(label => {
+        const row = document.createElement('li');
+        row.className = 'label-row';
+        row.dataset.labelId = label.id;
+        row.innerHTML = `
+            <input type="color" class="label-row-color">
+            <input type="text" class="label-row-name" required>
+            <button type="button" class="label-row-delete" title="Delete label">×</button>
+        `;
+        const color = row.querySelector('.label-row-color');
+        color.value = isLabelColor(label.color) ? label.color : '#95a5a6';
+        color.setAttribute('aria-label', `Colour of ${label.name}`);
+        const name = row.querySelector('.label-row-name');
+        name.value = label.name;
+        name.setAttribute('aria-label', `Name of ${label.name}`);
+        row.querySelector('.label-row-delete').setAttribute('aria-label', `Delete label ${label.name}`);
+        labelList.appendChild(row);
+    });
+}
+
+function findLabelNamed(name, exceptId = null) {
+    return labels.find(l => l.id !== exceptId && l.name.toLowerCase() === name.toLowerCase());
+}
+
+async function addLabel(form) {
+    const name = document.getElementById('label-name').value.trim();
+    const color = document.getElementById('label-color').value;
+    if (!name) return;
+    if (findLabelNamed(name)) {
+        showFormErrors(form, { fieldErrors: { name: [`There's already a label called "${name}".`] } }, LABEL_FIELDS, 'Failed to add label');
+        return;
+    }
+    
+    try {
+        const label = await api.createLabel(name, color);
+        labels.push(label);
+        form.reset();
+        clearFormErrors(form);
+        document.getElementById('label-color').value = nextLabelColor(labels);
+        renderLabelList();
+        labelsChanged();
+        document.getElementById('label-name').focus();
+    } catch (error) {
+        console.error('Failed to create label:', error);
+        showFormErrors(form, error, LABEL_FIELDS, 'Failed to add label');
+    }
+}
+
+// Save a colour or name change from the label list, putting it back if that fails
+async function saveLabel(labelId, input) {
+    const label = labels.find(l => l.id === labelId);
+    if (!label) return;
+    const isColor = input.type === 'color';
+    const revert = () => { input.value = isColor ? label.color : label.name; };
+    const value = isColor ? input.value : input.value.trim();
+    if (!value || (!isColor && findLabelNamed(value, labelId))) {
+        revert();
+        return;
+    }
+    
+    const changes = isColor ? { color: value } : { name: value };
+    try {
+        const updated = await api.updateLabel(labelId, changes);
+        Object.assign(label, changes, updated);
+        labelsChanged();
+    } catch (error) {
+        console.error('Failed to update label:', error);
+        revert();
+        alert(error.message || 'Failed to update label');
+    }
+}
+
+async function removeLabel(labelId) {
+    const label = labels.find(l => l.id === labelId);
+    if (!label) return;
+    const count = columns.reduce((total, column) => total + column.tasks.filter(t => (t.labels || []).includes(labelId)).length, 0);
+    const taken = count > 0 ? ` It will be taken off ${count} task${count === 1 ? '' : 's'}.` : '';
+    if (!confirm(`Delete the label "${label.name}"?${taken}`)) return;
+    
+    try {
+        await api.deleteLabel(labelId);
+        labels = labels.filter(l => l.id !== labelId);
+        columns.forEach(column => column.tasks.forEach(task => {
+            if (task.labels) {
+                task.labels = task.labels.filter(id => id !== labelId);
+            }
+        }));
+        renderLabelList();
+        labelsChanged();
+        document.getElementById('label-name').focus();
+    } catch (error) {
+        console.error('Failed to delete label:', error);
+        alert(error.message || 'Failed to delete label');
+    }
+}
+
+// Keyboard navigation
+// One card or column header is in the tab order at a time (a roving tabindex);
+// arrow keys move between them.
+
+function announce(message) {
+    // Clear first so repeating the same message is still read out
+    announcer.textContent = '';
+    setTimeout(() => { announcer.textContent = message; }, 50);
+}
+
+function getItemElement(item) {
+    if (!item) return null;
+    return item.kind === 'task'
+        ? kanbanBoard.querySelector(`.task[data-task-id="${item.id}"]:not([hidden])`)
+        : kanbanBoard.querySelector(`.column[data-column-id="${item.id}"] .column-header`);
+}
+
+function getElementItem(element) {
+    if (element.classList.contains('task')) {
+        return { kind: 'task', id: parseInt(element.dataset.taskId) };
+    }
+    if (element.classList.contains('column-header')) {
+        return { kind: 'column', id: parseInt(element.closest('.column').dataset.columnId) };
+    }
+    return null;
+}
+
+// The board as keyboard navigation sees it: cards hidden by the filter are skipped,
+// so positions count visible cards only
+function visibleColumns() {
+    return isFilterActive()
+        ? columns.map(column => ({ ...column, tasks: column.tasks.filter(task => isTaskShown(task, column.id)) }))
+        : columns;
+}
+
+function getItemPosition(item) {
+    if (item.kind === 'column') {
+        return { column: columns.findIndex(c => c.id === item.id), task: -1 };
+    }
+    const location = findTaskLocation(item.id);
+    if (!location) return null;
+    const column = columns.indexOf(location.column);
+    return { column, task: visibleColumns()[column].tasks.indexOf(location.task) };
+}
+
+function getPositionItem(position) {
+    const column = visibleColumns()[position.column];
+    return position.task === -1
+        ? { kind: 'column', id: column.id }
+        : { kind: 'task', id: column.tasks[position.task].id };
+}
+
+// Keep one item tabbable (the focused one, else the first), optionally focusing it
+function updateTabStops(refocus = false) {
+    const target = getItemElement(focusedItem) || kanbanBoard.querySelector('.task:not([hidden]), .column-header');
+    kanbanBoard.querySelectorAll('.task, .column-header').forEach(element => {
+        element.tabIndex = element === target ? 0 : -1;
+    });
+    if (refocus && target) {
+        target.focus();
+    }
+}
+
+function focusItem(item) {
+    focusedItem = item;
+    updateTabStops(true);
+}
+
+function handleBoardFocusIn(e) {
+    const item = getElementItem(e.target);
+    if (item) {
+        focusedItem = item;
+        updateTabStops();
+    }
+}
+
+function handleBoardKeydown(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    const item = getElementItem(e.target);
+    if (!item) return;
+    
+    if (keyboardGrab) {
+        handleGrabKeydown(e);
+        return;
+    }
+    
+    if (ARROW_KEYS.includes(e.key) || e.key === 'Home' || e.key === 'End') {
+        e.preventDefault();
+        const target = getFocusTarget(visibleColumns(), getItemPosition(item), e.key);
+        if (target) {
+            focusItem(getPositionItem(target));
+        }
+        return;
+    }
+    
+    const column = item.kind === 'column'
+        ? columns.find(c => c.id === item.id)
+        : findTaskLocation(item.id)?.column;
+    const task = item.kind === 'task' ? findTaskLocation(item.id)?.task : null;
+    if (!column) return;
+    
+    switch (e.key) {
+        case ' ':
+            e.preventDefault();
+            if (task) {
+                pickUpTask(task);
+            } else {
+                pickUpColumn(column);
+            }
+            break;
+        case 'Enter':
+        case 'F2':
+            e.preventDefault();
+            if (task) {
+                openEditTaskModal(task);
+            } else {
+                startColumnRename(column, e.target.querySelector('.column-title'));
+            }
+            break;
+        case 'Delete':
+        case 'Backspace':
+            e.preventDefault();
+            if (task) {
+                handleDeleteTask(task);
+            } else {
+                handleDeleteColumn(column);
+            }
+            break;
+        case 'n':
+        case 'N':
+            e.preventDefault();
+            renderLabelPicker(document.getElementById('task-labels'), boardFilter.labels);
+            openModal(taskModal);
+            document.getElementById('task-column').value = column.id;
+            document.getElementById('task-title').focus();
+            break;
+        case 'a':
+        case 'A':
+            if (task) {
+                e.preventDefault();
+                handleArchiveTask(task);
+            }
+            break;
+        case 'f':
+        case 'F':
+            if (task) {
+                e.preventDefault();
+                enterFocusMode(task.id);
+            }
+            break;
+        case 'm':
+        case 'M':
+            if (task && boards.length > 1) {
+                e.preventDefault();
+                openMoveBoardModal(task);
+            }
+            break;
+        case 'l':
+        case 'L':
+            e.preventDefault();
+            openWipModal(column);
+            break;
+        case 'c':
+        case 'C':
+            if (!addColumnBtn.disabled) {
+                e.preventDefault();
+                openModal(columnModal);
+                document.getElementById('column-name').focus();
+            }
+            break;
+        default:
+            break;
+    }
+}
+
+// Keyboard drag and drop: Space picks up, arrows move, Space/Enter drops, Escape cancels
+function pickUpTask(task) {
+    const location = findTaskLocation(task.id);
+    keyboardGrab = {
+        kind: 'task',
+        id: task.id,
+        title: task.title,
+        fromColumnId: location.column.id,
+        fromIndex: location.index,
+        fromOrder: location.column.tasks.map((t, index) => ({ id: t.id, order: index + 1 })),
+    };
+    renderColumn(location.column.id);
+    updateTabStops(true);
+    announce(`Picked up "${task.title}". ${describePosition(visibleColumns(), getItemPosition(focusedItem))}. `
+        + 'Use the arrow keys to move it, Space to drop it, or Escape to cancel.');
+}
+
+function pickUpColumn(column) {
+    const index = columns.findIndex(c => c.id === column.id);
+    keyboardGrab = {
+        kind: 'column',
+        id: column.id,
+        title: column.name,
+        fromIndex: index,
+        fromOrder: columns.map((c, i) => ({ id: c.id, order: i + 1 })),
+    };
+    renderBoard();
+    announce(`Picked up column "${column.name}", position ${index + 1} of ${columns.length}. `
+        + 'Use the left and right arrow keys to move it, Space to drop it, or Escape to cancel.');
+}
+
+function handleGrabKeydown(e) {
+    if (ARROW_KEYS.includes(e.key)) {
+        e.preventDefault();
+        if (keyboardGrab.kind === 'task') {
+            moveGrabbedTask(e.key);
+        } else {
+            moveGrabbedColumn(e.key);
+        }
+    } else if (e.key === ' ' || e.key === 'Enter') {
+        e.preventDefault();
+        if (keyboardGrab.kind === 'task') {
+            dropGrabbedTask();
+        } else {
+            dropGrabbedColumn();
+        }
+    } else if (e.key === 'Escape' || e.key === 'Tab') {
+        cancelGrab();
+    }
+}
+
+// Moves are only shown locally until the card is dropped
+function moveGrabbedTask(key) {
+    const location = findTaskLocation(keyboardGrab.id);
+    const view = visibleColumns();
+    const target = getCardMoveTarget(view, getItemPosition(focusedItem), key);
+    if (!target) return;
+    
+    // Land next to the visible cards around the target; hidden ones don't count
+    const toColumn = columns[target.column];
+    const visible = view[target.column].tasks.filter(t => t !== location.task);
+    location.column.tasks.splice(location.index, 1);
+    let index = toColumn.tasks.length;
+    if (target.task < visible.length) {
+        index = toColumn.tasks.indexOf(visible[target.task]);
+    } else if (visible.length > 0) {
+        index = toColumn.tasks.indexOf(visible[visible.length - 1]) + 1;
+    }
+    toColumn.tasks.splice(index, 0, location.task);
+    
+    renderColumn(location.column.id);
+    if (toColumn !== location.column) {
+        renderColumn(toColumn.id);
+    }
+    updateTabStops(true);
+    announce(describePosition(visibleColumns(), target));
+}
+
+function moveGrabbedColumn(key) {
+    const index = columns.findIndex(c => c.id === keyboardGrab.id);
+    const target = getColumnMoveTarget(columns, index, key);
+    if (target === null) return;
+    
+    const [column] = columns.splice(index, 1);
+    columns.splice(target, 0, column);
+    renderBoard();
+    announce(`Position ${target + 1} of ${columns.length}`);
+}
+
+async function dropGrabbedTask() {
+    const target = findTaskLocation(keyboardGrab.id).column;
+    if (target.id !== keyboardGrab.fromColumnId && !allowIntoColumn(target, target.tasks.length - 1)) {
+        cancelGrab();
+        return;
+    }
+    
+    const grab = keyboardGrab;
+    keyboardGrab = null;
+    const location = findTaskLocation(grab.id);
+    const toColumn = location.column;
+    const moved = toColumn.id !== grab.fromColumnId;
+    
+    renderColumn(toColumn.id);
+    updateTabStops(true);
+    announce(`Dropped "${grab.title}". ${describePosition(visibleColumns(), getItemPosition(focusedItem))}.`);
+    
+    await saveTaskPlacement(location.task, toColumn, grab);
+    flushDeferredEvents();
+}
+
+/**
+ * Save where a task now sits, after it has been moved in local state
+ * @param {Object} from - { fromColumnId, fromIndex, fromOrder } before the move
+ */
+async function saveTaskPlacement(task, toColumn, { fromColumnId, fromIndex, fromOrder }) {
+    const moved = toColumn.id !== fromColumnId;
+    const index = toColumn.tasks.indexOf(task);
+    if (!moved && index === fromIndex) return;
+    
+    const taskOrders = toColumn.tasks.map((t, i) => ({ id: t.id, order: i + 1 }));
+    try {
+        if (moved) {
+            const result = await api.moveTask(task.id, toColumn.id, { order: index + 1 });
+            task.column = toColumn.id;
+            task.column_changed_at = result?.column_changed_at || new Date().toISOString();
+        } else {
+            await api.reorderTasks(taskOrders);
+        }
+        toColumn.tasks.forEach((t, i) => { t.order = i + 1; });
+        saveBoardCache();
+        
+        if (moved) {
+            publishChanges(
+                { type: 'task.updated', task },
+                { type: 'tasks.reordered', column_id: toColumn.id, task_orders: taskOrders }
+            );
+            recordTaskMove(task, fromColumnId, fromIndex, toColumn.id);
+        } else {
+            publishChanges({ type: 'tasks.reordered', column_id: toColumn.id, task_orders: taskOrders });
+            recordTaskReorder(toColumn.id, fromOrder, taskOrders);
+        }
+    } catch (error) {
+        console.error('Failed to move task:', error);
+        loadBoard();
+    }
+}
+
+async function dropGrabbedColumn() {
+    const grab = keyboardGrab;
+    keyboardGrab = null;
+    const index = columns.findIndex(c => c.id === grab.id);
+    
+    renderBoard();
+    announce(`Dropped column "${grab.title}", position ${index + 1} of ${columns.length}.`);
+    
+    if (index !== grab.fromIndex) {
+        await saveColumnOrder(grab.fromOrder);
+    }
+    flushDeferredEvents();
+}
+
+// Save the column order, after columns have been moved in local state
+async function saveColumnOrder(fromOrder) {
+    const columnOrders = columns.map((column, i) => ({ id: column.id, order: i + 1 }));
+    try {
+        await api.reorderColumns(columnOrders);
+        columns.forEach((column, i) => { column.order = i + 1; });
+        saveBoardCache();
+        publishChanges({ type: 'columns.reordered', column_orders: columnOrders });
+        recordColumnReorder(fromOrder, columnOrders);
+    } catch (error) {
+        console.error('Failed to reorder columns:', error);
+        loadBoard();
+    }
+}
+
+// Put a picked-up card or column back where it started
+function cancelGrab() {
+    const grab = keyboardGrab;
+    keyboardGrab = null;
+    
+    if (grab.kind === 'task') {
+        const location = findTaskLocation(grab.id);
+        const fromColumn = columns.find(c => c.id === grab.fromColumnId);
+        if (location && fromColumn) {
+            location.column.tasks.splice(location.index, 1);
+            fromColumn.tasks.splice(grab.fromIndex, 0, location.task);
+        }
+        renderBoard();
+        announce(`Move cancelled. "${grab.title}" is back in ${describePosition(visibleColumns(), getItemPosition(focusedItem))}.`);
+    } else {
+        const order = grab.fromOrder.map(o => o.id);
+        columns.sort((a, b) => order.indexOf(a.id) - order.indexOf(b.id));
+        renderBoard();
+        announce(`Move cancelled. Column "${grab.title}" is back in position ${grab.fromIndex + 1}.`);
+    }
+    flushDeferredEvents();
+}
+
+// Touch drag and drop - pointer-drag.js reports where things were dropped
+async function handleTouchTaskDrop(taskId, toColumnId, index) {
+    const location = findTaskLocation(taskId);
+    const toColumn = columns.find(c => c.id === toColumnId);
+    if (!location || !toColumn || (location.column !== toColumn && !allowIntoColumn(toColumn))) {
+        renderBoard();
+        return;
+    }
+    const from = {
+        fromColumnId: location.column.id,
+        fromIndex: location.index,
+        fromOrder: location.column.tasks.map((t, i) => ({ id: t.id, order: i + 1 })),
+    };
+    
+    location.column.tasks.splice(location.index, 1);
+    toColumn.tasks.splice(index, 0, location.task);
+    renderBoard();
+    
+    await saveTaskPlacement(location.task, toColumn, from);
+    flushDeferredEvents();
+}
+
+async function handleTouchColumnDrop(columnId, index) {
+    const fromIndex = columns.findIndex(c => c.id === columnId);
+    if (fromIndex === -1) return;
+    const fromOrder = columns.map((c, i) => ({ id: c.id, order: i + 1 }));
+    
+    const [column] = columns.splice(fromIndex, 1);
+    columns.splice(index, 0, column);
+    renderBoard();
+    
+    if (index !== fromIndex) {
+        await saveColumnOrder(fromOrder);
+    }
+    flushDeferredEvents();
+}
+
+// Undo/redo
+// Commands replay inverse operations through the API, then update the board
+// the same way live events do.
+
+function findTaskLocation(taskId) {
+    for (const column of columns) {
+        const index = column.tasks.findIndex(t => t.id === taskId);
+        if (index !== -1) {
+            return { column, index, task: column.tasks[index] };
+        }
+    }
+    return null;
+}
+
+// Apply a change we made to local state, and tell other windows
+function applyChanges(...events) {
+    renderChanges(applyBoardEvents(columns, events));
+    publishChanges(...events);
+}
+
+function resolveTaskId(id) {
+    return boardHistory.resolveId('task', id);
+}
+
+function resolveColumnId(id) {
+    return boardHistory.resolveId('column', id);
+}
+
+// Orders that put an item at `index`, with the others keeping their sequence
+function ordersWith(items, id, index) {
+    const ids = items.map(item => item.id).filter(itemId => itemId !== id);
+    ids.splice(Math.min(index, ids.length), 0, id);
+    return ids.map((itemId, i) => ({ id: itemId, order: i + 1 }));
+}
+
+async function placeTask(taskId, columnId, index) {
+    const column = columns.find(c => c.id === columnId);
+    if (!column) return;
+    const taskOrders = ordersWith(column.tasks, taskId, index);
+    await api.reorderTasks(taskOrders);
+    applyChanges({ type: 'tasks.reordered', column_id: columnId, task_orders: taskOrders });
+}
+
+// Bring back a deleted task where it was; it gets a new ID
+async function restoreTask(snapshot, index) {
+    const columnId = resolveColumnId(snapshot.column);
+    const created = await api.createTask(snapshot.title, columnId, snapshot.description || '', pickTaskDetails(snapshot));
+    boardHistory.replaceId('task', snapshot.id, created.id);
+    applyChanges({ type: 'task.created', task: { ...snapshot, ...created, column: columnId } });
+    await placeTask(created.id, columnId, index);
+}
+
+// Archived tasks keep their ID, so undoing an archive brings back the same task
+async function unarchiveTask(snapshot, index) {
+    const id = resolveTaskId(snapshot.id);
+    const restored = await api.restoreArchivedTask(id);
+    const columnId = restored.column ?? resolveColumnId(snapshot.column);
+    applyChanges({ type: 'task.created', task: { ...snapshot, ...restored, id, column: columnId } });
+    await placeTask(id, columnId, index);
+}
+
+async function archiveTaskAgain(recordedId) {
+    const id = resolveTaskId(recordedId);
+    await api.archiveTask(id);
+    applyChanges({ type: 'task.deleted', id });
+}
+
+// A task moved to another board comes back where it was
+async function returnTaskFromBoard(snapshot, recordedColumnId, index) {
+    const id = resolveTaskId(snapshot.id);
+    const columnId = resolveColumnId(recordedColumnId);
+    const moved = await api.moveTask(id, columnId);
+    applyChanges({ type: 'task.created', task: { ...snapshot, ...moved, id, column: columnId } });
+    await placeTask(id, columnId, index);
+}
+
+async function sendTaskToBoard(recordedId, columnId) {
+    const id = resolveTaskId(recordedId);
+    const location = findTaskLocation(id);
+    const moved = await api.moveTask(id, columnId);
+    if (location) {
+        applyChanges({ type: 'task.updated', task: { ...location.task, ...moved, column: columnId } });
+    }
+}
+
+async function removeTask(recordedId) {
+    const id = resolveTaskId(recordedId);
+    await api.deleteTask(id);
+    applyChanges({ type: 'task.deleted', id });
+}
+
+async function changeTask(recordedId, changes) {
+    const id = resolveTaskId(recordedId);
+    const updated = await api.updateTask(id, changes);
+    const location = findTaskLocation(id);
+    if (location) {
+        applyChanges({
+            type: 'task.updated',
+            task: { ...location.task, ...changes, version: updated?.version ?? location.task.version },
+        });
+    }
+}
+
+async function relocateTask(recordedId, recordedColumnId, index) {
+    const id = resolveTaskId(recordedId);
+    const columnId = resolveColumnId(recordedColumnId);
+    const location = findTaskLocation(id);
+    const target = columns.find(c => c.id === columnId);
+    if (location && target && location.column.id !== columnId) {
+        const position = Math.min(index, target.tasks.length);
+        await api.moveTask(id, columnId, { order: position + 1 });
+        applyChanges(
+            { type: 'task.updated', task: { ...location.task, column: columnId, order: position + 1 } },
+            { type: 'tasks.reordered', column_id: columnId, task_orders: ordersWith(target.tasks, id, position) }
+        );
+        return;
+    }
+    await placeTask(id, columnId, index);
+}
+
+async function reorderTasksTo(recordedColumnId, recordedOrders) {
+    const columnId = resolveColumnId(recordedColumnId);
+    const taskOrders = recordedOrders.map(({ id, order }) => ({ id: resolveTaskId(id), order }));
+    await api.reorderTasks(taskOrders);
+    applyChanges({ type: 'tasks.reordered', column_id: columnId, task_orders: taskOrders });
+}
+
+async function reorderColumnsTo(recordedOrders) {
+    const columnOrders = recordedOrders.map(({ id, order }) => ({ id: resolveColumnId(id), order }));
+    await api.reorderColumns(columnOrders);
+    applyChanges({ type: 'columns.reordered', column_orders: columnOrders });
+}
+
+async function changeColumn(recordedId, changes) {
+    const id = resolveColumnId(recordedId);
+    const updated = await api.updateColumn(id, changes);
+    const column = { id, ...changes };
+    if (updated && updated.version !== undefined) {
+        column.version = updated.version;
+    }
+    applyChanges({ type: 'column.updated', column });
+}
+
+// Bring back a deleted column and its tasks where they were
+async function restoreColumn(snapshot, index) {
+    const created = await api.createColumn(snapshot.name, currentBoardId);
+    boardHistory.replaceId('column', snapshot.id, created.id);
+    applyChanges({ type: 'column.created', column: { ...created, tasks: [] } });
+    
+    if (snapshot.wip_limit || snapshot.wip_block) {
+        await changeColumn(created.id, { wip_limit: snapshot.wip_limit ?? null, wip_block: !!snapshot.wip_block });
+    }
+    
+    const columnOrders = ordersWith(columns, created.id, index);
+    await api.reorderColumns(columnOrders);
+    applyChanges({ type: 'columns.reordered', column_orders: columnOrders });
+    
+    for (const task of snapshot.tasks) {
+        const restored = await api.createTask(task.title, created.id, task.description || '', pickTaskDetails(task));
+        boardHistory.replaceId('task', task.id, restored.id);
+        applyChanges({ type: 'task.created', task: { ...task, ...restored, column: created.id } });
+    }
+}
+
+async function removeColumn(recordedId) {
+    const id = resolveColumnId(recordedId);
+    await api.deleteColumn(id);
+    applyChanges({ type: 'column.deleted', id });
+}
+
+// Recording board actions
+function recordTaskCreate(task) {
+    const column = columns.find(c => c.id === task.column);
+    const index = column ? column.tasks.length - 1 : 0;
+    boardHistory.record({
+        label: `add "${shortTitle(task.title)}"`,
+        undo: () => removeTask(task.id),
+        redo: () => restoreTask(task, index),
+    });
+}
+
+function recordTaskEdit(taskId, before, after) {
+    boardHistory.record({
+        label: `edit "${shortTitle(after.title)}"`,
+        undo: () => changeTask(taskId, before),
+        redo: () => changeTask(taskId, after),
+    });
+}
+
+function recordChecklistChange(taskId, before, after, label) {
+    boardHistory.record({
+        label,
+        undo: () => changeTask(taskId, { checklist: before }),
+        redo: () => changeTask(taskId, { checklist: after }),
+    });
+}
+
+function recordChecklistPromote(taskId, newTask, index, before, after) {
+    boardHistory.record({
+        label: `make "${shortTitle(newTask.title)}" a task`,
+        undo: async () => {
+            await removeTask(newTask.id);
+            await changeTask(taskId, { checklist: before });
+        },
+        redo: async () => {
+            await restoreTask(newTask, index);
+            await changeTask(taskId, { checklist: after });
+        },
+    });
+}
+
+function recordTaskMove(task, fromColumnId, fromIndex, toColumnId) {
+    const toColumn = columns.find(c => c.id === toColumnId);
+    const toIndex = toColumn ? toColumn.tasks.findIndex(t => t.id === task.id) : 0;
+    boardHistory.record({
+        label: `move "${shortTitle(task.title)}"`,
+        undo: () => relocateTask(task.id, fromColumnId, fromIndex),
+        redo: () => relocateTask(task.id, toColumnId, toIndex),
+    });
+}
+
+function recordTaskReorder(columnId, oldOrder, newOrder) {
+    boardHistory.record({
+        label: 'reorder tasks',
+        undo: () => reorderTasksTo(columnId, oldOrder),
+        redo: () => reorderTasksTo(columnId, newOrder),
+    });
+}
+
+function recordTaskArchive(task, index) {
+    boardHistory.record({
+        label: `archive "${shortTitle(task.title)}"`,
+        undo: () => unarchiveTask(task, index),
+        redo: () => archiveTaskAgain(task.id),
+    });
+}
+
+function recordTaskBoardMove(task, fromColumnId, fromIndex, toColumnId, board) {
+    boardHistory.record({
+        label: `move "${shortTitle(task.title)}" to ${board.name}`,
+        undo: () => returnTaskFromBoard(task, fromColumnId, fromIndex),
+        redo: () => sendTaskToBoard(task.id, toColumnId),
+    });
+}
+
+function recordTaskDelete(task, index) {
+    boardHistory.record({
+        label: `delete "${shortTitle(task.title)}"`,
+        undo: () => restoreTask(task, index),
+        redo: () => removeTask(task.id),
+    });
+}
+
+function recordColumnCreate(column) {
+    const snapshot = { ...column, tasks: [] };
+    const index = columns.findIndex(c => c.id === column.id);
+    boardHistory.record({
+        label: `add column "${shortTitle(column.name)}"`,
+        undo: () => removeColumn(column.id),
+        redo: () => restoreColumn(snapshot, index),
+    });
+}
+
+function recordColumnRename(columnId, oldName, newName) {
+    boardHistory.record({
+        label: `rename column "${shortTitle(oldName)}"`,
+        undo: () => changeColumn(columnId, { name: oldName }),
+        redo: () => changeColumn(columnId, { name: newName }),
+    });
+}
+
+function recordColumnLimit(column, before, after) {
+    boardHistory.record({
+        label: `change the limit of "${shortTitle(column.name)}"`,
+        undo: () => changeColumn(column.id, before),
+        redo: () => changeColumn(column.id, after),
+    });
+}
+
+function recordColumnReorder(oldOrder, newOrder) {
+    boardHistory.record({
+        label: 'reorder columns',
+        undo: () => reorderColumnsTo(oldOrder),
+        redo: () => reorderColumnsTo(newOrder),
+    });
+}
+
+function recordColumnDelete(column, index) {
+    boardHistory.record({
+        label: `delete column "${shortTitle(column.name)}"`,
+        undo: () => restoreColumn(column, index),
+        redo: () => removeColumn(column.id),
+    });
+}
+
+async function stepHistory(step) {
+    const available = step === 'undo' ? boardHistory.canUndo() : boardHistory.canRedo();
+    if (!available || isInteracting()) return;
+    hideToast();
+    try {
+        const command = await boardHistory[step]();
+        if (!command) return;
+        if (step === 'undo') {
+            showToast(`Undid ${command.label}`, 'Redo', redoLast);
+        } else {
+            showToast(`Redid ${command.label}`, 'Undo', undoLast);
+        }
+    } catch (error) {
+        console.error(`Failed to ${step}:`, error);
+        alert(`Couldn't ${step} - the board may have changed somewhere else. It will refresh now.`);
+        loadBoard();
+    }
+}
+
+function undoLast() {
+    return stepHistory('undo');
+}
+
+function redoLast() {
+    return stepHistory('redo');
+}
+
+// Toast with an optional action, e.g. "Deleted "Task" [Undo]"
+function showToast(message, actionLabel = null, action = null) {
+    clearTimeout(toastTimer);
+    toastMessage.textContent = message;
+    toastAction.hidden = !action;
+    toastAction.textContent = actionLabel || '';
+    toastAction.onclick = action ? () => { hideToast(); action(); } : null;
+    toast.classList.add('show');
+    toastTimer = setTimeout(hideToast, TOAST_DURATION);
+}
+
+function hideToast() {
+    clearTimeout(toastTimer);
+    toast.classList.remove('show');
+}
+
+// Modal helpers
+// Focus goes back where it was when a modal closes
+let modalReturnFocus = null;
+
+function openModal(modal) {
+    modalReturnFocus = document.activeElement;
+    modal.classList.add('active');
+}
+
+function closeModal(modal) {
+    if (!modal.classList.contains('active')) return;
+    modal.classList.remove('active');
+    modal.querySelectorAll('form').forEach(clearFormErrors);
+    if (modalReturnFocus && modalReturnFocus.isConnected) {
+        modalReturnFocus.focus();
+    }
+    modalReturnFocus = null;
+}
+
+// Show a failed request's messages inside the modal's form
+function showFormErrors(form, error, fields, fallback) {
+    const message = showFieldErrors(form, error, fields);
+    const errorEl = form.querySelector('.form-error');
+    if (message !== null) {
+        errorEl.textContent = message || fallback;
+        errorEl.classList.add('show');
+    } else {
+        errorEl.classList.remove('show');
+    }
+}
+
+function clearFormErrors(form) {
+    clearFieldErrors(form);
+    const errorEl = form.querySelector('.form-error');
+    if (errorEl) {
+        errorEl.classList.remove('show');
+        errorEl.textContent = '';
+    }
+}
+
+function openEditTaskModal(task) {
+    editingTask = {
+        id: task.id,
+        version: task.version,
+        base: editableTask(task),
+    };
+    hideEditConflict();
+    document.getElementById('edit-task-id').value = task.id;
+    document.getElementById('edit-task-title').value = task.title;
     document.getElementById('edit-task-description').value = task.description || '';
+    document.getElementById('edit-task-due-date').value = editingTask.base.due_date;
+    document.getElementById('edit-task-due-time').value = editingTask.base.due_time;
+    document.getElementById('edit-task-do-date').value = editingTask.base.do_date;
+    document.getElementById('edit-task-estimate').value = editingTask.base.estimate;
+    document.getElementById('edit-task-priority').value = editingTask.base.priority;
+    renderLabelPicker(document.getElementById('edit-task-labels'), task.labels || []);
+    editingChecklist = editingTask.base.checklist;
+    document.getElementById('edit-checklist-new').value = '';
+    renderChecklistEditor();
     openModal(editTaskModal);
     document.getElementById('edit-task-title').focus();
 }
 
+// Conflict resolution in the edit task modal
+// Text fields can be combined; the others are shown with `format` and picked from
+const CONFLICT_FIELDS = [
+    { name: 'title', label: 'Title', input: 'edit-task-title', multiline: false },
+    { name: 'description', label: 'Description', input: 'edit-task-description', multiline: true },
+    { name: 'due_date', label: 'Due', input: 'edit-task-due-date', format: formatDay },
+    { name: 'due_time', label: 'Due at', input: 'edit-task-due-time', format: formatTime },
+    { name: 'do_date', label: 'Do on', input: 'edit-task-do-date', format: formatDay },
+    { name: 'estimate', label: 'Estimate', input: 'edit-task-estimate', format: value => formatEstimate(Number(value)) },
+    { name: 'priority', label: 'Priority', input: 'edit-task-priority', format: getPriorityLabel },
+];
+
+function hideEditConflict() {
+    const panel = document.getElementById('edit-conflict');
+    panel.hidden = true;
+    document.getElementById('edit-conflict-fields').innerHTML = '';
+}
+
+/**
+ * Someone else saved the task while it was being edited: merge what we can,
+ * and ask about fields both sides changed
+ */
+function showEditConflict(mine, latest) {
+    // Compared as the form holds them, so an estimate of 15 matches "15"
+    const theirs = editableTask(latest);
+    const { merged, conflicts } = mergeEdits(editingTask.base, mine, theirs, CONFLICT_FIELDS.map(f => f.name));
+    // Labels never conflict: both sides' additions and removals are kept
+    renderLabelPicker(document.getElementById('edit-task-labels'), mergeSets(editingTask.base.labels, mine.labels, theirs.labels));
+    // The checklist isn't merged step by step: unless it was changed here, take theirs
+    if (sameChecklist(mine.checklist, editingTask.base.checklist)) {
+        editingChecklist = theirs.checklist;
+        renderChecklistEditor();
+    }
+    
+    // Later saves are checked against what the server has now
+    editingTask.base = theirs;
+    editingTask.version = latest.version;
+    
+    CONFLICT_FIELDS.forEach(field => {
+        document.getElementById(field.input).value = merged[field.name];
+    });
+    
+    const fieldsEl = document.getElementById('edit-conflict-fields');
+    fieldsEl.innerHTML = CONFLICT_FIELDS.filter(field => conflicts.includes(field.name)).map(field => `
+        <div class="conflict-field">
+            <div class="conflict-field-name">${field.label}</div>
+            <div class="conflict-versions">
+                <div class="conflict-version">
+                    <span class="conflict-label">Yours</span>
+                    <div class="conflict-value">${escapeHtml(field.format ? field.format(mine[field.name]) : mine[field.name]) || '<em>empty</em>'}</div>
+                </div>
+                <div class="conflict-version">
+                    <span class="conflict-label">Theirs</span>
+                    <div class="conflict-value">${escapeHtml(field.format ? field.format(theirs[field.name]) : theirs[field.name]) || '<em>empty</em>'}</div>
+                </div>
+            </div>
+            <div class="conflict-actions">
+                <button type="button" class="btn-secondary" data-field="${field.name}" data-choice="mine">Keep yours</button>
+                <button type="button" class="btn-secondary" data-field="${field.name}" data-choice="theirs">Use theirs</button>
+                ${field.format ? '' : `<button type="button" class="btn-secondary" data-field="${field.name}" data-choice="both">Combine</button>`}
+            </div>
+        </div>
+    `).join('');
+    
+    fieldsEl.querySelectorAll('.conflict-actions button').forEach(button => {
+        button.addEventListener('click', () => {
+            const field = CONFLICT_FIELDS.find(f => f.name === button.dataset.field);
+            const yours = mine[field.name];
+            const their = theirs[field.name];
+            const values = {
+                mine: yours,
+                theirs: their,
+                both: combineValues(yours, their, field.multiline),
+            };
+            document.getElementById(field.input).value = values[button.dataset.choice];
+            button.parentElement.querySelectorAll('button').forEach(b => {
+                b.classList.toggle('selected', b === button);
+            });
+        });
+    });
+    
+    document.getElementById('edit-conflict-message').textContent = conflicts.length > 0
+        ? 'This task was changed somewhere else while you were editing. Choose what to keep (you can still edit the result), then save.'
+        : 'This task was changed somewhere else while you were editing. Their changes have been merged with yours - check and save.';
+    document.getElementById('edit-conflict').hidden = false;
+}
+
 // Event Listeners
 
 // User menu
@@ -525,7 +3787,102 @@ document.addEventListener('click', (e) => {
     }
 });
 
+document.getElementById('archive-btn').addEventListener('click', () => {
+    userDropdown.classList.remove('show');
+    openArchiveModal();
+});
+
+document.getElementById('labels-btn').addEventListener('click', () => {
+    userDropdown.classList.remove('show');
+    openLabelsModal();
+});
+
+document.getElementById('boards-btn').addEventListener('click', () => {
+    userDropdown.classList.remove('show');
+    openBoardsModal();
+});
+
+document.getElementById('export-btn').addEventListener('click', () => {
+    userDropdown.classList.remove('show');
+    openExportModal();
+});
+
+document.getElementById('import-btn').addEventListener('click', () => {
+    userDropdown.classList.remove('show');
+    openImportModal();
+});
+
+document.getElementById('timer-settings-btn').addEventListener('click', () => {
+    userDropdown.classList.remove('show');
+    openTimerModal();
+});
+
+document.getElementById('reminders-btn').addEventListener('click', () => {
+    userDropdown.classList.remove('show');
+    openRemindersModal();
+});
+
+document.getElementById('settings-btn').addEventListener('click', () => {
+    userDropdown.classList.remove('show');
+    openServerSettings();
+});
+
+pushBoardBtn.addEventListener('click', () => {
+    userDropdown.classList.remove('show');
+    openModal(pushModal);
+    document.getElementById('push-username').focus();
+});
+
+document.getElementById('cancel-push-btn').addEventListener('click', () => {
+    closeModal(pushModal);
+    document.getElementById('push-board-form').reset();
+});
+
+document.getElementById('push-board-form').addEventListener('submit', async (e) => {
+    e.preventDefault();
+    
+    const username = document.getElementById('push-username').value.trim();
+    const password = document.getElementById('push-password').value;
+    const submit = document.getElementById('push-submit');
+    
+    clearFormErrors(e.target);
+    submit.disabled = true;
+    submit.textContent = 'Pushing...';
+    
+    try {
+        await api.login(username, password);
+        const created = await api.pushLocalBoard({ maxColumns: MAX_COLUMNS, account: username });
+        
+        closeModal(pushModal);
+        e.target.reset();
+        if (liveSync) {
+            liveSync.stop();
+            liveSync = null;
+        }
+        await loadBoard();
+        alert(`Pushed ${created.tasks} task${created.tasks === 1 ? '' : 's'} to your account. Your local board is still on this device.`);
+    } catch (error) {
+        console.error('Failed to push board:', error);
+        // Stay in local mode, signed out, so the board isn't half in each place
+        if (isLocalMode()) {
+            clearToken();
+        }
+        showFormErrors(e.target, error, PUSH_FIELDS, 'Failed to push board');
+    } finally {
+        submit.disabled = false;
+        submit.textContent = 'Push Board';
+    }
+});
+
 logoutBtn.addEventListener('click', async () => {
+    // Unsynced changes belong to this account; kept, they'd replay under the next one
+    await syncPendingChanges();
+    const pending = getPendingMutations().length;
+    if (pending > 0 && !confirm(`Logging out discards ${pending} unsynced change${pending > 1 ? 's' : ''}. Continue?`)) {
+        return;
+    }
+    clearOutbox();
+    localStorage.removeItem(BOARD_CACHE_KEY);
     try {
         await api.logout();
     } finally {
@@ -535,6 +3892,8 @@ logoutBtn.addEventListener('click', async () => {
 
 // Add task button
 document.getElementById('add-task-btn').addEventListener('click', () => {
+    // New tasks get the labels being filtered by, so they stay in view
+    renderLabelPicker(document.getElementById('task-labels'), boardFilter.labels);
     openModal(taskModal);
     document.getElementById('task-title').focus();
 });
@@ -563,8 +3922,415 @@ document.getElementById('cancel-edit-btn').addEventListener('click', () => {
     document.getElementById('edit-task-form').reset();
 });
 
+// Work-in-progress limit dialog
+document.getElementById('cancel-wip-btn').addEventListener('click', () => {
+    closeModal(wipModal);
+});
+
+document.getElementById('wip-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveWipLimit(e.target);
+});
+
+// Checklist in the edit task modal
+const checklistEditor = document.getElementById('edit-checklist');
+
+checklistEditor.addEventListener('input', (e) => {
+    const row = e.target.closest('.checklist-edit-item');
+    if (row && e.target.classList.contains('checklist-edit-text')) {
+        const index = Number(row.dataset.index);
+        editingChecklist = editingChecklist.map((item, i) => (i === index ? { ...item, text: e.target.value } : item));
+    }
+});
+
+checklistEditor.addEventListener('change', (e) => {
+    const row = e.target.closest('.checklist-edit-item');
+    if (row && e.target.classList.contains('checklist-edit-done')) {
+        editingChecklist = toggleItem(editingChecklist, Number(row.dataset.index));
+    }
+});
+
+checklistEditor.addEventListener('click', (e) => {
+    const button = e.target.closest('button');
+    if (!button) return;
+    const index = Number(button.closest('.checklist-edit-item').dataset.index);
+    if (button.classList.contains('checklist-edit-move')) {
+        const step = Number(button.dataset.step);
+        editingChecklist = moveItem(editingChecklist, index, step);
+        renderChecklistEditor({ index: index + step, selector: `[data-step="${step}"]` });
+    } else if (button.classList.contains('checklist-edit-remove')) {
+        editingChecklist = removeItem(editingChecklist, index);
+        renderChecklistEditor();
+        const next = checklistEditor.querySelector(`[data-index="${Math.min(index, editingChecklist.length - 1)}"] .checklist-edit-text`);
+        (next || document.getElementById('edit-checklist-new')).focus();
+    }
+});
+
+document.getElementById('add-checklist-item-btn').addEventListener('click', addChecklistStep);
+
+// Enter adds the step rather than saving the task
+document.getElementById('edit-checklist-new').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+        e.preventDefault();
+        addChecklistStep();
+    }
+});
+
+// Boards
+boardSelect.addEventListener('change', () => switchBoard(Number(boardSelect.value)));
+
+document.getElementById('close-boards-btn').addEventListener('click', () => {
+    closeModal(boardsModal);
+    document.getElementById('add-board-form').reset();
+});
+
+document.getElementById('add-board-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    addBoard(e.target);
+});
+
+boardList.addEventListener('change', (e) => {
+    const row = e.target.closest('.board-row');
+    if (row) {
+        saveBoardName(Number(row.dataset.boardId), e.target);
+    }
+});
+
+boardList.addEventListener('click', (e) => {
+    const row = e.target.closest('.board-row');
+    if (!row) return;
+    const boardId = Number(row.dataset.boardId);
+    if (e.target.closest('.board-row-open')) {
+        closeModal(boardsModal);
+        switchBoard(boardId);
+    } else if (e.target.closest('.board-row-delete')) {
+        removeBoard(boardId);
+    }
+});
+
+// Moving a card to another board
+document.getElementById('move-board').addEventListener('change', loadMoveColumns);
+
+document.getElementById('cancel-move-board-btn').addEventListener('click', () => {
+    closeModal(moveBoardModal);
+});
+
+document.getElementById('move-board-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    moveTaskToBoard(e.target);
+});
+
+// Labels
+document.getElementById('close-labels-btn').addEventListener('click', () => {
+    closeModal(labelsModal);
+    document.getElementById('add-label-form').reset();
+});
+
+document.getElementById('add-label-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    addLabel(e.target);
+});
+
+labelList.addEventListener('change', (e) => {
+    const row = e.target.closest('.label-row');
+    if (row) {
+        saveLabel(Number(row.dataset.labelId), e.target);
+    }
+});
+
+labelList.addEventListener('click', (e) => {
+    const button = e.target.closest('.label-row-delete');
+    if (button) {
+        removeLabel(Number(button.closest('.label-row').dataset.labelId));
+    }
+});
+
+// Archive browser
+document.getElementById('archive-search').addEventListener('input', renderArchiveList);
+
+document.getElementById('archive-list').addEventListener('click', (e) => {
+    const item = e.target.closest('.archive-item');
+    if (!item) return;
+    const taskId = Number(item.dataset.taskId);
+    if (e.target.closest('.archive-restore')) {
+        restoreFromArchive(taskId);
+    } else if (e.target.closest('.archive-purge')) {
+        purgeFromArchive(taskId);
+    }
+});
+
+document.getElementById('close-archive-btn').addEventListener('click', () => {
+    closeModal(archiveModal);
+});
+
+document.getElementById('archive-settings-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const value = document.getElementById('archive-days').value.trim();
+    const settings = { days: value === '' ? null : Number(value) };
+    const fieldErrors = validateArchiveSettings(settings);
+    if (fieldErrors) {
+        showFormErrors(e.target, { fieldErrors }, ARCHIVE_FIELDS, 'Check the number of days');
+        return;
+    }
+    saveArchiveSettings(settings);
+    archiveSettings = settings;
+    clearFormErrors(e.target);
+    announce(settings.days ? `Cards will be archived after ${settings.days} days in the last column` : 'Auto-archive is off');
+    autoArchive();
+});
+
+// Export and import
+exportModal.querySelector('.export-options').addEventListener('click', (e) => {
+    const option = e.target.closest('.export-option');
+    if (option) {
+        exportBoard(option.dataset.export);
+    }
+});
+
+document.getElementById('close-export-btn').addEventListener('click', () => {
+    closeModal(exportModal);
+});
+
+// A file or a pasted list, whichever was given last
+importFile.addEventListener('change', () => {
+    importText.value = '';
+    previewImport();
+});
+
+importText.addEventListener('input', () => {
+    importFile.value = '';
+    previewImport();
+});
+
+document.getElementById('import-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    runImport(e.target);
+});
+
+document.getElementById('cancel-import-btn').addEventListener('click', () => {
+    closeModal(importModal);
+});
+
+// Search and filters
+searchInput.addEventListener('input', () => {
+    setFilter({ query: searchInput.value });
+});
+
+searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && searchInput.value) {
+        // Clear the search first; a second Escape leaves the box
+        e.stopPropagation();
+        setFilter({ query: '' });
+    } else if (e.key === 'Escape') {
+        searchInput.blur();
+    } else if (e.key === 'Enter') {
+        // Jump to the first matching card
+        e.preventDefault();
+        const first = kanbanBoard.querySelector('.task:not([hidden])');
+        if (first) {
+            focusItem(getElementItem(first));
+        }
+    }
+});
+
+filterColumn.addEventListener('change', () => {
+    setFilter({ column: filterColumn.value ? Number(filterColumn.value) : null });
+});
+
+filterAge.addEventListener('change', () => {
+    setFilter({ age: filterAge.value });
+});
+
+filterLabels.addEventListener('click', (e) => {
+    const chip = e.target.closest('.filter-chip');
+    if (chip) {
+        toggleFilterLabel(Number(chip.dataset.labelId));
+    }
+});
+
+clearFilterBtn.addEventListener('click', () => {
+    clearFilter();
+    searchInput.focus();
+});
+
+savedFilterSelect.addEventListener('change', () => {
+    if (savedFilterSelect.value) {
+        applySavedFilter(savedFilterSelect.value);
+    }
+});
+
+document.getElementById('save-filter-btn').addEventListener('click', openSaveFilterModal);
+deleteFilterBtn.addEventListener('click', deleteSavedFilter);
+
+document.getElementById('cancel-save-filter-btn').addEventListener('click', () => {
+    closeModal(saveFilterModal);
+    document.getElementById('save-filter-form').reset();
+});
+
+document.getElementById('save-filter-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    saveCurrentFilter(e.target);
+});
+
+// "/" jumps to the search box
+document.addEventListener('keydown', (e) => {
+    if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    if (document.querySelector('.modal-overlay.active') || focusState.active || keyboardGrab) return;
+    e.preventDefault();
+    searchInput.focus();
+    searchInput.select();
+});
+
+// Quick add
+quickAddInput.addEventListener('input', renderQuickAddPreview);
+
+quickAddInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && quickAddInput.value) {
+        // Clear the line first; a second Escape leaves the box
+        e.stopPropagation();
+        quickAddInput.value = '';
+        renderQuickAddPreview();
+    } else if (e.key === 'Escape') {
+        quickAddInput.blur();
+    }
+});
+
+quickAddForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    submitQuickAdd();
+});
+
+// "Q" jumps to the quick-add line
+document.addEventListener('keydown', (e) => {
+    if (e.key.toLowerCase() !== 'q' || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    if (document.querySelector('.modal-overlay.active') || focusState.active || keyboardGrab) return;
+    e.preventDefault();
+    quickAddInput.focus();
+});
+
+// Focus timer
+document.getElementById('timer-stop-btn').addEventListener('click', stopTaskTimer);
+
+document.getElementById('cancel-timer-btn').addEventListener('click', () => {
+    closeModal(timerModal);
+});
+
+document.getElementById('timer-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const settings = {
+        work: Number(document.getElementById('timer-work').value),
+        break: Number(document.getElementById('timer-break').value),
+        chime: document.getElementById('timer-chime').checked,
+    };
+    const fieldErrors = validateTimerSettings(settings);
+    if (fieldErrors) {
+        showFormErrors(e.target, { fieldErrors }, TIMER_FIELDS, 'Check the timer lengths');
+        return;
+    }
+    saveTimerSettings(settings);
+    timerSettings = settings;
+    clearFormErrors(e.target);
+    closeModal(timerModal);
+});
+
+// Reminders
+document.getElementById('cancel-reminders-btn').addEventListener('click', () => {
+    closeModal(remindersModal);
+});
+
+document.getElementById('reminders-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    const settings = {};
+    Object.entries(REMINDER_CHECKBOXES).forEach(([field, id]) => {
+        settings[field] = document.getElementById(id).checked;
+    });
+    Object.entries(REMINDER_FIELDS).forEach(([field, id]) => {
+        const input = document.getElementById(id);
+        settings[field] = input.type === 'number' ? Number(input.value) : input.value;
+    });
+    const fieldErrors = validateReminderSettings(settings);
+    if (fieldErrors) {
+        showFormErrors(e.target, { fieldErrors }, REMINDER_FIELDS, 'Check the reminder settings');
+        return;
+    }
+    saveReminderSettings(settings);
+    reminderSettings = settings;
+    clearFormErrors(e.target);
+    closeModal(remindersModal);
+    // Saving is a click, which browsers need before they'll ask
+    if (settings.due || settings.stale || settings.planning) {
+        requestNotificationPermission();
+    }
+    checkReminders();
+});
+
+// Desktop app
+document.getElementById('desktop-btn').addEventListener('click', () => {
+    userDropdown.classList.remove('show');
+    document.getElementById('desktop-hint').textContent = `Press ${getCaptureShortcut()} anywhere to quick add a task while the app is running. The tray icon can also add a task, start the focus timer or bring the board back.`;
+    document.getElementById('close-to-tray').checked = desktopSettings.closeToTray;
+    openModal(desktopModal);
+    document.getElementById('close-to-tray').focus();
+});
+
+document.getElementById('cancel-desktop-btn').addEventListener('click', () => {
+    closeModal(desktopModal);
+});
+
+document.getElementById('desktop-form').addEventListener('submit', (e) => {
+    e.preventDefault();
+    desktopSettings = { closeToTray: document.getElementById('close-to-tray').checked };
+    saveDesktopSettings(desktopSettings);
+    applyDesktopSettings(desktopSettings);
+    closeModal(desktopModal);
+});
+
+if (isDesktopApp()) {
+    document.getElementById('desktop-btn').hidden = false;
+    applyDesktopSettings(desktopSettings);
+    onDesktopEvent(CAPTURE_EVENT, addPendingCaptures);
+    onDesktopEvent(TRAY_TIMER_EVENT, startTimerFromTray);
+}
+
+// Other windows share the timer and these settings
+window.addEventListener('storage', (e) => {
+    if (e.key === TIMER_STATE_KEY) {
+        const previous = timerState;
+        timerState = loadTimerState();
+        updateTimer(previous);
+    } else if (e.key === TIMER_SETTINGS_KEY) {
+        timerSettings = loadTimerSettings();
+    } else if (e.key === ARCHIVE_SETTINGS_KEY) {
+        archiveSettings = loadArchiveSettings();
+    } else if (e.key === REMINDER_SETTINGS_KEY) {
+        reminderSettings = loadReminderSettings();
+    } else if (e.key === DESKTOP_SETTINGS_KEY) {
+        desktopSettings = loadDesktopSettings();
+    } else if (e.key === PENDING_CAPTURES_KEY && isDesktopApp()) {
+        addPendingCaptures();
+    }
+});
+
+// Focus mode
+focusBtn.addEventListener('click', () => enterFocusMode());
+exitFocusBtn.addEventListener('click', exitFocusMode);
+focusPrevBtn.addEventListener('click', () => stepFocusTask(-1));
+focusNextBtn.addEventListener('click', () => stepFocusTask(1));
+focusDoneBtn.addEventListener('click', () => moveFocusTask(column => columns[columns.indexOf(column) + 1]));
+focusParkBtn.addEventListener('click', () => moveFocusTask(() => columns[0]));
+focusView.addEventListener('keydown', handleFocusKeydown);
+
+focusTitle.addEventListener('dblclick', () => {
+    const location = findTaskLocation(focusState.taskId);
+    if (location) {
+        openEditTaskModal(location.task);
+    }
+});
+
 // Close modals on overlay click
-[taskModal, columnModal, editTaskModal].forEach(modal => {
+[taskModal, columnModal, editTaskModal, wipModal, timerModal, labelsModal, boardsModal, moveBoardModal, saveFilterModal, archiveModal, exportModal, importModal, pushModal, remindersModal, desktopModal].forEach(modal => {
     modal.addEventListener('click', (e) => {
         if (e.target === modal) {
             closeModal(modal);
@@ -572,12 +4338,62 @@ document.getElementById('cancel-edit-btn').addEventListener('click', () => {
     });
 });
 
+// Keyboard navigation and keyboard drag and drop
+kanbanBoard.addEventListener('keydown', handleBoardKeydown);
+kanbanBoard.addEventListener('focusin', handleBoardFocusIn);
+
+// Touch drag and drop (long-press to pick up)
+touchDrag = enableTouchDrag(kanbanBoard, {
+    onTaskDrop: handleTouchTaskDrop,
+    onColumnDrop: handleTouchColumnDrop,
+    onStart: () => {
+        if (keyboardGrab) cancelGrab();
+    },
+    // If nothing was dropped, catch up on events held back during the drag
+    onEnd: () => setTimeout(flushDeferredEvents),
+});
+
+// Using the mouse puts back anything picked up with the keyboard
+document.addEventListener('mousedown', () => {
+    if (keyboardGrab) {
+        cancelGrab();
+    }
+});
+
+// Undo/redo shortcuts: Ctrl+Z, Ctrl+Shift+Z or Ctrl+Y (Cmd on macOS)
+document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== 'z' && key !== 'y') return;
+    // Text fields keep their own undo
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+    if (document.querySelector('.modal-overlay.active')) return;
+    e.preventDefault();
+    if (key === 'y' || e.shiftKey) {
+        redoLast();
+    } else {
+        undoLast();
+    }
+});
+
 // Close modals on Escape key
 document.addEventListener('keydown', (e) => {
     if (e.key === 'Escape') {
         closeModal(taskModal);
         closeModal(columnModal);
         closeModal(editTaskModal);
+        closeModal(wipModal);
+        closeModal(timerModal);
+        closeModal(labelsModal);
+        closeModal(boardsModal);
+        closeModal(moveBoardModal);
+        closeModal(saveFilterModal);
+        closeModal(archiveModal);
+        closeModal(exportModal);
+        closeModal(importModal);
+        closeModal(pushModal);
+        closeModal(remindersModal);
+        closeModal(desktopModal);
     }
 });
 
@@ -588,11 +4404,22 @@ document.getElementById('add-task-form').addEventListener('submit', async (e) =>
     const title = document.getElementById('task-title').value.trim();
     const description = document.getElementById('task-description').value.trim();
     const columnId = parseInt(document.getElementById('task-column').value);
+    const details = pickTaskDetails({
+        due_date: document.getElementById('task-due-date').value || null,
+        due_time: document.getElementById('task-due-time').value || null,
+        do_date: document.getElementById('task-do-date').value || null,
+        estimate: document.getElementById('task-estimate').value ? Number(document.getElementById('task-estimate').value) : null,
+        priority: document.getElementById('task-priority').value || null,
+        labels: getPickedLabels(document.getElementById('task-labels')),
+    });
     
     if (!title) return;
     
+    const targetColumn = columns.find(c => c.id === columnId);
+    if (targetColumn && !allowIntoColumn(targetColumn)) return;
+    
     try {
-        const newTask = await api.createTask(title, columnId, description);
+        const newTask = await api.createTask(title, columnId, description, details);
         
         // Update local state
         const column = columns.find(c => c.id === columnId);
@@ -602,10 +4429,13 @@ document.getElementById('add-task-form').addEventListener('submit', async (e) =>
         
         closeModal(taskModal);
         document.getElementById('add-task-form').reset();
+        focusedItem = { kind: 'task', id: newTask.id };
         renderBoard();
+        publishChanges({ type: 'task.created', task: { ...newTask, column: columnId } });
+        recordTaskCreate({ ...newTask, column: columnId });
     } catch (error) {
         console.error('Failed to create task:', error);
-        alert('Failed to create task: ' + error.message);
+        showFormErrors(e.target, error, TASK_FIELDS, 'Failed to create task');
     }
 });
 
@@ -618,16 +4448,19 @@ document.getElementById('add-column-form').addEventListener('submit', async (e)
     if (!name) return;
     
     try {
-        const newColumn = await api.createColumn(name);
+        const newColumn = await api.createColumn(name, currentBoardId);
         newColumn.tasks = [];
         columns.push(newColumn);
         
         closeModal(columnModal);
         document.getElementById('add-column-form').reset();
+        focusedItem = { kind: 'column', id: newColumn.id };
         renderBoard();
+        publishChanges({ type: 'column.created', column: newColumn });
+        recordColumnCreate(newColumn);
     } catch (error) {
         console.error('Failed to create column:', error);
-        alert('Failed to create column: ' + error.message);
+        showFormErrors(e.target, error, COLUMN_FIELDS, 'Failed to create column');
     }
 });
 
@@ -638,36 +4471,119 @@ document.getElementById('edit-task-form').addEventListener('submit', async (e) =
     const taskId = parseInt(document.getElementById('edit-task-id').value);
     const title = document.getElementById('edit-task-title').value.trim();
     const description = document.getElementById('edit-task-description').value.trim();
+    const mine = {
+        title,
+        description,
+        due_date: document.getElementById('edit-task-due-date').value,
+        due_time: document.getElementById('edit-task-due-time').value,
+        do_date: document.getElementById('edit-task-do-date').value,
+        estimate: document.getElementById('edit-task-estimate').value,
+        priority: document.getElementById('edit-task-priority').value,
+        labels: getPickedLabels(document.getElementById('edit-task-labels')),
+        checklist: cleanChecklist(editingChecklist),
+    };
     
     if (!title) return;
     
+    const before = taskChanges(editingTask.base);
+    const changes = taskChanges(mine);
+    
     try {
-        const updatedTask = await api.updateTask(taskId, title, description);
+        const updatedTask = await api.updateTask(taskId, changes, { version: editingTask.version });
         
         // Update local state
         for (const column of columns) {
             const task = column.tasks.find(t => t.id === taskId);
             if (task) {
-                task.title = updatedTask.title;
-                task.description = updatedTask.description;
+                Object.keys(changes).forEach(field => {
+                    task[field] = field in updatedTask ? updatedTask[field] : changes[field];
+                });
+                if (updatedTask.version !== undefined) {
+                    task.version = updatedTask.version;
+                }
+                publishChanges({ type: 'task.updated', task });
+                recordTaskEdit(taskId, before, changes);
                 break;
             }
         }
         
         closeModal(editTaskModal);
         document.getElementById('edit-task-form').reset();
+        hideEditConflict();
         renderBoard();
     } catch (error) {
+        if (error.code === 'conflict') {
+            try {
+                const theirs = error.body?.current || await api.getTask(taskId);
+                showEditConflict(mine, theirs);
+                handleLiveEvents([{ type: 'task.updated', task: theirs }]);
+            } catch (fetchError) {
+                console.error('Failed to fetch latest task:', fetchError);
+                showFormErrors(e.target, fetchError, EDIT_TASK_FIELDS, 'Failed to load the latest version of this task');
+            }
+            return;
+        }
         console.error('Failed to update task:', error);
-        alert('Failed to update task: ' + error.message);
+        showFormErrors(e.target, error, EDIT_TASK_FIELDS, 'Failed to update task');
     }
 });
 
 // Retry button
 document.getElementById('retry-btn').addEventListener('click', loadBoard);
 
-// Initialize
-loadBoard();
+// Offline queue
+onOutboxEvent((event) => {
+    if (event.type === 'change') {
+        updateSyncStatus();
+    } else if (event.type === 'reconcile') {
+        reconcileTempId(event.tempId, event.id);
+        if (focusState.taskId === event.tempId) {
+            setFocusTask(event.id);
+        }
+        if (timerState && timerState.taskId === event.tempId) {
+            timerState = { ...timerState, taskId: event.id };
+            saveTimerState(timerState);
+        }
+        boardHistory.replaceId('task', event.tempId, event.id);
+        boardHistory.replaceId('column', event.tempId, event.id);
+    } else if (event.type === 'dropped') {
+        // The server refused a queued change, or a queued create timed out and
+        // may have been made anyway - resync with what it has
+        if (event.error.code === 'conflict') {
+            alert('A change you made offline could not be saved because the same item was changed somewhere else.');
+        }
+        if (event.error instanceof TimeoutError) {
+            offerToResend(event.mutation);
+        } else {
+            loadBoard();
+        }
+    }
+});
+
+window.addEventListener('online', () => {
+    updateSyncStatus();
+    syncPendingChanges();
+});
+window.addEventListener('offline', updateSyncStatus);
+setInterval(syncPendingChanges, OUTBOX_RETRY_INTERVAL);
+
+// Relative dates on cards ("tomorrow") move on at midnight; auto-archive and
+// reminders are checked every minute too
+let renderedDay = toDayString(new Date());
+setInterval(() => {
+    const today = toDayString(new Date());
+    if (today !== renderedDay && !isInteracting()) {
+        renderedDay = today;
+        renderBoard();
+    }
+    autoArchive();
+    checkReminders();
+}, DAY_CHECK_INTERVAL);
+updateSyncStatus();
+updateTimer();
+
+// Initialize - resolve the configured server before the first request
+loadConfig().then(loadBoard);
 
 // Document-level drag handlers for reliable drop zones
 document.addEventListener('dragover', function(e) {
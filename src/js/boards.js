@@ -0,0 +1,63 @@
+/**
+ * Boards for ADHD Kanban
+ * Separate boards (e.g. Work, Home), each with its own columns; labels are
+ * shared by all of them
+ *
+ * A board is { id, name }. The board last opened is remembered per user on
+ * this device and opened again next time.
+ */
+
+const LAST_BOARD_KEY = 'last_board';
+
+// The board last shown, so it opens offline (and the quick capture window
+// knows its columns and labels): { username, boards, board, columns, labels }
+const BOARD_CACHE_KEY = 'board_cache';
+
+function getLastBoardKey(username) {
+    return `${LAST_BOARD_KEY}:${username || ''}`;
+}
+
+function loadLastBoard(username) {
+    const id = parseInt(localStorage.getItem(getLastBoardKey(username)));
+    return Number.isNaN(id) ? null : id;
+}
+
+function saveLastBoard(username, boardId) {
+    localStorage.setItem(getLastBoardKey(username), String(boardId));
+}
+
+function loadBoardCache() {
+    try {
+        return JSON.parse(localStorage.getItem(BOARD_CACHE_KEY));
+    } catch (error) {
+        return null;
+    }
+}
+
+// The board to open: the one asked for if it's still there, else the first
+function pickBoard(boards, boardId) {
+    return boards.find(board => board.id === boardId) || boards[0] || null;
+}
+
+function findBoardNamed(boards, name, exceptId = null) {
+    return boards.find(board => board.id !== exceptId && board.name.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Where a card moved to another board goes: the column with the same name
+ * (so "To Do" stays "To Do"), or else the first column
+ */
+function getMatchingColumn(columns, name) {
+    const key = name.trim().toLowerCase();
+    return columns.find(column => column.name.trim().toLowerCase() === key) || columns[0] || null;
+}
+
+export {
+    BOARD_CACHE_KEY,
+    loadBoardCache,
+    loadLastBoard,
+    saveLastBoard,
+    pickBoard,
+    findBoardNamed,
+    getMatchingColumn,
+};
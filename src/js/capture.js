@@ -0,0 +1,65 @@
+/**
+ * Quick capture window for ADHD Kanban (desktop app)
+ * Opened from anywhere by the global shortcut or the tray: type a task, press
+ * Enter, and the board window adds it (now, or once it's loaded) while this
+ * window gets out of the way
+ */
+
+import { parseQuickAdd, getQuickAddColumn, describeQuickAdd } from './quick-add.js';
+import { loadBoardCache } from './boards.js';
+import { CAPTURE_OPENED_EVENT, onDesktopEvent, hideCaptureWindow, sendCapture } from './desktop.js';
+
+const form = document.getElementById('capture-form');
+const input = document.getElementById('capture-input');
+const preview = document.getElementById('capture-preview');
+
+// Read against the board the board window last showed
+function parseCapture() {
+    const board = loadBoardCache() || {};
+    const columns = board.columns || [];
+    const parsed = parseQuickAdd(input.value, { columns, labels: board.labels || [] });
+    return { parsed, column: getQuickAddColumn(parsed, columns) };
+}
+
+function renderPreview() {
+    if (!input.value.trim()) {
+        preview.textContent = '';
+        return;
+    }
+    const { parsed, column } = parseCapture();
+    preview.textContent = [parsed.title || 'Add a title', ...describeQuickAdd(parsed, column)].join(' · ');
+}
+
+form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    if (!parseCapture().parsed.title) {
+        renderPreview();
+        return;
+    }
+    try {
+        await sendCapture(input.value.trim());
+        input.value = '';
+        renderPreview();
+    } catch (error) {
+        console.error('Failed to save captured task:', error);
+        preview.textContent = 'Couldn\'t save the task. Try again.';
+    }
+});
+
+input.addEventListener('input', renderPreview);
+
+input.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        hideCaptureWindow();
+    }
+});
+
+// Opened again: what's left from last time is selected, so typing replaces it
+onDesktopEvent(CAPTURE_OPENED_EVENT, () => {
+    input.focus();
+    input.select();
+    renderPreview();
+});
+
+input.focus();
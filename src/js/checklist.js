@@ -0,0 +1,71 @@
+/**
+ * Subtask checklists for ADHD Kanban
+ * Breaks a big task into small steps, kept in order on the task
+ *
+ * A checklist is an array of { text, done } in task.checklist. These helpers
+ * return new arrays rather than changing the one they're given, so the old
+ * list is still there for undo.
+ */
+
+const MAX_CHECKLIST_ITEMS = 50;
+const MAX_ITEM_LENGTH = 200;
+
+// { done, total } steps
+function getChecklistProgress(checklist) {
+    const items = checklist || [];
+    return { done: items.filter(item => item.done).length, total: items.length };
+}
+
+// e.g. "3/7"
+function formatProgress(checklist) {
+    const { done, total } = getChecklistProgress(checklist);
+    return `${done}/${total}`;
+}
+
+function addItem(checklist, text) {
+    return [...checklist, { text, done: false }];
+}
+
+function toggleItem(checklist, index) {
+    return checklist.map((item, i) => (i === index ? { ...item, done: !item.done } : item));
+}
+
+function removeItem(checklist, index) {
+    return checklist.filter((item, i) => i !== index);
+}
+
+/**
+ * Move a step up (-1) or down (1)
+ * Steps already at that end stay where they are.
+ */
+function moveItem(checklist, index, step) {
+    const target = index + step;
+    if (target < 0 || target >= checklist.length) return checklist;
+    const items = [...checklist];
+    [items[index], items[target]] = [items[target], items[index]];
+    return items;
+}
+
+// Trimmed steps, without blank ones - as the edit form saves them
+function cleanChecklist(checklist) {
+    return checklist
+        .map(item => ({ text: item.text.trim(), done: !!item.done }))
+        .filter(item => item.text);
+}
+
+function sameChecklist(a, b) {
+    return JSON.stringify(a || []) === JSON.stringify(b || []);
+}
+
+export {
+    MAX_CHECKLIST_ITEMS,
+    MAX_ITEM_LENGTH,
+    getChecklistProgress,
+    formatProgress,
+    addItem,
+    toggleItem,
+    removeItem,
+    moveItem,
+    cleanChecklist,
+    sameChecklist,
+};
@@ -0,0 +1,54 @@
+/**
+ * Column entry times for ADHD Kanban
+ * When each card arrived in the column it's in, for auto-archive and
+ * reminders about cards that have sat too long
+ *
+ * Moving a card sets its column_changed_at. A card without one (from a server
+ * that doesn't send it) is dated from the first time this browser saw it in
+ * its column, which is never earlier than when it really got there. Those
+ * sightings are kept in localStorage, per column.
+ */
+
+const COLUMN_ENTRY_KEY = 'column_entries';
+
+// { columnId: { taskId: time first seen there } }
+function loadColumnEntries() {
+    try {
+        return JSON.parse(localStorage.getItem(COLUMN_ENTRY_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * When each card in a column entered it
+ * Cards that have left the column are forgotten, so coming back starts afresh.
+ * @returns {Map<number, number>} Task ID -> time, in ms
+ */
+function getColumnEntryTimes(column, now = Date.now()) {
+    const entries = loadColumnEntries();
+    const seen = entries[column.id] || {};
+    const kept = {};
+    const times = new Map();
+    (column.tasks || []).forEach(task => {
+        const moved = Date.parse(task.column_changed_at);
+        if (!Number.isNaN(moved)) {
+            times.set(task.id, moved);
+            return;
+        }
+        kept[task.id] = seen[task.id] ?? now;
+        times.set(task.id, kept[task.id]);
+    });
+    if (Object.keys(kept).length > 0) {
+        entries[column.id] = kept;
+    } else {
+        delete entries[column.id];
+    }
+    localStorage.setItem(COLUMN_ENTRY_KEY, JSON.stringify(entries));
+    return times;
+}
+
+export {
+    COLUMN_ENTRY_KEY,
+    getColumnEntryTimes,
+};
@@ -0,0 +1,227 @@
+/**
+ * Backend configuration for ADHD Kanban
+ * Resolves which API server the app talks to, or whether the board is
+ * kept on this device instead (local-only mode)
+ *
+ * Sources, highest priority first:
+ *   1. The user's choice, saved in localStorage by the settings dialog
+ *   2. config.json in the desktop app's config directory (read through Tauri),
+ *      e.g. { "environment": "self-hosted", "environments": { "self-hosted": "https://kanban.example.com/api/v1" } }
+ *   3. The built-in production server
+ *
+ * An environment chosen without a URL is an error to fix in the settings
+ * dialog, never a quiet switch to production: someone who picked staging
+ * mustn't end up changing production data.
+ */
+
+const CONFIG_KEY = 'api_config';
+const STORAGE_MODE_KEY = 'storage_mode';
+
+// Built-in environments; an empty URL must be configured before use
+const DEFAULT_ENVIRONMENTS = [
+    { id: 'production', label: 'Production', apiBase: 'https://adhdkanban-production.up.railway.app/api/v1' },
+    { id: 'staging', label: 'Staging', apiBase: '' },
+    { id: 'local', label: 'Local', apiBase: 'http://localhost:8000/api/v1' },
+    { id: 'self-hosted', label: 'Self-hosted', apiBase: '' },
+];
+
+const DEFAULT_ENVIRONMENT = 'production';
+
+// Config provided by the desktop app, loaded once by loadConfig()
+let fileConfig = {};
+
+function readSavedConfig() {
+    try {
+        return JSON.parse(localStorage.getItem(CONFIG_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Normalise an API base URL, or return null if it is not usable
+ */
+function normalizeApiBase(url) {
+    if (typeof url !== 'string') return null;
+    const trimmed = url.trim().replace(/\/+$/, '');
+    let parsed;
+    try {
+        parsed = new URL(trimmed);
+    } catch (error) {
+        return null;
+    }
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        return null;
+    }
+    if (parsed.search || parsed.hash) {
+        return null;
+    }
+    return trimmed;
+}
+
+/**
+ * Validate an API base URL for the settings form
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateApiBase(url) {
+    if (!url || !url.trim()) {
+        return 'Enter the server URL';
+    }
+    if (!/^https?:\/\//i.test(url.trim())) {
+        return 'URL must start with http:// or https://';
+    }
+    if (!normalizeApiBase(url)) {
+        return 'Not a valid server URL';
+    }
+    return null;
+}
+
+/**
+ * All environments with their URLs after file and user overrides
+ */
+function getEnvironments() {
+    const saved = readSavedConfig();
+    const fileUrls = fileConfig.environments || {};
+    const savedUrls = saved.urls || {};
+
+    return DEFAULT_ENVIRONMENTS.map(env => ({
+        ...env,
+        apiBase: normalizeApiBase(savedUrls[env.id])
+            || normalizeApiBase(fileUrls[env.id])
+            || env.apiBase,
+    }));
+}
+
+function getEnvironment(id) {
+    return getEnvironments().find(env => env.id === id) || null;
+}
+
+function getCurrentEnvironmentId() {
+    const saved = readSavedConfig();
+    const id = saved.environment || fileConfig.environment || DEFAULT_ENVIRONMENT;
+    return getEnvironment(id) ? id : DEFAULT_ENVIRONMENT;
+}
+
+// The chosen server's URL, or null if the chosen environment has none
+function getApiBase() {
+    return getEnvironment(getCurrentEnvironmentId()).apiBase || null;
+}
+
+/**
+ * What's wrong with the chosen server, for the settings dialog and failed requests
+ * @returns {string|null} Error message, or null if there's a URL to use
+ */
+function getConfigError() {
+    const env = getEnvironment(getCurrentEnvironmentId());
+    return env.apiBase ? null : `${env.label} has no server URL. Enter one in Server settings, or choose another environment.`;
+}
+
+/**
+ * Save the chosen environment (and its URL, for ones that need one)
+ */
+function saveEnvironment(id, apiBase = null) {
+    if (!DEFAULT_ENVIRONMENTS.some(env => env.id === id)) {
+        throw new Error(`Unknown environment: ${id}`);
+    }
+    const saved = readSavedConfig();
+    const urls = { ...(saved.urls || {}) };
+
+    if (apiBase !== null) {
+        const normalized = normalizeApiBase(apiBase);
+        if (!normalized) {
+            throw new Error(validateApiBase(apiBase) || 'Not a valid server URL');
+        }
+        urls[id] = normalized;
+    }
+
+    localStorage.setItem(CONFIG_KEY, JSON.stringify({ environment: id, urls }));
+}
+
+function resetConfig() {
+    localStorage.removeItem(CONFIG_KEY);
+}
+
+/**
+ * Where the board lives: 'remote' (an API server) or 'local' (this device only)
+ */
+function getStorageMode() {
+    return localStorage.getItem(STORAGE_MODE_KEY) === 'local' ? 'local' : 'remote';
+}
+
+function setStorageMode(mode) {
+    if (mode !== 'local' && mode !== 'remote') {
+        throw new Error(`Unknown storage mode: ${mode}`);
+    }
+    if (mode === 'local') {
+        localStorage.setItem(STORAGE_MODE_KEY, 'local');
+    } else {
+        localStorage.removeItem(STORAGE_MODE_KEY);
+    }
+}
+
+function isLocalMode() {
+    return getStorageMode() === 'local';
+}
+
+/**
+ * Load the desktop app's config file, if running under Tauri
+ * Safe to call in a browser - it just keeps the defaults.
+ */
+async function loadConfig() {
+    const invoke = typeof window !== 'undefined' && window.__TAURI__?.core?.invoke;
+    if (!invoke) return;
+
+    try {
+        const contents = await invoke('read_app_config');
+        fileConfig = contents ? JSON.parse(contents) : {};
+    } catch (error) {
+        console.error('Failed to read app config:', error);
+        fileConfig = {};
+    }
+}
+
+/**
+ * Check that a server answers like the ADHD Kanban API
+ * An unauthenticated request to /auth/me/ should be refused with 401/403.
+ * @returns {Promise<{ok: boolean, message: string}>}
+ */
+async function testConnection(apiBase) {
+    const base = normalizeApiBase(apiBase);
+    if (!base) {
+        return { ok: false, message: validateApiBase(apiBase) || 'Not a valid server URL' };
+    }
+
+    let response;
+    try {
+        response = await fetch(`${base}/auth/me/`, {
+            headers: { 'Content-Type': 'application/json' },
+        });
+    } catch (error) {
+        return { ok: false, message: 'Unable to connect to server' };
+    }
+
+    if (response.ok || response.status === 401 || response.status === 403) {
+        return { ok: true, message: 'Connected' };
+    }
+    if (response.status === 404) {
+        return { ok: false, message: 'Server found, but no ADHD Kanban API at this URL' };
+    }
+    return { ok: false, message: `Server returned ${response.status}` };
+}
+
+export {
+    DEFAULT_ENVIRONMENTS,
+    normalizeApiBase,
+    validateApiBase,
+    getEnvironments,
+    getCurrentEnvironmentId,
+    getApiBase,
+    getConfigError,
+    saveEnvironment,
+    resetConfig,
+    getStorageMode,
+    setStorageMode,
+    isLocalMode,
+    loadConfig,
+    testConnection,
+};
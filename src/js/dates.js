@@ -0,0 +1,122 @@
+/**
+ * Task dates for ADHD Kanban
+ * Due dates and "do on" dates are calendar days ('YYYY-MM-DD'), shown
+ * relative to today: "tomorrow", "3 days overdue"
+ */
+
+// Due within this many days counts as due soon
+const DUE_SOON_DAYS = 2;
+
+// Further away than this, show the date itself
+const RELATIVE_DAYS = 6;
+
+// Local midnight of a 'YYYY-MM-DD' day, or null
+function parseDay(value) {
+    const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    return match ? new Date(match[1], match[2] - 1, match[3]) : null;
+}
+
+// 'YYYY-MM-DD' for a Date, in local time
+function toDayString(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Whole days from today to a day; negative if it has passed
+ * @returns {number|null} null if there's no (valid) day
+ */
+function daysFromToday(value, today = new Date()) {
+    const day = parseDay(value);
+    if (!day) return null;
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+    // Round, as days across a daylight saving change aren't exactly 24 hours
+    return Math.round((day - start) / 86400000);
+}
+
+// Full date for tooltips, e.g. "Thu, Mar 5, 2026"
+function formatDay(value) {
+    const day = parseDay(value);
+    return day
+        ? day.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })
+        : '';
+}
+
+// A due time as 'HH:MM', 24-hour
+function isTime(value) {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+}
+
+// "3pm", "9:30am"
+function formatTime(value) {
+    if (!isTime(value)) return '';
+    const [hours, minutes] = value.split(':').map(Number);
+    const hour = hours % 12 || 12;
+    return `${hour}${minutes ? `:${String(minutes).padStart(2, '0')}` : ''}${hours < 12 ? 'am' : 'pm'}`;
+}
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// "today", "tomorrow", "in 3 days", "2 days ago", or "Mar 5" further out
+function describeDay(value, today = new Date()) {
+    const days = daysFromToday(value, today);
+    if (days === null) return '';
+    if (days === 0) return 'today';
+    if (days === 1) return 'tomorrow';
+    if (days === -1) return 'yesterday';
+    if (days > 0 && days <= RELATIVE_DAYS) return `in ${plural(days, 'day')}`;
+    if (days < 0 && days >= -RELATIVE_DAYS) return `${plural(-days, 'day')} ago`;
+    const options = { month: 'short', day: 'numeric' };
+    if (parseDay(value).getFullYear() !== today.getFullYear()) {
+        options.year = 'numeric';
+    }
+    return parseDay(value).toLocaleDateString('en-US', options);
+}
+
+// "Due tomorrow", "Due today", "3 days overdue"
+function describeDue(value, today = new Date()) {
+    const days = daysFromToday(value, today);
+    if (days === null) return '';
+    return days < 0 ? `${plural(-days, 'day')} overdue` : `Due ${describeDay(value, today)}`;
+}
+
+// "Do today", "Do in 2 days"; a missed one says so
+function describeDoOn(value, today = new Date()) {
+    const days = daysFromToday(value, today);
+    if (days === null) return '';
+    return days < 0 ? `Planned ${describeDay(value, today)}` : `Do ${describeDay(value, today)}`;
+}
+
+/**
+ * Colour state for a due date: 'overdue', 'due-soon' (within DUE_SOON_DAYS), or null
+ */
+function getDueState(value, today = new Date()) {
+    const days = daysFromToday(value, today);
+    if (days === null) return null;
+    if (days < 0) return 'overdue';
+    return days <= DUE_SOON_DAYS ? 'due-soon' : null;
+}
+
+// Whether a "do on" day has come
+function isDoDateReached(value, today = new Date()) {
+    const days = daysFromToday(value, today);
+    return days !== null && days <= 0;
+}
+
+export {
+    DUE_SOON_DAYS,
+    parseDay,
+    toDayString,
+    daysFromToday,
+    formatDay,
+    isTime,
+    formatTime,
+    describeDay,
+    describeDue,
+    describeDoOn,
+    getDueState,
+    isDoDateReached,
+};
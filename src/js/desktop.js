@@ -0,0 +1,150 @@
+/**
+ * Desktop app extras for ADHD Kanban
+ * The tray icon, the quick capture window opened by a global shortcut, and
+ * keeping the app running in the tray when the board window is closed
+ *
+ * The capture window doesn't add tasks itself: it leaves what was typed in
+ * localStorage and tells the board window, which adds it like its own
+ * quick-add line. A capture the board window can't take yet (it's still
+ * loading, or was never told) waits there until it can. Outside the desktop
+ * app there's none of this, and these functions do nothing.
+ */
+
+const DESKTOP_SETTINGS_KEY = 'desktop_settings';
+const DEFAULT_DESKTOP_SETTINGS = { closeToTray: false };
+const PENDING_CAPTURES_KEY = 'pending_captures';
+
+// Events between the tray, the capture window and the board window
+const CAPTURE_EVENT = 'quick-capture';
+const CAPTURE_OPENED_EVENT = 'capture-opened';
+const TRAY_TIMER_EVENT = 'tray-start-timer';
+
+function getTauri() {
+    return typeof window !== 'undefined' ? window.__TAURI__ : null;
+}
+
+function isDesktopApp() {
+    return !!getTauri()?.core?.invoke;
+}
+
+// The global shortcut for quick capture, as registered in src-tauri/src/lib.rs
+function getCaptureShortcut(platform = typeof navigator !== 'undefined' ? navigator.platform : '') {
+    return /mac/i.test(platform) ? 'Cmd+Shift+Space' : 'Ctrl+Shift+Space';
+}
+
+// Settings
+function loadDesktopSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(DESKTOP_SETTINGS_KEY)) || {};
+        return { closeToTray: saved.closeToTray === true };
+    } catch (error) {
+        return { ...DEFAULT_DESKTOP_SETTINGS };
+    }
+}
+
+function saveDesktopSettings(settings) {
+    localStorage.setItem(DESKTOP_SETTINGS_KEY, JSON.stringify({ closeToTray: !!settings.closeToTray }));
+}
+
+/**
+ * Tell the app what closing the board window should do
+ * The app doesn't keep this itself, so it's sent each time the board loads.
+ */
+async function applyDesktopSettings(settings) {
+    const invoke = getTauri()?.core?.invoke;
+    if (!invoke) return;
+    try {
+        await invoke('set_close_to_tray', { enabled: settings.closeToTray });
+    } catch (error) {
+        console.error('Failed to apply desktop settings:', error);
+    }
+}
+
+// Windows and events
+/**
+ * Listen for an event from the tray or another window
+ * @returns {Promise<Function>} Stops listening
+ */
+async function onDesktopEvent(name, handler) {
+    const listen = getTauri()?.event?.listen;
+    if (!listen) return () => {};
+    return listen(name, event => handler(event.payload));
+}
+
+// Bring the board window forward, e.g. to ask something about a capture
+async function showBoardWindow() {
+    const invoke = getTauri()?.core?.invoke;
+    if (invoke) {
+        await invoke('show_board');
+    }
+}
+
+async function hideCaptureWindow() {
+    const invoke = getTauri()?.core?.invoke;
+    if (invoke) {
+        await invoke('hide_capture');
+    }
+}
+
+// Captures
+// Quick-add lines the board window hasn't added yet: [{id, text}], oldest first
+function loadPendingCaptures() {
+    try {
+        const captures = JSON.parse(localStorage.getItem(PENDING_CAPTURES_KEY));
+        return Array.isArray(captures) ? captures : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function savePendingCaptures(captures) {
+    if (captures.length > 0) {
+        localStorage.setItem(PENDING_CAPTURES_KEY, JSON.stringify(captures));
+    } else {
+        localStorage.removeItem(PENDING_CAPTURES_KEY);
+    }
+}
+
+// Once the board window has added it
+function removePendingCapture(id) {
+    savePendingCaptures(loadPendingCaptures().filter(capture => capture.id !== id));
+}
+
+/**
+ * Keep a quick-add line for the board window, tell it, and hide
+ * The line is kept before anything else, so it isn't lost if the board
+ * window isn't there to hear.
+ */
+async function sendCapture(text) {
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    savePendingCaptures([...loadPendingCaptures(), { id, text }]);
+    try {
+        await getTauri().event.emitTo('main', CAPTURE_EVENT);
+    } catch (error) {
+        console.error('Failed to tell the board window about a capture:', error);
+    }
+    try {
+        await hideCaptureWindow();
+    } catch (error) {
+        console.error('Failed to hide the capture window:', error);
+    }
+}
+
+export {
+    DESKTOP_SETTINGS_KEY,
+    PENDING_CAPTURES_KEY,
+    CAPTURE_EVENT,
+    CAPTURE_OPENED_EVENT,
+    TRAY_TIMER_EVENT,
+    isDesktopApp,
+    getCaptureShortcut,
+    loadDesktopSettings,
+    saveDesktopSettings,
+    applyDesktopSettings,
+    onDesktopEvent,
+    showBoardWindow,
+    hideCaptureWindow,
+    loadPendingCaptures,
+    removePendingCapture,
+    sendCapture,
+};
@@ -0,0 +1,130 @@
+/**
+ * Error types for ADHD Kanban
+ * Shared by the API client and the storage backends, so callers can handle
+ * failures the same way wherever the board lives
+ */
+
+// Thrown when the server cannot be reached at all (as opposed to an error response)
+class NetworkError extends Error {
+    constructor(message = 'Network error: Unable to connect to server') {
+        super(message);
+        this.name = 'NetworkError';
+    }
+}
+
+// Thrown when the server takes longer than the request's timeout
+class TimeoutError extends NetworkError {
+    constructor(message = 'Request timed out') {
+        super(message);
+        this.name = 'TimeoutError';
+    }
+}
+
+// Thrown when the caller cancels a request through its AbortSignal
+function createAbortError() {
+    const error = new Error('Request cancelled');
+    error.name = 'AbortError';
+    return error;
+}
+
+function isAbortError(error) {
+    return !!error && error.name === 'AbortError';
+}
+
+// Error codes used when the server doesn't send its own
+const STATUS_ERROR_CODES = {
+    400: 'validation_error',
+    401: 'not_authenticated',
+    403: 'permission_denied',
+    404: 'not_found',
+    405: 'method_not_allowed',
+    409: 'conflict',
+    412: 'conflict',
+    429: 'throttled',
+};
+
+// Keys in a DRF error body that aren't about a particular field
+const NON_FIELD_KEYS = ['error', 'detail', 'code', 'non_field_errors'];
+
+/**
+ * Error response from the API
+ * @property {number} status - HTTP status code
+ * @property {string} code - Machine-readable error code
+ * @property {Object<string, string[]>} fieldErrors - Messages per request field
+ * @property {string[]} nonFieldErrors - Messages about the request as a whole
+ * @property {*} body - Parsed response body (or text, for non-JSON responses)
+ */
+class ApiError extends Error {
+    constructor(message, { status = 0, code = null, fieldErrors = {}, nonFieldErrors = [], body = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.status = status;
+        this.code = code || STATUS_ERROR_CODES[status] || (status >= 500 ? 'server_error' : 'error');
+        this.fieldErrors = fieldErrors;
+        this.nonFieldErrors = nonFieldErrors;
+        this.body = body;
+    }
+    
+    hasFieldErrors() {
+        return Object.keys(this.fieldErrors).length > 0;
+    }
+}
+
+function toMessageList(value) {
+    if (Array.isArray(value)) {
+        return value.filter(item => typeof item === 'string');
+    }
+    return typeof value === 'string' ? [value] : [];
+}
+
+// Build an ApiError from an error response body
+function createApiError(response, data) {
+    const fieldErrors = {};
+    let nonFieldErrors = [];
+    let message = null;
+    
+    if (data && typeof data === 'object' && !Array.isArray(data)) {
+        for (const [key, value] of Object.entries(data)) {
+            if (NON_FIELD_KEYS.includes(key)) continue;
+            const messages = toMessageList(value);
+            if (messages.length > 0) {
+                fieldErrors[key] = messages;
+            }
+        }
+        nonFieldErrors = toMessageList(data.non_field_errors);
+        
+        if (typeof data.error === 'string') {
+            message = data.error;
+        } else if (typeof data.detail === 'string') {
+            message = data.detail;
+        } else if (fieldErrors.username) {
+            message = fieldErrors.username[0];
+        } else if (fieldErrors.password) {
+            message = fieldErrors.password[0];
+        } else if (nonFieldErrors.length > 0) {
+            message = nonFieldErrors[0];
+        } else if (Object.keys(fieldErrors).length > 0) {
+            message = Object.values(fieldErrors)[0][0];
+        }
+    } else if (Array.isArray(data)) {
+        nonFieldErrors = toMessageList(data);
+        message = nonFieldErrors[0] || null;
+    }
+    
+    return new ApiError(message || 'Request failed', {
+        status: response.status,
+        code: data && typeof data.code === 'string' ? data.code : null,
+        fieldErrors,
+        nonFieldErrors,
+        body: data,
+    });
+}
+
+export {
+    NetworkError,
+    TimeoutError,
+    ApiError,
+    createAbortError,
+    isAbortError,
+    createApiError,
+};
@@ -0,0 +1,153 @@
+/**
+ * Board search and filters for ADHD Kanban
+ * Decides which cards to show, and keeps named filters to switch between
+ *
+ * A filter is { query, column, age, labels }:
+ *   query  - words that must all appear in a card's title or description
+ *   column - only cards in this column (ID), or null for any
+ *   age    - one of AGE_FILTERS by value, or '' for any age
+ *   labels - cards with any of these label IDs; none means any
+ */
+
+import { matchesLabels } from './labels.js';
+
+const SAVED_FILTERS_KEY = 'saved_filters';
+const DAY = 86400000;
+
+// How long ago a card was added
+const AGE_FILTERS = [
+    { value: 'today', label: 'Added today', test: days => days < 1 },
+    { value: 'week', label: 'Added this week', test: days => days < 7 },
+    { value: 'older-week', label: 'Older than a week', test: days => days >= 7 },
+    { value: 'older-month', label: 'Older than a month', test: days => days >= 30 },
+];
+
+function createFilter() {
+    return { query: '', column: null, age: '', labels: [] };
+}
+
+/**
+ * A filter from storage or elsewhere, with anything unusable dropped
+ */
+function normalizeFilter(raw) {
+    const filter = createFilter();
+    if (!raw || typeof raw !== 'object') return filter;
+    if (typeof raw.query === 'string') filter.query = raw.query;
+    if (Number.isInteger(raw.column)) filter.column = raw.column;
+    if (AGE_FILTERS.some(age => age.value === raw.age)) filter.age = raw.age;
+    if (Array.isArray(raw.labels)) filter.labels = raw.labels.filter(Number.isInteger);
+    return filter;
+}
+
+function isFilterEmpty(filter) {
+    return !filter.query.trim() && filter.column === null && !filter.age && filter.labels.length === 0;
+}
+
+function getQueryWords(query) {
+    return query.toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+// Every word of the query is in the title or description
+function matchesQuery(task, query) {
+    const text = `${task.title} ${task.description || ''}`.toLowerCase();
+    return getQueryWords(query).every(word => text.includes(word));
+}
+
+// Days (and part days) since a card was added
+function getTaskAge(task, now = Date.now()) {
+    const created = Date.parse(task.created_at);
+    return Number.isNaN(created) ? 0 : (now - created) / DAY;
+}
+
+/**
+ * Whether a card passes every part of a filter
+ * @param {number} columnId - The column the card is in
+ */
+function matchesFilter(task, columnId, filter, now = Date.now()) {
+    if (filter.column !== null && filter.column !== columnId) return false;
+    if (filter.age) {
+        const age = AGE_FILTERS.find(a => a.value === filter.age);
+        if (age && !age.test(getTaskAge(task, now))) return false;
+    }
+    return matchesLabels(task, filter.labels) && matchesQuery(task, filter.query);
+}
+
+/**
+ * Split text into the parts that match the query's words and the parts between
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+function splitMatches(text, query) {
+    const words = getQueryWords(query);
+    if (words.length === 0 || !text) return text ? [{ text, match: false }] : [];
+
+    // Mark every matched character, so overlapping words highlight as one run
+    const lower = text.toLowerCase();
+    const marked = new Array(text.length).fill(false);
+    for (const word of words) {
+        let index = lower.indexOf(word);
+        while (index !== -1) {
+            marked.fill(true, index, index + word.length);
+            index = lower.indexOf(word, index + 1);
+        }
+    }
+
+    const parts = [];
+    for (let i = 0; i < text.length; i++) {
+        const last = parts[parts.length - 1];
+        if (last && last.match === marked[i]) {
+            last.text += text[i];
+        } else {
+            parts.push({ text: text[i], match: marked[i] });
+        }
+    }
+    return parts;
+}
+
+// Saved filters - [{ name, filter }], kept per user on this device
+function getSavedFiltersKey(username) {
+    return `${SAVED_FILTERS_KEY}:${username || ''}`;
+}
+
+function loadSavedFilters(username) {
+    try {
+        const saved = JSON.parse(localStorage.getItem(getSavedFiltersKey(username)));
+        return Array.isArray(saved)
+            ? saved.filter(item => item && typeof item.name === 'string').map(item => ({ name: item.name, filter: normalizeFilter(item.filter) }))
+            : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveSavedFilters(username, savedFilters) {
+    localStorage.setItem(getSavedFiltersKey(username), JSON.stringify(savedFilters));
+}
+
+/**
+ * Add a named filter, replacing one with the same name (ignoring case)
+ * @returns {Array} The new list, sorted by name
+ */
+function putSavedFilter(savedFilters, name, filter) {
+    const others = savedFilters.filter(item => item.name.toLowerCase() !== name.toLowerCase());
+    return [...others, { name, filter: normalizeFilter(filter) }]
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function removeSavedFilter(savedFilters, name) {
+    return savedFilters.filter(item => item.name !== name);
+}
+
+export {
+    AGE_FILTERS,
+    createFilter,
+    normalizeFilter,
+    isFilterEmpty,
+    matchesQuery,
+    getTaskAge,
+    matchesFilter,
+    splitMatches,
+    loadSavedFilters,
+    saveSavedFilters,
+    putSavedFilter,
+    removeSavedFilter,
+};
@@ -0,0 +1,81 @@
+/**
+ * Focus mode for ADHD Kanban
+ * Works out which task focus mode shows, and where it goes next
+ *
+ * Focus mode steps through the tasks in the "In Progress" column one at a
+ * time. The chosen task is remembered in localStorage so a reload comes back
+ * to it.
+ */
+
+const FOCUS_STATE_KEY = 'focus_mode';
+
+const FOCUS_COLUMN_NAMES = ['in progress', 'doing'];
+
+/**
+ * The column focus mode steps through
+ * "In Progress" by name, otherwise the second column (the first if there's only one)
+ */
+function getFocusColumn(columns) {
+    const named = columns.find(c => FOCUS_COLUMN_NAMES.includes(c.name.trim().toLowerCase()));
+    return named || columns[1] || columns[0] || null;
+}
+
+function getFocusQueue(columns) {
+    const column = getFocusColumn(columns);
+    return column && column.tasks ? column.tasks : [];
+}
+
+/**
+ * The task `step` places along from `taskId` in the focus column, wrapping around
+ * A task outside the column steps to the first (or, going back, the last) one.
+ * @returns {number|null} Task ID, or null if the column is empty
+ */
+function stepFocus(columns, taskId, step) {
+    const queue = getFocusQueue(columns);
+    if (queue.length === 0) return null;
+    const index = queue.findIndex(t => t.id === taskId);
+    if (index === -1) {
+        return step < 0 ? queue[queue.length - 1].id : queue[0].id;
+    }
+    return queue[(index + step + queue.length) % queue.length].id;
+}
+
+/**
+ * The task to show once `taskId` leaves the focus column (done or parked)
+ * The one after it, or before it if it was last.
+ * @returns {number|null}
+ */
+function getFocusSuccessor(columns, taskId) {
+    const queue = getFocusQueue(columns);
+    const index = queue.findIndex(t => t.id === taskId);
+    if (index === -1) {
+        return queue.length > 0 ? queue[0].id : null;
+    }
+    const next = queue[index + 1] || queue[index - 1];
+    return next ? next.id : null;
+}
+
+/**
+ * Whether focus mode is on and which task it shows: { active, taskId }
+ */
+function loadFocusState() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(FOCUS_STATE_KEY)) || {};
+        return { active: !!saved.active, taskId: saved.taskId ?? null };
+    } catch (error) {
+        return { active: false, taskId: null };
+    }
+}
+
+function saveFocusState(state) {
+    localStorage.setItem(FOCUS_STATE_KEY, JSON.stringify({ active: state.active, taskId: state.taskId }));
+}
+
+export {
+    getFocusColumn,
+    getFocusQueue,
+    stepFocus,
+    getFocusSuccessor,
+    loadFocusState,
+    saveFocusState,
+};
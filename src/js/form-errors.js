@@ -0,0 +1,83 @@
+/**
+ * Inline form error display
+ * Puts API validation messages next to the fields they belong to
+ */
+
+/**
+ * Remove all inline errors from a form
+ */
+function clearFieldErrors(form) {
+    form.querySelectorAll('.field-error').forEach(el => el.remove());
+    form.querySelectorAll('[aria-invalid="true"]').forEach(input => {
+        input.removeAttribute('aria-invalid');
+        const describedBy = (input.getAttribute('aria-describedby') || '')
+            .split(' ')
+            .filter(id => id && id !== `${input.id}-error`)
+            .join(' ');
+        if (describedBy) {
+            input.setAttribute('aria-describedby', describedBy);
+        } else {
+            input.removeAttribute('aria-describedby');
+        }
+    });
+}
+
+/**
+ * Show a message under a single input
+ */
+function setFieldError(input, message) {
+    const errorId = `${input.id}-error`;
+    let errorEl = document.getElementById(errorId);
+    if (!errorEl) {
+        errorEl = document.createElement('div');
+        errorEl.id = errorId;
+        errorEl.className = 'field-error';
+        input.insertAdjacentElement('afterend', errorEl);
+    }
+    errorEl.textContent = message;
+
+    input.setAttribute('aria-invalid', 'true');
+    const describedBy = (input.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+    if (!describedBy.includes(errorId)) {
+        describedBy.push(errorId);
+    }
+    input.setAttribute('aria-describedby', describedBy.join(' '));
+}
+
+/**
+ * Show an error's field messages inline
+ * @param {HTMLFormElement} form
+ * @param {Error} error - Usually an ApiError; plain errors have no field messages
+ * @param {Object<string, string>} fieldInputs - API field name -> input element id
+ * @returns {string|null} Message for anything that couldn't be shown next to a field
+ *   (possibly empty), or null when everything was shown inline
+ */
+function showFieldErrors(form, error, fieldInputs) {
+    clearFieldErrors(form);
+
+    const fieldErrors = error.fieldErrors || {};
+    const unplaced = [...(error.nonFieldErrors || [])];
+    let firstInvalid = null;
+
+    for (const [field, messages] of Object.entries(fieldErrors)) {
+        const input = fieldInputs[field] && document.getElementById(fieldInputs[field]);
+        if (input) {
+            setFieldError(input, messages.join(' '));
+            firstInvalid = firstInvalid || input;
+        } else {
+            unplaced.push(...messages);
+        }
+    }
+
+    if (firstInvalid) {
+        firstInvalid.focus();
+    }
+
+    if (unplaced.length > 0) {
+        return unplaced.join(' ');
+    }
+    // Nothing went next to a field, so the overall message is all there is
+    return firstInvalid ? null : (error.message || '');
+}
+
+export { clearFieldErrors, setFieldError, showFieldErrors };
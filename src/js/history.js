@@ -0,0 +1,117 @@
+/**
+ * Undo/redo history for ADHD Kanban
+ * Records board actions as commands that know how to undo and redo themselves
+ *
+ * A command is { label, undo, redo }, where undo and redo are async functions
+ * that replay the inverse (or original) operation. Deleted items come back
+ * with new IDs, so commands look IDs up through resolveId() when they run
+ * rather than trusting the ID they were recorded with.
+ */
+
+const HISTORY_LIMIT = 50;
+
+/**
+ * Create an empty history
+ * @param {Object} [options] - { limit } on the number of undoable commands
+ */
+function createHistory({ limit = HISTORY_LIMIT } = {}) {
+    let undoStack = [];
+    let redoStack = [];
+    let running = false;
+    const idMap = new Map();
+    const listeners = new Set();
+
+    function notify() {
+        listeners.forEach(listener => listener());
+    }
+
+    async function run(from, to, step) {
+        if (running || from.length === 0) return null;
+        const command = from.pop();
+        running = true;
+        try {
+            await command[step]();
+            to.push(command);
+            return command;
+        } finally {
+            // A command that failed is dropped - the board no longer matches it
+            running = false;
+            notify();
+        }
+    }
+
+    return {
+        /**
+         * Record a command that has just been carried out
+         * Starts a new branch: anything that could be redone is forgotten.
+         */
+        record(command) {
+            undoStack.push(command);
+            if (undoStack.length > limit) {
+                undoStack.shift();
+            }
+            redoStack = [];
+            notify();
+        },
+
+        // Resolve to the undone/redone command, or null if there was nothing to do
+        undo() {
+            return run(undoStack, redoStack, 'undo');
+        },
+
+        redo() {
+            return run(redoStack, undoStack, 'redo');
+        },
+
+        canUndo() {
+            return !running && undoStack.length > 0;
+        },
+
+        canRedo() {
+            return !running && redoStack.length > 0;
+        },
+
+        isRunning() {
+            return running;
+        },
+
+        // Label of the command the next undo would revert
+        nextUndoLabel() {
+            return undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null;
+        },
+
+        /**
+         * Note that an item now has a different ID (re-created, or synced after being created offline)
+         * @param {string} kind - 'task' or 'column'
+         */
+        replaceId(kind, oldId, newId) {
+            if (oldId !== newId) {
+                idMap.set(`${kind}:${oldId}`, newId);
+            }
+        },
+
+        // Current ID of an item recorded under an older one
+        resolveId(kind, id) {
+            const seen = new Set();
+            while (idMap.has(`${kind}:${id}`) && !seen.has(id)) {
+                seen.add(id);
+                id = idMap.get(`${kind}:${id}`);
+            }
+            return id;
+        },
+
+        clear() {
+            undoStack = [];
+            redoStack = [];
+            idMap.clear();
+            notify();
+        },
+
+        onChange(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        },
+    };
+}
+
+export { createHistory, HISTORY_LIMIT };
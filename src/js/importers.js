@@ -0,0 +1,372 @@
+/**
+ * Importers for ADHD Kanban
+ * Reads boards from other apps - a Trello board export (JSON), a Todoist
+ * project export (CSV) - and plain-text or Markdown lists
+ *
+ * Each gives an import as readImport() in transfer.js does, plus what it
+ * left out: { data, problems, skipped }, with skipped as messages like
+ * 'Attachments on 3 cards'. Lists and sections become columns, cards and
+ * tasks become tasks, and checklists and subtasks become checklist steps.
+ */
+
+import { toDayString } from './dates.js';
+import { MAX_CHECKLIST_ITEMS, MAX_ITEM_LENGTH } from './checklist.js';
+import { isDay, parseCsv, readImport } from './transfer.js';
+
+// Where tasks that come before any list or section go
+const DEFAULT_COLUMN = 'To Do';
+
+// Trello's label colours (its _light and _dark shades map to the same ones)
+const TRELLO_COLORS = {
+    green: '#61bd4f',
+    yellow: '#f2d600',
+    orange: '#ff9f1a',
+    red: '#eb5a46',
+    purple: '#c377e0',
+    blue: '#0079bf',
+    sky: '#00c2e0',
+    lime: '#51e898',
+    pink: '#ff78cb',
+    black: '#344563',
+};
+
+function plural(count, word) {
+    return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function trimmed(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function createTask(title) {
+    return { title, description: '', due_date: null, do_date: null, labels: [], checklist: [], pomodoros: 0 };
+}
+
+// The column named `name`, added after the others if there isn't one yet
+function getColumn(columns, name) {
+    let column = columns.find(c => c.name.toLowerCase() === name.toLowerCase());
+    if (!column) {
+        column = { name, wip_limit: null, wip_block: false, tasks: [] };
+        columns.push(column);
+    }
+    return column;
+}
+
+/**
+ * Add steps to a task's checklist, up to the limits of one
+ * @returns {number} Steps that didn't fit
+ */
+function addSteps(task, steps) {
+    let left = 0;
+    steps.forEach(step => {
+        const text = step.text.slice(0, MAX_ITEM_LENGTH);
+        if (!text) return;
+        if (task.checklist.length < MAX_CHECKLIST_ITEMS) {
+            task.checklist.push({ text, done: !!step.done });
+        } else {
+            left++;
+        }
+    });
+    return left;
+}
+
+/**
+ * Counts of things left out, as messages
+ * @param {Array<[number, string]>} counts - [count, message for that count]
+ */
+function describeSkipped(counts) {
+    return counts.filter(([count]) => count > 0).map(([, message]) => message);
+}
+
+function byPos(a, b) {
+    return (a.pos ?? 0) - (b.pos ?? 0);
+}
+
+// The day of a Trello date-time, in local time
+function trelloDay(value) {
+    const date = value ? new Date(value) : null;
+    return date && !Number.isNaN(date.getTime()) ? toDayString(date) : null;
+}
+
+// Trello
+/**
+ * A Trello board export (Menu > Print, export and share > Export as JSON)
+ * Open lists in order become columns, with their open cards. Archived lists
+ * and cards, attachments, comments and members are left out.
+ */
+function readTrello(text) {
+    let board;
+    try {
+        board = JSON.parse(text);
+    } catch (error) {
+        return { data: null, problems: ['The file isn\'t valid JSON.'], skipped: [] };
+    }
+    if (!board || !Array.isArray(board.lists) || !Array.isArray(board.cards)) {
+        return { data: null, problems: ['This isn\'t a Trello board export.'], skipped: [] };
+    }
+
+    const labels = (board.labels || []).map(label => {
+        const color = typeof label.color === 'string' ? label.color.replace(/_(light|dark)$/, '') : '';
+        return {
+            id: label.id,
+            // Trello labels can be just a colour
+            name: trimmed(label.name) || (color ? color[0].toUpperCase() + color.slice(1) : ''),
+            color: TRELLO_COLORS[color] || null,
+        };
+    }).filter(label => label.name);
+    const checklists = (board.checklists || []).slice().sort(byPos);
+
+    const counts = { closedLists: 0, closedCards: 0, untitled: 0, steps: 0, attachments: 0, members: 0 };
+    const lists = board.lists.filter(list => {
+        if (list.closed) counts.closedLists++;
+        return !list.closed && trimmed(list.name);
+    }).sort(byPos);
+
+    const columns = lists.map(list => ({ name: trimmed(list.name), wip_limit: null, wip_block: false, tasks: [] }));
+    board.cards.slice().sort(byPos).forEach(card => {
+        const index = lists.findIndex(list => list.id === card.idList);
+        // Cards in archived lists are counted with the list
+        if (index === -1) return;
+        if (card.closed) {
+            counts.closedCards++;
+            return;
+        }
+        const title = trimmed(card.name);
+        if (!title) {
+            counts.untitled++;
+            return;
+        }
+        const task = createTask(title);
+        task.description = typeof card.desc === 'string' ? card.desc : '';
+        task.due_date = trelloDay(card.due);
+        task.do_date = trelloDay(card.start);
+        task.labels = (card.idLabels || [])
+            .map(id => labels.find(label => label.id === id)?.name)
+            .filter(Boolean);
+        checklists.filter(checklist => checklist.idCard === card.id).forEach(checklist => {
+            counts.steps += addSteps(task, (checklist.checkItems || []).slice().sort(byPos).map(item => ({
+                text: trimmed(item.name),
+                done: item.state === 'complete',
+            })));
+        });
+        if (card.badges?.attachments || card.attachments?.length) counts.attachments++;
+        if (card.idMembers?.length) counts.members++;
+        columns[index].tasks.push(task);
+    });
+
+    const comments = (board.actions || []).filter(action => action.type === 'commentCard').length;
+    const skipped = describeSkipped([
+        [counts.closedLists, `${plural(counts.closedLists, 'archived list')} and the cards in them`],
+        [counts.closedCards, plural(counts.closedCards, 'archived card')],
+        [counts.untitled, plural(counts.untitled, 'card') + ' with no title'],
+        [counts.steps, `${plural(counts.steps, 'checklist item')} over the limit of ${MAX_CHECKLIST_ITEMS} a card`],
+        [counts.attachments, `Attachments on ${plural(counts.attachments, 'card')}`],
+        [comments, plural(comments, 'comment')],
+        [counts.members, `Members on ${plural(counts.members, 'card')}`],
+    ]);
+    return {
+        data: { columns, labels: labels.map(({ name, color }) => ({ name, color })) },
+        problems: [],
+        skipped,
+    };
+}
+
+// Todoist
+function getCsvFields(text) {
+    const rows = parseCsv(text.replace(/^\uFEFF/, '').split(/\r?\n/)[0]);
+    return rows && rows[0] ? rows[0].map(cell => cell.trim().toLowerCase()) : [];
+}
+
+/**
+ * A Todoist project export (CSV)
+ * Sections become columns; tasks before the first section go in "To Do".
+ * Subtasks become checklist steps of the task above them, comments are added
+ * to its description, and @labels in a task's name become labels. Dates
+ * other than a plain YYYY-MM-DD (such as "every monday") and priorities are
+ * left out.
+ */
+function readTodoist(text) {
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!rows) {
+        return { data: null, problems: ['The CSV has a quoted value that never ends.'], skipped: [] };
+    }
+    const [header = [], ...body] = rows;
+    const fields = header.map(cell => cell.trim().toLowerCase());
+    if (!fields.includes('type') || !fields.includes('content')) {
+        return { data: null, problems: ['This isn\'t a Todoist export.'], skipped: [] };
+    }
+
+    const columns = [];
+    const labels = [];
+    const counts = { dates: 0, priorities: 0, steps: 0, orphans: 0 };
+    let column = null;
+    let task = null;
+    body.forEach(cells => {
+        const values = Object.fromEntries(fields.map((field, i) => [field, (cells[i] || '').trim()]));
+        const type = values.type.toLowerCase();
+        if (type === 'section') {
+            column = values.content ? getColumn(columns, values.content) : column;
+            task = null;
+        } else if (type === 'task' && values.content) {
+            // Todoist shows priority 4 as "p1" and 1 (no priority) as "p4"
+            const priority = Number(values.priority) || 1;
+            const indent = Number(values.indent) || 1;
+            const names = [];
+            const title = values.content
+                .replace(/(^|\s)@([^\s@]+)/g, (match, space, name) => {
+                    names.push(name);
+                    return space;
+                })
+                .replace(/\s+/g, ' ')
+                .trim();
+            if (indent > 1 && task) {
+                counts.steps += addSteps(task, [{ text: title || values.content, done: false }]);
+                return;
+            }
+            task = createTask(title || values.content);
+            task.description = values.description || '';
+            task.labels = [...new Set(names)];
+            names.forEach(name => {
+                if (!labels.some(l => l.name.toLowerCase() === name.toLowerCase())) {
+                    labels.push({ name, color: null });
+                }
+            });
+            if (isDay(values.date)) {
+                task.due_date = values.date;
+            } else if (values.date) {
+                counts.dates++;
+            }
+            if (priority > 1) counts.priorities++;
+            column = column || getColumn(columns, DEFAULT_COLUMN);
+            column.tasks.push(task);
+        } else if (type === 'note' && values.content) {
+            if (task) {
+                task.description = [task.description, values.content].filter(Boolean).join('\n\n');
+            } else {
+                counts.orphans++;
+            }
+        }
+    });
+
+    const skipped = describeSkipped([
+        [counts.dates, `Dates on ${plural(counts.dates, 'task')} that aren't a single day (like "every monday")`],
+        [counts.priorities, `Priorities on ${plural(counts.priorities, 'task')}`],
+        [counts.steps, `${plural(counts.steps, 'subtask')} over the limit of ${MAX_CHECKLIST_ITEMS} a task`],
+        [counts.orphans, `${plural(counts.orphans, 'comment')} on the project rather than a task`],
+    ]);
+    return { data: { columns, labels }, problems: [], skipped };
+}
+
+// Plain text and Markdown
+const HEADING = /^#{1,6}\s+(.+?)\s*#*$/;
+const LIST_ITEM = /^([-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/;
+// A due date as the Markdown export writes it
+const DUE_SUFFIX = /\s*\(due (\d{4}-\d{2}-\d{2})\)$/;
+
+/**
+ * A list, one task a line, pasted or from a .txt or .md file
+ * Headings ("## Today", or "Today:" on its own line) start a column; tasks
+ * before the first go in "To Do". Bullets and checkboxes are optional.
+ * Indented items under a task are its checklist steps, and other indented
+ * lines its description. Headings with nothing under them are left out, so
+ * a "# Board" title above the columns isn't a column of its own.
+ */
+function readTextList(text) {
+    const columns = [];
+    // The latest heading, until a task goes under it
+    let heading = null;
+    let column = null;
+    let task = null;
+    const counts = { steps: 0, empty: 0 };
+
+    text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach(line => {
+        const content = line.trim();
+        // Notes like the Markdown export's "_No tasks_" aren't tasks
+        if (!content || /^_[^_]+_$/.test(content)) return;
+        const indented = /^(\s{2,}|\t)/.test(line);
+        const item = LIST_ITEM.exec(content);
+
+        const headingMatch = !indented && !item && (HEADING.exec(content) || /^(.+):$/.exec(content));
+        if (headingMatch) {
+            if (heading !== null) counts.empty++;
+            heading = headingMatch[1].trim();
+            task = null;
+            return;
+        }
+
+        if (indented && task) {
+            if (item) {
+                counts.steps += addSteps(task, [{ text: item[3].trim(), done: item[2] === 'x' || item[2] === 'X' }]);
+            } else {
+                task.description = [task.description, content].filter(Boolean).join('\n');
+            }
+            return;
+        }
+
+        let title = item ? item[3].trim() : content;
+        const due = DUE_SUFFIX.exec(title);
+        if (due && isDay(due[1])) {
+            title = title.slice(0, due.index);
+        }
+        if (!title) return;
+        if (heading !== null) {
+            column = getColumn(columns, heading);
+            heading = null;
+        }
+        column = column || getColumn(columns, DEFAULT_COLUMN);
+        task = createTask(title);
+        task.due_date = due && isDay(due[1]) ? due[1] : null;
+        column.tasks.push(task);
+    });
+    if (heading !== null) counts.empty++;
+
+    if (columns.length === 0) {
+        return { data: null, problems: ['There are no tasks in this list.'], skipped: [] };
+    }
+    const skipped = describeSkipped([
+        [counts.steps, `${plural(counts.steps, 'step')} over the limit of ${MAX_CHECKLIST_ITEMS} a task`],
+        [counts.empty, `${plural(counts.empty, 'heading')} with nothing under ${counts.empty === 1 ? 'it' : 'them'}`],
+    ]);
+    return { data: { columns, labels: [] }, problems: [], skipped };
+}
+
+/**
+ * Read an import in any format the app knows, going by the file name (if
+ * there is one) and then the contents: an ADHD Kanban backup or CSV, a
+ * Trello or Todoist export, or a plain list
+ * @returns {{data: Object|null, problems: Array<string>, skipped: Array<string>}}
+ */
+function readAnyImport(text, fileName = '') {
+    const name = fileName.toLowerCase();
+    const extension = /\.([a-z]+)$/.exec(name)?.[1] || '';
+    const start = text.trimStart();
+
+    if (extension === 'json' || (!['csv', 'txt', 'md'].includes(extension) && start.startsWith('{'))) {
+        let parsed = null;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            // readImport() reports it
+        }
+        if (parsed && Array.isArray(parsed.lists) && Array.isArray(parsed.cards)) {
+            return readTrello(text);
+        }
+        return { skipped: [], ...readImport(text, 'import.json') };
+    }
+    const fields = ['txt', 'md'].includes(extension) ? [] : getCsvFields(text);
+    if (fields.includes('type') && fields.includes('content')) {
+        return readTodoist(text);
+    }
+    if (extension === 'csv' || (fields.includes('column') && fields.includes('title'))) {
+        return { skipped: [], ...readImport(text, 'import.csv') };
+    }
+    return readTextList(text);
+}
+
+export {
+    TRELLO_COLORS,
+    readTrello,
+    readTodoist,
+    readTextList,
+    readAnyImport,
+};
@@ -0,0 +1,105 @@
+/**
+ * Keyboard navigation for ADHD Kanban
+ * Works out where arrow keys take the focus, or a picked-up card or column
+ *
+ * Positions are { column, task } indexes into the board's columns; a task
+ * index of -1 means the column's header.
+ */
+
+const ARROW_KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+
+function taskCount(columns, columnIndex) {
+    const tasks = columns[columnIndex].tasks;
+    return tasks ? tasks.length : 0;
+}
+
+/**
+ * Where focus goes from `position` for a key
+ * Up from the first task reaches the column header; left/right keep roughly
+ * the same row in the next column.
+ * @returns {{column: number, task: number}|null} New position, or null if it doesn't move
+ */
+function getFocusTarget(columns, position, key) {
+    const { column, task } = position;
+    const count = taskCount(columns, column);
+    let target = null;
+
+    switch (key) {
+        case 'ArrowUp':
+            if (task > -1) target = { column, task: task - 1 };
+            break;
+        case 'ArrowDown':
+            if (task < count - 1) target = { column, task: task + 1 };
+            break;
+        case 'ArrowLeft':
+        case 'ArrowRight': {
+            const next = column + (key === 'ArrowLeft' ? -1 : 1);
+            if (next < 0 || next >= columns.length) break;
+            const nextCount = taskCount(columns, next);
+            target = { column: next, task: task === -1 ? -1 : Math.min(task, nextCount - 1) };
+            break;
+        }
+        case 'Home':
+            if (count > 0 && task !== 0) target = { column, task: 0 };
+            break;
+        case 'End':
+            if (count > 0 && task !== count - 1) target = { column, task: count - 1 };
+            break;
+        default:
+            break;
+    }
+
+    return target;
+}
+
+/**
+ * Where a picked-up card goes from `position` for an arrow key
+ * Up/down move it within its column; left/right move it to the same row of
+ * the next column, or the end if that column is shorter.
+ * @returns {{column: number, task: number}|null} New position, or null at the board's edge
+ */
+function getCardMoveTarget(columns, position, key) {
+    const { column, task } = position;
+    const count = taskCount(columns, column);
+
+    switch (key) {
+        case 'ArrowUp':
+            return task > 0 ? { column, task: task - 1 } : null;
+        case 'ArrowDown':
+            return task < count - 1 ? { column, task: task + 1 } : null;
+        case 'ArrowLeft':
+        case 'ArrowRight': {
+            const next = column + (key === 'ArrowLeft' ? -1 : 1);
+            if (next < 0 || next >= columns.length) return null;
+            return { column: next, task: Math.min(task, taskCount(columns, next)) };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Where a picked-up column goes for an arrow key
+ * @returns {number|null} New index, or null at the board's edge
+ */
+function getColumnMoveTarget(columns, index, key) {
+    if (key === 'ArrowLeft' && index > 0) return index - 1;
+    if (key === 'ArrowRight' && index < columns.length - 1) return index + 1;
+    return null;
+}
+
+/**
+ * Spoken description of a card's position, e.g. "In Progress, position 2 of 3"
+ */
+function describePosition(columns, position) {
+    const column = columns[position.column];
+    return `${column.name}, position ${position.task + 1} of ${taskCount(columns, position.column)}`;
+}
+
+export {
+    ARROW_KEYS,
+    getFocusTarget,
+    getCardMoveTarget,
+    getColumnMoveTarget,
+    describePosition,
+};
@@ -0,0 +1,58 @@
+/**
+ * Labels for ADHD Kanban
+ * Colour helpers and the label filter; the labels themselves come from the API
+ *
+ * A label is { id, name, color } with color as #rrggbb. Tasks list the IDs
+ * of their labels in task.labels.
+ */
+
+// Offered in turn for new labels
+const LABEL_COLORS = ['#e74c3c', '#e67e22', '#f1c40f', '#2ecc71', '#1abc9c', '#3498db', '#9b59b6', '#95a5a6'];
+
+// Label colours end up in style attributes, so only #rrggbb is used
+function isLabelColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+}
+
+// A colour for the next label, avoiding ones already taken while there are spare ones
+function nextLabelColor(labels) {
+    const used = new Set(labels.map(l => l.color.toLowerCase()));
+    return LABEL_COLORS.find(color => !used.has(color)) || LABEL_COLORS[labels.length % LABEL_COLORS.length];
+}
+
+/**
+ * Dark or light text, whichever reads better on a label colour
+ */
+function getLabelTextColor(color) {
+    if (!isLabelColor(color)) return '#2c3e50';
+    const [r, g, b] = [1, 3, 5].map(start => parseInt(color.slice(start, start + 2), 16));
+    // Perceived brightness (ITU-R BT.601)
+    return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#2c3e50' : '#ffffff';
+}
+
+/**
+ * A task's labels, in the order of the label list
+ * IDs of labels that no longer exist are skipped.
+ */
+function getTaskLabels(task, labels) {
+    const ids = task.labels || [];
+    return labels.filter(label => ids.includes(label.id));
+}
+
+/**
+ * Whether a task passes the label filter: it has any of the chosen labels
+ * No chosen labels means no filtering.
+ */
+function matchesLabels(task, labelIds) {
+    if (labelIds.length === 0) return true;
+    return (task.labels || []).some(id => labelIds.includes(id));
+}
+
+export {
+    LABEL_COLORS,
+    isLabelColor,
+    nextLabelColor,
+    getLabelTextColor,
+    getTaskLabels,
+    matchesLabels,
+};
@@ -0,0 +1,611 @@
+/**
+ * Local storage backend for ADHD Kanban
+ * Implements the same board operations as the API server against boards
+ * kept on this device, so the desktop app works without an account
+ *
+ * The desktop app keeps everything in a JSON file in its data directory
+ * (through the local_board_load/local_board_save Tauri commands); a plain
+ * browser falls back to localStorage. Records look like the server's, so the
+ * rest of the app can't tell the difference.
+ *
+ * The store holds every board ({ id, name }) and, in one list, all their
+ * columns; each column names its board in `board`.
+ */
+
+import { ApiError } from './errors.js';
+import { MAX_CHECKLIST_ITEMS, MAX_ITEM_LENGTH } from './checklist.js';
+import { MAX_ESTIMATE, isPriority } from './planning.js';
+import { isTime } from './dates.js';
+
+const BROWSER_STORE_KEY = 'local_board';
+
+const DEFAULT_BOARD_NAME = 'My board';
+const DEFAULT_COLUMNS = ['To Do', 'In Progress', 'Done'];
+
+// Fields a task update may not change directly
+const PROTECTED_TASK_FIELDS = ['id', 'column', 'order', 'created_at', 'version'];
+
+const TASK_DATE_FIELDS = ['due_date', 'do_date'];
+
+const LABEL_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Operations run one at a time so each sees the previous one's result
+let queue = Promise.resolve();
+
+function getInvoke() {
+    return typeof window !== 'undefined' ? window.__TAURI__?.core?.invoke : null;
+}
+
+function clone(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function now() {
+    return new Date().toISOString();
+}
+
+function createColumnRecord(store, boardId, name, order) {
+    return { id: store.next_id++, board: boardId, name, order, wip_limit: null, wip_block: false, version: 1, tasks: [] };
+}
+
+// A new board starts with the default columns
+function addBoard(store, name) {
+    const board = { id: store.next_id++, name };
+    store.boards.push(board);
+    DEFAULT_COLUMNS.forEach((columnName, index) => {
+        store.columns.push(createColumnRecord(store, board.id, columnName, index + 1));
+    });
+    return board;
+}
+
+function createDefaultStore() {
+    const store = { next_id: 1, boards: [], columns: [], labels: [], archive: [] };
+    addBoard(store, DEFAULT_BOARD_NAME);
+    return store;
+}
+
+// Persistence
+async function readStore() {
+    const invoke = getInvoke();
+    const contents = invoke
+        ? await invoke('local_board_load')
+        : localStorage.getItem(BROWSER_STORE_KEY);
+    if (!contents) return createDefaultStore();
+    // Boards saved before labels or the archive existed have none
+    const store = { labels: [], archive: [], ...JSON.parse(contents) };
+    // Saved before there were several boards: its columns are the one board
+    if (!store.boards) {
+        const board = { id: store.next_id++, name: DEFAULT_BOARD_NAME };
+        store.boards = [board];
+        store.columns.forEach(column => { column.board = board.id; });
+    }
+    return store;
+}
+
+async function writeStore(store) {
+    const contents = JSON.stringify(store);
+    const invoke = getInvoke();
+    if (invoke) {
+        await invoke('local_board_save', { contents });
+    } else {
+        localStorage.setItem(BROWSER_STORE_KEY, contents);
+    }
+}
+
+/**
+ * Run an operation against the stored boards
+ * The store is re-read every time, so several windows can share one file.
+ * @param {Function} operation - (store) => result; may modify the store
+ * @param {boolean} write - Whether to save the store afterwards
+ */
+function withStore(operation, write = true) {
+    const run = queue.then(async () => {
+        const store = await readStore();
+        const result = operation(store);
+        if (write) {
+            await writeStore(store);
+        }
+        return result === undefined ? null : clone(result);
+    });
+    // Keep the queue going even if this operation fails
+    queue = run.catch(() => {});
+    return run;
+}
+
+// Lookups
+function notFound(what) {
+    return new ApiError(`${what} not found`, { status: 404 });
+}
+
+function findBoard(store, id) {
+    const board = store.boards.find(b => b.id === id);
+    if (!board) throw notFound('Board');
+    return board;
+}
+
+// The first board, when none is asked for
+function getBoardOrFirst(store, id) {
+    return id === null || id === undefined ? store.boards[0] : findBoard(store, id);
+}
+
+// A board's columns, in order
+function getBoardColumns(store, boardId) {
+    return store.columns.filter(c => c.board === boardId);
+}
+
+function findColumn(store, id) {
+    const column = store.columns.find(c => c.id === id);
+    if (!column) throw notFound('Column');
+    return column;
+}
+
+function findLabel(store, id) {
+    const label = store.labels.find(l => l.id === id);
+    if (!label) throw notFound('Label');
+    return label;
+}
+
+function findArchivedIndex(store, id) {
+    const index = store.archive.findIndex(t => t.id === id);
+    if (index === -1) throw notFound('Archived task');
+    return index;
+}
+
+function findTask(store, id) {
+    for (const column of store.columns) {
+        const task = column.tasks.find(t => t.id === id);
+        if (task) return { column, task };
+    }
+    throw notFound('Task');
+}
+
+// Same refusal the server gives for a stale conditional update
+function checkVersion(record, version) {
+    if (version !== null && version !== undefined && record.version !== version) {
+        throw new ApiError('This was changed somewhere else', {
+            status: 409,
+            body: { detail: 'This was changed somewhere else', current: clone(record) },
+        });
+    }
+}
+
+function requireName(value, field) {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new ApiError('This field may not be blank.', {
+            status: 400,
+            fieldErrors: { [field]: ['This field may not be blank.'] },
+        });
+    }
+    return value.trim();
+}
+
+// null (no limit) or a whole number of 1 or more
+function requireLimit(value) {
+    if (value === null || value === '') return null;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new ApiError('Enter a whole number of 1 or more.', {
+            status: 400,
+            fieldErrors: { wip_limit: ['Enter a whole number of 1 or more.'] },
+        });
+    }
+    return limit;
+}
+
+// null (no date) or a real calendar date as YYYY-MM-DD
+function requireDate(value, field) {
+    if (value === null || value === undefined || value === '') return null;
+    const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+    const date = match && new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+    if (!date || date.toISOString().slice(0, 10) !== value) {
+        throw new ApiError('Enter a valid date.', {
+            status: 400,
+            fieldErrors: { [field]: ['Enter a valid date.'] },
+        });
+    }
+    return value;
+}
+
+function requireColor(value) {
+    if (typeof value !== 'string' || !LABEL_COLOR_PATTERN.test(value)) {
+        throw new ApiError('Enter a colour like #3498db.', {
+            status: 400,
+            fieldErrors: { color: ['Enter a colour like #3498db.'] },
+        });
+    }
+    return value.toLowerCase();
+}
+
+// null (no time) or 'HH:MM'
+function requireTime(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (!isTime(value)) {
+        throw new ApiError('Enter a valid time.', {
+            status: 400,
+            fieldErrors: { due_time: ['Enter a valid time.'] },
+        });
+    }
+    return value;
+}
+
+// A time of day only means something on a due date
+function checkDueTime(task) {
+    if (task.due_time && !task.due_date) {
+        throw new ApiError('Add a due date to go with the time.', {
+            status: 400,
+            fieldErrors: { due_time: ['Add a due date to go with the time.'] },
+        });
+    }
+}
+
+// Finished focus sessions on a task
+function requirePomodoros(value) {
+    if (value === null || value === undefined) return 0;
+    if (!Number.isInteger(value) || value < 0) {
+        throw new ApiError('Focus sessions must be a whole number.', {
+            status: 400,
+            fieldErrors: { pomodoros: ['Focus sessions must be a whole number.'] },
+        });
+    }
+    return value;
+}
+
+// null (no estimate) or whole minutes, up to MAX_ESTIMATE
+function requireEstimate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const minutes = Number(value);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_ESTIMATE) {
+        throw new ApiError(`Enter a whole number of minutes up to ${MAX_ESTIMATE}.`, {
+            status: 400,
+            fieldErrors: { estimate: [`Enter a whole number of minutes up to ${MAX_ESTIMATE}.`] },
+        });
+    }
+    return minutes;
+}
+
+function requirePriority(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (!isPriority(value)) {
+        throw new ApiError('Choose high, medium or low.', {
+            status: 400,
+            fieldErrors: { priority: ['Choose high, medium or low.'] },
+        });
+    }
+    return value;
+}
+
+// A task's checklist: up to MAX_CHECKLIST_ITEMS steps, each with some text
+function requireChecklist(value) {
+    if (value === null || value === undefined) return [];
+    const invalid = message => new ApiError(message, {
+        status: 400,
+        fieldErrors: { checklist: [message] },
+    });
+    if (!Array.isArray(value) || value.some(item => !item || typeof item.text !== 'string')) {
+        throw invalid('Enter a list of steps.');
+    }
+    if (value.length > MAX_CHECKLIST_ITEMS) {
+        throw invalid(`A checklist can have up to ${MAX_CHECKLIST_ITEMS} steps.`);
+    }
+    const items = value.map(item => ({ text: item.text.trim(), done: !!item.done }));
+    if (items.some(item => !item.text || item.text.length > MAX_ITEM_LENGTH)) {
+        throw invalid(`Each step needs some text, up to ${MAX_ITEM_LENGTH} characters.`);
+    }
+    return items;
+}
+
+// A task's label IDs, which must all be existing labels
+function requireLabels(store, value) {
+    if (value === null || value === undefined) return [];
+    if (!Array.isArray(value) || value.some(id => !store.labels.some(l => l.id === id))) {
+        throw new ApiError('Unknown label.', {
+            status: 400,
+            fieldErrors: { labels: ['Unknown label.'] },
+        });
+    }
+    return [...new Set(value)];
+}
+
+function renumber(items) {
+    items.forEach((item, index) => { item.order = index + 1; });
+}
+
+function applyOrders(items, orders) {
+    for (const { id, order } of orders) {
+        const item = items.find(i => i.id === id);
+        if (item) item.order = order;
+    }
+    items.sort((a, b) => a.order - b.order);
+}
+
+// Operations - same signatures as the remote ones in api.js
+const localBackend = {
+    // Boards - labels are shared by all of them
+    getBoards() {
+        return withStore(store => store.boards, false);
+    },
+
+    // A board with its columns; the first board if none is given
+    getBoard({ boardId = null } = {}) {
+        return withStore(store => {
+            const board = getBoardOrFirst(store, boardId);
+            return { ...board, columns: getBoardColumns(store, board.id) };
+        }, false);
+    },
+
+    createBoard(name) {
+        return withStore(store => addBoard(store, requireName(name, 'name')));
+    },
+
+    updateBoard(id, changes) {
+        return withStore(store => {
+            const board = findBoard(store, id);
+            if ('name' in changes) {
+                board.name = requireName(changes.name, 'name');
+            }
+            return board;
+        });
+    },
+
+    // Its columns and their tasks go with it; archived tasks stay in the archive
+    deleteBoard(id) {
+        return withStore(store => {
+            findBoard(store, id);
+            if (store.boards.length === 1) {
+                throw new ApiError('You need at least one board.', { status: 400 });
+            }
+            store.boards = store.boards.filter(b => b.id !== id);
+            store.columns = store.columns.filter(c => c.board !== id);
+            return null;
+        });
+    },
+
+    getTask(id) {
+        return withStore(store => findTask(store, id).task, false);
+    },
+
+    createColumn(name, boardId = null) {
+        return withStore(store => {
+            const board = getBoardOrFirst(store, boardId);
+            const column = createColumnRecord(
+                store, board.id, requireName(name, 'name'), getBoardColumns(store, board.id).length + 1
+            );
+            store.columns.push(column);
+            return column;
+        });
+    },
+
+    updateColumn(id, changes, version = null) {
+        const update = typeof changes === 'string' ? { name: changes } : changes;
+        return withStore(store => {
+            const column = findColumn(store, id);
+            checkVersion(column, version);
+            if ('name' in update) {
+                column.name = requireName(update.name, 'name');
+            }
+            if ('wip_limit' in update) {
+                column.wip_limit = requireLimit(update.wip_limit);
+            }
+            if ('wip_block' in update) {
+                column.wip_block = !!update.wip_block;
+            }
+            column.version++;
+            const { tasks, ...fields } = column;
+            return fields;
+        });
+    },
+
+    deleteColumn(id) {
+        return withStore(store => {
+            const column = findColumn(store, id);
+            store.columns = store.columns.filter(c => c.id !== id);
+            renumber(getBoardColumns(store, column.board));
+            return null;
+        });
+    },
+
+    // Orders are within the columns' board; sorting keeps each board's in sequence
+    reorderColumns(columnOrders) {
+        return withStore(store => {
+            applyOrders(store.columns, columnOrders);
+            return { success: true };
+        });
+    },
+
+    createTask(title, columnId, description = '', fields = {}) {
+        return withStore(store => {
+            const column = findColumn(store, columnId);
+            const task = {
+                id: store.next_id++,
+                title: requireName(title, 'title'),
+                description: description || '',
+                column: column.id,
+                order: column.tasks.length + 1,
+                due_date: requireDate(fields.due_date, 'due_date'),
+                due_time: requireTime(fields.due_time),
+                do_date: requireDate(fields.do_date, 'do_date'),
+                estimate: requireEstimate(fields.estimate),
+                priority: requirePriority(fields.priority),
+                labels: requireLabels(store, fields.labels),
+                checklist: requireChecklist(fields.checklist),
+                pomodoros: requirePomodoros(fields.pomodoros),
+                created_at: now(),
+                updated_at: now(),
+                column_changed_at: now(),
+                version: 1,
+            };
+            checkDueTime(task);
+            column.tasks.push(task);
+            return task;
+        });
+    },
+
+    updateTask(id, changes, version = null) {
+        return withStore(store => {
+            const { task } = findTask(store, id);
+            checkVersion(task, version);
+            for (const [field, value] of Object.entries(changes)) {
+                if (!PROTECTED_TASK_FIELDS.includes(field)) {
+                    task[field] = value;
+                }
+            }
+            if ('title' in changes) {
+                task.title = requireName(changes.title, 'title');
+            }
+            TASK_DATE_FIELDS.filter(field => field in changes).forEach(field => {
+                task[field] = requireDate(changes[field], field);
+            });
+            if ('labels' in changes) {
+                task.labels = requireLabels(store, changes.labels);
+            }
+            if ('checklist' in changes) {
+                task.checklist = requireChecklist(changes.checklist);
+            }
+            if ('due_time' in changes) {
+                task.due_time = requireTime(changes.due_time);
+            }
+            if ('estimate' in changes) {
+                task.estimate = requireEstimate(changes.estimate);
+            }
+            if ('priority' in changes) {
+                task.priority = requirePriority(changes.priority);
+            }
+            if ('pomodoros' in changes) {
+                task.pomodoros = requirePomodoros(changes.pomodoros);
+            }
+            checkDueTime(task);
+            task.updated_at = now();
+            task.version++;
+            return task;
+        });
+    },
+
+    deleteTask(id) {
+        return withStore(store => {
+            const { column } = findTask(store, id);
+            column.tasks = column.tasks.filter(t => t.id !== id);
+            renumber(column.tasks);
+            return null;
+        });
+    },
+
+    // The column may be on another board, moving the task there
+    moveTask(taskId, columnId, order = null) {
+        return withStore(store => {
+            const { column: from, task } = findTask(store, taskId);
+            const to = findColumn(store, columnId);
+            if (from === to && order === null) {
+                return task;
+            }
+            from.tasks = from.tasks.filter(t => t.id !== taskId);
+            renumber(from.tasks);
+            const index = order === null ? to.tasks.length : Math.max(0, Math.min(order - 1, to.tasks.length));
+            to.tasks.splice(index, 0, task);
+            renumber(to.tasks);
+            if (from !== to) {
+                task.column = to.id;
+                task.updated_at = now();
+                task.column_changed_at = now();
+                task.version++;
+            }
+            return task;
+        });
+    },
+
+    reorderTasks(taskOrders) {
+        return withStore(store => {
+            for (const column of store.columns) {
+                if (taskOrders.some(o => column.tasks.some(t => t.id === o.id))) {
+                    applyOrders(column.tasks, taskOrders);
+                }
+            }
+            return { success: true };
+        });
+    },
+
+    // Archive - tasks taken off their board, newest first
+    getArchive() {
+        return withStore(store => store.archive, false);
+    },
+
+    archiveTask(id) {
+        return withStore(store => {
+            const { column, task } = findTask(store, id);
+            column.tasks = column.tasks.filter(t => t.id !== id);
+            renumber(column.tasks);
+            const archived = {
+                ...task, board: column.board, column: column.id, column_name: column.name, archived_at: now(),
+            };
+            store.archive.unshift(archived);
+            return archived;
+        });
+    },
+
+    // Back to the end of its column, or the first column of its board if that
+    // has gone (of the first board if the board has gone too)
+    restoreArchivedTask(id) {
+        return withStore(store => {
+            const index = findArchivedIndex(store, id);
+            const { board, column_name: columnName, archived_at: archivedAt, ...task } = store.archive[index];
+            const column = store.columns.find(c => c.id === task.column)
+                || getBoardColumns(store, board)[0]
+                || getBoardColumns(store, store.boards[0].id)[0];
+            if (!column) {
+                throw new ApiError('Add a column to restore tasks into.', { status: 400 });
+            }
+            store.archive.splice(index, 1);
+            Object.assign(task, { column: column.id, order: column.tasks.length + 1, updated_at: now(), column_changed_at: now() });
+            task.version++;
+            column.tasks.push(task);
+            return task;
+        });
+    },
+
+    purgeArchivedTask(id) {
+        return withStore(store => {
+            store.archive.splice(findArchivedIndex(store, id), 1);
+            return null;
+        });
+    },
+
+    getLabels() {
+        return withStore(store => store.labels, false);
+    },
+
+    createLabel(name, color) {
+        return withStore(store => {
+            const label = { id: store.next_id++, name: requireName(name, 'name'), color: requireColor(color) };
+            store.labels.push(label);
+            return label;
+        });
+    },
+
+    updateLabel(id, changes) {
+        return withStore(store => {
+            const label = findLabel(store, id);
+            if ('name' in changes) {
+                label.name = requireName(changes.name, 'name');
+            }
+            if ('color' in changes) {
+                label.color = requireColor(changes.color);
+            }
+            return label;
+        });
+    },
+
+    deleteLabel(id) {
+        return withStore(store => {
+            findLabel(store, id);
+            store.labels = store.labels.filter(l => l.id !== id);
+            const tasks = [...store.columns.flatMap(column => column.tasks), ...store.archive];
+            tasks.forEach(task => {
+                if (task.labels) {
+                    task.labels = task.labels.filter(labelId => labelId !== id);
+                }
+            });
+            return null;
+        });
+    },
+};
+
+export { localBackend };
@@ -0,0 +1,56 @@
+/**
+ * Three-way merge for conflicting task edits
+ * Compares the version an edit started from (base) with the user's edit
+ * (mine) and what the server now has (theirs)
+ */
+
+/**
+ * Merge field by field
+ * A field only one side changed takes that side's value; a field both sides
+ * changed differently is a conflict, left as "mine" for the user to resolve.
+ * @returns {{ merged: Object, conflicts: string[] }}
+ */
+function mergeEdits(base, mine, theirs, fields) {
+    const merged = {};
+    const conflicts = [];
+
+    for (const field of fields) {
+        const baseValue = base[field] ?? '';
+        const myValue = mine[field] ?? '';
+        const theirValue = theirs[field] ?? '';
+
+        if (myValue === theirValue || theirValue === baseValue) {
+            merged[field] = myValue;
+        } else if (myValue === baseValue) {
+            merged[field] = theirValue;
+        } else {
+            merged[field] = myValue;
+            conflicts.push(field);
+        }
+    }
+
+    return { merged, conflicts };
+}
+
+/**
+ * Combine both versions of a conflicting field
+ * Multi-line fields keep both blocks; single-line fields are joined inline.
+ */
+function combineValues(mine, theirs, multiline = false) {
+    if (!mine) return theirs;
+    if (!theirs) return mine;
+    return multiline ? `${mine}\n\n${theirs}` : `${mine} / ${theirs}`;
+}
+
+/**
+ * Merge lists of IDs (like a task's labels) as sets
+ * Keeps what either side added and drops what either side removed, so
+ * there's never a conflict to resolve.
+ */
+function mergeSets(base, mine, theirs) {
+    const added = mine.filter(id => !base.includes(id));
+    const removed = base.filter(id => !mine.includes(id));
+    return [...theirs, ...added.filter(id => !theirs.includes(id))].filter(id => !removed.includes(id));
+}
+
+export { mergeEdits, combineValues, mergeSets };
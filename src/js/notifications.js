@@ -0,0 +1,62 @@
+/**
+ * Desktop notifications for ADHD Kanban
+ * Uses the Tauri notification plugin in the desktop app, and the browser's
+ * Notification API everywhere else
+ */
+
+function getTauriNotification() {
+    return typeof window !== 'undefined' ? window.__TAURI__?.notification : null;
+}
+
+/**
+ * Ask for permission to notify, if it hasn't been answered yet
+ * Browsers only show the prompt in response to a click or key press.
+ * @returns {Promise<boolean>} Whether notifications are allowed
+ */
+async function requestNotificationPermission() {
+    const tauri = getTauriNotification();
+    try {
+        if (tauri) {
+            if (await tauri.isPermissionGranted()) return true;
+            return (await tauri.requestPermission()) === 'granted';
+        }
+        if (typeof Notification === 'undefined' || Notification.permission === 'denied') return false;
+        if (Notification.permission === 'granted') return true;
+        return (await Notification.requestPermission()) === 'granted';
+    } catch (error) {
+        console.error('Failed to request notification permission:', error);
+        return false;
+    }
+}
+
+/**
+ * Show a notification, if allowed
+ * In a browser, clicking it brings the window forward and calls onClick. The
+ * Tauri plugin doesn't report clicks on the desktop.
+ * @returns {Promise<boolean>} Whether it was shown
+ */
+async function sendNotification(title, body = '', onClick = null) {
+    const tauri = getTauriNotification();
+    try {
+        if (tauri) {
+            if (!(await tauri.isPermissionGranted())) return false;
+            tauri.sendNotification({ title, body });
+            return true;
+        }
+        if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return false;
+        const notification = new Notification(title, { body });
+        if (onClick) {
+            notification.onclick = () => {
+                window.focus();
+                notification.close();
+                onClick();
+            };
+        }
+        return true;
+    } catch (error) {
+        console.error('Failed to show notification:', error);
+        return false;
+    }
+}
+
+export { requestNotificationPermission, sendNotification };
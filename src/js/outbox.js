@@ -0,0 +1,236 @@
+/**
+ * Offline mutation queue (outbox) for ADHD Kanban
+ * Persists mutations made while the server is unreachable and replays
+ * them in order once connectivity returns
+ *
+ * Records created offline get temporary negative IDs so they can live in
+ * board state (and in `parseInt(dataset.taskId)`) until the server assigns
+ * a real one. Server IDs are always positive, so any negative number found
+ * in a queued mutation's arguments is a temporary ID.
+ */
+
+const OUTBOX_KEY = 'outbox';
+const ID_MAP_KEY = 'outbox_id_map';
+const TEMP_ID_KEY = 'outbox_last_temp_id';
+
+const listeners = new Set();
+
+// Persistence helpers
+function readJson(key, fallback) {
+    const raw = localStorage.getItem(key);
+    if (!raw) return fallback;
+    try {
+        return JSON.parse(raw);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+function writeJson(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+}
+
+function notify(event) {
+    listeners.forEach(listener => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('Outbox listener failed:', error);
+        }
+    });
+}
+
+// Temporary IDs
+function isTempId(id) {
+    return typeof id === 'number' && id < 0;
+}
+
+function nextTempId() {
+    const id = (parseInt(localStorage.getItem(TEMP_ID_KEY)) || 0) - 1;
+    localStorage.setItem(TEMP_ID_KEY, String(id));
+    return id;
+}
+
+function getIdMap() {
+    return readJson(ID_MAP_KEY, {});
+}
+
+// Replace every known temporary ID in a value with its server ID
+function resolveTempIds(value, idMap = getIdMap()) {
+    if (isTempId(value)) {
+        return idMap[value] ?? value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => resolveTempIds(item, idMap));
+    }
+    if (value && typeof value === 'object') {
+        const resolved = {};
+        for (const [key, item] of Object.entries(value)) {
+            resolved[key] = resolveTempIds(item, idMap);
+        }
+        return resolved;
+    }
+    return value;
+}
+
+// Whether a value holds any of a set of temporary IDs
+function usesTempId(value, tempIds) {
+    if (isTempId(value)) {
+        return tempIds.has(value);
+    }
+    if (Array.isArray(value)) {
+        return value.some(item => usesTempId(item, tempIds));
+    }
+    if (value && typeof value === 'object') {
+        return Object.values(value).some(item => usesTempId(item, tempIds));
+    }
+    return false;
+}
+
+/**
+ * Split off the queued mutations that refer to a create that was dropped,
+ * directly or through another create that does
+ * @returns {{kept: Array, dependents: Array}}
+ */
+function splitDependents(queue, tempId) {
+    const lost = new Set([tempId]);
+    const kept = [];
+    const dependents = [];
+    queue.forEach(mutation => {
+        if (usesTempId(mutation.args, lost)) {
+            dependents.push(mutation);
+            if (mutation.tempId !== null) lost.add(mutation.tempId);
+        } else {
+            kept.push(mutation);
+        }
+    });
+    return { kept, dependents };
+}
+
+// Queue access
+function getPendingMutations() {
+    return readJson(OUTBOX_KEY, []);
+}
+
+function hasPendingMutations() {
+    return getPendingMutations().length > 0;
+}
+
+/**
+ * Add a mutation to the end of the queue
+ * @param {string} type - Name of the api method to replay
+ * @param {Array} args - Arguments to replay it with
+ * @param {number|null} tempId - Temporary ID handed out for a create
+ */
+function enqueueMutation(type, args, tempId = null) {
+    const queue = getPendingMutations();
+    queue.push({ type, args, tempId, queuedAt: new Date().toISOString() });
+    writeJson(OUTBOX_KEY, queue);
+    notify({ type: 'change', pending: queue.length });
+}
+
+/**
+ * Rewrite queued mutations saved in an older form, e.g. by a version of the
+ * app before a method's arguments changed
+ * @param {Function} upgrade - (mutation) => the mutation in today's form, or null to drop it
+ */
+function upgradeOutbox(upgrade) {
+    const queue = getPendingMutations();
+    const upgraded = queue.map(upgrade).filter(Boolean);
+    if (upgraded.length === queue.length && upgraded.every((mutation, i) => mutation === queue[i])) return;
+    writeJson(OUTBOX_KEY, upgraded);
+    notify({ type: 'change', pending: upgraded.length });
+}
+
+function clearOutbox() {
+    localStorage.removeItem(OUTBOX_KEY);
+    localStorage.removeItem(ID_MAP_KEY);
+    notify({ type: 'change', pending: 0 });
+}
+
+let flushing = null;
+
+/**
+ * Replay queued mutations in order
+ * Stops at the first retryable failure and leaves the rest queued; a
+ * mutation the server rejects outright is dropped so it cannot block
+ * everything behind it. Dropping a create drops the changes queued to what
+ * it would have made too, as they'd only fail in turn.
+ * @param {Function} execute - Performs one mutation: (type, args) => result
+ * @param {Function} isRetryable - Whether a failure should keep the mutation
+ *   queued: (error, mutation) => boolean
+ * @returns {Promise<boolean>} true when the queue was fully drained
+ */
+function flushOutbox(execute, isRetryable) {
+    if (!flushing) {
+        flushing = drain(execute, isRetryable).finally(() => {
+            flushing = null;
+        });
+    }
+    return flushing;
+}
+
+async function drain(execute, isRetryable) {
+    let queue = getPendingMutations();
+
+    while (queue.length > 0) {
+        const mutation = queue[0];
+        const idMap = getIdMap();
+        let failure = null;
+
+        try {
+            const result = await execute(mutation.type, resolveTempIds(mutation.args, idMap));
+
+            if (mutation.tempId !== null && result && result.id !== undefined) {
+                idMap[mutation.tempId] = result.id;
+                writeJson(ID_MAP_KEY, idMap);
+                notify({ type: 'reconcile', tempId: mutation.tempId, id: result.id, record: result });
+            }
+        } catch (error) {
+            if (isRetryable(error, mutation)) {
+                return false;
+            }
+            failure = error;
+        }
+
+        queue = getPendingMutations().slice(1);
+        let dependents = [];
+        if (failure && mutation.tempId !== null) {
+            ({ kept: queue, dependents } = splitDependents(queue, mutation.tempId));
+        }
+        writeJson(OUTBOX_KEY, queue);
+        if (failure) {
+            console.error(`Dropping queued ${mutation.type}${dependents.length > 0 ? ` and ${dependents.length} queued change(s) to it` : ''}:`, failure);
+            notify({ type: 'dropped', mutation, error: failure, dependents });
+        }
+        notify({ type: 'change', pending: queue.length });
+    }
+
+    // Nothing left can refer to a temporary ID
+    localStorage.removeItem(ID_MAP_KEY);
+    return true;
+}
+
+/**
+ * Subscribe to outbox events
+ * Events: { type: 'change', pending }, { type: 'reconcile', tempId, id, record },
+ * { type: 'dropped', mutation, error, dependents }
+ * @returns {Function} Unsubscribe
+ */
+function onOutboxEvent(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+export {
+    isTempId,
+    nextTempId,
+    resolveTempIds,
+    getPendingMutations,
+    hasPendingMutations,
+    enqueueMutation,
+    upgradeOutbox,
+    clearOutbox,
+    flushOutbox,
+    onOutboxEvent,
+};
@@ -0,0 +1,47 @@
+/**
+ * Priorities and time estimates for ADHD Kanban
+ * A quick read of how much a card matters and how long it'll take
+ *
+ * A task's priority is one of PRIORITIES by value, or null for none; its
+ * estimate is whole minutes, or null for none.
+ */
+
+const PRIORITIES = [
+    { value: 'high', label: 'High' },
+    { value: 'medium', label: 'Medium' },
+    { value: 'low', label: 'Low' },
+];
+
+// A day's work at most
+const MAX_ESTIMATE = 24 * 60;
+
+function isPriority(value) {
+    return PRIORITIES.some(priority => priority.value === value);
+}
+
+function getPriorityLabel(value) {
+    const priority = PRIORITIES.find(p => p.value === value);
+    return priority ? priority.label : '';
+}
+
+function isEstimate(value) {
+    return Number.isInteger(value) && value >= 1 && value <= MAX_ESTIMATE;
+}
+
+// e.g. "15m", "2h", "1h 30m"
+function formatEstimate(minutes) {
+    if (!isEstimate(minutes)) return '';
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (hours === 0) return `${rest}m`;
+    return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
+export {
+    PRIORITIES,
+    MAX_ESTIMATE,
+    isPriority,
+    getPriorityLabel,
+    isEstimate,
+    formatEstimate,
+};
@@ -0,0 +1,291 @@
+/**
+ * Touch drag and drop for ADHD Kanban
+ * The HTML5 drag-and-drop API used for the mouse does nothing on touch
+ * screens, so touch and pen input drag with pointer events instead
+ *
+ * Long-press a card (or a column header) to pick it up, drag it, and let go
+ * to drop. A placeholder shows exactly where it will land, and the board
+ * scrolls when the finger nears its edges. The board is told where things
+ * were dropped and makes the same API calls as for the mouse.
+ */
+
+const LONG_PRESS_DELAY = 400;
+const MOVE_TOLERANCE = 10;
+const EDGE_SIZE = 60;
+const MAX_SCROLL_SPEED = 20;
+
+/**
+ * Index to insert at, given the midpoints of the other items along one axis
+ * @param {number[]} midpoints - In order
+ * @param {number} coordinate - Pointer position on the same axis
+ */
+function getInsertIndex(midpoints, coordinate) {
+    const index = midpoints.findIndex(midpoint => coordinate < midpoint);
+    return index === -1 ? midpoints.length : index;
+}
+
+/**
+ * How far to scroll this frame when the pointer is near an edge
+ * Speeds up the closer the pointer gets; negative scrolls back.
+ */
+function getAutoScrollDelta(coordinate, start, end, edge = EDGE_SIZE, maxSpeed = MAX_SCROLL_SPEED) {
+    if (coordinate < start + edge) {
+        return -Math.ceil(maxSpeed * Math.min(1, (start + edge - coordinate) / edge));
+    }
+    if (coordinate > end - edge) {
+        return Math.ceil(maxSpeed * Math.min(1, (coordinate - (end - edge)) / edge));
+    }
+    return 0;
+}
+
+// Midpoints of elements along an axis, for getInsertIndex()
+function getMidpoints(elements, axis) {
+    return elements.map(element => {
+        const rect = element.getBoundingClientRect();
+        return axis === 'x' ? rect.left + rect.width / 2 : rect.top + rect.height / 2;
+    });
+}
+
+/**
+ * Enable touch dragging of tasks and columns on the board
+ * @param {HTMLElement} board - The .kanban-board element
+ * @param {Object} handlers
+ * @param {Function} handlers.onTaskDrop - (taskId, toColumnId, index)
+ * @param {Function} handlers.onColumnDrop - (columnId, index)
+ * @param {Function} [handlers.onStart] - Called when a drag begins
+ * @param {Function} [handlers.onEnd] - Called when it ends, dropped or not
+ * @returns {{ isDragging: Function, cancel: Function }}
+ */
+function enableTouchDrag(board, { onTaskDrop, onColumnDrop, onStart = () => {}, onEnd = () => {} }) {
+    let press = null;
+    let drag = null;
+
+    function isTouch(e) {
+        return e.pointerType === 'touch' || e.pointerType === 'pen';
+    }
+
+    function clearPress() {
+        if (press) {
+            clearTimeout(press.timer);
+            press = null;
+        }
+    }
+
+    function handlePointerDown(e) {
+        if (!isTouch(e) || drag || !e.isPrimary) return;
+        if (e.target.closest('button, input, textarea, select')) return;
+
+        const task = e.target.closest('.task');
+        const header = task ? null : e.target.closest('.column-header');
+        if (!task && !header) return;
+
+        press = {
+            element: task || header.closest('.column'),
+            kind: task ? 'task' : 'column',
+            pointerId: e.pointerId,
+            x: e.clientX,
+            y: e.clientY,
+            timer: setTimeout(() => startDrag(), LONG_PRESS_DELAY),
+        };
+    }
+
+    function startDrag() {
+        const { element, kind, x, y, pointerId } = press;
+        press = null;
+
+        const rect = element.getBoundingClientRect();
+        const placeholder = document.createElement('div');
+        placeholder.className = kind === 'task' ? 'drop-placeholder' : 'column-drop-placeholder';
+        placeholder.style.height = `${rect.height}px`;
+        if (kind === 'column') {
+            placeholder.style.width = `${rect.width}px`;
+        }
+        element.parentNode.insertBefore(placeholder, element);
+
+        // The element itself follows the finger. It ignores the pointer
+        // (see .touch-dragging), so hit-testing finds what's underneath.
+        if (element.hasPointerCapture && element.hasPointerCapture(pointerId)) {
+            element.releasePointerCapture(pointerId);
+        }
+        element.classList.add('touch-dragging');
+        Object.assign(element.style, {
+            position: 'fixed',
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.width}px`,
+            height: `${rect.height}px`,
+        });
+
+        drag = {
+            element,
+            kind,
+            placeholder,
+            pointerId,
+            offsetX: x - rect.left,
+            offsetY: y - rect.top,
+            x,
+            y,
+            frame: requestAnimationFrame(autoScroll),
+        };
+
+        if (navigator.vibrate) {
+            navigator.vibrate(20);
+        }
+        onStart(kind);
+    }
+
+    function handlePointerMove(e) {
+        if (press && e.pointerId === press.pointerId) {
+            // Moving before the long press completes is a scroll, not a drag
+            if (Math.hypot(e.clientX - press.x, e.clientY - press.y) > MOVE_TOLERANCE) {
+                clearPress();
+            }
+            return;
+        }
+        if (!drag || e.pointerId !== drag.pointerId) return;
+
+        e.preventDefault();
+        drag.x = e.clientX;
+        drag.y = e.clientY;
+        drag.element.style.left = `${drag.x - drag.offsetX}px`;
+        drag.element.style.top = `${drag.y - drag.offsetY}px`;
+        updatePlaceholder();
+    }
+
+    // Put the placeholder in the slot under the finger
+    function updatePlaceholder() {
+        const { element, kind, placeholder, x, y } = drag;
+        const target = document.elementFromPoint(x, y);
+        const column = target ? target.closest('.column') : null;
+
+        if (kind === 'task') {
+            const list = column ? column.querySelector('.tasks') : null;
+            if (!list) return;
+            // Hidden (filtered out) cards take no space, so only visible ones count here;
+            // endDrag() counts them all, giving the index in the full list
+            const tasks = Array.from(list.querySelectorAll('.task')).filter(t => t !== element && !t.hidden);
+            const index = getInsertIndex(getMidpoints(tasks, 'y'), y);
+            const empty = list.querySelector('.empty-column');
+            if (empty) {
+                empty.hidden = true;
+            }
+            list.insertBefore(placeholder, tasks[index] || null);
+        } else {
+            const others = Array.from(board.querySelectorAll('.column')).filter(c => c !== element);
+            const index = getInsertIndex(getMidpoints(others, 'x'), x);
+            board.insertBefore(placeholder, others[index] || null);
+        }
+    }
+
+    // Scroll the board sideways, and a task list up or down, near their edges
+    function autoScroll() {
+        if (!drag) return;
+        const boardRect = board.getBoundingClientRect();
+        const dx = getAutoScrollDelta(drag.x, boardRect.left, boardRect.right);
+        let scrolled = false;
+        if (dx !== 0 && board.scrollWidth > board.clientWidth) {
+            board.scrollLeft += dx;
+            scrolled = true;
+        }
+        if (drag.kind === 'task') {
+            const target = document.elementFromPoint(drag.x, drag.y);
+            const list = target ? target.closest('.tasks') : null;
+            if (list && list.scrollHeight > list.clientHeight) {
+                const listRect = list.getBoundingClientRect();
+                const dy = getAutoScrollDelta(drag.y, listRect.top, listRect.bottom);
+                if (dy !== 0) {
+                    list.scrollTop += dy;
+                    scrolled = true;
+                }
+            }
+        }
+        if (scrolled) {
+            updatePlaceholder();
+        }
+        drag.frame = requestAnimationFrame(autoScroll);
+    }
+
+    function endDrag(dropped) {
+        const { element, kind, placeholder, frame } = drag;
+        drag = null;
+        cancelAnimationFrame(frame);
+
+        // Where the placeholder ended up is where the item goes
+        let result = null;
+        if (dropped && kind === 'task') {
+            const list = placeholder.parentNode;
+            const column = list ? list.closest('.column') : null;
+            if (column) {
+                const siblings = Array.from(list.children).filter(child =>
+                    child === placeholder || (child.classList.contains('task') && child !== element)
+                );
+                result = [parseInt(element.dataset.taskId), parseInt(column.dataset.columnId), siblings.indexOf(placeholder)];
+            }
+        } else if (dropped) {
+            const siblings = Array.from(board.children).filter(child =>
+                child === placeholder || (child.classList.contains('column') && child !== element)
+            );
+            result = [parseInt(element.dataset.columnId), siblings.indexOf(placeholder)];
+        }
+
+        placeholder.remove();
+        element.classList.remove('touch-dragging');
+        ['position', 'left', 'top', 'width', 'height'].forEach(property => {
+            element.style[property] = '';
+        });
+        board.querySelectorAll('.empty-column').forEach(empty => { empty.hidden = false; });
+
+        onEnd(kind);
+        if (result && kind === 'task') {
+            onTaskDrop(...result);
+        } else if (result) {
+            onColumnDrop(...result);
+        }
+    }
+
+    function handlePointerUp(e) {
+        if (press && e.pointerId === press.pointerId) {
+            clearPress();
+        }
+        if (drag && e.pointerId === drag.pointerId) {
+            endDrag(e.type === 'pointerup');
+        }
+    }
+
+    // Stop the page scrolling under the finger while dragging
+    function handleTouchMove(e) {
+        if (drag) {
+            e.preventDefault();
+        }
+    }
+
+    // No long-press menu on cards, and no native drag competing with ours
+    function preventDuringPress(e) {
+        if (press || drag) {
+            e.preventDefault();
+        }
+    }
+
+    board.addEventListener('pointerdown', handlePointerDown);
+    document.addEventListener('pointermove', handlePointerMove, { passive: false });
+    document.addEventListener('pointerup', handlePointerUp);
+    document.addEventListener('pointercancel', handlePointerUp);
+    document.addEventListener('touchmove', handleTouchMove, { passive: false });
+    board.addEventListener('contextmenu', preventDuringPress);
+    board.addEventListener('dragstart', preventDuringPress, true);
+
+    return {
+        isDragging() {
+            return !!drag;
+        },
+
+        cancel() {
+            clearPress();
+            if (drag) {
+                endDrag(false);
+            }
+        },
+    };
+}
+
+export { enableTouchDrag, getInsertIndex, getMidpoints, getAutoScrollDelta, LONG_PRESS_DELAY };
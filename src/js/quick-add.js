@@ -0,0 +1,264 @@
+/**
+ * Quick add for ADHD Kanban
+ * One line typed as it comes to mind becomes a task, e.g.
+ *   Call dentist #health @Today tomorrow 3pm ~15m !high
+ *
+ *   #label    - a label; one that doesn't exist yet is added
+ *   @column   - the column (its name, or the start of it; skip the spaces)
+ *   a day     - today, tomorrow, friday, next friday, next week, in 3 days,
+ *               2026-03-05 (optionally after "on", "by" or "due")
+ *   a time    - 3pm, 9:30am, 15:00 (optionally after "at"); today if no day
+ *   ~estimate - ~15m, ~1h, ~1h30m, ~1.5h, ~90 (minutes)
+ *   !priority - !high, !medium, !low, or !1 to !3
+ *
+ * The first of each is used; anything else, including an @column that
+ * doesn't match, stays in the title.
+ */
+
+import { parseDay, toDayString, isTime, describeDue, formatTime } from './dates.js';
+import { isEstimate, formatEstimate, getPriorityLabel } from './planning.js';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Days from today
+const DAY_WORDS = { today: 0, tonight: 0, tomorrow: 1, tmrw: 1, tmr: 1 };
+
+const PRIORITY_WORDS = {
+    high: 'high', h: 'high', 1: 'high',
+    medium: 'medium', med: 'medium', m: 'medium', 2: 'medium',
+    low: 'low', l: 'low', 3: 'low',
+};
+
+// Words that can come before a day or a time without being part of the title
+const DAY_LEAD_WORDS = ['on', 'by', 'due'];
+const TIME_LEAD_WORDS = ['at'];
+
+// Names compare without case, spaces, dashes or underscores
+function normalizeName(name) {
+    return name.toLowerCase().replace(/[\s_-]+/g, '');
+}
+
+/**
+ * The column a quick-add @name means: the one with that name, else the
+ * first whose name starts with it
+ */
+function findQuickAddColumn(columns, name) {
+    const key = normalizeName(name);
+    if (!key) return null;
+    return columns.find(column => normalizeName(column.name) === key)
+        || columns.find(column => normalizeName(column.name).startsWith(key))
+        || null;
+}
+
+function addDays(today, days) {
+    return toDayString(new Date(today.getFullYear(), today.getMonth(), today.getDate() + days));
+}
+
+// Short weekday names that are more often just words ("sun cream")
+const WORD_LIKE_DAYS = ['sun', 'sat', 'wed'];
+
+function getWeekday(word) {
+    // Whole names, or the first three letters or more ("fri", "thurs")
+    if (word.length < 3 || WORD_LIKE_DAYS.includes(word)) return -1;
+    return WEEKDAYS.findIndex(day => day.startsWith(word));
+}
+
+/**
+ * A day starting at words[index]
+ * @returns {{value: string, length: number}|null} The day, and how many words it took
+ */
+function matchDay(words, index, today) {
+    const [first = '', second = '', third = ''] = words.slice(index, index + 3).map(w => w.toLowerCase());
+    if (first in DAY_WORDS) {
+        return { value: addDays(today, DAY_WORDS[first]), length: 1 };
+    }
+    const day = parseDay(first);
+    if (day && toDayString(day) === first) {
+        return { value: first, length: 1 };
+    }
+    // This coming one, today included; "next friday" is the one after today
+    const weekday = getWeekday(first);
+    if (weekday !== -1) {
+        return { value: addDays(today, (weekday - today.getDay() + 7) % 7), length: 1 };
+    }
+    if (first === 'next' && second === 'week') {
+        return { value: addDays(today, 7), length: 2 };
+    }
+    if (first === 'next' && getWeekday(second) !== -1) {
+        return { value: addDays(today, (getWeekday(second) - today.getDay() + 6) % 7 + 1), length: 2 };
+    }
+    const count = Number(second);
+    if (first === 'in' && Number.isInteger(count) && count > 0 && /^(day|week)s?$/.test(third)) {
+        return { value: addDays(today, third.startsWith('week') ? count * 7 : count), length: 3 };
+    }
+    return null;
+}
+
+/**
+ * A time starting at words[index], as 'HH:MM'
+ * @returns {{value: string, length: number}|null}
+ */
+function matchTime(words, index) {
+    const [first = '', second = ''] = words.slice(index, index + 2).map(w => w.toLowerCase());
+    if (first === 'noon') {
+        return { value: '12:00', length: 1 };
+    }
+    if (isTime(first.padStart(5, '0'))) {
+        return { value: first.padStart(5, '0'), length: 1 };
+    }
+    // 3pm, 9:30am, or "3 pm"
+    const match = /^(\d{1,2})(?::([0-5]\d))?(am|pm)?$/.exec(first);
+    const half = match && (match[3] || (['am', 'pm'].includes(second) ? second : null));
+    if (!half) return null;
+    const hour = Number(match[1]);
+    if (hour < 1 || hour > 12) return null;
+    const hours = (hour % 12) + (half === 'pm' ? 12 : 0);
+    return {
+        value: `${String(hours).padStart(2, '0')}:${match[2] || '00'}`,
+        length: match[3] ? 1 : 2,
+    };
+}
+
+// Minutes for "~15m", "~1h", "~1h30m", "~1.5h" or "~90"
+function parseEstimate(word) {
+    const match = /^~(?:(\d+(?:\.\d+)?)h)?(?:(\d+)(?:m|mins?)?)?$/i.exec(word);
+    if (!match || (!match[1] && !match[2])) return null;
+    const total = Math.round(Number(match[1] || 0) * 60 + Number(match[2] || 0));
+    return isEstimate(total) ? total : null;
+}
+
+function parsePriority(word) {
+    if (/^!{1,3}$/.test(word)) {
+        return ['low', 'medium', 'high'][word.length - 1];
+    }
+    const match = /^!(\w+)$/.exec(word);
+    return match ? PRIORITY_WORDS[match[1].toLowerCase()] || null : null;
+}
+
+/**
+ * Work out a task from a quick-add line
+ * @param {Object} board - { columns, labels } to find @columns and #labels in
+ * @returns {Object} { title, column (or null for the default), labels (existing
+ *   ones), newLabels (names of ones to add), due_date, due_time, estimate,
+ *   priority, notes (things worth pointing out, like an @column not found) }
+ */
+function parseQuickAdd(text, { columns = [], labels = [] } = {}, today = new Date()) {
+    const words = text.trim().split(/\s+/).filter(Boolean);
+    const result = {
+        title: '',
+        column: null,
+        labels: [],
+        newLabels: [],
+        due_date: null,
+        due_time: null,
+        estimate: null,
+        priority: null,
+        notes: [],
+    };
+    const titleWords = [];
+
+    for (let i = 0; i < words.length; i++) {
+        const word = words[i];
+        const lower = word.toLowerCase();
+
+        const label = /^#(\p{L}[\p{L}\p{N}_-]*)$/u.exec(word);
+        if (label) {
+            const name = label[1];
+            const existing = labels.find(l => normalizeName(l.name) === normalizeName(name));
+            if (existing && !result.labels.includes(existing)) {
+                result.labels.push(existing);
+            } else if (!existing && !result.newLabels.some(n => normalizeName(n) === normalizeName(name))) {
+                result.newLabels.push(name);
+            }
+            continue;
+        }
+
+        const columnName = result.column === null && /^@(.+)$/.exec(word);
+        if (columnName) {
+            const column = findQuickAddColumn(columns, columnName[1]);
+            if (column) {
+                result.column = column;
+                continue;
+            }
+            result.notes.push(`No column called "${columnName[1]}"`);
+        }
+
+        const estimate = result.estimate === null ? parseEstimate(word) : null;
+        if (estimate !== null) {
+            result.estimate = estimate;
+            continue;
+        }
+
+        const priority = result.priority === null ? parsePriority(word) : null;
+        if (priority) {
+            result.priority = priority;
+            continue;
+        }
+
+        if (result.due_date === null) {
+            const lead = DAY_LEAD_WORDS.includes(lower) ? 1 : 0;
+            const day = matchDay(words, i + lead, today);
+            if (day) {
+                result.due_date = day.value;
+                i += lead + day.length - 1;
+                continue;
+            }
+        }
+
+        if (result.due_time === null) {
+            const lead = TIME_LEAD_WORDS.includes(lower) ? 1 : 0;
+            const time = matchTime(words, i + lead);
+            if (time) {
+                result.due_time = time.value;
+                i += lead + time.length - 1;
+                continue;
+            }
+        }
+
+        titleWords.push(word);
+    }
+
+    if (result.due_time && !result.due_date) {
+        result.due_date = toDayString(today);
+    }
+    result.title = titleWords.join(' ');
+    return result;
+}
+
+// Where a quick-add task goes: its @column, else the first column
+function getQuickAddColumn(parsed, columns) {
+    return parsed.column || columns[0] || null;
+}
+
+/**
+ * A quick-add line's details in words, e.g.
+ * ['→ Today', '#health', 'Due tomorrow at 3pm', '~15m', 'High priority']
+ */
+function describeQuickAdd(parsed, column, today = new Date()) {
+    const parts = [];
+    if (column) {
+        parts.push(`→ ${column.name}`);
+    }
+    parsed.labels.forEach(label => parts.push(`#${label.name}`));
+    parsed.newLabels.forEach(name => parts.push(`#${name} (new)`));
+    if (parsed.due_date) {
+        const time = parsed.due_time ? ` at ${formatTime(parsed.due_time)}` : '';
+        parts.push(`${describeDue(parsed.due_date, today)}${time}`);
+    }
+    if (parsed.estimate) {
+        parts.push(`~${formatEstimate(parsed.estimate)}`);
+    }
+    if (parsed.priority) {
+        parts.push(`${getPriorityLabel(parsed.priority)} priority`);
+    }
+    return [...parts, ...parsed.notes];
+}
+
+export {
+    findQuickAddColumn,
+    getQuickAddColumn,
+    describeQuickAdd,
+    parseEstimate,
+    parsePriority,
+    parseQuickAdd,
+};
@@ -0,0 +1,392 @@
+/**
+ * Real-time board sync for ADHD Kanban
+ * Keeps the board current with changes made on other devices and windows
+ *
+ * Sources of changes, all delivered as the same board events:
+ *   - A WebSocket to the server (/ws/board/), while it's connected. The auth
+ *     token goes in the first message, { type: 'auth', token }, rather than
+ *     the URL, where proxy and server access logs would record it
+ *   - Polling /board/ and diffing, while the socket is down or unsupported
+ *   - A BroadcastChannel, so windows on the same device see each other's
+ *     changes immediately
+ *
+ * Board events:
+ *   { type: 'task.created' | 'task.updated', task }
+ *   { type: 'task.deleted', id }
+ *   { type: 'tasks.reordered', column_id, task_orders: [{ id, order }] }
+ *   { type: 'column.created' | 'column.updated', column }
+ *   { type: 'column.deleted', id }
+ *   { type: 'columns.reordered', column_orders: [{ id, order }] }
+ *   { type: 'labels.updated', labels } - the whole label list; not board state,
+ *     so applyBoardEvent() leaves it to the board
+ *   { type: 'boards.updated', boards } - the whole list of boards; likewise
+ *
+ * Events can be about any of the user's boards. Columns name theirs
+ * (column.board), and tasks in columns that aren't shown are ignored.
+ */
+
+const CHANNEL_NAME = 'adhd-kanban-board';
+const LIVE_PATH = '/ws/board/';
+const POLL_INTERVAL = 15000;
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 60000;
+
+// Board state helpers
+function sortByOrder(items) {
+    const orderOf = item => (item.order === null || item.order === undefined ? Infinity : item.order);
+    items.sort((a, b) => orderOf(a) - orderOf(b));
+}
+
+function findTask(columns, taskId) {
+    for (const column of columns) {
+        const index = column.tasks.findIndex(t => t.id === taskId);
+        if (index !== -1) {
+            return { column, index, task: column.tasks[index] };
+        }
+    }
+    return null;
+}
+
+/**
+ * Apply a board event to the columns state, in place
+ * Applying the same event twice is harmless, so echoes of our own changes
+ * can simply be applied again.
+ * @returns {{ structural: boolean, columnIds: Set<number> }} What needs re-rendering:
+ *   the whole board when structural, otherwise just the listed columns
+ */
+function applyBoardEvent(columns, event) {
+    const result = { structural: false, columnIds: new Set() };
+
+    switch (event.type) {
+        case 'task.created':
+        case 'task.updated': {
+            const task = event.task;
+            const target = columns.find(c => c.id === task.column);
+            const existing = findTask(columns, task.id);
+            if (existing) {
+                existing.column.tasks.splice(existing.index, 1);
+                result.columnIds.add(existing.column.id);
+            }
+            if (target) {
+                const merged = existing ? { ...existing.task, ...task } : { ...task };
+                // Note when a card changes column, unless the change says when
+                const moved = !existing || existing.column.id !== target.id;
+                if (moved && (!task.column_changed_at || task.column_changed_at === existing?.task.column_changed_at)) {
+                    merged.column_changed_at = new Date().toISOString();
+                }
+                target.tasks.push(merged);
+                sortByOrder(target.tasks);
+                result.columnIds.add(target.id);
+            }
+            break;
+        }
+        case 'task.deleted': {
+            const existing = findTask(columns, event.id);
+            if (existing) {
+                existing.column.tasks.splice(existing.index, 1);
+                result.columnIds.add(existing.column.id);
+            }
+            break;
+        }
+        case 'tasks.reordered': {
+            const column = columns.find(c => c.id === event.column_id);
+            if (column) {
+                for (const { id, order } of event.task_orders) {
+                    const task = column.tasks.find(t => t.id === id);
+                    if (task) task.order = order;
+                }
+                sortByOrder(column.tasks);
+                result.columnIds.add(column.id);
+            }
+            break;
+        }
+        case 'column.created':
+        case 'column.updated': {
+            const existing = columns.find(c => c.id === event.column.id);
+            if (existing) {
+                const orderChanged = event.column.order !== undefined && event.column.order !== existing.order;
+                Object.assign(existing, { ...event.column, tasks: event.column.tasks || existing.tasks });
+                if (orderChanged) {
+                    sortByOrder(columns);
+                    result.structural = true;
+                } else {
+                    result.columnIds.add(existing.id);
+                }
+            } else {
+                columns.push({ ...event.column, tasks: event.column.tasks || [] });
+                sortByOrder(columns);
+                result.structural = true;
+            }
+            break;
+        }
+        case 'column.deleted': {
+            const index = columns.findIndex(c => c.id === event.id);
+            if (index !== -1) {
+                columns.splice(index, 1);
+                result.structural = true;
+            }
+            break;
+        }
+        case 'columns.reordered': {
+            for (const { id, order } of event.column_orders) {
+                const column = columns.find(c => c.id === id);
+                if (column) column.order = order;
+            }
+            sortByOrder(columns);
+            result.structural = true;
+            break;
+        }
+        default:
+            // Unknown events from a newer server are ignored
+            break;
+    }
+
+    return result;
+}
+
+/**
+ * Apply several events and merge what needs re-rendering
+ */
+function applyBoardEvents(columns, events) {
+    const merged = { structural: false, columnIds: new Set() };
+    for (const event of events) {
+        const result = applyBoardEvent(columns, event);
+        merged.structural = merged.structural || result.structural;
+        result.columnIds.forEach(id => merged.columnIds.add(id));
+    }
+    return merged;
+}
+
+const TASK_FIELDS = [
+    'title', 'description', 'column', 'order', 'due_date', 'due_time', 'do_date', 'estimate', 'priority',
+    'labels', 'checklist', 'pomodoros', 'version',
+];
+const COLUMN_FIELDS = ['name', 'wip_limit', 'wip_block', 'version'];
+
+// Lists (like a task's labels or checklist) are compared by content
+function sameValue(a, b) {
+    if (a === b) return true;
+    return typeof a === 'object' && typeof b === 'object' && JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Describe the difference between two board snapshots as board events
+ * Used by the polling fallback, which only sees whole boards.
+ */
+function diffBoards(oldColumns, newColumns) {
+    const events = [];
+    const oldColumnsById = new Map(oldColumns.map(c => [c.id, c]));
+    const newColumnIds = new Set(newColumns.map(c => c.id));
+
+    // Columns
+    for (const column of newColumns) {
+        const { tasks, ...fields } = column;
+        const old = oldColumnsById.get(column.id);
+        if (!old) {
+            events.push({ type: 'column.created', column: { ...fields, tasks: [] } });
+        } else if (COLUMN_FIELDS.some(field => old[field] !== column[field])) {
+            const changed = { id: column.id };
+            COLUMN_FIELDS.forEach(field => { changed[field] = column[field]; });
+            events.push({ type: 'column.updated', column: changed });
+        }
+    }
+    for (const column of oldColumns) {
+        if (!newColumnIds.has(column.id)) {
+            events.push({ type: 'column.deleted', id: column.id });
+        }
+    }
+    const oldOrder = oldColumns.filter(c => newColumnIds.has(c.id)).map(c => c.id).join();
+    const newOrder = newColumns.filter(c => oldColumnsById.has(c.id)).map(c => c.id).join();
+    if (oldOrder !== newOrder) {
+        events.push({
+            type: 'columns.reordered',
+            column_orders: newColumns.map((c, index) => ({ id: c.id, order: c.order ?? index + 1 })),
+        });
+    }
+
+    // Tasks
+    const oldTasks = new Map();
+    oldColumns.forEach(column => column.tasks.forEach(task => {
+        oldTasks.set(task.id, { ...task, column: column.id });
+    }));
+    const newTaskIds = new Set();
+
+    newColumns.forEach(column => (column.tasks || []).forEach((task, index) => {
+        const current = { ...task, column: column.id, order: task.order ?? index + 1 };
+        newTaskIds.add(task.id);
+        const old = oldTasks.get(task.id);
+        if (!old) {
+            events.push({ type: 'task.created', task: current });
+        } else if (TASK_FIELDS.some(field => !sameValue(old[field], current[field]))) {
+            events.push({ type: 'task.updated', task: current });
+        }
+    }));
+    for (const id of oldTasks.keys()) {
+        if (!newTaskIds.has(id)) {
+            events.push({ type: 'task.deleted', id });
+        }
+    }
+
+    return events;
+}
+
+/**
+ * WebSocket URL for live updates from an API base URL
+ * e.g. https://host/api/v1 -> wss://host/ws/board/
+ */
+function getLiveUrl(apiBase) {
+    const url = new URL(apiBase);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    url.pathname = LIVE_PATH;
+    url.search = '';
+    return url.toString();
+}
+
+/**
+ * Start live sync for the board
+ * @param {Object} options
+ * @param {Function} options.getApiBase - Current API base URL
+ * @param {Function} options.getToken - Current auth token
+ * @param {Function} options.getColumns - Current board columns, for diffing polls
+ * @param {Function} options.fetchBoard - Fetches the board ({ columns })
+ * @param {Function} options.onEvents - Receives (events, source) to apply
+ * @param {Function} [options.isBusy] - True while polling would clobber local work
+ * @param {boolean} [options.server] - False to skip the socket and polling, e.g. for
+ *   a board kept on this device; other windows are still kept in step
+ * @returns {{ publish: Function, stop: Function }}
+ */
+function startLiveSync({ getApiBase, getToken, getColumns, fetchBoard, onEvents, isBusy = () => false, server = true }) {
+    let socket = null;
+    let reconnectAttempt = 0;
+    let reconnectTimer = null;
+    let pollTimer = null;
+    let stopped = false;
+
+    const channel = typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(CHANNEL_NAME) : null;
+    if (channel) {
+        channel.onmessage = (message) => {
+            if (Array.isArray(message.data)) {
+                onEvents(message.data, 'window');
+            }
+        };
+    }
+
+    // Polling fallback
+    async function poll() {
+        if (stopped || isBusy()) return;
+        try {
+            const data = await fetchBoard();
+            if (stopped || isBusy()) return;
+            const events = diffBoards(getColumns(), data.columns);
+            if (events.length > 0) {
+                onEvents(events, 'poll');
+            }
+        } catch (error) {
+            console.error('Failed to poll board:', error);
+        }
+    }
+
+    function startPolling() {
+        if (!pollTimer) {
+            pollTimer = setInterval(poll, POLL_INTERVAL);
+        }
+    }
+
+    function stopPolling() {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+
+    // WebSocket
+    function scheduleReconnect() {
+        if (stopped) return;
+        const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** reconnectAttempt, RECONNECT_MAX_DELAY);
+        reconnectAttempt++;
+        reconnectTimer = setTimeout(connect, delay);
+    }
+
+    function connect() {
+        if (stopped) return;
+        if (typeof WebSocket === 'undefined') {
+            startPolling();
+            return;
+        }
+
+        try {
+            socket = new WebSocket(getLiveUrl(getApiBase()));
+        } catch (error) {
+            startPolling();
+            scheduleReconnect();
+            return;
+        }
+
+        socket.onopen = () => {
+            const token = getToken();
+            if (token) {
+                socket.send(JSON.stringify({ type: 'auth', token }));
+            }
+            reconnectAttempt = 0;
+            stopPolling();
+            // Catch up on anything missed while disconnected
+            poll();
+        };
+        socket.onmessage = (message) => {
+            let data;
+            try {
+                data = JSON.parse(message.data);
+            } catch (error) {
+                return;
+            }
+            const events = Array.isArray(data) ? data : [data];
+            onEvents(events, 'server');
+        };
+        socket.onclose = () => {
+            socket = null;
+            startPolling();
+            scheduleReconnect();
+        };
+    }
+
+    // Coming back to the window is a good moment to catch up
+    function handleVisibilityChange() {
+        if (document.visibilityState === 'visible' && !socket) {
+            poll();
+        }
+    }
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    if (server) {
+        connect();
+    }
+
+    return {
+        // Tell other windows on this device about local changes
+        publish(events) {
+            if (channel && events.length > 0) {
+                channel.postMessage(events);
+            }
+        },
+
+        stop() {
+            stopped = true;
+            clearTimeout(reconnectTimer);
+            stopPolling();
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            if (socket) {
+                socket.onclose = null;
+                socket.close();
+            }
+            if (channel) {
+                channel.close();
+            }
+        },
+    };
+}
+
+export {
+    applyBoardEvent,
+    applyBoardEvents,
+    diffBoards,
+    getLiveUrl,
+    startLiveSync,
+};
@@ -0,0 +1,320 @@
+/**
+ * Reminders for ADHD Kanban
+ * Notifications for tasks coming due, for tasks that have sat in "In Progress"
+ * too long, and a daily nudge to plan the day
+ *
+ * The board works out which reminders are due every minute. Each one has a
+ * key that changes when what it's about changes (a new due date, a card moved
+ * in again), and is only sent once per key. Sent and snoozed reminders are kept
+ * in localStorage, so every open window agrees on what's been sent.
+ */
+
+import { parseDay, toDayString, isTime, formatTime, daysFromToday } from './dates.js';
+import { getFocusColumn } from './focus.js';
+import { getColumnEntryTimes } from './column-entry.js';
+
+const REMINDER_SETTINGS_KEY = 'reminder_settings';
+const REMINDER_STATE_KEY = 'reminder_state';
+
+// Lengths in minutes, except staleHours
+const DEFAULT_REMINDER_SETTINGS = {
+    due: true,
+    dueLead: 30,
+    stale: true,
+    staleHours: 48,
+    planning: false,
+    planningTime: '09:00',
+    quiet: false,
+    quietStart: '22:00',
+    quietEnd: '08:00',
+    snooze: 30,
+};
+const MAX_LEAD_MINUTES = 1440;
+const MAX_STALE_HOURS = 720;
+const MAX_SNOOZE_MINUTES = 1440;
+
+// A sent reminder is forgotten after this long, so a card still sitting there is nudged again
+const REMIND_AGAIN = 7 * 86400000;
+
+const HOUR = 3600000;
+const MINUTE = 60000;
+
+// Settings
+/**
+ * Check reminder settings
+ * @returns {Object|null} Field name -> messages, or null if valid
+ */
+function validateReminderSettings(settings) {
+    const errors = {};
+    const wholeNumber = (field, min, max, unit) => {
+        const value = settings[field];
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors[field] = [`Enter a whole number of ${unit} from ${min} to ${max}.`];
+        }
+    };
+    wholeNumber('dueLead', 0, MAX_LEAD_MINUTES, 'minutes');
+    wholeNumber('staleHours', 1, MAX_STALE_HOURS, 'hours');
+    wholeNumber('snooze', 1, MAX_SNOOZE_MINUTES, 'minutes');
+    for (const field of ['planningTime', 'quietStart', 'quietEnd']) {
+        if (!isTime(settings[field])) {
+            errors[field] = ['Enter a time, e.g. 09:00.'];
+        }
+    }
+    if (!errors.quietStart && !errors.quietEnd && settings.quiet && settings.quietStart === settings.quietEnd) {
+        errors.quietEnd = ['Quiet hours need to end at a different time from when they start.'];
+    }
+    return Object.keys(errors).length > 0 ? errors : null;
+}
+
+function loadReminderSettings() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(REMINDER_SETTINGS_KEY)) || {};
+    } catch (error) {
+        saved = {};
+    }
+    const settings = { ...DEFAULT_REMINDER_SETTINGS, ...saved };
+    return validateReminderSettings(settings) ? { ...DEFAULT_REMINDER_SETTINGS } : settings;
+}
+
+function saveReminderSettings(settings) {
+    localStorage.setItem(REMINDER_SETTINGS_KEY, JSON.stringify({
+        due: !!settings.due,
+        dueLead: settings.dueLead,
+        stale: !!settings.stale,
+        staleHours: settings.staleHours,
+        planning: !!settings.planning,
+        planningTime: settings.planningTime,
+        quiet: !!settings.quiet,
+        quietStart: settings.quietStart,
+        quietEnd: settings.quietEnd,
+        snooze: settings.snooze,
+    }));
+}
+
+// Times
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// A 'YYYY-MM-DD' day at an 'HH:MM' time, in local time
+function atTime(day, time) {
+    const date = parseDay(day);
+    date.setHours(...time.split(':').map(Number));
+    return date.getTime();
+}
+
+// Whether it's quiet hours, which can run past midnight (22:00 to 08:00)
+function isQuietTime(settings, now = Date.now()) {
+    if (!settings.quiet) return false;
+    const date = new Date(now);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const start = toMinutes(settings.quietStart);
+    const end = toMinutes(settings.quietEnd);
+    return start < end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+// When the quiet hours going on at `time` end
+function getQuietEnd(settings, time) {
+    const date = new Date(time);
+    date.setHours(...settings.quietEnd.split(':').map(Number), 0, 0);
+    if (date.getTime() <= time) date.setDate(date.getDate() + 1);
+    return date.getTime();
+}
+
+/**
+ * When a reminder from `from` until the end of `day` stops being sent
+ * Quiet hours from `from` until after the day ends hold it over: it's sent
+ * when they end instead, up to the end of the next day.
+ */
+function getReminderEnd(settings, from, day) {
+    const dayEnds = atTime(day, '00:00') + 24 * HOUR;
+    if (!isQuietTime(settings, from) || getQuietEnd(settings, from) <= dayEnds) return dayEnds;
+    return dayEnds + 24 * HOUR;
+}
+
+// Reminders
+// Every column but the last, whose cards count as done
+function getOpenColumns(columns) {
+    return columns.length > 1 ? columns.slice(0, -1) : columns;
+}
+
+function quote(title) {
+    return `"${title.length > 40 ? title.substring(0, 40) + '...' : title}"`;
+}
+
+// "5 hours", "2 days"
+function describeAge(ms) {
+    const hours = Math.floor(ms / HOUR);
+    if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+    return `${Math.floor(hours / 24)} days`;
+}
+
+/**
+ * A reminder for a task's due date, from dueLead minutes before its due time
+ * (or the planning time, with no time) until the end of the day it's due, or
+ * the next morning if quiet hours hold it until then
+ */
+function getDueReminder(task, settings, now) {
+    if (!parseDay(task.due_date)) return null;
+    const time = isTime(task.due_time) ? task.due_time : null;
+    const dueAt = time ? atTime(task.due_date, time) : null;
+    const remindAt = time ? dueAt - settings.dueLead * MINUTE : atTime(task.due_date, settings.planningTime);
+    if (now < remindAt || now >= getReminderEnd(settings, remindAt, task.due_date)) return null;
+
+    const yesterday = now >= atTime(task.due_date, '00:00') + 24 * HOUR;
+    let title = yesterday ? 'Overdue' : 'Due today';
+    let body = `${quote(task.title)} ${yesterday ? 'was due yesterday' : 'is due today'}.`;
+    if (time) {
+        title = now < dueAt ? 'Due soon' : 'Overdue';
+        body = `${quote(task.title)} ${now < dueAt ? 'is' : 'was'} due ${yesterday ? 'yesterday ' : ''}at ${formatTime(time)}.`;
+    }
+    return { key: `due:${task.id}:${task.due_date} ${time || ''}`, taskId: task.id, title, body };
+}
+
+/**
+ * A nudge for a card that's been in the focus column for staleHours
+ * Counted from when it was moved there: editing it doesn't put the nudge off.
+ */
+function getStaleReminder(task, column, entered, settings, now) {
+    if (now - entered < settings.staleHours * HOUR) return null;
+    return {
+        key: `stale:${task.id}:${entered}`,
+        taskId: task.id,
+        title: 'Still on this?',
+        body: `${quote(task.title)} has been in ${column.name} for ${describeAge(now - entered)} without moving. Finish it, park it, or break it into smaller steps.`,
+    };
+}
+
+/**
+ * The daily nudge, from the planning time until the end of the day
+ * Before today's planning time, it's yesterday's if quiet hours held it over.
+ */
+function getPlanningReminder(columns, settings, now) {
+    const today = new Date(now);
+    let day = toDayString(today);
+    if (now < atTime(day, settings.planningTime)) {
+        const yesterday = new Date(today);
+        yesterday.setDate(yesterday.getDate() - 1);
+        day = toDayString(yesterday);
+        const from = atTime(day, settings.planningTime);
+        if (now >= getReminderEnd(settings, from, day)) return null;
+    }
+
+    const tasks = getOpenColumns(columns).flatMap(column => column.tasks || []);
+    const dueToday = tasks.filter(task => daysFromToday(task.due_date, today) === 0).length;
+    const overdue = tasks.filter(task => daysFromToday(task.due_date, today) < 0).length;
+    const planned = tasks.filter(task => daysFromToday(task.do_date, today) === 0).length;
+    const parts = [];
+    if (dueToday) parts.push(`${dueToday} due today`);
+    if (overdue) parts.push(`${overdue} overdue`);
+    if (planned) parts.push(`${planned} planned for today`);
+    return {
+        key: `planning:${day}`,
+        taskId: null,
+        title: 'Plan your day',
+        body: parts.length > 0
+            ? `${parts.join(', ')}. Pick what to do first.`
+            : 'Pick what to work on first today.',
+    };
+}
+
+/**
+ * Every reminder the board calls for right now, sent or not
+ * Cards in the last column count as done and aren't reminded about.
+ * @returns {Array<{key, taskId, title, body}>}
+ */
+function getReminders(columns, settings, now = Date.now()) {
+    const reminders = [];
+    const open = getOpenColumns(columns);
+    if (settings.due) {
+        open.forEach(column => {
+            (column.tasks || []).forEach(task => {
+                const reminder = getDueReminder(task, settings, now);
+                if (reminder) reminders.push(reminder);
+            });
+        });
+    }
+    const focusColumn = getFocusColumn(columns);
+    if (settings.stale && open.includes(focusColumn)) {
+        const entered = getColumnEntryTimes(focusColumn, now);
+        (focusColumn.tasks || []).forEach(task => {
+            const reminder = getStaleReminder(task, focusColumn, entered.get(task.id), settings, now);
+            if (reminder) reminders.push(reminder);
+        });
+    }
+    if (settings.planning) {
+        reminders.push(getPlanningReminder(columns, settings, now));
+    }
+    return reminders.filter(Boolean);
+}
+
+// Sent and snoozed reminders: { sent: {key: time}, snoozed: {key: reminder with `until`} }
+function loadReminderState() {
+    try {
+        const state = JSON.parse(localStorage.getItem(REMINDER_STATE_KEY)) || {};
+        return { sent: state.sent || {}, snoozed: state.snoozed || {} };
+    } catch (error) {
+        return { sent: {}, snoozed: {} };
+    }
+}
+
+function saveReminderState(state, now = Date.now()) {
+    // Also drop snoozes long overdue, e.g. for a task deleted since
+    const sent = Object.fromEntries(Object.entries(state.sent).filter(([, time]) => now - time < REMIND_AGAIN));
+    const snoozed = Object.fromEntries(Object.entries(state.snoozed).filter(([, reminder]) => now - reminder.until < REMIND_AGAIN));
+    localStorage.setItem(REMINDER_STATE_KEY, JSON.stringify({ sent, snoozed }));
+}
+
+/**
+ * The reminders to send now: ones not sent yet, and snoozed ones whose time
+ * has come (even if they'd otherwise be over, unless the task is done or
+ * gone). None during quiet hours; they wait until quiet hours end.
+ */
+function getDueReminders(columns, settings, now = Date.now()) {
+    if (isQuietTime(settings, now)) return [];
+    const state = loadReminderState();
+    const taskIds = new Set(getOpenColumns(columns).flatMap(column => (column.tasks || []).map(task => task.id)));
+    const snoozed = Object.values(state.snoozed)
+        .filter(reminder => reminder.until <= now && (reminder.taskId === null || taskIds.has(reminder.taskId)));
+    const fresh = getReminders(columns, settings, now)
+        .filter(reminder => !(reminder.key in state.sent) && !(reminder.key in state.snoozed));
+    return [...snoozed, ...fresh].map(({ until, ...reminder }) => reminder);
+}
+
+/**
+ * Record a reminder as sent, unless another window already has
+ * @returns {boolean} Whether this call claimed it, so should send it
+ */
+function claimReminder(key, now = Date.now()) {
+    const state = loadReminderState();
+    if (key in state.sent) return false;
+    state.sent[key] = now;
+    delete state.snoozed[key];
+    saveReminderState(state, now);
+    return true;
+}
+
+// Send a reminder again in `minutes`
+function snoozeReminder(reminder, minutes, now = Date.now()) {
+    const state = loadReminderState();
+    delete state.sent[reminder.key];
+    state.snoozed[reminder.key] = { ...reminder, until: now + minutes * MINUTE };
+    saveReminderState(state, now);
+}
+
+export {
+    REMINDER_SETTINGS_KEY,
+    DEFAULT_REMINDER_SETTINGS,
+    validateReminderSettings,
+    loadReminderSettings,
+    saveReminderSettings,
+    isQuietTime,
+    getReminders,
+    getDueReminders,
+    claimReminder,
+    snoozeReminder,
+};
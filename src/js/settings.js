@@ -0,0 +1,165 @@
+/**
+ * Server settings dialog
+ * Lets developers and self-hosters point the app at another backend
+ *
+ * Shared by the login and board pages, so the modal markup is built here
+ * rather than in each HTML file.
+ */
+
+import {
+    getEnvironments,
+    getCurrentEnvironmentId,
+    getConfigError,
+    validateApiBase,
+    saveEnvironment,
+    testConnection,
+} from './config.js';
+import { clearToken } from './api.js';
+import { getPendingMutations, clearOutbox } from './outbox.js';
+
+let modal = null;
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function createSettingsModal() {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.id = 'settings-modal';
+    overlay.innerHTML = `
+        <div class="modal">
+            <h2>Server Settings</h2>
+            <form id="settings-form">
+                <label for="settings-environment">Environment</label>
+                <select id="settings-environment" name="environment"></select>
+
+                <label for="settings-api-base">API URL</label>
+                <input id="settings-api-base" type="url" name="api_base" placeholder="https://example.com/api/v1" required aria-required="true" aria-describedby="settings-status">
+
+                <p id="settings-status" class="settings-status" role="status" aria-live="polite"></p>
+
+                <div class="modal-buttons">
+                    <button type="button" class="btn-secondary" id="settings-test-btn">Test Connection</button>
+                    <button type="button" class="btn-secondary" id="settings-cancel-btn">Cancel</button>
+                    <button type="submit" class="btn-primary">Save</button>
+                </div>
+            </form>
+        </div>
+    `;
+    document.body.appendChild(overlay);
+
+    const form = overlay.querySelector('#settings-form');
+    const select = overlay.querySelector('#settings-environment');
+    const urlInput = overlay.querySelector('#settings-api-base');
+
+    select.addEventListener('change', () => {
+        const env = getEnvironments().find(e => e.id === select.value);
+        urlInput.value = env ? env.apiBase : '';
+        setStatus(env && !env.apiBase ? `Enter the server URL for ${env.label}.` : '');
+    });
+
+    overlay.querySelector('#settings-test-btn').addEventListener('click', handleTestConnection);
+    overlay.querySelector('#settings-cancel-btn').addEventListener('click', closeServerSettings);
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) {
+            closeServerSettings();
+        }
+    });
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            closeServerSettings();
+        }
+    });
+    form.addEventListener('submit', handleSave);
+
+    return overlay;
+}
+
+function setStatus(message, state = '') {
+    const status = modal.querySelector('#settings-status');
+    status.textContent = message;
+    status.className = `settings-status ${state}`.trim();
+}
+
+async function handleTestConnection() {
+    const url = modal.querySelector('#settings-api-base').value;
+    const error = validateApiBase(url);
+    if (error) {
+        setStatus(error, 'error');
+        return;
+    }
+
+    const button = modal.querySelector('#settings-test-btn');
+    button.disabled = true;
+    setStatus('Testing connection...');
+
+    try {
+        const result = await testConnection(url);
+        setStatus(result.message, result.ok ? 'success' : 'error');
+    } finally {
+        button.disabled = false;
+    }
+}
+
+function handleSave(e) {
+    e.preventDefault();
+
+    const environment = modal.querySelector('#settings-environment').value;
+    const url = modal.querySelector('#settings-api-base').value;
+    const error = validateApiBase(url);
+    if (error) {
+        setStatus(error, 'error');
+        return;
+    }
+
+    const current = getEnvironments().find(env => env.id === getCurrentEnvironmentId());
+    const changed = environment !== current.id || url.trim().replace(/\/+$/, '') !== current.apiBase;
+    if (!changed) {
+        closeServerSettings();
+        return;
+    }
+
+    // Sessions and unsynced changes belong to the old server
+    const pending = getPendingMutations().length;
+    if (pending > 0 && !confirm(`Switching servers discards ${pending} unsynced change${pending > 1 ? 's' : ''}. Continue?`)) {
+        return;
+    }
+
+    saveEnvironment(environment, url);
+    clearOutbox();
+    clearToken();
+    localStorage.removeItem('board_cache');
+    window.location.href = 'index.html';
+}
+
+function openServerSettings() {
+    if (!modal) {
+        modal = createSettingsModal();
+    }
+
+    const currentId = getCurrentEnvironmentId();
+    const environments = getEnvironments();
+    const select = modal.querySelector('#settings-environment');
+    select.innerHTML = environments.map(env =>
+        `<option value="${env.id}">${escapeHtml(env.label)}</option>`
+    ).join('');
+    select.value = currentId;
+    modal.querySelector('#settings-api-base').value =
+        environments.find(env => env.id === currentId).apiBase;
+    const problem = getConfigError();
+    setStatus(problem || '', problem ? 'error' : '');
+
+    modal.classList.add('active');
+    select.focus();
+}
+
+function closeServerSettings() {
+    if (modal) {
+        modal.classList.remove('active');
+    }
+}
+
+export { openServerSettings, closeServerSettings };
@@ -0,0 +1,143 @@
+/**
+ * Focus timer (Pomodoro) for ADHD Kanban
+ * A work session on one task, then a break
+ *
+ * The running timer is kept in localStorage as its phase and end time, so it
+ * carries on across reloads and every open window shows the same one.
+ */
+
+const TIMER_SETTINGS_KEY = 'timer_settings';
+const TIMER_STATE_KEY = 'timer_state';
+
+// Lengths in minutes
+const DEFAULT_TIMER_SETTINGS = { work: 25, break: 5, chime: true };
+const MAX_MINUTES = 180;
+
+// Settings
+/**
+ * Check work/break lengths
+ * @returns {Object|null} Field name -> messages, or null if valid
+ */
+function validateTimerSettings(settings) {
+    const errors = {};
+    for (const field of ['work', 'break']) {
+        const minutes = settings[field];
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MINUTES) {
+            errors[field] = [`Enter a whole number of minutes from 1 to ${MAX_MINUTES}.`];
+        }
+    }
+    return Object.keys(errors).length > 0 ? errors : null;
+}
+
+function loadTimerSettings() {
+    let saved;
+    try {
+        saved = JSON.parse(localStorage.getItem(TIMER_SETTINGS_KEY)) || {};
+    } catch (error) {
+        saved = {};
+    }
+    const settings = { ...DEFAULT_TIMER_SETTINGS, ...saved };
+    return validateTimerSettings(settings) ? { ...DEFAULT_TIMER_SETTINGS, chime: settings.chime !== false } : settings;
+}
+
+function saveTimerSettings(settings) {
+    localStorage.setItem(TIMER_SETTINGS_KEY, JSON.stringify({
+        work: settings.work,
+        break: settings.break,
+        chime: !!settings.chime,
+    }));
+}
+
+// The running timer: { taskId, phase: 'work' | 'break', endsAt } or null
+function loadTimerState() {
+    try {
+        const state = JSON.parse(localStorage.getItem(TIMER_STATE_KEY));
+        return state && typeof state.endsAt === 'number' ? state : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function saveTimerState(state) {
+    localStorage.setItem(TIMER_STATE_KEY, JSON.stringify(state));
+}
+
+function clearTimerState() {
+    localStorage.removeItem(TIMER_STATE_KEY);
+}
+
+/**
+ * Start a work session on a task, replacing any running timer
+ */
+function startTimer(taskId, settings, now = Date.now()) {
+    const state = { taskId, phase: 'work', endsAt: now + settings.work * 60000 };
+    saveTimerState(state);
+    return state;
+}
+
+/**
+ * Move on from a phase that has run out: a break after work, nothing after a break
+ * Checks the stored timer is still the one that ran out, so when several
+ * windows share it only the first one to notice acts on it.
+ * @returns {boolean} Whether this call finished it
+ */
+function finishPhase(state, settings, now = Date.now()) {
+    const stored = loadTimerState();
+    if (!stored || stored.taskId !== state.taskId || stored.phase !== state.phase || stored.endsAt !== state.endsAt) {
+        return false;
+    }
+    if (state.phase === 'work') {
+        saveTimerState({ taskId: state.taskId, phase: 'break', endsAt: now + settings.break * 60000 });
+    } else {
+        clearTimerState();
+    }
+    return true;
+}
+
+function getRemaining(state, now = Date.now()) {
+    return Math.max(0, state.endsAt - now);
+}
+
+// e.g. 24:59, rounding part-seconds up so 0:00 means it has run out
+function formatRemaining(ms) {
+    const seconds = Math.ceil(ms / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// A short two-note chime, without needing a sound file
+function playChime() {
+    const AudioContext = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+    if (!AudioContext) return;
+
+    const context = new AudioContext();
+    [660, 880].forEach((frequency, index) => {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const start = context.currentTime + index * 0.25;
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.2, start);
+        gain.gain.exponentialRampToValueAtTime(0.001, start + 0.6);
+        oscillator.connect(gain).connect(context.destination);
+        oscillator.start(start);
+        oscillator.stop(start + 0.6);
+    });
+    setTimeout(() => context.close(), 1500);
+}
+
+export {
+    TIMER_SETTINGS_KEY,
+    TIMER_STATE_KEY,
+    DEFAULT_TIMER_SETTINGS,
+    MAX_MINUTES,
+    validateTimerSettings,
+    loadTimerSettings,
+    saveTimerSettings,
+    loadTimerState,
+    saveTimerState,
+    clearTimerState,
+    startTimer,
+    finishPhase,
+    getRemaining,
+    formatRemaining,
+    playChime,
+};
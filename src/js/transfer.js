@@ -0,0 +1,404 @@
+/**
+ * Export and import for ADHD Kanban
+ * Gets a board out of the app (a JSON backup, a CSV of tasks, a Markdown
+ * checklist) and reads a backup or CSV back in
+ *
+ * Reading a file gives an import: { columns, labels }, with columns as
+ * [{ name, wip_limit, wip_block, tasks }] in board order, tasks as
+ * [{ title, description, due_date, due_time, do_date, estimate, priority,
+ * labels, checklist, pomodoros }] in column order (labels by name), and labels
+ * as [{ name, color }].
+ * Nothing is created here; planImport() works out what an import would add
+ * to a board.
+ */
+
+import { parseDay, toDayString, isTime } from './dates.js';
+import { isLabelColor } from './labels.js';
+import { MAX_CHECKLIST_ITEMS, MAX_ITEM_LENGTH } from './checklist.js';
+import { isEstimate, isPriority } from './planning.js';
+
+const EXPORT_FORMAT = 'adhd-kanban';
+const EXPORT_VERSION = 1;
+// Trello exports with a long history run to several MB
+const MAX_IMPORT_SIZE = 20 * 1024 * 1024;
+
+// CSV headings, in the order they're written
+const CSV_FIELDS = ['column', 'title', 'description', 'due_date', 'do_date', 'order'];
+
+// What each export is saved as
+const EXPORT_TYPES = {
+    json: { extension: 'json', mimeType: 'application/json' },
+    csv: { extension: 'csv', mimeType: 'text/csv' },
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+};
+
+function byOrder(a, b) {
+    return (a.order ?? Infinity) - (b.order ?? Infinity);
+}
+
+function sameName(a, b) {
+    return a.trim().toLowerCase() === b.trim().toLowerCase();
+}
+
+// A real calendar day as 'YYYY-MM-DD'
+function isDay(value) {
+    const day = parseDay(value);
+    return !!day && toDayString(day) === value;
+}
+
+// Exports
+/**
+ * Everything on a board, to read back in with readImport()
+ * Labels are written by name, as IDs mean nothing to another board or account.
+ * @param {Object} board - { name, columns } with tasks in each column
+ */
+function exportJson(board, labels, exportedAt = new Date()) {
+    const labelName = id => labels.find(label => label.id === id)?.name;
+    const data = {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exported_at: exportedAt.toISOString(),
+        board: {
+            name: board.name,
+            columns: [...board.columns].sort(byOrder).map(column => ({
+                name: column.name,
+                order: column.order,
+                wip_limit: column.wip_limit ?? null,
+                wip_block: !!column.wip_block,
+                tasks: [...column.tasks].sort(byOrder).map(task => ({
+                    title: task.title,
+                    description: task.description || '',
+                    order: task.order,
+                    due_date: task.due_date || null,
+                    due_time: task.due_time || null,
+                    do_date: task.do_date || null,
+                    estimate: task.estimate ?? null,
+                    priority: task.priority || null,
+                    labels: (task.labels || []).map(labelName).filter(Boolean),
+                    checklist: task.checklist || [],
+                    pomodoros: task.pomodoros || 0,
+                    created_at: task.created_at || null,
+                    updated_at: task.updated_at || null,
+                })),
+            })),
+        },
+        labels: labels.map(label => ({ name: label.name, color: label.color })),
+    };
+    return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Quoted when it has to be, with quotes doubled (RFC 4180)
+ * Text a spreadsheet would run as a formula (=, +, - or @ first) gets a ' in
+ * front, which the spreadsheet hides and an import takes off.
+ */
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// A row per task, column by column; order is the task's place in its column
+function exportCsv(columns) {
+    const rows = [CSV_FIELDS];
+    [...columns].sort(byOrder).forEach(column => {
+        [...column.tasks].sort(byOrder).forEach((task, index) => {
+            rows.push([column.name, task.title, task.description, task.due_date, task.do_date, index + 1]);
+        });
+    });
+    return rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// One line of Markdown, so a title or step can't start a new block
+function markdownLine(text) {
+    return String(text).replace(/\s*[\r\n]+\s*/g, ' ').trim();
+}
+
+/**
+ * A checklist per column, with a card's steps under it
+ * Cards in the last column (where finished cards go) are ticked.
+ */
+function exportMarkdown(board) {
+    const sorted = [...board.columns].sort(byOrder);
+    const lines = [`# ${markdownLine(board.name)}`];
+    sorted.forEach((column, index) => {
+        const done = sorted.length > 1 && index === sorted.length - 1;
+        lines.push('', `## ${markdownLine(column.name)}`, '');
+        if (column.tasks.length === 0) {
+            lines.push('_No tasks_');
+        }
+        [...column.tasks].sort(byOrder).forEach(task => {
+            const due = task.due_date ? ` (due ${task.due_date})` : '';
+            lines.push(`- [${done ? 'x' : ' '}] ${markdownLine(task.title)}${due}`);
+            (task.checklist || []).forEach(item => {
+                lines.push(`  - [${item.done ? 'x' : ' '}] ${markdownLine(item.text)}`);
+            });
+        });
+    });
+    return lines.join('\n') + '\n';
+}
+
+// e.g. "adhd-kanban-home-2026-03-05.csv"
+function getExportFileName(boardName, type, date = new Date()) {
+    const slug = boardName.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `${EXPORT_FORMAT}${slug ? `-${slug}` : ''}-${toDayString(date)}.${EXPORT_TYPES[type].extension}`;
+}
+
+// Imports
+// Undo csvCell's guard against formulas
+function unescapeCsvCell(text) {
+    return text.replace(/^'(?=[=+\-@])/, '');
+}
+
+/**
+ * Split CSV text into rows of cells
+ * @returns {Array<Array<string>>|null} null if a quoted cell never ends
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (quoted) return null;
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// Problems with a task's dates, plans and checklist, named by `where`
+function checkTaskDetails(task, where, problems) {
+    ['due_date', 'do_date'].forEach(field => {
+        if (task[field] && !isDay(task[field])) {
+            problems.push(`${where} has an invalid ${field === 'due_date' ? 'due' : '"do on"'} date (use YYYY-MM-DD).`);
+        }
+    });
+    if (task.due_time && (!isTime(task.due_time) || !task.due_date)) {
+        problems.push(`${where} has an invalid due time (use HH:MM, with a due date).`);
+    }
+    if ((task.estimate ?? null) !== null && !isEstimate(task.estimate)) {
+        problems.push(`${where} has an invalid estimate.`);
+    }
+    if (task.priority && !isPriority(task.priority)) {
+        problems.push(`${where} has an invalid priority.`);
+    }
+    if (task.checklist.length > MAX_CHECKLIST_ITEMS) {
+        problems.push(`${where} has more than ${MAX_CHECKLIST_ITEMS} checklist steps.`);
+    } else if (task.checklist.some(item => !item.text || item.text.length > MAX_ITEM_LENGTH)) {
+        problems.push(`${where} has a checklist step that's empty or longer than ${MAX_ITEM_LENGTH} characters.`);
+    }
+}
+
+// A string's trimmed text, or '' for anything else
+function trimmed(value) {
+    return typeof value === 'string' ? value.trim() : '';
+}
+
+function readJsonImport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { data: null, problems: ['The file isn\'t valid JSON.'] };
+    }
+    if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.board?.columns)) {
+        return { data: null, problems: ['This isn\'t an ADHD Kanban backup.'] };
+    }
+    if (data.version > EXPORT_VERSION) {
+        return { data: null, problems: ['This backup is from a newer version of the app. Update the app to import it.'] };
+    }
+
+    const problems = [];
+    const labels = (Array.isArray(data.labels) ? data.labels : [])
+        .filter(label => trimmed(label?.name))
+        .map(label => ({ name: trimmed(label.name), color: isLabelColor(label.color) ? label.color.toLowerCase() : null }));
+
+    const columns = [...data.board.columns].sort(byOrder).map((raw, index) => {
+        const name = trimmed(raw?.name);
+        const where = name ? `"${name}"` : `Column ${index + 1}`;
+        if (!name) {
+            problems.push(`${where} has no name.`);
+        }
+        const limit = raw?.wip_limit ?? null;
+        if (limit !== null && (!Number.isInteger(limit) || limit < 1)) {
+            problems.push(`${where} has an invalid work-in-progress limit.`);
+        }
+        const tasks = (Array.isArray(raw?.tasks) ? [...raw.tasks] : []).sort(byOrder).map((rawTask, taskIndex) => {
+            const task = {
+                title: trimmed(rawTask?.title),
+                description: typeof rawTask?.description === 'string' ? rawTask.description : '',
+                due_date: rawTask?.due_date || null,
+                due_time: rawTask?.due_time || null,
+                do_date: rawTask?.do_date || null,
+                estimate: rawTask?.estimate ?? null,
+                priority: rawTask?.priority || null,
+                labels: (Array.isArray(rawTask?.labels) ? rawTask.labels : []).map(trimmed).filter(Boolean),
+                checklist: (Array.isArray(rawTask?.checklist) ? rawTask.checklist : [])
+                    .map(item => ({ text: trimmed(item?.text), done: !!item?.done })),
+                pomodoros: Number.isInteger(rawTask?.pomodoros) && rawTask.pomodoros > 0 ? rawTask.pomodoros : 0,
+            };
+            const taskWhere = task.title ? `"${task.title}" in ${where}` : `Task ${taskIndex + 1} in ${where}`;
+            if (!task.title) {
+                problems.push(`${taskWhere} has no title.`);
+            }
+            checkTaskDetails(task, taskWhere, problems);
+            return task;
+        });
+        return { name, wip_limit: limit, wip_block: !!raw?.wip_block, tasks };
+    });
+
+    columns.forEach((column, index) => {
+        if (column.name && columns.findIndex(c => c.name && sameName(c.name, column.name)) !== index) {
+            problems.push(`There's more than one column called "${column.name}".`);
+        }
+    });
+    return { data: { columns, labels }, problems };
+}
+
+/**
+ * Tasks from a CSV with "column" and "title" headings (others as exported are
+ * optional). Columns come in the order they first appear; tasks go by "order"
+ * if it's given, else by row.
+ */
+function readCsvImport(text) {
+    const rows = parseCsv(text.replace(/^\uFEFF/, ''));
+    if (!rows) {
+        return { data: null, problems: ['The CSV has a quoted value that never ends.'] };
+    }
+    const [header = [], ...body] = rows;
+    const fields = header.map(cell => cell.trim().toLowerCase());
+    if (!fields.includes('column') || !fields.includes('title')) {
+        return { data: null, problems: ['The CSV needs "column" and "title" headings.'] };
+    }
+
+    const problems = [];
+    const columns = [];
+    body.forEach((cells, index) => {
+        if (cells.every(cell => !cell.trim())) return;
+        const values = Object.fromEntries(fields.map((field, i) => [field, unescapeCsvCell((cells[i] || '').trim())]));
+        // Rows are counted from the heading row
+        const where = `Row ${index + 2}`;
+        if (!values.column) {
+            problems.push(`${where} has no column.`);
+        }
+        if (!values.title) {
+            problems.push(`${where} has no title.`);
+        }
+        const order = values.order ? Number(values.order) : null;
+        if (order !== null && Number.isNaN(order)) {
+            problems.push(`${where} has an order that isn't a number.`);
+        }
+        const task = {
+            title: values.title,
+            description: values.description || '',
+            due_date: values.due_date || null,
+            do_date: values.do_date || null,
+            labels: [],
+            checklist: [],
+            pomodoros: 0,
+            order,
+        };
+        checkTaskDetails(task, where, problems);
+
+        let column = columns.find(c => sameName(c.name, values.column));
+        if (!column) {
+            column = { name: values.column, wip_limit: null, wip_block: false, tasks: [] };
+            columns.push(column);
+        }
+        column.tasks.push(task);
+    });
+
+    if (columns.length === 0 && problems.length === 0) {
+        problems.push('There are no tasks in this file.');
+    }
+    columns.forEach(column => {
+        column.tasks = column.tasks.sort(byOrder).map(({ order, ...task }) => task);
+    });
+    return { data: { columns, labels: [] }, problems };
+}
+
+/**
+ * Read a backup or CSV, going by the file name and then the contents
+ * @returns {{data: Object|null, problems: Array<string>}} The import, and
+ *   what's wrong with the file; anything wrong means it shouldn't be imported
+ */
+function readImport(text, fileName = '') {
+    const name = fileName.toLowerCase();
+    const isJson = name.endsWith('.json') || (!name.endsWith('.csv') && text.trimStart().startsWith('{'));
+    return isJson ? readJsonImport(text) : readCsvImport(text);
+}
+
+/**
+ * What an import would do to a board
+ * Columns go into the board's column of the same name, if it has one, else
+ * are added; labels are matched by name in the same way.
+ * @returns {Object} { columns: [{ ...column, existing (the board's column or
+ *   null) }], newColumns, taskCount, newLabels: [{ name, color }], problems }
+ */
+function planImport(data, boardColumns, labels, maxColumns) {
+    const columns = data.columns.map(column => ({
+        ...column,
+        existing: boardColumns.find(c => sameName(c.name, column.name)) || null,
+    }));
+    const newColumns = columns.filter(column => !column.existing).length;
+    const taskCount = columns.reduce((count, column) => count + column.tasks.length, 0);
+
+    const newLabels = [];
+    columns.flatMap(column => column.tasks).flatMap(task => task.labels).forEach(name => {
+        if (!labels.some(l => sameName(l.name, name)) && !newLabels.some(l => sameName(l.name, name))) {
+            const listed = data.labels.find(l => sameName(l.name, name));
+            newLabels.push({ name, color: listed ? listed.color : null });
+        }
+    });
+
+    const problems = [];
+    if (boardColumns.length + newColumns > maxColumns) {
+        problems.push(`This would need ${boardColumns.length + newColumns} columns on this board; the limit is ${maxColumns}.`);
+    }
+    if (taskCount === 0 && newColumns === 0) {
+        problems.push('There\'s nothing in this file to add.');
+    }
+    return { columns, newColumns, taskCount, newLabels, problems };
+}
+
+export {
+    EXPORT_VERSION,
+    MAX_IMPORT_SIZE,
+    CSV_FIELDS,
+    EXPORT_TYPES,
+    exportJson,
+    exportCsv,
+    exportMarkdown,
+    getExportFileName,
+    isDay,
+    parseCsv,
+    readImport,
+    planImport,
+};
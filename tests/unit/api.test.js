@@ -10,8 +10,15 @@ import {
   clearToken, 
   isAuthenticated, 
   apiRequest, 
-  api 
+  api,
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  isAbortError,
+  getRetryDelay,
+  syncOutbox,
 } from '../../src/js/api.js';
+import { getPendingMutations, enqueueMutation } from '../../src/js/outbox.js';
 
 // Helper to create mock fetch responses
 function mockFetchResponse(data, status = 200, ok = true) {
@@ -123,6 +130,16 @@ describe('apiRequest', () => {
     await expect(apiRequest('/bad/')).rejects.toThrow('Custom error message');
   });
 
+  it('refuses to send anywhere when the chosen server has no URL', async () => {
+    localStorage.setItem('api_config', JSON.stringify({ environment: 'staging', urls: {} }));
+
+    const error = await apiRequest('/board/').catch(e => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.message).toContain('Staging has no server URL');
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
   it('throws error with message from response.detail', async () => {
     fetch.mockResolvedValueOnce({
       ok: false,
@@ -306,6 +323,126 @@ describe('api.createTask', () => {
       })
     );
   });
+
+  it('sends due and do-on dates', async () => {
+    fetch.mockResolvedValueOnce(mockFetchResponse({ id: 1 }));
+
+    await api.createTask('Task', 1, '', { due_date: '2026-03-05', do_date: '2026-03-04' });
+
+    expect(fetch).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.objectContaining({
+        body: JSON.stringify({ title: 'Task', column_id: 1, due_date: '2026-03-05', do_date: '2026-03-04' }),
+      })
+    );
+  });
+});
+
+describe('api boards', () => {
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  it('fetches a board by ID, or the main board', async () => {
+    fetch
+      .mockResolvedValueOnce(mockFetchResponse({ id: 1, name: 'Work', columns: [] }))
+      .mockResolvedValueOnce(mockFetchResponse({ id: 4, name: 'Home', columns: [] }));
+
+    await api.getBoard();
+    await api.getBoard({ boardId: 4 });
+
+    expect(fetch).toHaveBeenNthCalledWith(1, `${CONFIG.API_BASE}/board/`, expect.anything());
+    expect(fetch).toHaveBeenNthCalledWith(2, `${CONFIG.API_BASE}/boards/4/`, expect.anything());
+  });
+
+  it('creates columns on a board', async () => {
+    fetch.mockResolvedValueOnce(mockFetchResponse({ id: 9, name: 'Shed', board: 4 }, 201));
+
+    await api.createColumn('Shed', 4);
+
+    expect(fetch).toHaveBeenCalledWith(
+      `${CONFIG.API_BASE}/columns/`,
+      expect.objectContaining({ method: 'POST', body: JSON.stringify({ name: 'Shed', board_id: 4 }) })
+    );
+  });
+
+  it('creates boards offline with a temporary ID', async () => {
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    const board = await api.createBoard('Home');
+
+    expect(board.name).toBe('Home');
+    expect(board.id).toBeLessThan(0);
+    expect(getPendingMutations()).toEqual([expect.objectContaining({ type: 'createBoard', args: ['Home'] })]);
+  });
+
+  it('renames and deletes boards', async () => {
+    fetch
+      .mockResolvedValueOnce(mockFetchResponse({ id: 4, name: 'House' }))
+      .mockResolvedValueOnce(mockFetchResponse(null, 204));
+
+    await api.updateBoard(4, { name: 'House' });
+    await api.deleteBoard(4);
+
+    expect(fetch).toHaveBeenNthCalledWith(1, `${CONFIG.API_BASE}/boards/4/`, expect.objectContaining({ method: 'PATCH' }));
+    expect(fetch).toHaveBeenNthCalledWith(2, `${CONFIG.API_BASE}/boards/4/`, expect.objectContaining({ method: 'DELETE' }));
+  });
+});
+
+describe('api archive', () => {
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  it('archives and restores tasks', async () => {
+    fetch
+      .mockResolvedValueOnce(mockFetchResponse({ id: 5, archived_at: '2026-03-01T00:00:00Z' }))
+      .mockResolvedValueOnce(mockFetchResponse({ id: 5, column: 2 }));
+
+    await api.archiveTask(5);
+    const restored = await api.restoreArchivedTask(5);
+
+    expect(fetch).toHaveBeenNthCalledWith(1, expect.stringContaining('/tasks/5/archive/'), expect.objectContaining({ method: 'POST' }));
+    expect(fetch).toHaveBeenNthCalledWith(2, expect.stringContaining('/archive/5/restore/'), expect.objectContaining({ method: 'POST' }));
+    expect(restored.column).toBe(2);
+  });
+
+  it('purges an archived task', async () => {
+    fetch.mockResolvedValueOnce(mockFetchResponse(null, 204));
+
+    await api.purgeArchivedTask(5);
+
+    expect(fetch).toHaveBeenCalledWith(expect.stringContaining('/archive/5/'), expect.objectContaining({ method: 'DELETE' }));
+  });
+});
+
+describe('api labels', () => {
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  it('creates a label with its colour', async () => {
+    fetch.mockResolvedValueOnce(mockFetchResponse({ id: 7, name: 'Errand', color: '#3498db' }));
+
+    const label = await api.createLabel('Errand', '#3498db');
+
+    expect(label.id).toBe(7);
+    expect(fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/labels/'),
+      expect.objectContaining({ method: 'POST', body: JSON.stringify({ name: 'Errand', color: '#3498db' }) })
+    );
+  });
+
+  it('renames a label', async () => {
+    fetch.mockResolvedValueOnce(mockFetchResponse({ id: 7, name: 'Errands', color: '#3498db' }));
+
+    await api.updateLabel(7, { name: 'Errands' });
+
+    expect(fetch).toHaveBeenCalledWith(
+      expect.stringContaining('/labels/7/'),
+      expect.objectContaining({ method: 'PATCH', body: JSON.stringify({ name: 'Errands' }) })
+    );
+  });
 });
 
 describe('api.moveTask', () => {
@@ -326,6 +463,27 @@ describe('api.moveTask', () => {
       })
     );
   });
+
+  it('sends the position in the new column in the same request', async () => {
+    fetch.mockResolvedValueOnce(mockFetchResponse({ id: 5, column: 3, order: 2 }));
+
+    await api.moveTask(5, 3, { order: 2 });
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch).toHaveBeenCalledWith(
+      `${CONFIG.API_BASE}/tasks/5/move/`,
+      expect.objectContaining({ body: JSON.stringify({ column_id: 3, order: 2 }) })
+    );
+  });
+
+  it('keeps the position when queued offline', async () => {
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    const result = await api.moveTask(5, 3, { order: 1, retries: 0 });
+
+    expect(result).toEqual({ id: 5, column: 3, order: 1 });
+    expect(getPendingMutations()[0].args).toEqual([5, 3, 1]);
+  });
 });
 
 describe('api.reorderTasks', () => {
@@ -419,3 +577,581 @@ describe('api.deleteColumn', () => {
     );
   });
 });
+
+describe('offline mutations', () => {
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  it('throws NetworkError when the server is unreachable', async () => {
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    await expect(apiRequest('/board/', { retries: 0 })).rejects.toBeInstanceOf(NetworkError);
+  });
+
+  it('queues a create made offline and returns a temporary task', async () => {
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    const task = await api.createTask('Offline task', 2, 'Details');
+
+    expect(task).toEqual(expect.objectContaining({
+      title: 'Offline task',
+      description: 'Details',
+      column: 2,
+    }));
+    expect(task.id).toBeLessThan(0);
+    expect(getPendingMutations()).toHaveLength(1);
+  });
+
+  it('queues later mutations behind pending ones without calling fetch', async () => {
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    await api.createColumn('First');
+
+    await api.createColumn('Second');
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(getPendingMutations().map(m => m.args)).toEqual([['First', null], ['Second', null]]);
+  });
+
+  it('does not queue mutations the server rejects', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 400,
+      json: () => Promise.resolve({ error: 'Bad column' }),
+    });
+
+    await expect(api.createTask('Task', 99)).rejects.toThrow('Bad column');
+    expect(getPendingMutations()).toHaveLength(0);
+  });
+
+  // Requests that hang until they time out after 20ms
+  async function withTimeouts(run) {
+    fetch.mockImplementation((url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+    const timeout = CONFIG.REQUEST_TIMEOUT;
+    CONFIG.REQUEST_TIMEOUT = 20;
+    try {
+      return await run();
+    } finally {
+      CONFIG.REQUEST_TIMEOUT = timeout;
+    }
+  }
+
+  it('does not queue a create that timed out, as it may have been made', async () => {
+    const error = await withTimeouts(() => api.createTask('Slow task', 2).catch(e => e));
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error.message).toContain('may have been saved');
+    expect(getPendingMutations()).toHaveLength(0);
+  });
+
+  it('queues other mutations that timed out', async () => {
+    await withTimeouts(() => api.moveTask(5, 3));
+
+    expect(getPendingMutations().map(m => m.type)).toEqual(['moveTask']);
+  });
+
+  it('syncOutbox drops a queued create that times out rather than sending it again', async () => {
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    await api.createTask('Offline task', 2);
+
+    const drained = await withTimeouts(() => syncOutbox());
+
+    expect(drained).toBe(true);
+    expect(getPendingMutations()).toHaveLength(0);
+  });
+
+  it('syncOutbox keeps the queue when the server is briefly unavailable', async () => {
+    fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+    await api.moveTask(5, 3);
+    fetch.mockImplementation(() => mockFetchResponse({ detail: 'Unavailable' }, 503, false));
+
+    const drained = await syncOutbox();
+
+    expect(drained).toBe(false);
+    expect(getPendingMutations().map(m => m.type)).toEqual(['moveTask']);
+  });
+
+  it('syncOutbox replays task edits queued in the old (id, title, description) form', async () => {
+    enqueueMutation('updateTask', [7, 'Renamed', 'Notes']);
+    fetch.mockResolvedValueOnce(mockFetchResponse({ id: 7, title: 'Renamed', description: 'Notes' }));
+
+    await syncOutbox();
+
+    expect(fetch).toHaveBeenCalledWith(
+      `${CONFIG.API_BASE}/tasks/7/`,
+      expect.objectContaining({ method: 'PATCH', body: JSON.stringify({ title: 'Renamed', description: 'Notes' }) })
+    );
+  });
+
+  it('syncOutbox replays queued mutations with server IDs', async () => {
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    const task = await api.createTask('Offline task', 2);
+    await api.moveTask(task.id, 3);
+
+    fetch
+      .mockResolvedValueOnce(mockFetchResponse({ id: 55, title: 'Offline task', column: 2 }))
+      .mockResolvedValueOnce(mockFetchResponse({ id: 55, column: 3 }));
+
+    const drained = await syncOutbox();
+
+    expect(drained).toBe(true);
+    expect(fetch).toHaveBeenLastCalledWith(
+      `${CONFIG.API_BASE}/tasks/55/move/`,
+      expect.objectContaining({ body: JSON.stringify({ column_id: 3 }) })
+    );
+    expect(getPendingMutations()).toHaveLength(0);
+  });
+});
+
+describe('ApiError', () => {
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  it('carries status, code, field messages and the raw body', async () => {
+    const body = {
+      username: ['A user with that username already exists.'],
+      email: ['Enter a valid email address.'],
+    };
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 400,
+      json: () => Promise.resolve(body),
+    });
+
+    const error = await apiRequest('/auth/register/').catch(e => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(400);
+    expect(error.code).toBe('validation_error');
+    expect(error.message).toBe('A user with that username already exists.');
+    expect(error.fieldErrors).toEqual(body);
+    expect(error.hasFieldErrors()).toBe(true);
+    expect(error.body).toEqual(body);
+  });
+
+  it('separates non-field errors', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 400,
+      json: () => Promise.resolve({ non_field_errors: ['Unable to log in.'] }),
+    });
+
+    const error = await apiRequest('/auth/login/').catch(e => e);
+
+    expect(error.message).toBe('Unable to log in.');
+    expect(error.nonFieldErrors).toEqual(['Unable to log in.']);
+    expect(error.hasFieldErrors()).toBe(false);
+  });
+
+  it('uses the code sent by the server', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 403,
+      json: () => Promise.resolve({ detail: 'No access', code: 'board_locked' }),
+    });
+
+    const error = await apiRequest('/board/').catch(e => e);
+
+    expect(error.code).toBe('board_locked');
+    expect(error.message).toBe('No access');
+  });
+
+  it('falls back to a code derived from the status', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 503,
+      json: () => Promise.resolve({}),
+    });
+
+    const error = await apiRequest('/board/', { retries: 0 }).catch(e => e);
+
+    expect(error.code).toBe('server_error');
+    expect(error.message).toBe('Request failed');
+  });
+
+  it('reports a message for fields other than username and password', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 400,
+      json: () => Promise.resolve({ title: ['This field may not be blank.'] }),
+    });
+
+    await expect(apiRequest('/tasks/')).rejects.toThrow('This field may not be blank.');
+  });
+
+  it('keeps the text of non-JSON error responses', async () => {
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 502,
+      statusText: 'Bad Gateway',
+      headers: new Headers({ 'content-type': 'text/html' }),
+      text: () => Promise.resolve('<h1>Bad Gateway</h1>'),
+    });
+
+    const error = await apiRequest('/board/', { retries: 0 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.status).toBe(502);
+    expect(error.body).toBe('<h1>Bad Gateway</h1>');
+  });
+});
+
+describe('timeouts, retries and cancellation', () => {
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  // fetch mock that never settles until its signal aborts
+  function hangingFetch() {
+    return (url, init) => new Promise((resolve, reject) => {
+      init.signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    });
+  }
+
+  it('passes an AbortSignal to fetch', async () => {
+    fetch.mockResolvedValueOnce(mockFetchResponse({}));
+
+    await apiRequest('/board/');
+
+    expect(fetch).toHaveBeenCalledWith(
+      expect.any(String),
+      expect.objectContaining({ signal: expect.any(AbortSignal) })
+    );
+  });
+
+  it('does not pass request options through to fetch', async () => {
+    fetch.mockResolvedValueOnce(mockFetchResponse({}));
+
+    await apiRequest('/board/', { timeout: 1000, retries: 1, retryDelay: 1, idempotent: true });
+
+    const init = fetch.mock.calls[0][1];
+    expect(init).not.toHaveProperty('timeout');
+    expect(init).not.toHaveProperty('retries');
+    expect(init).not.toHaveProperty('idempotent');
+  });
+
+  it('times out a hung request', async () => {
+    fetch.mockImplementation(hangingFetch());
+
+    const error = await apiRequest('/board/', { timeout: 20, retries: 0 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(TimeoutError);
+    expect(error).toBeInstanceOf(NetworkError);
+  });
+
+  it('retries idempotent requests after network errors', async () => {
+    fetch
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(mockFetchResponse({ columns: [] }));
+
+    const result = await apiRequest('/board/', { retryDelay: 1 });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(result).toEqual({ columns: [] });
+  });
+
+  it('retries transient server errors up to the limit', async () => {
+    fetch.mockImplementation(() => mockFetchResponse({ detail: 'Unavailable' }, 503, false));
+
+    await expect(apiRequest('/board/', { retries: 2, retryDelay: 1 })).rejects.toThrow('Unavailable');
+    expect(fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry client errors', async () => {
+    fetch.mockImplementation(() => mockFetchResponse({ detail: 'Not found' }, 404, false));
+
+    await expect(apiRequest('/board/', { retryDelay: 1 })).rejects.toThrow('Not found');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry non-idempotent requests', async () => {
+    fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    await expect(apiRequest('/tasks/', { method: 'POST', retryDelay: 1 }))
+      .rejects.toBeInstanceOf(NetworkError);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries POSTs marked idempotent', async () => {
+    fetch
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(mockFetchResponse({ success: true }));
+
+    await api.reorderTasks([{ id: 1, order: 1 }], { retryDelay: 1 });
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('cancels a request through its signal without queueing it', async () => {
+    fetch.mockImplementation(hangingFetch());
+    const controller = new AbortController();
+
+    const request = api.reorderTasks([{ id: 1, order: 1 }], { signal: controller.signal });
+    controller.abort();
+    const error = await request.catch(e => e);
+
+    expect(isAbortError(error)).toBe(true);
+    expect(getPendingMutations()).toHaveLength(0);
+  });
+
+  it('cancels pending retries', async () => {
+    fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+    const controller = new AbortController();
+
+    const request = apiRequest('/board/', { signal: controller.signal, retryDelay: 1000 });
+    await Promise.resolve();
+    controller.abort();
+    const error = await request.catch(e => e);
+
+    expect(isAbortError(error)).toBe(true);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not start an already-cancelled request', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    const error = await apiRequest('/board/', { signal: controller.signal }).catch(e => e);
+
+    expect(isAbortError(error)).toBe(true);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('backs off exponentially up to a cap', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(1);
+
+    expect(getRetryDelay(0, 500)).toBe(500);
+    expect(getRetryDelay(1, 500)).toBe(1000);
+    expect(getRetryDelay(2, 500)).toBe(2000);
+    expect(getRetryDelay(10, 500)).toBe(CONFIG.RETRY_MAX_DELAY);
+  });
+});
+
+describe('api.updateTask', () => {
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  it('patches the given fields', async () => {
+    fetch.mockResolvedValueOnce(mockFetchResponse({ id: 4, title: 'New', version: 2 }));
+
+    await api.updateTask(4, { title: 'New', description: '' });
+
+    expect(fetch).toHaveBeenCalledWith(
+      `${CONFIG.API_BASE}/tasks/4/`,
+      expect.objectContaining({
+        method: 'PATCH',
+        body: JSON.stringify({ title: 'New', description: '' }),
+      })
+    );
+    expect(fetch.mock.calls[0][1].headers).not.toHaveProperty('If-Match');
+  });
+
+  it('sends the expected version as If-Match', async () => {
+    fetch.mockResolvedValueOnce(mockFetchResponse({ id: 4, version: 8 }));
+
+    await api.updateTask(4, { title: 'New' }, { version: 7 });
+
+    expect(fetch.mock.calls[0][1].headers).toEqual(expect.objectContaining({ 'If-Match': '"7"' }));
+  });
+
+  it('reports a conflicting write', async () => {
+    const current = { id: 4, title: 'Theirs', version: 8 };
+    fetch.mockResolvedValueOnce(mockFetchResponse({ detail: 'Task was modified', current }, 412, false));
+
+    const error = await api.updateTask(4, { title: 'Mine' }, { version: 7 }).catch(e => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.code).toBe('conflict');
+    expect(error.body.current).toEqual(current);
+  });
+});
+
+describe('api.updateColumn', () => {
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  it('renames with the expected version', async () => {
+    fetch.mockResolvedValueOnce(mockFetchResponse({ id: 2, name: 'Doing', version: 4 }));
+
+    await api.updateColumn(2, 'Doing', { version: 3 });
+
+    expect(fetch).toHaveBeenCalledWith(
+      `${CONFIG.API_BASE}/columns/2/`,
+      expect.objectContaining({
+        method: 'PATCH',
+        headers: expect.objectContaining({ 'If-Match': '"3"' }),
+        body: JSON.stringify({ name: 'Doing' }),
+      })
+    );
+  });
+
+  it('sends work-in-progress limit changes', async () => {
+    fetch.mockResolvedValueOnce(mockFetchResponse({ id: 2, name: 'Doing', wip_limit: 3, wip_block: true, version: 5 }));
+
+    await api.updateColumn(2, { wip_limit: 3, wip_block: true }, { version: 4 });
+
+    expect(fetch).toHaveBeenCalledWith(
+      `${CONFIG.API_BASE}/columns/2/`,
+      expect.objectContaining({
+        method: 'PATCH',
+        body: JSON.stringify({ wip_limit: 3, wip_block: true }),
+      })
+    );
+  });
+});
+
+describe('local-only mode', () => {
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+    localStorage.setItem('storage_mode', 'local');
+  });
+
+  it('counts as signed in without a token', () => {
+    expect(isAuthenticated()).toBe(true);
+  });
+
+  it('keeps board changes on the device', async () => {
+    const board = await api.getBoard();
+    const task = await api.createTask('Offline forever', board.columns[0].id);
+
+    expect(task).toEqual(expect.objectContaining({ title: 'Offline forever', version: 1 }));
+    expect((await api.getTask(task.id)).title).toBe('Offline forever');
+    expect(fetch).not.toHaveBeenCalled();
+    expect(getPendingMutations()).toHaveLength(0);
+  });
+
+  it('leaves local mode on logout', async () => {
+    await api.logout();
+
+    expect(fetch).not.toHaveBeenCalled();
+    expect(localStorage.getItem('storage_mode')).toBeNull();
+  });
+
+  it('pushes the local board into the account', async () => {
+    const local = await api.getBoard();
+    await api.createTask('Plan', local.columns[0].id, 'Week');
+    await api.createColumn('Someday');
+    setToken('token');
+
+    fetch
+      .mockResolvedValueOnce(mockFetchResponse({ columns: [{ id: 50, name: 'to do', tasks: [] }] }))
+      .mockResolvedValueOnce(mockFetchResponse({ id: 900, title: 'Plan' }, 201))
+      .mockResolvedValueOnce(mockFetchResponse({ id: 51, name: 'In Progress' }, 201))
+      .mockResolvedValueOnce(mockFetchResponse({ id: 52, name: 'Done' }, 201))
+      .mockResolvedValueOnce(mockFetchResponse({ id: 53, name: 'Someday' }, 201));
+
+    const created = await api.pushLocalBoard({ maxColumns: 12 });
+
+    expect(created).toEqual({ columns: 3, tasks: 1 });
+    expect(fetch).toHaveBeenCalledWith(
+      `${CONFIG.API_BASE}/tasks/`,
+      expect.objectContaining({ body: JSON.stringify({ title: 'Plan', column_id: 50, description: 'Week' }) })
+    );
+    expect(localStorage.getItem('storage_mode')).toBeNull();
+  });
+
+  it('pushes labels, reusing account labels with the same name', async () => {
+    const local = await api.getBoard();
+    const health = await api.createLabel('Health', '#2ecc71');
+    const errand = await api.createLabel('Errand', '#3498db');
+    await api.createTask('Dentist', local.columns[0].id, '', { labels: [health.id, errand.id] });
+    setToken('token');
+
+    fetch
+      .mockResolvedValueOnce(mockFetchResponse({
+        columns: ['To Do', 'In Progress', 'Done'].map((name, index) => ({ id: 50 + index, name, tasks: [] })),
+      }))
+      .mockResolvedValueOnce(mockFetchResponse([{ id: 70, name: 'health', color: '#000000' }]))
+      .mockResolvedValueOnce(mockFetchResponse({ id: 71, name: 'Errand', color: '#3498db' }, 201))
+      .mockResolvedValueOnce(mockFetchResponse({ id: 900, title: 'Dentist' }, 201));
+
+    await api.pushLocalBoard({ maxColumns: 12 });
+
+    expect(fetch).toHaveBeenCalledWith(
+      `${CONFIG.API_BASE}/labels/`,
+      expect.objectContaining({ method: 'POST', body: JSON.stringify({ name: 'Errand', color: '#3498db' }) })
+    );
+    expect(fetch).toHaveBeenLastCalledWith(
+      `${CONFIG.API_BASE}/tasks/`,
+      expect.objectContaining({ body: JSON.stringify({ title: 'Dentist', column_id: 50, labels: [70, 71] }) })
+    );
+  });
+
+  it('pushes other local boards into account boards of the same name', async () => {
+    const home = await api.createBoard('Home');
+    const [homeTodo] = (await api.getBoard({ boardId: home.id })).columns;
+    await api.createTask('Paint', homeTodo.id);
+    setToken('token');
+    const columns = first => ['To Do', 'In Progress', 'Done'].map((name, index) => ({ id: first + index, name, tasks: [] }));
+
+    fetch
+      .mockResolvedValueOnce(mockFetchResponse([{ id: 1, name: 'Work' }]))
+      .mockResolvedValueOnce(mockFetchResponse({ id: 1, columns: columns(50) }))
+      .mockResolvedValueOnce(mockFetchResponse({ id: 2, name: 'Home' }, 201))
+      .mockResolvedValueOnce(mockFetchResponse({ id: 2, columns: columns(60) }))
+      .mockResolvedValueOnce(mockFetchResponse({ id: 900, title: 'Paint' }, 201));
+
+    const created = await api.pushLocalBoard({ maxColumns: 12 });
+
+    expect(created).toEqual({ columns: 0, tasks: 1 });
+    expect(fetch).toHaveBeenCalledWith(
+      `${CONFIG.API_BASE}/boards/`,
+      expect.objectContaining({ method: 'POST', body: JSON.stringify({ name: 'Home' }) })
+    );
+    expect(fetch).toHaveBeenLastCalledWith(
+      `${CONFIG.API_BASE}/tasks/`,
+      expect.objectContaining({ body: JSON.stringify({ title: 'Paint', column_id: 60 }) })
+    );
+  });
+
+  it('carries on where a failed push stopped, and pushes each task once', async () => {
+    const local = await api.getBoard();
+    await api.createTask('Plan', local.columns[0].id);
+    await api.createTask('Shop', local.columns[0].id);
+    setToken('token');
+    const remote = () => mockFetchResponse({
+      columns: ['To Do', 'In Progress', 'Done'].map((name, index) => ({ id: 50 + index, name, tasks: [] })),
+    });
+
+    fetch
+      .mockResolvedValueOnce(remote())
+      .mockResolvedValueOnce(mockFetchResponse({ id: 900, title: 'Plan' }, 201))
+      .mockResolvedValueOnce(mockFetchResponse({ detail: 'Bad request' }, 400, false));
+    await expect(api.pushLocalBoard({ maxColumns: 12, account: 'sam' })).rejects.toThrow('Bad request');
+
+    fetch
+      .mockResolvedValueOnce(remote())
+      .mockResolvedValueOnce(mockFetchResponse({ id: 901, title: 'Shop' }, 201));
+    expect(await api.pushLocalBoard({ maxColumns: 12, account: 'sam' })).toEqual({ columns: 0, tasks: 1 });
+    expect(fetch).toHaveBeenLastCalledWith(
+      `${CONFIG.API_BASE}/tasks/`,
+      expect.objectContaining({ body: JSON.stringify({ title: 'Shop', column_id: 50 }) })
+    );
+
+    fetch.mockResolvedValueOnce(remote());
+    expect(await api.pushLocalBoard({ maxColumns: 12, account: 'sam' })).toEqual({ columns: 0, tasks: 0 });
+
+    // Another account gets everything
+    fetch
+      .mockResolvedValueOnce(remote())
+      .mockResolvedValueOnce(mockFetchResponse({ id: 700, title: 'Plan' }, 201))
+      .mockResolvedValueOnce(mockFetchResponse({ id: 701, title: 'Shop' }, 201));
+    expect(await api.pushLocalBoard({ maxColumns: 12, account: 'alex' })).toEqual({ columns: 0, tasks: 2 });
+  });
+
+  it('refuses to push past the column limit', async () => {
+    setToken('token');
+    fetch.mockResolvedValueOnce(mockFetchResponse({ columns: [{ id: 1, name: 'Inbox', tasks: [] }] }));
+
+    const error = await api.pushLocalBoard({ maxColumns: 3 }).catch(e => e);
+
+    expect(error.code).toBe('column_limit');
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(localStorage.getItem('storage_mode')).toBe('local');
+  });
+});
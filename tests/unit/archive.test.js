@@ -0,0 +1,94 @@
+/**
+ * Unit tests for archive.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  validateArchiveSettings,
+  loadArchiveSettings,
+  saveArchiveSettings,
+  getAutoArchiveTasks,
+  searchArchive,
+} from '../../src/js/archive.js';
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+function board() {
+  return [
+    { id: 1, name: 'To Do', tasks: [{ id: 101, updated_at: '2026-01-01T00:00:00Z' }] },
+    {
+      id: 3,
+      name: 'Done',
+      tasks: [
+        { id: 301, column_changed_at: '2026-03-09T12:00:00Z' },
+        { id: 302, column_changed_at: '2026-03-01T12:00:00Z' },
+        { id: 303, column_changed_at: '2026-02-01T12:00:00Z' },
+      ],
+    },
+  ];
+}
+
+describe('archive settings', () => {
+  it('has auto-archive off by default', () => {
+    expect(loadArchiveSettings()).toEqual({ days: null });
+  });
+
+  it('survives a reload', () => {
+    saveArchiveSettings({ days: 7 });
+    expect(loadArchiveSettings()).toEqual({ days: 7 });
+  });
+
+  it('accepts whole days or never', () => {
+    expect(validateArchiveSettings({ days: null })).toBeNull();
+    expect(validateArchiveSettings({ days: 14 })).toBeNull();
+    expect(validateArchiveSettings({ days: 0 })).toHaveProperty('days');
+    expect(validateArchiveSettings({ days: 1.5 })).toHaveProperty('days');
+  });
+
+  it('ignores unusable saved settings', () => {
+    localStorage.setItem('archive_settings', '{"days":-3}');
+    expect(loadArchiveSettings()).toEqual({ days: null });
+  });
+});
+
+describe('getAutoArchiveTasks', () => {
+  it('picks cards left in the last column long enough', () => {
+    expect(getAutoArchiveTasks(board(), 7, NOW).map(t => t.id)).toEqual([302, 303]);
+    expect(getAutoArchiveTasks(board(), 30, NOW).map(t => t.id)).toEqual([303]);
+  });
+
+  it('counts from when a card got to the last column, not when it was made', () => {
+    const columns = [
+      { id: 1, name: 'To Do', tasks: [] },
+      { id: 3, name: 'Done', tasks: [{ id: 301, created_at: '2026-02-08T12:00:00Z', updated_at: '2026-02-08T12:00:00Z', column_changed_at: '2026-03-10T11:00:00Z' }] },
+    ];
+    expect(getAutoArchiveTasks(columns, 7, NOW)).toEqual([]);
+  });
+
+  it('counts from when it first saw a card there, when the move time is missing', () => {
+    const columns = [{ id: 3, name: 'Done', tasks: [{ id: 301, created_at: '2026-02-08T12:00:00Z' }] }];
+    expect(getAutoArchiveTasks(columns, 7, NOW)).toEqual([]);
+    expect(getAutoArchiveTasks(columns, 7, NOW + 6 * 86400000)).toEqual([]);
+    expect(getAutoArchiveTasks(columns, 7, NOW + 7 * 86400000).map(t => t.id)).toEqual([301]);
+  });
+
+  it('does nothing when off', () => {
+    expect(getAutoArchiveTasks(board(), null, NOW)).toEqual([]);
+    expect(getAutoArchiveTasks([], 7, NOW)).toEqual([]);
+  });
+});
+
+describe('searchArchive', () => {
+  const archived = [
+    { id: 1, title: 'Old report', archived_at: '2026-03-01T00:00:00Z' },
+    { id: 2, title: 'Tax return', description: 'Filed', archived_at: '2026-03-05T00:00:00Z' },
+  ];
+
+  it('lists the most recently archived first', () => {
+    expect(searchArchive(archived, '').map(t => t.id)).toEqual([2, 1]);
+  });
+
+  it('searches titles and descriptions', () => {
+    expect(searchArchive(archived, 'filed').map(t => t.id)).toEqual([2]);
+  });
+});
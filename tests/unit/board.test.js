@@ -0,0 +1,111 @@
+/**
+ * Unit tests for board.js, run against board.html in local-only mode
+ */
+
+import { describe, it, expect, vi, beforeAll } from 'vitest';
+import fs from 'fs';
+import { api, TimeoutError } from '../../src/js/api.js';
+import { enqueueMutation, flushOutbox, nextTempId } from '../../src/js/outbox.js';
+import { toDayString } from '../../src/js/dates.js';
+
+function wait(ms = 100) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+beforeAll(async () => {
+  const html = fs.readFileSync('src/board.html', 'utf8');
+  document.body.innerHTML = html
+    .split('<body>')[1]
+    .split('</body>')[0]
+    .replace(/<script[\s\S]*?<\/script>/g, '');
+  localStorage.setItem('storage_mode', 'local');
+  window.alert = vi.fn();
+  await import('../../src/js/board.js');
+  await wait(300);
+});
+
+describe('undoing a column delete', () => {
+  it('brings back its tasks with their details', async () => {
+    // The setup clears localStorage before each test
+    localStorage.setItem('storage_mode', 'local');
+    window.confirm = vi.fn(() => true);
+    const board = await api.getBoard();
+    const column = board.columns[1];
+    const label = await api.createLabel('Health', '#2ecc71');
+    const task = await api.createTask('Call dentist', column.id, 'Ask about Tuesday', {
+      due_date: '2026-03-05',
+      due_time: '15:00',
+      do_date: '2026-03-04',
+      estimate: 15,
+      priority: 'high',
+      labels: [label.id],
+      checklist: [{ text: 'Find number', done: true }],
+    });
+    await api.updateTask(task.id, { pomodoros: 2 });
+    document.getElementById('retry-btn').click();
+    await wait();
+
+    document.querySelector(`.column[data-column-id="${column.id}"] .delete-column`).click();
+    await wait();
+    expect(document.querySelector(`.task[data-task-id="${task.id}"]`)).toBeNull();
+
+    const createTask = vi.spyOn(api, 'createTask');
+    document.getElementById('toast-action').click();
+    await wait();
+
+    expect(createTask).toHaveBeenCalledWith('Call dentist', expect.any(Number), 'Ask about Tuesday', {
+      due_date: '2026-03-05',
+      due_time: '15:00',
+      do_date: '2026-03-04',
+      estimate: 15,
+      priority: 'high',
+      labels: [label.id],
+      checklist: [{ text: 'Find number', done: true }],
+      pomodoros: 2,
+    });
+    const restored = (await api.getBoard()).columns.find(c => c.name === column.name).tasks[0];
+    expect(restored).toMatchObject({ title: 'Call dentist', due_time: '15:00', priority: 'high', pomodoros: 2 });
+  });
+});
+
+describe('reminders', () => {
+  it('can be snoozed one at a time', async () => {
+    localStorage.setItem('storage_mode', 'local');
+    const board = await api.getBoard();
+    const now = new Date();
+    const due = { due_date: toDayString(now), due_time: `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}` };
+    const dentist = await api.createTask('Call dentist', board.columns[0].id, '', due);
+    const rent = await api.createTask('Pay rent', board.columns[0].id, '', due);
+    document.getElementById('retry-btn').click();
+    await wait();
+
+    const items = document.querySelectorAll('#reminder-list .reminder');
+    expect(Array.from(items, item => item.textContent)).toEqual([
+      expect.stringContaining('Call dentist'),
+      expect.stringContaining('Pay rent'),
+    ]);
+
+    items[0].querySelector('.reminder-snooze').click();
+
+    const state = JSON.parse(localStorage.getItem('reminder_state'));
+    expect(Object.values(state.snoozed).map(reminder => reminder.taskId)).toEqual([dentist.id]);
+    expect(Object.keys(state.sent)).toEqual([expect.stringContaining(`due:${rent.id}:`)]);
+    expect(document.querySelectorAll('#reminder-list .reminder')).toHaveLength(1);
+  });
+});
+
+describe('a queued create that timed out', () => {
+  it('is offered again if it isn\'t on the board', async () => {
+    localStorage.setItem('storage_mode', 'local');
+    window.confirm = vi.fn(() => true);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const column = (await api.getBoard()).columns[0];
+    enqueueMutation('createTask', ['Offline task', column.id, '', {}], nextTempId());
+
+    await flushOutbox(() => Promise.reject(new TimeoutError('Request timed out')), () => false);
+    await wait();
+
+    expect(window.confirm).toHaveBeenCalledWith(expect.stringContaining('"Offline task", added while offline, may not have been saved'));
+    expect((await api.getBoard()).columns[0].tasks.map(task => task.title)).toEqual(['Offline task']);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Unit tests for boards.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  loadLastBoard,
+  saveLastBoard,
+  pickBoard,
+  findBoardNamed,
+  getMatchingColumn,
+} from '../../src/js/boards.js';
+
+const BOARDS = [
+  { id: 1, name: 'Work' },
+  { id: 7, name: 'Home' },
+];
+
+describe('last board', () => {
+  it('is remembered per user', () => {
+    saveLastBoard('sam', 7);
+
+    expect(loadLastBoard('sam')).toBe(7);
+    expect(loadLastBoard('alex')).toBeNull();
+  });
+});
+
+describe('pickBoard', () => {
+  it('opens the board asked for', () => {
+    expect(pickBoard(BOARDS, 7)).toEqual(BOARDS[1]);
+  });
+
+  it('falls back to the first board when that one has gone', () => {
+    expect(pickBoard(BOARDS, 99)).toEqual(BOARDS[0]);
+    expect(pickBoard(BOARDS, null)).toEqual(BOARDS[0]);
+    expect(pickBoard([], 1)).toBeNull();
+  });
+});
+
+describe('findBoardNamed', () => {
+  it('ignores case and the board being renamed', () => {
+    expect(findBoardNamed(BOARDS, 'home')).toEqual(BOARDS[1]);
+    expect(findBoardNamed(BOARDS, 'Home', 7)).toBeUndefined();
+  });
+});
+
+describe('getMatchingColumn', () => {
+  const columns = [{ id: 4, name: 'Inbox' }, { id: 5, name: 'To Do' }];
+
+  it('keeps a card in the column of the same name', () => {
+    expect(getMatchingColumn(columns, ' to do')).toEqual(columns[1]);
+  });
+
+  it('uses the first column otherwise', () => {
+    expect(getMatchingColumn(columns, 'Done')).toEqual(columns[0]);
+    expect(getMatchingColumn([], 'Done')).toBeNull();
+  });
+});
@@ -0,0 +1,73 @@
+/**
+ * Unit tests for checklist.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getChecklistProgress,
+  formatProgress,
+  addItem,
+  toggleItem,
+  removeItem,
+  moveItem,
+  cleanChecklist,
+  sameChecklist,
+} from '../../src/js/checklist.js';
+
+const steps = [
+  { text: 'Find the form', done: true },
+  { text: 'Fill it in', done: false },
+  { text: 'Post it', done: false },
+];
+
+describe('progress', () => {
+  it('counts done steps', () => {
+    expect(getChecklistProgress(steps)).toEqual({ done: 1, total: 3 });
+    expect(formatProgress(steps)).toBe('1/3');
+  });
+
+  it('treats a missing checklist as empty', () => {
+    expect(getChecklistProgress(undefined)).toEqual({ done: 0, total: 0 });
+  });
+});
+
+describe('editing steps', () => {
+  it('adds steps at the end, not done', () => {
+    expect(addItem(steps, 'Celebrate').at(-1)).toEqual({ text: 'Celebrate', done: false });
+  });
+
+  it('ticks and unticks without changing the original', () => {
+    const ticked = toggleItem(steps, 1);
+
+    expect(ticked[1].done).toBe(true);
+    expect(toggleItem(ticked, 1)[1].done).toBe(false);
+    expect(steps[1].done).toBe(false);
+  });
+
+  it('removes a step', () => {
+    expect(removeItem(steps, 0).map(s => s.text)).toEqual(['Fill it in', 'Post it']);
+  });
+
+  it('moves steps up and down, staying put at the ends', () => {
+    expect(moveItem(steps, 2, -1).map(s => s.text)).toEqual(['Find the form', 'Post it', 'Fill it in']);
+    expect(moveItem(steps, 0, 1).map(s => s.text)).toEqual(['Fill it in', 'Find the form', 'Post it']);
+    expect(moveItem(steps, 0, -1)).toBe(steps);
+    expect(moveItem(steps, 2, 1)).toBe(steps);
+  });
+});
+
+describe('cleanChecklist', () => {
+  it('trims steps and drops blank ones', () => {
+    expect(cleanChecklist([{ text: ' Call ', done: 1 }, { text: '  ', done: false }])).toEqual([
+      { text: 'Call', done: true },
+    ]);
+  });
+});
+
+describe('sameChecklist', () => {
+  it('compares steps by content', () => {
+    expect(sameChecklist(steps, steps.map(s => ({ ...s })))).toBe(true);
+    expect(sameChecklist(steps, toggleItem(steps, 2))).toBe(false);
+    expect(sameChecklist(undefined, [])).toBe(true);
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Unit tests for column-entry.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getColumnEntryTimes } from '../../src/js/column-entry.js';
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+const HOUR = 3600000;
+
+describe('getColumnEntryTimes', () => {
+  it('uses when a card was moved there', () => {
+    const column = { id: 2, tasks: [{ id: 201, created_at: '2026-01-01T00:00:00Z', column_changed_at: '2026-03-09T12:00:00Z' }] };
+    expect(getColumnEntryTimes(column, NOW).get(201)).toBe(Date.parse('2026-03-09T12:00:00Z'));
+  });
+
+  it('falls back to when it first saw a card there', () => {
+    const column = { id: 2, tasks: [{ id: 201, created_at: '2026-01-01T00:00:00Z' }] };
+    expect(getColumnEntryTimes(column, NOW).get(201)).toBe(NOW);
+    expect(getColumnEntryTimes(column, NOW + HOUR).get(201)).toBe(NOW);
+  });
+
+  it('starts afresh when a card leaves and comes back', () => {
+    const card = { id: 201 };
+    getColumnEntryTimes({ id: 2, tasks: [card] }, NOW);
+    getColumnEntryTimes({ id: 2, tasks: [] }, NOW + HOUR);
+    expect(getColumnEntryTimes({ id: 2, tasks: [card] }, NOW + 2 * HOUR).get(201)).toBe(NOW + 2 * HOUR);
+  });
+
+  it('keeps each column apart', () => {
+    getColumnEntryTimes({ id: 2, tasks: [{ id: 201 }] }, NOW);
+    expect(getColumnEntryTimes({ id: 3, tasks: [{ id: 201 }] }, NOW + HOUR).get(201)).toBe(NOW + HOUR);
+  });
+});
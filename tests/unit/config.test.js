@@ -0,0 +1,141 @@
+/**
+ * Unit tests for config.js
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+  normalizeApiBase,
+  validateApiBase,
+  getEnvironments,
+  getCurrentEnvironmentId,
+  getApiBase,
+  getConfigError,
+  saveEnvironment,
+  resetConfig,
+  loadConfig,
+  testConnection,
+} from '../../src/js/config.js';
+
+const PRODUCTION = 'https://adhdkanban-production.up.railway.app/api/v1';
+
+describe('URL validation', () => {
+  it('strips trailing slashes', () => {
+    expect(normalizeApiBase(' https://example.com/api/v1/ ')).toBe('https://example.com/api/v1');
+  });
+
+  it('rejects non-http URLs', () => {
+    expect(normalizeApiBase('ftp://example.com')).toBeNull();
+    expect(validateApiBase('ftp://example.com')).toBe('URL must start with http:// or https://');
+  });
+
+  it('rejects URLs with a query string', () => {
+    expect(validateApiBase('https://example.com/api?x=1')).toBe('Not a valid server URL');
+  });
+
+  it('requires a value', () => {
+    expect(validateApiBase('  ')).toBe('Enter the server URL');
+  });
+
+  it('accepts a valid URL', () => {
+    expect(validateApiBase('http://localhost:8000/api/v1')).toBeNull();
+  });
+});
+
+describe('Environment selection', () => {
+  beforeEach(() => {
+    resetConfig();
+  });
+
+  it('defaults to production', () => {
+    expect(getCurrentEnvironmentId()).toBe('production');
+    expect(getApiBase()).toBe(PRODUCTION);
+  });
+
+  it('switches to a built-in environment', () => {
+    saveEnvironment('local');
+
+    expect(getApiBase()).toBe('http://localhost:8000/api/v1');
+  });
+
+  it('stores a URL for self-hosted servers', () => {
+    saveEnvironment('self-hosted', 'https://kanban.example.com/api/v1/');
+
+    expect(getApiBase()).toBe('https://kanban.example.com/api/v1');
+    expect(getEnvironments().find(env => env.id === 'self-hosted').apiBase)
+      .toBe('https://kanban.example.com/api/v1');
+  });
+
+  it('never falls back to production when the chosen environment has no URL', () => {
+    expect(getConfigError()).toBeNull();
+
+    saveEnvironment('staging');
+
+    expect(getApiBase()).toBeNull();
+    expect(getConfigError()).toBe('Staging has no server URL. Enter one in Server settings, or choose another environment.');
+  });
+
+  it('rejects unknown environments and invalid URLs', () => {
+    expect(() => saveEnvironment('moon')).toThrow('Unknown environment: moon');
+    expect(() => saveEnvironment('self-hosted', 'not a url')).toThrow();
+  });
+});
+
+describe('loadConfig', () => {
+  beforeEach(() => {
+    resetConfig();
+  });
+
+  it('uses the Tauri config file when present', async () => {
+    window.__TAURI__ = {
+      core: {
+        invoke: vi.fn().mockResolvedValue(JSON.stringify({
+          environment: 'staging',
+          environments: { staging: 'https://staging.example.com/api/v1' },
+        })),
+      },
+    };
+
+    await loadConfig();
+
+    expect(window.__TAURI__.core.invoke).toHaveBeenCalledWith('read_app_config');
+    expect(getApiBase()).toBe('https://staging.example.com/api/v1');
+
+    // The user's own choice still wins
+    saveEnvironment('local');
+    expect(getApiBase()).toBe('http://localhost:8000/api/v1');
+
+    delete window.__TAURI__;
+    await loadConfig();
+  });
+});
+
+describe('testConnection', () => {
+  beforeEach(() => {
+    globalThis.fetch = vi.fn();
+  });
+
+  it('treats an auth challenge as a working server', async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 401 });
+
+    const result = await testConnection('https://example.com/api/v1');
+
+    expect(fetch).toHaveBeenCalledWith('https://example.com/api/v1/auth/me/', expect.any(Object));
+    expect(result.ok).toBe(true);
+  });
+
+  it('reports a missing API', async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+
+    const result = await testConnection('https://example.com');
+
+    expect(result.ok).toBe(false);
+  });
+
+  it('reports an unreachable server', async () => {
+    fetch.mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+    const result = await testConnection('https://example.com/api/v1');
+
+    expect(result).toEqual({ ok: false, message: 'Unable to connect to server' });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Unit tests for dates.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  toDayString,
+  daysFromToday,
+  isTime,
+  formatTime,
+  describeDay,
+  describeDue,
+  describeDoOn,
+  getDueState,
+  isDoDateReached,
+} from '../../src/js/dates.js';
+
+// Thursday 5 March 2026, mid-afternoon
+const today = new Date(2026, 2, 5, 15, 30);
+
+describe('daysFromToday', () => {
+  it('counts whole calendar days either way', () => {
+    expect(daysFromToday('2026-03-05', today)).toBe(0);
+    expect(daysFromToday('2026-03-06', today)).toBe(1);
+    expect(daysFromToday('2026-02-26', today)).toBe(-7);
+    expect(daysFromToday('2026-04-05', today)).toBe(31);
+  });
+
+  it('has nothing to say about missing or malformed dates', () => {
+    expect(daysFromToday(null, today)).toBeNull();
+    expect(daysFromToday('5 March', today)).toBeNull();
+  });
+});
+
+describe('describeDay', () => {
+  it('is relative within a week and a date beyond', () => {
+    expect(describeDay('2026-03-05', today)).toBe('today');
+    expect(describeDay('2026-03-06', today)).toBe('tomorrow');
+    expect(describeDay('2026-03-04', today)).toBe('yesterday');
+    expect(describeDay('2026-03-08', today)).toBe('in 3 days');
+    expect(describeDay('2026-03-02', today)).toBe('3 days ago');
+    expect(describeDay('2026-03-20', today)).toBe('Mar 20');
+    expect(describeDay('2027-01-02', today)).toBe('Jan 2, 2027');
+  });
+});
+
+describe('due dates', () => {
+  it('reads as due or overdue', () => {
+    expect(describeDue('2026-03-06', today)).toBe('Due tomorrow');
+    expect(describeDue('2026-03-04', today)).toBe('1 day overdue');
+    expect(describeDue('2026-03-02', today)).toBe('3 days overdue');
+  });
+
+  it('is due soon within two days and overdue after', () => {
+    expect(getDueState('2026-03-04', today)).toBe('overdue');
+    expect(getDueState('2026-03-05', today)).toBe('due-soon');
+    expect(getDueState('2026-03-07', today)).toBe('due-soon');
+    expect(getDueState('2026-03-08', today)).toBeNull();
+    expect(getDueState(null, today)).toBeNull();
+  });
+});
+
+describe('do-on dates', () => {
+  it('reads as a plan, and says when it was missed', () => {
+    expect(describeDoOn('2026-03-05', today)).toBe('Do today');
+    expect(describeDoOn('2026-03-07', today)).toBe('Do in 2 days');
+    expect(describeDoOn('2026-03-03', today)).toBe('Planned 2 days ago');
+  });
+
+  it('is reached on the day', () => {
+    expect(isDoDateReached('2026-03-05', today)).toBe(true);
+    expect(isDoDateReached('2026-03-06', today)).toBe(false);
+  });
+});
+
+describe('toDayString', () => {
+  it('formats the local calendar day', () => {
+    expect(toDayString(today)).toBe('2026-03-05');
+  });
+});
+
+describe('due times', () => {
+  it('are 24-hour HH:MM', () => {
+    expect(isTime('09:30')).toBe(true);
+    expect(isTime('23:59')).toBe(true);
+    expect(isTime('9:30')).toBe(false);
+    expect(isTime('24:00')).toBe(false);
+  });
+
+  it('are shown in 12-hour time', () => {
+    expect(formatTime('15:00')).toBe('3pm');
+    expect(formatTime('09:30')).toBe('9:30am');
+    expect(formatTime('00:05')).toBe('12:05am');
+    expect(formatTime('12:00')).toBe('12pm');
+    expect(formatTime('')).toBe('');
+  });
+});
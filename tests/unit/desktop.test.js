@@ -0,0 +1,126 @@
+/**
+ * Unit tests for desktop.js
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  CAPTURE_EVENT,
+  isDesktopApp,
+  getCaptureShortcut,
+  loadDesktopSettings,
+  saveDesktopSettings,
+  applyDesktopSettings,
+  onDesktopEvent,
+  loadPendingCaptures,
+  removePendingCapture,
+  sendCapture,
+} from '../../src/js/desktop.js';
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+afterEach(() => {
+  delete window.__TAURI__;
+});
+
+function mockTauri() {
+  window.__TAURI__ = {
+    core: { invoke: vi.fn().mockResolvedValue(undefined) },
+    event: {
+      listen: vi.fn().mockResolvedValue(() => {}),
+      emitTo: vi.fn().mockResolvedValue(undefined),
+    },
+  };
+  return window.__TAURI__;
+}
+
+describe('settings', () => {
+  it('default to closing the app with its window', () => {
+    expect(loadDesktopSettings()).toEqual({ closeToTray: false });
+  });
+
+  it('are saved and loaded', () => {
+    saveDesktopSettings({ closeToTray: true });
+
+    expect(loadDesktopSettings()).toEqual({ closeToTray: true });
+  });
+
+  it('fall back to the default when unreadable', () => {
+    localStorage.setItem('desktop_settings', '{not json');
+
+    expect(loadDesktopSettings()).toEqual({ closeToTray: false });
+  });
+
+  it('are sent to the app', async () => {
+    const tauri = mockTauri();
+
+    await applyDesktopSettings({ closeToTray: true });
+
+    expect(tauri.core.invoke).toHaveBeenCalledWith('set_close_to_tray', { enabled: true });
+  });
+});
+
+describe('getCaptureShortcut', () => {
+  it('uses Cmd on a Mac and Ctrl elsewhere', () => {
+    expect(getCaptureShortcut('MacIntel')).toBe('Cmd+Shift+Space');
+    expect(getCaptureShortcut('Win32')).toBe('Ctrl+Shift+Space');
+    expect(getCaptureShortcut('Linux x86_64')).toBe('Ctrl+Shift+Space');
+  });
+});
+
+describe('outside the desktop app', () => {
+  it('does nothing', async () => {
+    expect(isDesktopApp()).toBe(false);
+    await expect(applyDesktopSettings({ closeToTray: true })).resolves.toBeUndefined();
+
+    const stop = await onDesktopEvent(CAPTURE_EVENT, vi.fn());
+    expect(typeof stop).toBe('function');
+  });
+});
+
+describe('in the desktop app', () => {
+  it('passes event payloads to the handler', async () => {
+    const tauri = mockTauri();
+    const handler = vi.fn();
+
+    await onDesktopEvent(CAPTURE_EVENT, handler);
+    const [name, listener] = tauri.event.listen.mock.calls[0];
+    listener({ payload: { text: 'Call dentist' } });
+
+    expect(isDesktopApp()).toBe(true);
+    expect(name).toBe(CAPTURE_EVENT);
+    expect(handler).toHaveBeenCalledWith({ text: 'Call dentist' });
+  });
+
+  it('keeps a capture for the board window, tells it, then hides', async () => {
+    const tauri = mockTauri();
+
+    await sendCapture('Call dentist tomorrow');
+
+    expect(loadPendingCaptures().map(c => c.text)).toEqual(['Call dentist tomorrow']);
+    expect(tauri.event.emitTo).toHaveBeenCalledWith('main', CAPTURE_EVENT);
+    expect(tauri.core.invoke).toHaveBeenCalledWith('hide_capture');
+  });
+
+  it('keeps a capture the board window can\'t be told about', async () => {
+    const tauri = mockTauri();
+    tauri.event.emitTo.mockRejectedValue(new Error('No window labelled main'));
+
+    await sendCapture('First');
+    await sendCapture('Second');
+
+    expect(loadPendingCaptures().map(c => c.text)).toEqual(['First', 'Second']);
+    expect(tauri.core.invoke).toHaveBeenCalledWith('hide_capture');
+  });
+
+  it('forgets a capture once it\'s been added', async () => {
+    mockTauri();
+    await sendCapture('First');
+    await sendCapture('Second');
+
+    removePendingCapture(loadPendingCaptures()[0].id);
+
+    expect(loadPendingCaptures().map(c => c.text)).toEqual(['Second']);
+  });
+});
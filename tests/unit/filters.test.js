@@ -0,0 +1,108 @@
+/**
+ * Unit tests for filters.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createFilter,
+  normalizeFilter,
+  isFilterEmpty,
+  matchesQuery,
+  matchesFilter,
+  splitMatches,
+  loadSavedFilters,
+  saveSavedFilters,
+  putSavedFilter,
+  removeSavedFilter,
+} from '../../src/js/filters.js';
+
+const NOW = Date.parse('2026-03-10T12:00:00Z');
+
+function task(fields = {}) {
+  return { title: 'Call the dentist', description: 'Ask about Tuesday', created_at: '2026-03-09T12:00:00Z', labels: [], ...fields };
+}
+
+describe('matchesQuery', () => {
+  it('needs every word somewhere in the title or description', () => {
+    expect(matchesQuery(task(), 'dentist tuesday')).toBe(true);
+    expect(matchesQuery(task(), 'DENTIST')).toBe(true);
+    expect(matchesQuery(task(), 'dentist friday')).toBe(false);
+    expect(matchesQuery(task({ description: null }), '  ')).toBe(true);
+  });
+});
+
+describe('matchesFilter', () => {
+  it('lets everything through an empty filter', () => {
+    expect(matchesFilter(task(), 1, createFilter(), NOW)).toBe(true);
+    expect(isFilterEmpty(createFilter())).toBe(true);
+  });
+
+  it('filters by column', () => {
+    const filter = { ...createFilter(), column: 2 };
+    expect(matchesFilter(task(), 2, filter, NOW)).toBe(true);
+    expect(matchesFilter(task(), 1, filter, NOW)).toBe(false);
+  });
+
+  it('filters by age', () => {
+    const old = task({ created_at: '2026-02-01T12:00:00Z' });
+    expect(matchesFilter(task(), 1, { ...createFilter(), age: 'week' }, NOW)).toBe(true);
+    expect(matchesFilter(old, 1, { ...createFilter(), age: 'week' }, NOW)).toBe(false);
+    expect(matchesFilter(old, 1, { ...createFilter(), age: 'older-month' }, NOW)).toBe(true);
+    expect(matchesFilter(task(), 1, { ...createFilter(), age: 'today' }, NOW)).toBe(false);
+  });
+
+  it('combines every criterion', () => {
+    const filter = { ...createFilter(), query: 'dentist', labels: [5] };
+    expect(matchesFilter(task({ labels: [5] }), 1, filter, NOW)).toBe(true);
+    expect(matchesFilter(task(), 1, filter, NOW)).toBe(false);
+  });
+});
+
+describe('splitMatches', () => {
+  it('splits text around matched words, ignoring case', () => {
+    expect(splitMatches('Call the Dentist', 'dentist call')).toEqual([
+      { text: 'Call', match: true },
+      { text: ' the ', match: false },
+      { text: 'Dentist', match: true },
+    ]);
+  });
+
+  it('merges overlapping matches', () => {
+    expect(splitMatches('banana', 'ana nan')).toEqual([
+      { text: 'b', match: false },
+      { text: 'anana', match: true },
+    ]);
+  });
+
+  it('leaves text alone without a query', () => {
+    expect(splitMatches('Call', '')).toEqual([{ text: 'Call', match: false }]);
+    expect(splitMatches('', 'call')).toEqual([]);
+  });
+});
+
+describe('saved filters', () => {
+  it('are kept per user', () => {
+    const saved = putSavedFilter([], 'Quick wins', { ...createFilter(), age: 'today' });
+    saveSavedFilters('alice', saved);
+
+    expect(loadSavedFilters('alice')).toEqual(saved);
+    expect(loadSavedFilters('bob')).toEqual([]);
+  });
+
+  it('replace one with the same name and stay sorted', () => {
+    let saved = putSavedFilter([], 'Work', createFilter());
+    saved = putSavedFilter(saved, 'Errands', createFilter());
+    saved = putSavedFilter(saved, 'work', { ...createFilter(), query: 'report' });
+
+    expect(saved.map(item => item.name)).toEqual(['Errands', 'work']);
+    expect(saved[1].filter.query).toBe('report');
+    expect(removeSavedFilter(saved, 'Errands').map(item => item.name)).toEqual(['work']);
+  });
+
+  it('ignore anything unreadable', () => {
+    localStorage.setItem('saved_filters:alice', '[{"name":"Odd","filter":{"age":"decade","column":"x","labels":[1,"2"]}},{"oops":1}]');
+
+    expect(loadSavedFilters('alice')).toEqual([{ name: 'Odd', filter: { ...createFilter(), labels: [1] } }]);
+    expect(normalizeFilter(null)).toEqual(createFilter());
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for focus.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getFocusColumn,
+  stepFocus,
+  getFocusSuccessor,
+  loadFocusState,
+  saveFocusState,
+} from '../../src/js/focus.js';
+
+function board(inProgress = [201, 202, 203]) {
+  return [
+    { id: 1, name: 'To Do', tasks: [{ id: 101 }] },
+    { id: 2, name: 'In Progress', tasks: inProgress.map(id => ({ id })) },
+    { id: 3, name: 'Done', tasks: [] },
+  ];
+}
+
+describe('getFocusColumn', () => {
+  it('finds "In Progress" by name wherever it is', () => {
+    const columns = board().reverse();
+    expect(getFocusColumn(columns).id).toBe(2);
+  });
+
+  it('falls back to the second column', () => {
+    const columns = board();
+    columns[1].name = 'Working on';
+    expect(getFocusColumn(columns).id).toBe(2);
+    expect(getFocusColumn([])).toBeNull();
+  });
+});
+
+describe('stepFocus', () => {
+  it('steps through In Progress and wraps around', () => {
+    expect(stepFocus(board(), 201, 1)).toBe(202);
+    expect(stepFocus(board(), 203, 1)).toBe(201);
+    expect(stepFocus(board(), 201, -1)).toBe(203);
+  });
+
+  it('starts at either end from a task outside In Progress', () => {
+    expect(stepFocus(board(), 101, 1)).toBe(201);
+    expect(stepFocus(board(), null, -1)).toBe(203);
+    expect(stepFocus(board([]), 101, 1)).toBeNull();
+  });
+});
+
+describe('getFocusSuccessor', () => {
+  it('picks the next task, or the previous one after the last', () => {
+    expect(getFocusSuccessor(board(), 202)).toBe(203);
+    expect(getFocusSuccessor(board(), 203)).toBe(202);
+    expect(getFocusSuccessor(board([201]), 201)).toBeNull();
+  });
+
+  it('picks the first task for one from another column', () => {
+    expect(getFocusSuccessor(board(), 101)).toBe(201);
+  });
+});
+
+describe('focus state', () => {
+  it('is off by default', () => {
+    expect(loadFocusState()).toEqual({ active: false, taskId: null });
+  });
+
+  it('survives a reload', () => {
+    saveFocusState({ active: true, taskId: 202 });
+    expect(loadFocusState()).toEqual({ active: true, taskId: 202 });
+  });
+
+  it('ignores unreadable saved state', () => {
+    localStorage.setItem('focus_mode', '{oops');
+    expect(loadFocusState()).toEqual({ active: false, taskId: null });
+  });
+});
@@ -0,0 +1,76 @@
+/**
+ * Unit tests for form-errors.js
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { clearFieldErrors, setFieldError, showFieldErrors } from '../../src/js/form-errors.js';
+
+const FIELDS = {
+  username: 'username',
+  password: 'password',
+};
+
+let form;
+
+beforeEach(() => {
+  document.body.innerHTML = `
+    <form id="form">
+      <input id="username" aria-describedby="username-hint">
+      <input id="password">
+    </form>
+  `;
+  form = document.getElementById('form');
+});
+
+describe('showFieldErrors', () => {
+  it('shows each message under its input', () => {
+    const message = showFieldErrors(form, {
+      message: 'Taken',
+      fieldErrors: { username: ['Taken'], password: ['Too short', 'Too common'] },
+    }, FIELDS);
+
+    expect(message).toBeNull();
+    expect(document.getElementById('username-error').textContent).toBe('Taken');
+    expect(document.getElementById('password-error').textContent).toBe('Too short Too common');
+    expect(document.getElementById('username').getAttribute('aria-invalid')).toBe('true');
+    expect(document.getElementById('username').getAttribute('aria-describedby'))
+      .toBe('username-hint username-error');
+  });
+
+  it('returns messages that have no matching input', () => {
+    const message = showFieldErrors(form, {
+      message: 'Unable to log in.',
+      fieldErrors: { captcha: ['Required'] },
+      nonFieldErrors: ['Unable to log in.'],
+    }, FIELDS);
+
+    expect(message).toBe('Unable to log in. Required');
+  });
+
+  it('returns the error message when there are no field messages', () => {
+    const message = showFieldErrors(form, new Error('Network error'), FIELDS);
+
+    expect(message).toBe('Network error');
+  });
+
+  it('replaces errors from a previous attempt', () => {
+    showFieldErrors(form, { fieldErrors: { username: ['Taken'] } }, FIELDS);
+    showFieldErrors(form, { fieldErrors: { password: ['Too short'] } }, FIELDS);
+
+    expect(document.getElementById('username-error')).toBeNull();
+    expect(document.getElementById('username').hasAttribute('aria-invalid')).toBe(false);
+  });
+});
+
+describe('clearFieldErrors', () => {
+  it('removes messages and restores aria-describedby', () => {
+    setFieldError(document.getElementById('username'), 'Taken');
+    setFieldError(document.getElementById('password'), 'Too short');
+
+    clearFieldErrors(form);
+
+    expect(form.querySelectorAll('.field-error')).toHaveLength(0);
+    expect(document.getElementById('username').getAttribute('aria-describedby')).toBe('username-hint');
+    expect(document.getElementById('password').hasAttribute('aria-describedby')).toBe(false);
+  });
+});
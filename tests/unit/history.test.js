@@ -0,0 +1,108 @@
+/**
+ * Unit tests for history.js
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { createHistory } from '../../src/js/history.js';
+
+function command(label, log = []) {
+  return {
+    label,
+    undo: vi.fn(async () => { log.push(`undo ${label}`); }),
+    redo: vi.fn(async () => { log.push(`redo ${label}`); }),
+  };
+}
+
+describe('createHistory', () => {
+  it('undoes and redoes in order', async () => {
+    const log = [];
+    const history = createHistory();
+    history.record(command('a', log));
+    history.record(command('b', log));
+
+    await history.undo();
+    await history.undo();
+    await history.redo();
+
+    expect(log).toEqual(['undo b', 'undo a', 'redo a']);
+    expect(history.nextUndoLabel()).toBe('a');
+    expect(history.canRedo()).toBe(true);
+  });
+
+  it('returns null when there is nothing to do', async () => {
+    const history = createHistory();
+
+    expect(await history.undo()).toBeNull();
+    expect(await history.redo()).toBeNull();
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('forgets redoable commands when a new one is recorded', async () => {
+    const history = createHistory();
+    history.record(command('a'));
+    await history.undo();
+
+    history.record(command('b'));
+
+    expect(history.canRedo()).toBe(false);
+  });
+
+  it('keeps only the most recent commands', async () => {
+    const history = createHistory({ limit: 2 });
+    ['a', 'b', 'c'].forEach(label => history.record(command(label)));
+
+    await history.undo();
+    await history.undo();
+
+    expect(history.canUndo()).toBe(false);
+  });
+
+  it('drops a command that fails', async () => {
+    const history = createHistory();
+    const failing = command('a');
+    failing.undo.mockRejectedValueOnce(new Error('gone'));
+    history.record(failing);
+
+    await expect(history.undo()).rejects.toThrow('gone');
+
+    expect(history.canUndo()).toBe(false);
+    expect(history.canRedo()).toBe(false);
+    expect(history.isRunning()).toBe(false);
+  });
+
+  it('ignores undo while a command is running', async () => {
+    const history = createHistory();
+    let finish;
+    const slow = command('slow');
+    slow.undo.mockImplementationOnce(() => new Promise(resolve => { finish = resolve; }));
+    history.record(command('a'));
+    history.record(slow);
+
+    const first = history.undo();
+    expect(await history.undo()).toBeNull();
+    finish();
+    await first;
+
+    expect(history.nextUndoLabel()).toBe('a');
+  });
+
+  it('follows replaced IDs by kind', () => {
+    const history = createHistory();
+    history.replaceId('task', 5, 12);
+    history.replaceId('task', 12, 20);
+
+    expect(history.resolveId('task', 5)).toBe(20);
+    expect(history.resolveId('column', 5)).toBe(5);
+  });
+
+  it('notifies listeners of changes', async () => {
+    const history = createHistory();
+    const listener = vi.fn();
+    history.onChange(listener);
+
+    history.record(command('a'));
+    await history.undo();
+
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+});
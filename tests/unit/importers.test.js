@@ -0,0 +1,237 @@
+/**
+ * Unit tests for importers.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  TRELLO_COLORS,
+  readTrello,
+  readTodoist,
+  readTextList,
+  readAnyImport,
+} from '../../src/js/importers.js';
+import { exportJson, exportCsv, exportMarkdown } from '../../src/js/transfer.js';
+
+function makeTrelloBoard() {
+  return {
+    name: 'Home',
+    labels: [
+      { id: 'l1', name: 'Health', color: 'green' },
+      { id: 'l2', name: '', color: 'red_dark' },
+      { id: 'l3', name: '', color: null },
+    ],
+    lists: [
+      { id: 'b', name: 'Doing', closed: false, pos: 200 },
+      { id: 'a', name: 'To Do', closed: false, pos: 100 },
+      { id: 'x', name: 'Old', closed: true, pos: 300 },
+    ],
+    cards: [
+      {
+        id: 'c2', name: 'Buy milk', desc: '', idList: 'a', closed: false, pos: 2,
+        idLabels: ['l2'], idMembers: ['m1'], badges: { attachments: 1 },
+      },
+      {
+        id: 'c1', name: 'Call dentist', desc: 'Ask about **Tuesday**', idList: 'a', closed: false, pos: 1,
+        due: '2026-03-05T12:00:00.000Z', start: '2026-03-04T12:00:00.000Z', idLabels: ['l1', 'l3'],
+      },
+      { id: 'c3', name: 'Tidy', desc: '', idList: 'b', closed: true, pos: 1 },
+      { id: 'c4', name: 'Lost', desc: '', idList: 'x', closed: false, pos: 1 },
+      { id: 'c5', name: '  ', desc: '', idList: 'b', closed: false, pos: 2 },
+    ],
+    checklists: [
+      {
+        id: 'k2', idCard: 'c1', pos: 2,
+        checkItems: [{ name: 'Ring', state: 'incomplete', pos: 1 }],
+      },
+      {
+        id: 'k1', idCard: 'c1', pos: 1,
+        checkItems: [
+          { name: 'Book', state: 'incomplete', pos: 2 },
+          { name: 'Find number', state: 'complete', pos: 1 },
+        ],
+      },
+    ],
+    actions: [
+      { type: 'commentCard', data: { text: 'Soon' } },
+      { type: 'updateCard' },
+    ],
+  };
+}
+
+describe('readTrello', () => {
+  it('turns open lists into columns and their cards into tasks', () => {
+    const { data, problems } = readTrello(JSON.stringify(makeTrelloBoard()));
+
+    expect(problems).toEqual([]);
+    expect(data.columns.map(c => c.name)).toEqual(['To Do', 'Doing']);
+    expect(data.columns[0].tasks.map(t => t.title)).toEqual(['Call dentist', 'Buy milk']);
+    expect(data.columns[1].tasks).toEqual([]);
+    expect(data.columns[0].tasks[0]).toEqual({
+      title: 'Call dentist',
+      description: 'Ask about **Tuesday**',
+      due_date: '2026-03-05',
+      do_date: '2026-03-04',
+      labels: ['Health'],
+      checklist: [
+        { text: 'Find number', done: true },
+        { text: 'Book', done: false },
+        { text: 'Ring', done: false },
+      ],
+      pomodoros: 0,
+    });
+  });
+
+  it('names colour-only labels after their colour', () => {
+    const { data } = readTrello(JSON.stringify(makeTrelloBoard()));
+
+    expect(data.labels).toEqual([
+      { name: 'Health', color: TRELLO_COLORS.green },
+      { name: 'Red', color: TRELLO_COLORS.red },
+    ]);
+    expect(data.columns[0].tasks[1].labels).toEqual(['Red']);
+  });
+
+  it('reports what it left out', () => {
+    expect(readTrello(JSON.stringify(makeTrelloBoard())).skipped).toEqual([
+      '1 archived list and the cards in them',
+      '1 archived card',
+      '1 card with no title',
+      'Attachments on 1 card',
+      '1 comment',
+      'Members on 1 card',
+    ]);
+  });
+
+  it('keeps checklists to the limit, reporting the rest', () => {
+    const board = makeTrelloBoard();
+    board.checklists = [{
+      idCard: 'c2',
+      checkItems: Array.from({ length: 53 }, (_, i) => ({ name: `Step ${i}`, state: 'incomplete', pos: i })),
+    }];
+    const { data, skipped } = readTrello(JSON.stringify(board));
+
+    expect(data.columns[0].tasks[1].checklist).toHaveLength(50);
+    expect(skipped).toContain('3 checklist items over the limit of 50 a card');
+  });
+
+  it('refuses other JSON', () => {
+    expect(readTrello('{"cards": []}').problems).toEqual(['This isn\'t a Trello board export.']);
+  });
+});
+
+const TODOIST_CSV = [
+  'TYPE,CONTENT,DESCRIPTION,PRIORITY,INDENT,AUTHOR,RESPONSIBLE,DATE,DATE_LANG,TIMEZONE',
+  'task,Inbox thing,,1,1,Sam,,,en,UTC',
+  ',,,,,,,,,',
+  'section,Errands,,,,,,,,',
+  'task,Buy milk @shop @errand,Semi-skimmed,4,1,Sam,,2026-03-05,en,UTC',
+  'task,Oat milk,,1,2,Sam,,,en,UTC',
+  'note,"Try the corner shop, it\'s cheaper",,,,Sam,,,en,UTC',
+  'task,Post parcel @Shop,,1,1,Sam,,every monday,en,UTC',
+  'section,Errands,,,,,,,,',
+  'task,Return books,,1,1,Sam,,,en,UTC',
+].join('\n');
+
+describe('readTodoist', () => {
+  it('turns sections into columns and tasks into tasks', () => {
+    const { data, problems } = readTodoist(TODOIST_CSV);
+
+    expect(problems).toEqual([]);
+    expect(data.columns.map(c => c.name)).toEqual(['To Do', 'Errands']);
+    expect(data.columns[0].tasks.map(t => t.title)).toEqual(['Inbox thing']);
+    expect(data.columns[1].tasks.map(t => t.title)).toEqual(['Buy milk', 'Post parcel', 'Return books']);
+  });
+
+  it('makes subtasks checklist steps, comments description and @names labels', () => {
+    const { data } = readTodoist(TODOIST_CSV);
+    const task = data.columns[1].tasks[0];
+
+    expect(task).toMatchObject({
+      description: 'Semi-skimmed\n\nTry the corner shop, it\'s cheaper',
+      due_date: '2026-03-05',
+      labels: ['shop', 'errand'],
+      checklist: [{ text: 'Oat milk', done: false }],
+    });
+    expect(data.labels).toEqual([{ name: 'shop', color: null }, { name: 'errand', color: null }]);
+  });
+
+  it('reports dates and priorities it left out', () => {
+    expect(readTodoist(TODOIST_CSV).skipped).toEqual([
+      'Dates on 1 task that aren\'t a single day (like "every monday")',
+      'Priorities on 1 task',
+    ]);
+  });
+
+  it('refuses other CSVs', () => {
+    expect(readTodoist('column,title\nTo Do,Walk').problems).toEqual(['This isn\'t a Todoist export.']);
+  });
+});
+
+describe('readTextList', () => {
+  it('reads a Markdown list with headings, checkboxes and steps', () => {
+    const { data, skipped } = readTextList([
+      '# My week',
+      '',
+      '## Today',
+      '- [ ] Call dentist (due 2026-03-05)',
+      '  - [x] Find number',
+      '  - Ring',
+      '  Ask about Tuesday',
+      '* Buy milk',
+      '',
+      'Later:',
+      '1. Sort photos',
+      '2) Plan trip',
+    ].join('\n'));
+
+    expect(data.columns.map(c => c.name)).toEqual(['Today', 'Later']);
+    expect(data.columns[0].tasks[0]).toMatchObject({
+      title: 'Call dentist',
+      description: 'Ask about Tuesday',
+      due_date: '2026-03-05',
+      checklist: [{ text: 'Find number', done: true }, { text: 'Ring', done: false }],
+    });
+    expect(data.columns[0].tasks[1].title).toBe('Buy milk');
+    expect(data.columns[1].tasks.map(t => t.title)).toEqual(['Sort photos', 'Plan trip']);
+    expect(skipped).toEqual(['1 heading with nothing under it']);
+  });
+
+  it('puts a plain list with no headings in "To Do"', () => {
+    const { data } = readTextList('Call dentist\r\nBuy milk\r\n');
+
+    expect(data.columns).toHaveLength(1);
+    expect(data.columns[0].name).toBe('To Do');
+    expect(data.columns[0].tasks.map(t => t.title)).toEqual(['Call dentist', 'Buy milk']);
+  });
+
+  it('refuses an empty list', () => {
+    expect(readTextList('\n# Nothing\n').problems).toEqual(['There are no tasks in this list.']);
+  });
+});
+
+describe('readAnyImport', () => {
+  const board = {
+    name: 'Home',
+    columns: [{ name: 'To Do', order: 1, tasks: [{ title: 'Walk', order: 1, labels: [] }] }],
+  };
+
+  it('tells the formats apart by file name and contents', () => {
+    expect(readAnyImport(JSON.stringify(makeTrelloBoard()), 'trello.json').data.columns[0].name).toBe('To Do');
+    expect(readAnyImport(exportJson(board, []), 'backup.json').data.columns[0].tasks[0].title).toBe('Walk');
+    expect(readAnyImport(TODOIST_CSV, 'project.csv').data.columns[1].name).toBe('Errands');
+    expect(readAnyImport(exportCsv(board.columns), 'tasks.csv').data.columns[0].tasks[0].title).toBe('Walk');
+    expect(readAnyImport(exportMarkdown(board), 'list.md').data.columns[0].tasks[0].title).toBe('Walk');
+  });
+
+  it('reads pasted text the same way', () => {
+    expect(readAnyImport(JSON.stringify(makeTrelloBoard())).skipped).toHaveLength(6);
+    expect(readAnyImport(TODOIST_CSV).data.columns[0].name).toBe('To Do');
+    expect(readAnyImport('column,title\nDone,Walk').data.columns[0].name).toBe('Done');
+    expect(readAnyImport('- Walk\n- Read').data.columns[0].tasks).toHaveLength(2);
+  });
+
+  it('always says what was left out', () => {
+    expect(readAnyImport(exportJson(board, []), 'backup.json').skipped).toEqual([]);
+    expect(readAnyImport('{nope', 'a.json')).toMatchObject({ data: null, skipped: [] });
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for keyboard-nav.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getFocusTarget,
+  getCardMoveTarget,
+  getColumnMoveTarget,
+  describePosition,
+} from '../../src/js/keyboard-nav.js';
+import { mockBoardData } from '../mocks/api.mocks.js';
+
+// Backlog: 2 tasks, In Progress: 1 task, Done: none
+const columns = mockBoardData.columns;
+
+describe('getFocusTarget', () => {
+  it('moves up and down within a column, reaching the header', () => {
+    expect(getFocusTarget(columns, { column: 0, task: 0 }, 'ArrowDown')).toEqual({ column: 0, task: 1 });
+    expect(getFocusTarget(columns, { column: 0, task: 1 }, 'ArrowDown')).toBeNull();
+    expect(getFocusTarget(columns, { column: 0, task: 0 }, 'ArrowUp')).toEqual({ column: 0, task: -1 });
+    expect(getFocusTarget(columns, { column: 0, task: -1 }, 'ArrowUp')).toBeNull();
+  });
+
+  it('keeps roughly the same row across columns', () => {
+    expect(getFocusTarget(columns, { column: 0, task: 1 }, 'ArrowRight')).toEqual({ column: 1, task: 0 });
+    expect(getFocusTarget(columns, { column: 1, task: 0 }, 'ArrowRight')).toEqual({ column: 2, task: -1 });
+    expect(getFocusTarget(columns, { column: 0, task: -1 }, 'ArrowRight')).toEqual({ column: 1, task: -1 });
+    expect(getFocusTarget(columns, { column: 0, task: 0 }, 'ArrowLeft')).toBeNull();
+  });
+
+  it('jumps to the first and last task', () => {
+    expect(getFocusTarget(columns, { column: 0, task: -1 }, 'End')).toEqual({ column: 0, task: 1 });
+    expect(getFocusTarget(columns, { column: 0, task: 1 }, 'Home')).toEqual({ column: 0, task: 0 });
+    expect(getFocusTarget(columns, { column: 2, task: -1 }, 'Home')).toBeNull();
+  });
+});
+
+describe('getCardMoveTarget', () => {
+  it('reorders within the column but not past its ends', () => {
+    expect(getCardMoveTarget(columns, { column: 0, task: 0 }, 'ArrowDown')).toEqual({ column: 0, task: 1 });
+    expect(getCardMoveTarget(columns, { column: 0, task: 0 }, 'ArrowUp')).toBeNull();
+    expect(getCardMoveTarget(columns, { column: 0, task: 1 }, 'ArrowDown')).toBeNull();
+  });
+
+  it('moves to the same row of the next column, or its end', () => {
+    expect(getCardMoveTarget(columns, { column: 0, task: 1 }, 'ArrowRight')).toEqual({ column: 1, task: 1 });
+    expect(getCardMoveTarget(columns, { column: 1, task: 0 }, 'ArrowRight')).toEqual({ column: 2, task: 0 });
+    expect(getCardMoveTarget(columns, { column: 2, task: 0 }, 'ArrowRight')).toBeNull();
+  });
+});
+
+describe('getColumnMoveTarget', () => {
+  it('moves a column left and right within the board', () => {
+    expect(getColumnMoveTarget(columns, 1, 'ArrowLeft')).toBe(0);
+    expect(getColumnMoveTarget(columns, 1, 'ArrowRight')).toBe(2);
+    expect(getColumnMoveTarget(columns, 2, 'ArrowRight')).toBeNull();
+    expect(getColumnMoveTarget(columns, 0, 'ArrowUp')).toBeNull();
+  });
+});
+
+describe('describePosition', () => {
+  it('names the column and the position in it', () => {
+    expect(describePosition(columns, { column: 0, task: 1 })).toBe('Backlog, position 2 of 2');
+  });
+});
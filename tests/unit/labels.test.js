@@ -0,0 +1,67 @@
+/**
+ * Unit tests for labels.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  LABEL_COLORS,
+  isLabelColor,
+  nextLabelColor,
+  getLabelTextColor,
+  getTaskLabels,
+  matchesLabels,
+} from '../../src/js/labels.js';
+
+const labels = [
+  { id: 1, name: 'Health', color: '#2ecc71' },
+  { id: 2, name: 'Errand', color: '#3498db' },
+  { id: 3, name: 'Work', color: '#f1c40f' },
+];
+
+describe('isLabelColor', () => {
+  it('only accepts #rrggbb', () => {
+    expect(isLabelColor('#3498DB')).toBe(true);
+    expect(isLabelColor('red')).toBe(false);
+    expect(isLabelColor('#fff')).toBe(false);
+    expect(isLabelColor('#000000;background:url(x)')).toBe(false);
+  });
+});
+
+describe('nextLabelColor', () => {
+  it('offers a colour not used yet', () => {
+    expect(nextLabelColor([])).toBe(LABEL_COLORS[0]);
+    expect(nextLabelColor([{ color: LABEL_COLORS[0].toUpperCase() }])).toBe(LABEL_COLORS[1]);
+  });
+
+  it('goes round again once all are used', () => {
+    const used = LABEL_COLORS.map(color => ({ color }));
+    expect(LABEL_COLORS).toContain(nextLabelColor(used));
+  });
+});
+
+describe('getLabelTextColor', () => {
+  it('uses dark text on light colours and white on dark ones', () => {
+    expect(getLabelTextColor('#f1c40f')).toBe('#2c3e50');
+    expect(getLabelTextColor('#2c3e50')).toBe('#ffffff');
+  });
+});
+
+describe('getTaskLabels', () => {
+  it('lists a task\'s labels in label order, skipping deleted ones', () => {
+    const task = { labels: [3, 99, 1] };
+    expect(getTaskLabels(task, labels).map(l => l.name)).toEqual(['Health', 'Work']);
+    expect(getTaskLabels({}, labels)).toEqual([]);
+  });
+});
+
+describe('matchesLabels', () => {
+  it('shows every task when no labels are chosen', () => {
+    expect(matchesLabels({}, [])).toBe(true);
+  });
+
+  it('shows tasks with any of the chosen labels', () => {
+    expect(matchesLabels({ labels: [2] }, [1, 2])).toBe(true);
+    expect(matchesLabels({ labels: [3] }, [1, 2])).toBe(false);
+    expect(matchesLabels({}, [1])).toBe(false);
+  });
+});
@@ -0,0 +1,380 @@
+/**
+ * Unit tests for local-backend.js
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { localBackend } from '../../src/js/local-backend.js';
+import { ApiError } from '../../src/js/errors.js';
+
+describe('localBackend (browser storage)', () => {
+  it('starts with the default columns', async () => {
+    const board = await localBackend.getBoard();
+
+    expect(board.columns.map(c => c.name)).toEqual(['To Do', 'In Progress', 'Done']);
+    expect(board.columns.every(c => c.tasks.length === 0)).toBe(true);
+  });
+
+  it('persists created columns and tasks', async () => {
+    const column = await localBackend.createColumn('  Someday ');
+    const task = await localBackend.createTask('Idea', column.id, 'Maybe');
+
+    const board = await localBackend.getBoard();
+    const saved = board.columns.find(c => c.id === column.id);
+
+    expect(saved.name).toBe('Someday');
+    expect(saved.tasks).toEqual([expect.objectContaining({ id: task.id, title: 'Idea', column: column.id, order: 1, version: 1 })]);
+    expect(JSON.parse(localStorage.getItem('local_board')).columns).toHaveLength(4);
+  });
+
+  it('rejects blank names like the server', async () => {
+    const error = await localBackend.createColumn('  ').catch(e => e);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.fieldErrors).toEqual({ name: ['This field may not be blank.'] });
+  });
+
+  it('refuses stale updates with the current record', async () => {
+    const board = await localBackend.getBoard();
+    const task = await localBackend.createTask('Write', board.columns[0].id);
+    await localBackend.updateTask(task.id, { title: 'Write more' }, 1);
+
+    const error = await localBackend.updateTask(task.id, { title: 'Write less' }, 1).catch(e => e);
+
+    expect(error.status).toBe(409);
+    expect(error.code).toBe('conflict');
+    expect(error.body.current).toEqual(expect.objectContaining({ title: 'Write more', version: 2 }));
+  });
+
+  it('moves and reorders tasks', async () => {
+    const [todo, doing] = (await localBackend.getBoard()).columns;
+    const first = await localBackend.createTask('First', todo.id);
+    const second = await localBackend.createTask('Second', todo.id);
+
+    await localBackend.moveTask(first.id, doing.id);
+    await localBackend.createTask('Third', doing.id);
+    const third = (await localBackend.getBoard()).columns[1].tasks[1];
+    await localBackend.reorderTasks([{ id: third.id, order: 1 }, { id: first.id, order: 2 }]);
+
+    const columns = (await localBackend.getBoard()).columns;
+    expect(columns[0].tasks.map(t => t.id)).toEqual([second.id]);
+    expect(columns[0].tasks[0].order).toBe(1);
+    expect(columns[1].tasks.map(t => t.title)).toEqual(['Third', 'First']);
+  });
+
+  it('moves a task to a position in another column', async () => {
+    const [todo, doing] = (await localBackend.getBoard()).columns;
+    const first = await localBackend.createTask('First', doing.id);
+    await localBackend.createTask('Second', doing.id);
+    const moving = await localBackend.createTask('Moving', todo.id);
+
+    await localBackend.moveTask(moving.id, doing.id, 2);
+
+    const column = (await localBackend.getBoard()).columns[1];
+    expect(column.tasks.map(t => t.title)).toEqual(['First', 'Moving', 'Second']);
+    expect(column.tasks.map(t => t.order)).toEqual([1, 2, 3]);
+    expect(column.tasks[0].id).toBe(first.id);
+  });
+
+  it('notes when a task changed column', async () => {
+    const [todo, doing] = (await localBackend.getBoard()).columns;
+    const task = await localBackend.createTask('Moving', todo.id);
+    const before = task.column_changed_at;
+    expect(before).toEqual(expect.any(String));
+
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await localBackend.moveTask(task.id, todo.id, 1);
+    expect((await localBackend.getBoard()).columns[0].tasks[0].column_changed_at).toBe(before);
+    const moved = await localBackend.moveTask(task.id, doing.id);
+    expect(moved.column_changed_at > before).toBe(true);
+  });
+
+  it('keeps due and do-on dates', async () => {
+    const [todo] = (await localBackend.getBoard()).columns;
+
+    const task = await localBackend.createTask('Taxes', todo.id, '', { due_date: '2026-04-15' });
+    expect(task).toEqual(expect.objectContaining({ due_date: '2026-04-15', do_date: null }));
+
+    const updated = await localBackend.updateTask(task.id, { due_date: null, do_date: '2026-04-10' });
+    expect(updated).toEqual(expect.objectContaining({ due_date: null, do_date: '2026-04-10' }));
+  });
+
+  it('rejects dates that do not exist', async () => {
+    const [todo] = (await localBackend.getBoard()).columns;
+
+    const error = await localBackend.createTask('Taxes', todo.id, '', { due_date: '2026-02-30' }).catch(e => e);
+
+    expect(error.status).toBe(400);
+    expect(error.fieldErrors).toEqual({ due_date: ['Enter a valid date.'] });
+  });
+
+  it('keeps a due time, estimate and priority', async () => {
+    const [todo] = (await localBackend.getBoard()).columns;
+
+    const task = await localBackend.createTask('Dentist', todo.id, '', {
+      due_date: '2026-04-15', due_time: '15:00', estimate: 15, priority: 'high',
+    });
+    expect(task).toEqual(expect.objectContaining({ due_time: '15:00', estimate: 15, priority: 'high' }));
+
+    const updated = await localBackend.updateTask(task.id, { due_time: null, estimate: null, priority: 'low' });
+    expect(updated).toEqual(expect.objectContaining({ due_time: null, estimate: null, priority: 'low' }));
+  });
+
+  it('keeps the focus sessions a task is made with', async () => {
+    const [todo] = (await localBackend.getBoard()).columns;
+
+    expect((await localBackend.createTask('Report', todo.id, '', { pomodoros: 3 })).pomodoros).toBe(3);
+    expect((await localBackend.createTask('Memo', todo.id)).pomodoros).toBe(0);
+  });
+
+  it('checks focus sessions on an update as on a create', async () => {
+    const [todo] = (await localBackend.getBoard()).columns;
+    const task = await localBackend.createTask('Report', todo.id);
+
+    expect((await localBackend.updateTask(task.id, { pomodoros: 2 })).pomodoros).toBe(2);
+    const error = await localBackend.updateTask(task.id, { pomodoros: -1 }).catch(e => e);
+    expect(error.fieldErrors).toEqual({ pomodoros: ['Focus sessions must be a whole number.'] });
+    expect((await localBackend.getBoard()).columns[0].tasks[0].pomodoros).toBe(2);
+  });
+
+  it('rejects bad times, estimates and priorities', async () => {
+    const [todo] = (await localBackend.getBoard()).columns;
+    const fieldErrors = fields => localBackend.createTask('Dentist', todo.id, '', fields).catch(e => e.fieldErrors);
+
+    expect(await fieldErrors({ due_date: '2026-04-15', due_time: '3pm' })).toEqual({ due_time: ['Enter a valid time.'] });
+    expect(await fieldErrors({ due_time: '15:00' })).toEqual({ due_time: ['Add a due date to go with the time.'] });
+    expect(await fieldErrors({ estimate: 1.5 })).toEqual({ estimate: ['Enter a whole number of minutes up to 1440.'] });
+    expect(await fieldErrors({ priority: 'urgent' })).toEqual({ priority: ['Choose high, medium or low.'] });
+    expect((await localBackend.getBoard()).columns[0].tasks).toEqual([]);
+  });
+
+  it('creates, renames and recolours labels', async () => {
+    const label = await localBackend.createLabel(' Errand ', '#3498DB');
+    expect(label).toEqual({ id: expect.any(Number), name: 'Errand', color: '#3498db' });
+
+    await localBackend.updateLabel(label.id, { name: 'Errands', color: '#e74c3c' });
+
+    expect(await localBackend.getLabels()).toEqual([{ id: label.id, name: 'Errands', color: '#e74c3c' }]);
+  });
+
+  it('rejects colours that are not #rrggbb', async () => {
+    const error = await localBackend.createLabel('Errand', 'red').catch(e => e);
+
+    expect(error.status).toBe(400);
+    expect(error.fieldErrors).toEqual({ color: ['Enter a colour like #3498db.'] });
+  });
+
+  it('labels tasks with existing labels only', async () => {
+    const [todo] = (await localBackend.getBoard()).columns;
+    const label = await localBackend.createLabel('Health', '#2ecc71');
+
+    const task = await localBackend.createTask('Dentist', todo.id, '', { labels: [label.id, label.id] });
+    expect(task.labels).toEqual([label.id]);
+
+    const error = await localBackend.updateTask(task.id, { labels: [label.id + 100] }).catch(e => e);
+    expect(error.fieldErrors).toEqual({ labels: ['Unknown label.'] });
+  });
+
+  it('takes deleted labels off their tasks', async () => {
+    const [todo] = (await localBackend.getBoard()).columns;
+    const health = await localBackend.createLabel('Health', '#2ecc71');
+    const errand = await localBackend.createLabel('Errand', '#3498db');
+    const task = await localBackend.createTask('Dentist', todo.id, '', { labels: [health.id, errand.id] });
+
+    await localBackend.deleteLabel(health.id);
+
+    expect(await localBackend.getLabels()).toEqual([errand]);
+    expect((await localBackend.getTask(task.id)).labels).toEqual([errand.id]);
+  });
+
+  it('reads boards saved before labels existed', async () => {
+    localStorage.setItem('local_board', JSON.stringify({ next_id: 1, columns: [] }));
+
+    expect(await localBackend.getLabels()).toEqual([]);
+  });
+
+  it('keeps a task\'s checklist in order', async () => {
+    const [todo] = (await localBackend.getBoard()).columns;
+    const task = await localBackend.createTask('Taxes', todo.id);
+    expect(task.checklist).toEqual([]);
+
+    const updated = await localBackend.updateTask(task.id, {
+      checklist: [{ text: ' Find receipts ', done: true }, { text: 'File', done: false }],
+    });
+
+    expect(updated.checklist).toEqual([{ text: 'Find receipts', done: true }, { text: 'File', done: false }]);
+  });
+
+  it('rejects blank checklist steps', async () => {
+    const [todo] = (await localBackend.getBoard()).columns;
+    const task = await localBackend.createTask('Taxes', todo.id);
+
+    const error = await localBackend.updateTask(task.id, { checklist: [{ text: ' ', done: false }] }).catch(e => e);
+
+    expect(error.status).toBe(400);
+    expect(error.fieldErrors).toEqual({ checklist: ['Each step needs some text, up to 200 characters.'] });
+  });
+
+  it('archives tasks and restores them to their column', async () => {
+    const [todo, doing] = (await localBackend.getBoard()).columns;
+    const task = await localBackend.createTask('Report', doing.id);
+    await localBackend.createTask('Next', doing.id);
+
+    const archived = await localBackend.archiveTask(task.id);
+    expect(archived).toEqual(expect.objectContaining({ id: task.id, column: doing.id, column_name: 'In Progress' }));
+    expect((await localBackend.getBoard()).columns[1].tasks.map(t => t.order)).toEqual([1]);
+    expect((await localBackend.getArchive()).map(t => t.id)).toEqual([task.id]);
+
+    const restored = await localBackend.restoreArchivedTask(task.id);
+    expect(restored).toEqual(expect.objectContaining({ id: task.id, column: doing.id, order: 2 }));
+    expect(restored).not.toHaveProperty('archived_at');
+    expect(await localBackend.getArchive()).toEqual([]);
+    expect(todo.tasks).toEqual([]);
+  });
+
+  it('restores to the first column when its own has gone', async () => {
+    const [todo, doing] = (await localBackend.getBoard()).columns;
+    const task = await localBackend.createTask('Report', doing.id);
+    await localBackend.archiveTask(task.id);
+    await localBackend.deleteColumn(doing.id);
+
+    expect((await localBackend.restoreArchivedTask(task.id)).column).toBe(todo.id);
+  });
+
+  it('purges archived tasks for good', async () => {
+    const [todo] = (await localBackend.getBoard()).columns;
+    const task = await localBackend.createTask('Old', todo.id);
+    await localBackend.archiveTask(task.id);
+
+    await localBackend.purgeArchivedTask(task.id);
+
+    expect(await localBackend.getArchive()).toEqual([]);
+    await expect(localBackend.restoreArchivedTask(task.id)).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('keeps each board\'s columns apart', async () => {
+    const main = await localBackend.getBoard();
+    const home = await localBackend.createBoard(' Home ');
+    const shed = await localBackend.createColumn('Shed', home.id);
+
+    const board = await localBackend.getBoard({ boardId: home.id });
+
+    expect(home.name).toBe('Home');
+    expect(board.columns.map(c => [c.name, c.order])).toEqual([['To Do', 1], ['In Progress', 2], ['Done', 3], ['Shed', 4]]);
+    expect(shed.board).toBe(home.id);
+    expect((await localBackend.getBoard()).columns).toEqual(main.columns);
+    expect((await localBackend.getBoards()).map(b => b.name)).toEqual(['My board', 'Home']);
+  });
+
+  it('numbers columns within their board', async () => {
+    const home = await localBackend.createBoard('Home');
+    const [todo] = (await localBackend.getBoard()).columns;
+
+    await localBackend.deleteColumn(todo.id);
+
+    expect((await localBackend.getBoard()).columns.map(c => c.order)).toEqual([1, 2]);
+    expect((await localBackend.getBoard({ boardId: home.id })).columns.map(c => c.order)).toEqual([1, 2, 3]);
+  });
+
+  it('moves tasks to another board', async () => {
+    const [todo] = (await localBackend.getBoard()).columns;
+    const home = await localBackend.createBoard('Home');
+    const [homeTodo] = (await localBackend.getBoard({ boardId: home.id })).columns;
+    const task = await localBackend.createTask('Fix tap', todo.id);
+
+    await localBackend.moveTask(task.id, homeTodo.id);
+
+    expect((await localBackend.getBoard()).columns[0].tasks).toEqual([]);
+    expect((await localBackend.getBoard({ boardId: home.id })).columns[0].tasks.map(t => t.id)).toEqual([task.id]);
+  });
+
+  it('renames and deletes boards, keeping at least one', async () => {
+    const main = await localBackend.getBoard();
+    const home = await localBackend.createBoard('Home');
+
+    expect((await localBackend.updateBoard(home.id, { name: 'House' })).name).toBe('House');
+    await localBackend.deleteBoard(home.id);
+
+    expect(await localBackend.getBoards()).toEqual([{ id: main.id, name: 'My board' }]);
+    expect(JSON.parse(localStorage.getItem('local_board')).columns).toHaveLength(3);
+    await expect(localBackend.deleteBoard(main.id)).rejects.toMatchObject({ status: 400 });
+    await expect(localBackend.getBoard({ boardId: home.id })).rejects.toMatchObject({ status: 404 });
+  });
+
+  it('restores archived tasks to their own board', async () => {
+    const home = await localBackend.createBoard('Home');
+    const [, homeDoing] = (await localBackend.getBoard({ boardId: home.id })).columns;
+    const task = await localBackend.createTask('Paint', homeDoing.id);
+    await localBackend.archiveTask(task.id);
+    await localBackend.deleteColumn(homeDoing.id);
+
+    const restored = await localBackend.restoreArchivedTask(task.id);
+
+    expect(restored.column).toBe((await localBackend.getBoard({ boardId: home.id })).columns[0].id);
+    expect(restored).not.toHaveProperty('board');
+  });
+
+  it('reads boards saved before there were several', async () => {
+    localStorage.setItem('local_board', JSON.stringify({
+      next_id: 3,
+      columns: [{ id: 1, name: 'Inbox', order: 1, tasks: [] }, { id: 2, name: 'Done', order: 2, tasks: [] }],
+    }));
+
+    const board = await localBackend.getBoard();
+
+    expect(board).toEqual(expect.objectContaining({ id: 3, name: 'My board' }));
+    expect(board.columns.map(c => c.name)).toEqual(['Inbox', 'Done']);
+  });
+
+  it('sets and clears work-in-progress limits', async () => {
+    const [todo] = (await localBackend.getBoard()).columns;
+
+    const limited = await localBackend.updateColumn(todo.id, { wip_limit: '3', wip_block: true }, 1);
+    expect(limited).toEqual(expect.objectContaining({ name: 'To Do', wip_limit: 3, wip_block: true, version: 2 }));
+
+    const cleared = await localBackend.updateColumn(todo.id, { wip_limit: null });
+    expect(cleared.wip_limit).toBeNull();
+    expect(cleared.wip_block).toBe(true);
+  });
+
+  it('rejects limits below one', async () => {
+    const [todo] = (await localBackend.getBoard()).columns;
+
+    const error = await localBackend.updateColumn(todo.id, { wip_limit: 0 }).catch(e => e);
+
+    expect(error.status).toBe(400);
+    expect(error.fieldErrors).toEqual({ wip_limit: ['Enter a whole number of 1 or more.'] });
+  });
+
+  it('deletes columns with their tasks', async () => {
+    const [todo] = (await localBackend.getBoard()).columns;
+    const task = await localBackend.createTask('Gone', todo.id);
+
+    await localBackend.deleteColumn(todo.id);
+
+    const columns = (await localBackend.getBoard()).columns;
+    expect(columns.map(c => c.order)).toEqual([1, 2]);
+    await expect(localBackend.getTask(task.id)).rejects.toMatchObject({ status: 404 });
+  });
+});
+
+describe('localBackend (desktop app)', () => {
+  afterEach(() => {
+    delete window.__TAURI__;
+  });
+
+  it('loads and saves through the Tauri commands', async () => {
+    let file = null;
+    const invoke = vi.fn(async (command, args) => {
+      if (command === 'local_board_load') return file;
+      file = args.contents;
+      return null;
+    });
+    window.__TAURI__ = { core: { invoke } };
+
+    const column = await localBackend.createColumn('Desk');
+
+    expect(invoke).toHaveBeenCalledWith('local_board_save', { contents: expect.any(String) });
+    expect(JSON.parse(file).columns.map(c => c.id)).toContain(column.id);
+    expect(localStorage.getItem('local_board')).toBeNull();
+  });
+});
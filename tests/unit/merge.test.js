@@ -0,0 +1,79 @@
+/**
+ * Unit tests for merge.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { mergeEdits, combineValues, mergeSets } from '../../src/js/merge.js';
+
+const FIELDS = ['title', 'description'];
+const base = { title: 'Buy milk', description: '' };
+
+describe('mergeEdits', () => {
+  it('keeps my change when they changed nothing', () => {
+    const result = mergeEdits(base, { title: 'Buy oat milk', description: '' }, base, FIELDS);
+
+    expect(result).toEqual({ merged: { title: 'Buy oat milk', description: '' }, conflicts: [] });
+  });
+
+  it('takes their change to a field I left alone', () => {
+    const result = mergeEdits(
+      base,
+      { title: 'Buy oat milk', description: '' },
+      { title: 'Buy milk', description: 'From the corner shop' },
+      FIELDS
+    );
+
+    expect(result.merged).toEqual({ title: 'Buy oat milk', description: 'From the corner shop' });
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it('reports fields both sides changed differently', () => {
+    const result = mergeEdits(
+      base,
+      { title: 'Buy oat milk', description: '' },
+      { title: 'Buy soy milk', description: '' },
+      FIELDS
+    );
+
+    expect(result.conflicts).toEqual(['title']);
+    expect(result.merged.title).toBe('Buy oat milk');
+  });
+
+  it('does not report identical changes as conflicts', () => {
+    const same = { title: 'Buy oat milk', description: '' };
+
+    expect(mergeEdits(base, same, same, FIELDS).conflicts).toEqual([]);
+  });
+
+  it('treats missing values as empty', () => {
+    const result = mergeEdits({ title: 'A' }, { title: 'A', description: '' }, { title: 'A', description: null }, FIELDS);
+
+    expect(result).toEqual({ merged: { title: 'A', description: '' }, conflicts: [] });
+  });
+});
+
+describe('combineValues', () => {
+  it('joins single-line values inline', () => {
+    expect(combineValues('Mine', 'Theirs')).toBe('Mine / Theirs');
+  });
+
+  it('keeps multi-line values as separate blocks', () => {
+    expect(combineValues('Mine', 'Theirs', true)).toBe('Mine\n\nTheirs');
+  });
+
+  it('skips an empty side', () => {
+    expect(combineValues('', 'Theirs')).toBe('Theirs');
+    expect(combineValues('Mine', '')).toBe('Mine');
+  });
+});
+
+describe('mergeSets', () => {
+  it('keeps what either side added', () => {
+    expect(mergeSets([1], [1, 2], [1, 3])).toEqual([1, 3, 2]);
+  });
+
+  it('drops what either side removed', () => {
+    expect(mergeSets([1, 2], [2], [1, 2, 3])).toEqual([2, 3]);
+    expect(mergeSets([1, 2], [1, 2, 4], [2])).toEqual([2, 4]);
+  });
+});
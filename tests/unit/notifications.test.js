@@ -0,0 +1,74 @@
+/**
+ * Unit tests for notifications.js
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { requestNotificationPermission, sendNotification } from '../../src/js/notifications.js';
+
+afterEach(() => {
+  delete window.__TAURI__;
+  vi.unstubAllGlobals();
+});
+
+describe('in the desktop app', () => {
+  function mockPlugin(granted) {
+    const plugin = {
+      isPermissionGranted: vi.fn().mockResolvedValue(granted),
+      requestPermission: vi.fn().mockResolvedValue('granted'),
+      sendNotification: vi.fn(),
+    };
+    window.__TAURI__ = { notification: plugin };
+    return plugin;
+  }
+
+  it('notifies through the Tauri plugin', async () => {
+    const plugin = mockPlugin(true);
+
+    expect(await sendNotification('Done', 'Take a break')).toBe(true);
+    expect(plugin.sendNotification).toHaveBeenCalledWith({ title: 'Done', body: 'Take a break' });
+  });
+
+  it('asks for permission once', async () => {
+    const plugin = mockPlugin(false);
+
+    expect(await requestNotificationPermission()).toBe(true);
+    expect(plugin.requestPermission).toHaveBeenCalled();
+  });
+});
+
+describe('in a browser', () => {
+  it('uses the Notification API when allowed', async () => {
+    const BrowserNotification = vi.fn();
+    BrowserNotification.permission = 'granted';
+    vi.stubGlobal('Notification', BrowserNotification);
+
+    expect(await sendNotification('Done', 'Take a break')).toBe(true);
+    expect(BrowserNotification).toHaveBeenCalledWith('Done', { body: 'Take a break' });
+  });
+
+  it('brings the window forward when clicked', async () => {
+    const notification = { close: vi.fn() };
+    const BrowserNotification = vi.fn(() => notification);
+    BrowserNotification.permission = 'granted';
+    vi.stubGlobal('Notification', BrowserNotification);
+    const focus = vi.spyOn(window, 'focus').mockImplementation(() => {});
+    const onClick = vi.fn();
+
+    await sendNotification('Due soon', 'Call dentist', onClick);
+    notification.onclick();
+
+    expect(focus).toHaveBeenCalled();
+    expect(notification.close).toHaveBeenCalled();
+    expect(onClick).toHaveBeenCalled();
+  });
+
+  it('stays quiet without permission', async () => {
+    const BrowserNotification = vi.fn();
+    BrowserNotification.permission = 'denied';
+    vi.stubGlobal('Notification', BrowserNotification);
+
+    expect(await requestNotificationPermission()).toBe(false);
+    expect(await sendNotification('Done')).toBe(false);
+    expect(BrowserNotification).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Unit tests for outbox.js
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  isTempId,
+  nextTempId,
+  resolveTempIds,
+  getPendingMutations,
+  hasPendingMutations,
+  enqueueMutation,
+  upgradeOutbox,
+  clearOutbox,
+  flushOutbox,
+  onOutboxEvent,
+} from '../../src/js/outbox.js';
+
+const alwaysRetry = () => true;
+const neverRetry = () => false;
+
+describe('Temporary IDs', () => {
+  it('hands out decreasing negative IDs', () => {
+    expect(nextTempId()).toBe(-1);
+    expect(nextTempId()).toBe(-2);
+  });
+
+  it('recognises only negative numbers as temporary', () => {
+    expect(isTempId(-3)).toBe(true);
+    expect(isTempId(3)).toBe(false);
+    expect(isTempId('-3')).toBe(false);
+  });
+
+  it('resolves temporary IDs nested in arguments', () => {
+    const idMap = { '-1': 42 };
+    const args = [[{ id: -1, order: 1 }, { id: 7, order: 2 }], -1, -2];
+
+    expect(resolveTempIds(args, idMap)).toEqual([
+      [{ id: 42, order: 1 }, { id: 7, order: 2 }],
+      42,
+      -2,
+    ]);
+  });
+});
+
+describe('Queue', () => {
+  it('persists mutations in order', () => {
+    enqueueMutation('createTask', ['A', 1]);
+    enqueueMutation('deleteTask', [5]);
+
+    expect(hasPendingMutations()).toBe(true);
+    expect(getPendingMutations().map(m => m.type)).toEqual(['createTask', 'deleteTask']);
+    expect(localStorage.setItem).toHaveBeenCalledWith('outbox', expect.any(String));
+  });
+
+  it('clearOutbox empties the queue', () => {
+    enqueueMutation('deleteTask', [5]);
+    clearOutbox();
+
+    expect(hasPendingMutations()).toBe(false);
+  });
+
+  it('notifies listeners of queue changes', () => {
+    const listener = vi.fn();
+    const unsubscribe = onOutboxEvent(listener);
+
+    enqueueMutation('deleteTask', [5]);
+    unsubscribe();
+    enqueueMutation('deleteTask', [6]);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith({ type: 'change', pending: 1 });
+  });
+});
+
+describe('upgradeOutbox', () => {
+  it('rewrites and drops queued mutations', () => {
+    enqueueMutation('renameTask', [5, 'Old']);
+    enqueueMutation('removeTask', [6]);
+    enqueueMutation('deleteTask', [7]);
+
+    upgradeOutbox(mutation => {
+      if (mutation.type === 'renameTask') return { ...mutation, type: 'updateTask', args: [5, { title: 'Old' }] };
+      return mutation.type === 'removeTask' ? null : mutation;
+    });
+
+    expect(getPendingMutations().map(m => [m.type, m.args])).toEqual([
+      ['updateTask', [5, { title: 'Old' }]],
+      ['deleteTask', [7]],
+    ]);
+  });
+
+  it('leaves an up-to-date queue alone', () => {
+    enqueueMutation('deleteTask', [5]);
+    const listener = vi.fn();
+    const unsubscribe = onOutboxEvent(listener);
+
+    upgradeOutbox(mutation => mutation);
+    unsubscribe();
+
+    expect(listener).not.toHaveBeenCalled();
+  });
+});
+
+describe('flushOutbox', () => {
+  it('replays mutations in order and empties the queue', async () => {
+    enqueueMutation('updateTask', [1, 'A', '']);
+    enqueueMutation('deleteTask', [2]);
+    const execute = vi.fn().mockResolvedValue(null);
+
+    const drained = await flushOutbox(execute, alwaysRetry);
+
+    expect(drained).toBe(true);
+    expect(execute.mock.calls).toEqual([
+      ['updateTask', [1, 'A', '']],
+      ['deleteTask', [2]],
+    ]);
+    expect(hasPendingMutations()).toBe(false);
+  });
+
+  it('maps temporary IDs to server IDs for later mutations', async () => {
+    const tempId = nextTempId();
+    enqueueMutation('createTask', ['New', 1], tempId);
+    enqueueMutation('moveTask', [tempId, 2]);
+    const listener = vi.fn();
+    const unsubscribe = onOutboxEvent(listener);
+    const execute = vi.fn()
+      .mockResolvedValueOnce({ id: 99, title: 'New' })
+      .mockResolvedValueOnce({ id: 99, column: 2 });
+
+    await flushOutbox(execute, alwaysRetry);
+    unsubscribe();
+
+    expect(execute).toHaveBeenLastCalledWith('moveTask', [99, 2]);
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'reconcile', tempId, id: 99 })
+    );
+  });
+
+  it('stops at a retryable failure and keeps the rest queued', async () => {
+    enqueueMutation('deleteTask', [1]);
+    enqueueMutation('deleteTask', [2]);
+    const execute = vi.fn().mockRejectedValue(new Error('offline'));
+
+    const drained = await flushOutbox(execute, alwaysRetry);
+
+    expect(drained).toBe(false);
+    expect(execute).toHaveBeenCalledTimes(1);
+    expect(getPendingMutations()).toHaveLength(2);
+  });
+
+  it('drops mutations the server rejects and carries on', async () => {
+    enqueueMutation('deleteTask', [1]);
+    enqueueMutation('deleteTask', [2]);
+    const listener = vi.fn();
+    const unsubscribe = onOutboxEvent(listener);
+    const execute = vi.fn()
+      .mockRejectedValueOnce(new Error('Not found'))
+      .mockResolvedValueOnce(null);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const drained = await flushOutbox(execute, neverRetry);
+    unsubscribe();
+
+    expect(drained).toBe(true);
+    expect(execute).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'dropped' }));
+  });
+
+  it('drops the changes to a create it drops, reporting them once', async () => {
+    const columnId = nextTempId();
+    const taskId = nextTempId();
+    enqueueMutation('createColumn', ['Later', null], columnId);
+    enqueueMutation('createTask', ['New', columnId], taskId);
+    enqueueMutation('moveTask', [taskId, 2]);
+    enqueueMutation('deleteTask', [7]);
+    const listener = vi.fn();
+    const unsubscribe = onOutboxEvent(listener);
+    const execute = vi.fn()
+      .mockRejectedValueOnce(new Error('Too many columns'))
+      .mockResolvedValueOnce(null);
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const drained = await flushOutbox(execute, neverRetry);
+    unsubscribe();
+
+    expect(drained).toBe(true);
+    expect(execute.mock.calls.map(([type]) => type)).toEqual(['createColumn', 'deleteTask']);
+    const dropped = listener.mock.calls.map(([event]) => event).filter(event => event.type === 'dropped');
+    expect(dropped).toHaveLength(1);
+    expect(dropped[0].dependents.map(m => m.type)).toEqual(['createTask', 'moveTask']);
+    expect(hasPendingMutations()).toBe(false);
+  });
+
+  it('shares one replay between concurrent callers', async () => {
+    enqueueMutation('deleteTask', [1]);
+    const execute = vi.fn().mockResolvedValue(null);
+
+    await Promise.all([
+      flushOutbox(execute, alwaysRetry),
+      flushOutbox(execute, alwaysRetry),
+    ]);
+
+    expect(execute).toHaveBeenCalledTimes(1);
+  });
+});
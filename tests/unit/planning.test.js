@@ -0,0 +1,32 @@
+/**
+ * Unit tests for planning.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { isPriority, getPriorityLabel, isEstimate, formatEstimate } from '../../src/js/planning.js';
+
+describe('priorities', () => {
+  it('knows high, medium and low', () => {
+    expect(isPriority('medium')).toBe(true);
+    expect(isPriority('urgent')).toBe(false);
+    expect(getPriorityLabel('high')).toBe('High');
+    expect(getPriorityLabel(null)).toBe('');
+  });
+});
+
+describe('estimates', () => {
+  it('are whole minutes up to a day', () => {
+    expect(isEstimate(15)).toBe(true);
+    expect(isEstimate(1440)).toBe(true);
+    expect(isEstimate(0)).toBe(false);
+    expect(isEstimate(1.5)).toBe(false);
+    expect(isEstimate(1441)).toBe(false);
+  });
+
+  it('are shown in hours and minutes', () => {
+    expect(formatEstimate(15)).toBe('15m');
+    expect(formatEstimate(120)).toBe('2h');
+    expect(formatEstimate(90)).toBe('1h 30m');
+    expect(formatEstimate(null)).toBe('');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Unit tests for pointer-drag.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { getInsertIndex, getAutoScrollDelta } from '../../src/js/pointer-drag.js';
+
+describe('getInsertIndex', () => {
+  it('inserts before the first item whose midpoint is past the pointer', () => {
+    expect(getInsertIndex([10, 30, 50], 5)).toBe(0);
+    expect(getInsertIndex([10, 30, 50], 31)).toBe(2);
+  });
+
+  it('appends past the last item and into empty lists', () => {
+    expect(getInsertIndex([10, 30, 50], 80)).toBe(3);
+    expect(getInsertIndex([], 80)).toBe(0);
+  });
+});
+
+describe('getAutoScrollDelta', () => {
+  it('does not scroll away from the edges', () => {
+    expect(getAutoScrollDelta(500, 0, 1000)).toBe(0);
+  });
+
+  it('scrolls towards the nearer edge, faster closer to it', () => {
+    expect(getAutoScrollDelta(50, 0, 1000)).toBeLessThan(0);
+    expect(getAutoScrollDelta(990, 0, 1000)).toBeGreaterThan(getAutoScrollDelta(950, 0, 1000));
+  });
+
+  it('caps the speed beyond the edge', () => {
+    expect(getAutoScrollDelta(-200, 0, 1000, 60, 20)).toBe(-20);
+    expect(getAutoScrollDelta(1200, 0, 1000, 60, 20)).toBe(20);
+  });
+});
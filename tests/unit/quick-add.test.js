@@ -0,0 +1,176 @@
+/**
+ * Unit tests for quick-add.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  findQuickAddColumn,
+  getQuickAddColumn,
+  describeQuickAdd,
+  parseEstimate,
+  parsePriority,
+  parseQuickAdd,
+} from '../../src/js/quick-add.js';
+
+// Thursday 5 March 2026
+const today = new Date(2026, 2, 5, 10, 0);
+
+const board = {
+  columns: [
+    { id: 1, name: 'To Do' },
+    { id: 2, name: 'Today' },
+    { id: 3, name: 'In Progress' },
+  ],
+  labels: [
+    { id: 20, name: 'Health' },
+    { id: 21, name: 'Deep work' },
+  ],
+};
+
+describe('parseQuickAdd', () => {
+  it('takes a whole task out of one line', () => {
+    expect(parseQuickAdd('Call dentist #health @Today tomorrow 3pm ~15m !high', board, today)).toEqual({
+      title: 'Call dentist',
+      column: board.columns[1],
+      labels: [board.labels[0]],
+      newLabels: [],
+      due_date: '2026-03-06',
+      due_time: '15:00',
+      estimate: 15,
+      priority: 'high',
+      notes: [],
+    });
+  });
+
+  it('leaves a plain line as the title', () => {
+    expect(parseQuickAdd('  Water the plants  ', board, today)).toMatchObject({
+      title: 'Water the plants',
+      column: null,
+      due_date: null,
+      priority: null,
+    });
+  });
+
+  it('adds labels that don\'t exist yet, once each', () => {
+    const parsed = parseQuickAdd('Plan #deep-work #Garden #garden #42', board, today);
+
+    expect(parsed.labels).toEqual([board.labels[1]]);
+    expect(parsed.newLabels).toEqual(['Garden']);
+    expect(parsed.title).toBe('Plan #42');
+  });
+
+  it('keeps an @column it can\'t find in the title, and says so', () => {
+    const parsed = parseQuickAdd('Email @someone', board, today);
+
+    expect(parsed.column).toBeNull();
+    expect(parsed.title).toBe('Email @someone');
+    expect(parsed.notes).toEqual(['No column called "someone"']);
+  });
+
+  it('uses the first of each and keeps the rest', () => {
+    const parsed = parseQuickAdd('Read !low !high ~5m ~10m', board, today);
+
+    expect(parsed).toMatchObject({ title: 'Read !high ~10m', priority: 'low', estimate: 5 });
+  });
+
+  it('reads days', () => {
+    const dueOn = text => parseQuickAdd(`Walk ${text}`, board, today).due_date;
+
+    expect(dueOn('today')).toBe('2026-03-05');
+    expect(dueOn('tmrw')).toBe('2026-03-06');
+    expect(dueOn('thursday')).toBe('2026-03-05');
+    expect(dueOn('next thursday')).toBe('2026-03-12');
+    expect(dueOn('on Mon')).toBe('2026-03-09');
+    expect(dueOn('next week')).toBe('2026-03-12');
+    expect(dueOn('in 3 days')).toBe('2026-03-08');
+    expect(dueOn('due in 2 weeks')).toBe('2026-03-19');
+    expect(dueOn('2026-04-01')).toBe('2026-04-01');
+    expect(dueOn('2026-02-30')).toBeNull();
+  });
+
+  it('doesn\'t take short words for days', () => {
+    expect(parseQuickAdd('Buy sun cream', board, today)).toMatchObject({ title: 'Buy sun cream', due_date: null });
+  });
+
+  it('reads times, due today if no day is given', () => {
+    const at = text => parseQuickAdd(`Call ${text}`, board, today);
+
+    expect(at('at 9:30am')).toMatchObject({ title: 'Call', due_date: '2026-03-05', due_time: '09:30' });
+    expect(at('12am').due_time).toBe('00:00');
+    expect(at('5 pm').due_time).toBe('17:00');
+    expect(at('17:45').due_time).toBe('17:45');
+    expect(at('noon friday')).toMatchObject({ due_date: '2026-03-06', due_time: '12:00' });
+    expect(at('13pm')).toMatchObject({ title: 'Call 13pm', due_time: null });
+  });
+
+  it('keeps words that only lead into a day or time when nothing follows', () => {
+    expect(parseQuickAdd('Work on it at home', board, today).title).toBe('Work on it at home');
+  });
+});
+
+describe('findQuickAddColumn', () => {
+  it('matches a whole name before the start of one, ignoring case and spaces', () => {
+    expect(findQuickAddColumn(board.columns, 'today')).toBe(board.columns[1]);
+    expect(findQuickAddColumn(board.columns, 'Tod')).toBe(board.columns[0]);
+    expect(findQuickAddColumn(board.columns, 'in-progress')).toBe(board.columns[2]);
+    expect(findQuickAddColumn(board.columns, 'InProg')).toBe(board.columns[2]);
+    expect(findQuickAddColumn(board.columns, 'Done')).toBeNull();
+  });
+});
+
+describe('parseEstimate', () => {
+  it('reads minutes and hours', () => {
+    expect(parseEstimate('~15m')).toBe(15);
+    expect(parseEstimate('~90')).toBe(90);
+    expect(parseEstimate('~1h')).toBe(60);
+    expect(parseEstimate('~1h30m')).toBe(90);
+    expect(parseEstimate('~1.5h')).toBe(90);
+  });
+
+  it('ignores anything else', () => {
+    expect(parseEstimate('~')).toBeNull();
+    expect(parseEstimate('15m')).toBeNull();
+    expect(parseEstimate('~0m')).toBeNull();
+    expect(parseEstimate('~25h')).toBeNull();
+    expect(parseEstimate('~soon')).toBeNull();
+  });
+});
+
+describe('parsePriority', () => {
+  it('reads names, numbers and exclamation marks', () => {
+    expect(parsePriority('!High')).toBe('high');
+    expect(parsePriority('!2')).toBe('medium');
+    expect(parsePriority('!l')).toBe('low');
+    expect(parsePriority('!!!')).toBe('high');
+    expect(parsePriority('!urgent')).toBeNull();
+  });
+});
+
+describe('getQuickAddColumn', () => {
+  it('uses the @column, else the first column', () => {
+    expect(getQuickAddColumn(parseQuickAdd('Walk @today', board), board.columns).name).toBe('Today');
+    expect(getQuickAddColumn(parseQuickAdd('Walk', board), board.columns).name).toBe('To Do');
+    expect(getQuickAddColumn(parseQuickAdd('Walk'), [])).toBeNull();
+  });
+});
+
+describe('describeQuickAdd', () => {
+  it('lists the details in words', () => {
+    const parsed = parseQuickAdd('Call dentist #health #admin @today tomorrow 3pm ~15m !high', board, today);
+
+    expect(describeQuickAdd(parsed, parsed.column, today)).toEqual([
+      '→ Today',
+      '#Health',
+      '#admin (new)',
+      'Due tomorrow at 3pm',
+      '~15m',
+      'High priority',
+    ]);
+  });
+
+  it('ends with the notes', () => {
+    const parsed = parseQuickAdd('Walk @garden', board, today);
+
+    expect(describeQuickAdd(parsed, board.columns[0], today)).toEqual(['→ To Do', 'No column called "garden"']);
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Unit tests for realtime.js
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+  applyBoardEvent,
+  applyBoardEvents,
+  diffBoards,
+  getLiveUrl,
+  startLiveSync,
+} from '../../src/js/realtime.js';
+import { mockBoardData } from '../mocks/api.mocks.js';
+
+function cloneColumns() {
+  return JSON.parse(JSON.stringify(mockBoardData.columns));
+}
+
+describe('applyBoardEvent', () => {
+  let columns;
+
+  beforeEach(() => {
+    columns = cloneColumns();
+  });
+
+  it('adds a created task to its column in order', () => {
+    const result = applyBoardEvent(columns, {
+      type: 'task.created',
+      task: { id: 103, title: 'New', column: 1, order: 0 },
+    });
+
+    expect(columns[0].tasks.map(t => t.id)).toEqual([103, 101, 102]);
+    expect([...result.columnIds]).toEqual([1]);
+    expect(result.structural).toBe(false);
+  });
+
+  it('moves an updated task between columns', () => {
+    const result = applyBoardEvent(columns, {
+      type: 'task.updated',
+      task: { id: 101, column: 3, order: 1 },
+    });
+
+    expect(columns[0].tasks.map(t => t.id)).toEqual([102]);
+    expect(columns[2].tasks[0]).toEqual(expect.objectContaining({ id: 101, title: 'Task 1', column: 3 }));
+    expect([...result.columnIds].sort()).toEqual([1, 3]);
+  });
+
+  it('notes when a task changed column', () => {
+    columns[0].tasks[0].column_changed_at = '2026-01-01T00:00:00Z';
+    applyBoardEvent(columns, { type: 'task.updated', task: { id: 101, title: 'Renamed', column: 1, order: 1 } });
+    expect(columns[0].tasks[0].column_changed_at).toBe('2026-01-01T00:00:00Z');
+
+    applyBoardEvent(columns, { type: 'task.updated', task: { id: 101, column: 3, order: 1 } });
+    expect(columns[2].tasks[0].column_changed_at).not.toBe('2026-01-01T00:00:00Z');
+
+    applyBoardEvent(columns, { type: 'task.updated', task: { id: 101, column: 1, order: 1, column_changed_at: '2026-02-01T00:00:00Z' } });
+    expect(columns[0].tasks.find(t => t.id === 101).column_changed_at).toBe('2026-02-01T00:00:00Z');
+  });
+
+  it('is harmless when applied twice', () => {
+    const event = { type: 'task.created', task: { id: 301, title: 'Done', column: 3, order: 1 } };
+
+    applyBoardEvent(columns, event);
+    applyBoardEvent(columns, event);
+
+    expect(columns[2].tasks).toHaveLength(1);
+  });
+
+  it('removes a deleted task', () => {
+    applyBoardEvent(columns, { type: 'task.deleted', id: 201 });
+
+    expect(columns[1].tasks).toHaveLength(0);
+  });
+
+  it('reorders tasks within a column', () => {
+    applyBoardEvent(columns, {
+      type: 'tasks.reordered',
+      column_id: 1,
+      task_orders: [{ id: 101, order: 2 }, { id: 102, order: 1 }],
+    });
+
+    expect(columns[0].tasks.map(t => t.id)).toEqual([102, 101]);
+  });
+
+  it('renames a column without a structural change', () => {
+    const result = applyBoardEvent(columns, { type: 'column.updated', column: { id: 2, name: 'Doing' } });
+
+    expect(columns[1].name).toBe('Doing');
+    expect(columns[1].tasks).toHaveLength(1);
+    expect(result.structural).toBe(false);
+  });
+
+  it('treats added, removed and reordered columns as structural', () => {
+    expect(applyBoardEvent(columns, { type: 'column.created', column: { id: 4, name: 'Later', order: 4 } }).structural).toBe(true);
+    expect(columns[3]).toEqual({ id: 4, name: 'Later', order: 4, tasks: [] });
+
+    expect(applyBoardEvent(columns, { type: 'column.deleted', id: 4 }).structural).toBe(true);
+    expect(columns).toHaveLength(3);
+
+    applyBoardEvent(columns, {
+      type: 'columns.reordered',
+      column_orders: [{ id: 1, order: 3 }, { id: 2, order: 1 }, { id: 3, order: 2 }],
+    });
+    expect(columns.map(c => c.id)).toEqual([2, 3, 1]);
+  });
+
+  it('ignores unknown events', () => {
+    const result = applyBoardEvent(columns, { type: 'board.exploded' });
+
+    expect(result.structural).toBe(false);
+    expect(result.columnIds.size).toBe(0);
+  });
+
+  it('merges what needs re-rendering across events', () => {
+    const result = applyBoardEvents(columns, [
+      { type: 'task.deleted', id: 101 },
+      { type: 'task.deleted', id: 201 },
+    ]);
+
+    expect([...result.columnIds].sort()).toEqual([1, 2]);
+  });
+});
+
+describe('diffBoards', () => {
+  it('finds no events for identical boards', () => {
+    expect(diffBoards(cloneColumns(), cloneColumns())).toEqual([]);
+  });
+
+  it('reproduces the remote board when its events are applied', () => {
+    const local = cloneColumns();
+    const remote = cloneColumns();
+    remote[0].name = 'Inbox';
+    remote[0].tasks[0].title = 'Renamed';
+    remote[2].tasks.push({ ...remote[1].tasks.pop(), column: 3 });
+    remote.push({ id: 4, name: 'Someday', order: 4, tasks: [{ id: 401, title: 'Idea', order: 1, column: 4 }] });
+
+    const events = diffBoards(local, remote);
+    applyBoardEvents(local, events);
+
+    expect(local.map(c => c.name)).toEqual(['Inbox', 'In Progress', 'Done', 'Someday']);
+    expect(local[0].tasks[0].title).toBe('Renamed');
+    expect(local[1].tasks).toHaveLength(0);
+    expect(local[2].tasks.map(t => t.id)).toEqual([201]);
+    expect(local[3].tasks.map(t => t.id)).toEqual([401]);
+  });
+
+  it('reports changed work-in-progress limits', () => {
+    const remote = cloneColumns();
+    remote[1].wip_limit = 2;
+
+    expect(diffBoards(cloneColumns(), remote)).toEqual([
+      { type: 'column.updated', column: expect.objectContaining({ id: 2, wip_limit: 2 }) },
+    ]);
+  });
+
+  it('compares task labels by content', () => {
+    const local = cloneColumns();
+    const remote = cloneColumns();
+    local[0].tasks[0].labels = [1, 2];
+    remote[0].tasks[0].labels = [1, 2];
+    remote[0].tasks[1].labels = [3];
+
+    expect(diffBoards(local, remote)).toEqual([
+      { type: 'task.updated', task: expect.objectContaining({ id: 102, labels: [3] }) },
+    ]);
+  });
+
+  it('reports deleted tasks and columns', () => {
+    const remote = cloneColumns().slice(1);
+
+    const events = diffBoards(cloneColumns(), remote);
+
+    expect(events).toEqual(expect.arrayContaining([
+      { type: 'column.deleted', id: 1 },
+      { type: 'task.deleted', id: 101 },
+      { type: 'task.deleted', id: 102 },
+    ]));
+  });
+});
+
+describe('getLiveUrl', () => {
+  it('uses a secure socket for https servers', () => {
+    expect(getLiveUrl('https://example.com/api/v1'))
+      .toBe('wss://example.com/ws/board/');
+  });
+
+  it('uses a plain socket for http servers', () => {
+    expect(getLiveUrl('http://localhost:8000/api/v1'))
+      .toBe('ws://localhost:8000/ws/board/');
+  });
+});
+
+describe('startLiveSync', () => {
+  let sockets;
+  let sync;
+
+  class FakeWebSocket {
+    constructor(url) {
+      this.url = url;
+      this.sent = [];
+      sockets.push(this);
+    }
+    send(message) {
+      this.sent.push(message);
+    }
+    close() {}
+  }
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    sockets = [];
+    vi.stubGlobal('WebSocket', FakeWebSocket);
+  });
+
+  afterEach(() => {
+    sync?.stop();
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  function start(overrides = {}) {
+    const options = {
+      getApiBase: () => 'https://example.com/api/v1',
+      getToken: () => 'token',
+      getColumns: () => cloneColumns(),
+      fetchBoard: vi.fn().mockResolvedValue({ columns: cloneColumns() }),
+      onEvents: vi.fn(),
+      ...overrides,
+    };
+    sync = startLiveSync(options);
+    return options;
+  }
+
+  it('delivers server messages as events', () => {
+    const { onEvents } = start();
+
+    sockets[0].onmessage({ data: JSON.stringify({ type: 'task.deleted', id: 101 }) });
+
+    expect(onEvents).toHaveBeenCalledWith([{ type: 'task.deleted', id: 101 }], 'server');
+  });
+
+  it('sends the token once connected, not in the URL', () => {
+    start();
+
+    expect(sockets[0].url).toBe('wss://example.com/ws/board/');
+    sockets[0].onopen();
+    expect(sockets[0].sent).toEqual([JSON.stringify({ type: 'auth', token: 'token' })]);
+  });
+
+  it('polls while the socket is down and reconnects', async () => {
+    const remote = cloneColumns();
+    remote[1].tasks = [];
+    const { onEvents, fetchBoard } = start({
+      fetchBoard: vi.fn().mockResolvedValue({ columns: remote }),
+    });
+
+    sockets[0].onclose();
+    await vi.advanceTimersByTimeAsync(15000);
+
+    expect(fetchBoard).toHaveBeenCalled();
+    expect(onEvents).toHaveBeenCalledWith([{ type: 'task.deleted', id: 201 }], 'poll');
+    expect(sockets.length).toBeGreaterThan(1);
+  });
+
+  it('skips polls while busy', async () => {
+    const { fetchBoard } = start({ isBusy: () => true });
+
+    sockets[0].onclose();
+    await vi.advanceTimersByTimeAsync(15000);
+
+    expect(fetchBoard).not.toHaveBeenCalled();
+  });
+
+  it('stays off the network when there is no server', async () => {
+    const { fetchBoard } = start({ server: false });
+
+    await vi.advanceTimersByTimeAsync(15000);
+
+    expect(sockets).toHaveLength(0);
+    expect(fetchBoard).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Unit tests for reminders.js
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  DEFAULT_REMINDER_SETTINGS,
+  validateReminderSettings,
+  loadReminderSettings,
+  saveReminderSettings,
+  isQuietTime,
+  getReminders,
+  getDueReminders,
+  claimReminder,
+  snoozeReminder,
+} from '../../src/js/reminders.js';
+
+const HOUR = 3600000;
+
+// Thursday 5 March 2026, in local time
+function at(hours, minutes = 0, day = 5) {
+  return new Date(2026, 2, day, hours, minutes).getTime();
+}
+
+function board({ todo = [], inProgress = [], done = [] } = {}) {
+  return [
+    { id: 1, name: 'To Do', tasks: todo },
+    { id: 2, name: 'In Progress', tasks: inProgress },
+    { id: 3, name: 'Done', tasks: done },
+  ];
+}
+
+const settings = { ...DEFAULT_REMINDER_SETTINGS };
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('settings', () => {
+  it('load the defaults', () => {
+    expect(loadReminderSettings()).toEqual(DEFAULT_REMINDER_SETTINGS);
+  });
+
+  it('are saved and loaded', () => {
+    const changed = { ...settings, planning: true, planningTime: '08:30', quiet: true, snooze: 60 };
+    saveReminderSettings(changed);
+
+    expect(loadReminderSettings()).toEqual(changed);
+  });
+
+  it('fall back to the defaults when invalid', () => {
+    localStorage.setItem('reminder_settings', JSON.stringify({ snooze: -5 }));
+
+    expect(loadReminderSettings()).toEqual(DEFAULT_REMINDER_SETTINGS);
+  });
+
+  it('need whole numbers in range and real times', () => {
+    expect(validateReminderSettings(settings)).toBeNull();
+    expect(validateReminderSettings({ ...settings, dueLead: 1.5, staleHours: 0, snooze: 2000, planningTime: '9am' }))
+      .toEqual({
+        dueLead: ['Enter a whole number of minutes from 0 to 1440.'],
+        staleHours: ['Enter a whole number of hours from 1 to 720.'],
+        snooze: ['Enter a whole number of minutes from 1 to 1440.'],
+        planningTime: ['Enter a time, e.g. 09:00.'],
+      });
+  });
+
+  it('need quiet hours to end when they do not start', () => {
+    const same = { ...settings, quietStart: '22:00', quietEnd: '22:00' };
+
+    expect(validateReminderSettings(same)).toBeNull();
+    expect(validateReminderSettings({ ...same, quiet: true })).toHaveProperty('quietEnd');
+  });
+});
+
+describe('isQuietTime', () => {
+  const quiet = { ...settings, quiet: true, quietStart: '22:00', quietEnd: '08:00' };
+
+  it('runs past midnight', () => {
+    expect(isQuietTime(quiet, at(23))).toBe(true);
+    expect(isQuietTime(quiet, at(3))).toBe(true);
+    expect(isQuietTime(quiet, at(8))).toBe(false);
+    expect(isQuietTime(quiet, at(21, 59))).toBe(false);
+  });
+
+  it('works within a day', () => {
+    const lunch = { ...quiet, quietStart: '12:00', quietEnd: '13:00' };
+
+    expect(isQuietTime(lunch, at(12, 30))).toBe(true);
+    expect(isQuietTime(lunch, at(13))).toBe(false);
+  });
+
+  it('is never when off', () => {
+    expect(isQuietTime({ ...quiet, quiet: false }, at(23))).toBe(false);
+  });
+});
+
+describe('getReminders', () => {
+  const dentist = { id: 10, title: 'Call dentist', due_date: '2026-03-05', due_time: '15:00' };
+
+  it('reminds about a due time from the lead time until the end of the day', () => {
+    const columns = board({ todo: [dentist] });
+
+    expect(getReminders(columns, settings, at(14, 29))).toEqual([]);
+    expect(getReminders(columns, settings, at(14, 30))).toEqual([{
+      key: 'due:10:2026-03-05 15:00',
+      taskId: 10,
+      title: 'Due soon',
+      body: '"Call dentist" is due at 3pm.',
+    }]);
+    expect(getReminders(columns, settings, at(16))[0]).toMatchObject({ title: 'Overdue', body: '"Call dentist" was due at 3pm.' });
+    expect(getReminders(columns, settings, at(0, 0, 6))).toEqual([]);
+  });
+
+  it('reminds about a due day at the planning time', () => {
+    const columns = board({ todo: [{ id: 11, title: 'Pay rent', due_date: '2026-03-05' }] });
+
+    expect(getReminders(columns, settings, at(8, 59))).toEqual([]);
+    expect(getReminders(columns, settings, at(9))[0]).toMatchObject({ title: 'Due today', body: '"Pay rent" is due today.' });
+  });
+
+  it('skips cards in the last column', () => {
+    expect(getReminders(board({ done: [dentist] }), settings, at(15))).toEqual([]);
+  });
+
+  it('nudges about cards left in In Progress', () => {
+    const task = { id: 12, title: 'Write report', updated_at: new Date(at(9)).toISOString(), column_changed_at: new Date(at(9, 0, 2)).toISOString() };
+    const columns = board({ inProgress: [task], todo: [{ ...task, id: 13 }] });
+
+    expect(getReminders(columns, settings, at(8, 59, 4))).toEqual([]);
+    expect(getReminders(columns, settings, at(10))).toEqual([{
+      key: `stale:12:${at(9, 0, 2)}`,
+      taskId: 12,
+      title: 'Still on this?',
+      body: '"Write report" has been in In Progress for 3 days without moving. Finish it, park it, or break it into smaller steps.',
+    }]);
+  });
+
+  it('counts from when a card was moved to In Progress, not when it was made', () => {
+    const task = { id: 12, title: 'Write report', created_at: new Date(at(9, 0, 1)).toISOString(), column_changed_at: new Date(at(9)).toISOString() };
+
+    expect(getReminders(board({ inProgress: [task] }), settings, at(10))).toEqual([]);
+  });
+
+  it('counts from when it first saw a card in In Progress, when the move time is missing', () => {
+    const columns = board({ inProgress: [{ id: 12, title: 'Write report', created_at: new Date(at(9, 0, 1)).toISOString() }] });
+
+    expect(getReminders(columns, settings, at(10))).toEqual([]);
+    expect(getReminders(columns, settings, at(10, 0, 7))).toEqual([expect.objectContaining({ key: `stale:12:${at(10)}` })]);
+  });
+
+  it('nudges to plan the day, with what is due', () => {
+    const planning = { ...settings, planning: true, planningTime: '08:30' };
+    const columns = board({
+      todo: [
+        { id: 1, title: 'a', due_date: '2026-03-05' },
+        { id: 2, title: 'b', due_date: '2026-03-01' },
+        { id: 3, title: 'c', do_date: '2026-03-05' },
+      ],
+      done: [{ id: 4, title: 'd', due_date: '2026-03-05' }],
+    });
+
+    expect(getReminders(columns, planning, at(8)).find(r => r.key.startsWith('planning'))).toBeUndefined();
+    expect(getReminders(columns, planning, at(8, 30)).find(r => r.key.startsWith('planning'))).toEqual({
+      key: 'planning:2026-03-05',
+      taskId: null,
+      title: 'Plan your day',
+      body: '1 due today, 1 overdue, 1 planned for today. Pick what to do first.',
+    });
+  });
+
+  it('leaves out the kinds turned off', () => {
+    const task = { ...dentist, updated_at: new Date(at(9, 0, 1)).toISOString() };
+    const off = { ...settings, due: false, stale: false };
+
+    expect(getReminders(board({ inProgress: [task] }), off, at(15))).toEqual([]);
+  });
+});
+
+describe('getDueReminders', () => {
+  const dentist = { id: 10, title: 'Call dentist', due_date: '2026-03-05', due_time: '15:00' };
+  const columns = board({ todo: [dentist] });
+
+  it('sends each reminder once', () => {
+    const [reminder] = getDueReminders(columns, settings, at(14, 45));
+
+    expect(claimReminder(reminder.key, at(14, 45))).toBe(true);
+    expect(claimReminder(reminder.key, at(14, 45))).toBe(false);
+    expect(getDueReminders(columns, settings, at(14, 50))).toEqual([]);
+  });
+
+  it('holds reminders during quiet hours', () => {
+    const quiet = { ...settings, quiet: true, quietStart: '14:00', quietEnd: '16:00' };
+
+    expect(getDueReminders(columns, quiet, at(14, 45))).toEqual([]);
+    expect(getDueReminders(columns, quiet, at(16))).toHaveLength(1);
+  });
+
+  it('holds a late reminder over until quiet hours end the next morning', () => {
+    const quiet = { ...settings, quiet: true, quietStart: '22:00', quietEnd: '08:00' };
+    const late = board({ todo: [{ id: 14, title: 'Submit form', due_date: '2026-03-05', due_time: '23:00' }] });
+
+    expect(getDueReminders(late, quiet, at(22, 30))).toEqual([]);
+    expect(getDueReminders(late, quiet, at(7, 59, 6))).toEqual([]);
+    expect(getDueReminders(late, quiet, at(8, 0, 6))).toEqual([{
+      key: 'due:14:2026-03-05 23:00',
+      taskId: 14,
+      title: 'Overdue',
+      body: '"Submit form" was due yesterday at 11pm.',
+    }]);
+    expect(getDueReminders(late, quiet, at(0, 0, 7))).toEqual([]);
+    expect(getDueReminders(late, settings, at(8, 0, 6))).toEqual([]);
+  });
+
+  it('holds a late planning nudge over until quiet hours end', () => {
+    const quiet = { ...settings, due: false, planning: true, planningTime: '23:00', quiet: true, quietStart: '22:00', quietEnd: '08:00' };
+    const empty = board();
+
+    expect(getDueReminders(empty, quiet, at(23))).toEqual([]);
+    expect(getDueReminders(empty, quiet, at(8, 0, 6))).toEqual([expect.objectContaining({ key: 'planning:2026-03-05' })]);
+    expect(getDueReminders(empty, { ...quiet, quiet: false }, at(8, 0, 6))).toEqual([]);
+  });
+
+  it('sends a snoozed reminder again when its time comes, even the next day', () => {
+    const [reminder] = getDueReminders(columns, settings, at(23, 50));
+    claimReminder(reminder.key, at(23, 50));
+    snoozeReminder(reminder, 30, at(23, 50));
+
+    expect(getDueReminders(columns, settings, at(0, 10, 6))).toEqual([]);
+    expect(getDueReminders(columns, settings, at(0, 20, 6))).toEqual([reminder]);
+  });
+
+  it('drops a snoozed reminder for a task since done', () => {
+    const [reminder] = getDueReminders(columns, settings, at(15));
+    snoozeReminder(reminder, 30, at(15));
+
+    expect(getDueReminders(board({ done: [dentist] }), settings, at(16))).toEqual([]);
+  });
+});
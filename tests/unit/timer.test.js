@@ -0,0 +1,79 @@
+/**
+ * Unit tests for timer.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_TIMER_SETTINGS,
+  validateTimerSettings,
+  loadTimerSettings,
+  saveTimerSettings,
+  loadTimerState,
+  startTimer,
+  finishPhase,
+  getRemaining,
+  formatRemaining,
+} from '../../src/js/timer.js';
+
+const settings = { work: 25, break: 5, chime: true };
+
+describe('timer settings', () => {
+  it('uses the defaults until saved', () => {
+    expect(loadTimerSettings()).toEqual(DEFAULT_TIMER_SETTINGS);
+
+    saveTimerSettings({ work: 50, break: 10, chime: false });
+
+    expect(loadTimerSettings()).toEqual({ work: 50, break: 10, chime: false });
+  });
+
+  it('rejects lengths that are not whole minutes in range', () => {
+    expect(validateTimerSettings({ work: 25, break: 5 })).toBeNull();
+    expect(validateTimerSettings({ work: 0, break: 2.5 })).toEqual({
+      work: ['Enter a whole number of minutes from 1 to 180.'],
+      break: ['Enter a whole number of minutes from 1 to 180.'],
+    });
+  });
+
+  it('falls back to the default lengths if the saved ones are unusable', () => {
+    localStorage.setItem('timer_settings', JSON.stringify({ work: -1, chime: false }));
+
+    expect(loadTimerSettings()).toEqual({ ...DEFAULT_TIMER_SETTINGS, chime: false });
+  });
+});
+
+describe('running timer', () => {
+  it('starts a work session that survives a reload', () => {
+    const state = startTimer(7, settings, 1000);
+
+    expect(state).toEqual({ taskId: 7, phase: 'work', endsAt: 1000 + 25 * 60000 });
+    expect(loadTimerState()).toEqual(state);
+    expect(getRemaining(state, 1000 + 60000)).toBe(24 * 60000);
+    expect(getRemaining(state, state.endsAt + 5000)).toBe(0);
+  });
+
+  it('goes from work to a break to nothing', () => {
+    const work = startTimer(7, settings, 0);
+
+    expect(finishPhase(work, settings, work.endsAt)).toBe(true);
+    const rest = loadTimerState();
+    expect(rest).toEqual({ taskId: 7, phase: 'break', endsAt: work.endsAt + 5 * 60000 });
+
+    expect(finishPhase(rest, settings, rest.endsAt)).toBe(true);
+    expect(loadTimerState()).toBeNull();
+  });
+
+  it('lets only one window finish a shared timer', () => {
+    const work = startTimer(7, settings, 0);
+
+    expect(finishPhase(work, settings, work.endsAt)).toBe(true);
+    expect(finishPhase(work, settings, work.endsAt)).toBe(false);
+  });
+});
+
+describe('formatRemaining', () => {
+  it('shows minutes and seconds, rounding up', () => {
+    expect(formatRemaining(25 * 60000)).toBe('25:00');
+    expect(formatRemaining(61001)).toBe('1:02');
+    expect(formatRemaining(0)).toBe('0:00');
+  });
+});
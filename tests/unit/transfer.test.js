@@ -0,0 +1,280 @@
+/**
+ * Unit tests for transfer.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  EXPORT_VERSION,
+  exportJson,
+  exportCsv,
+  exportMarkdown,
+  getExportFileName,
+  parseCsv,
+  readImport,
+  planImport,
+} from '../../src/js/transfer.js';
+
+const LABELS = [
+  { id: 20, name: 'Health', color: '#2ecc71' },
+  { id: 21, name: 'Errand', color: '#e67e22' },
+];
+
+function makeBoard() {
+  return {
+    name: 'Home',
+    columns: [
+      {
+        id: 2, name: 'Done', order: 2, wip_limit: null, wip_block: false,
+        tasks: [{ id: 12, title: 'Pay rent', description: '', order: 1, labels: [] }],
+      },
+      {
+        id: 1, name: 'To Do', order: 1, wip_limit: 3, wip_block: true,
+        tasks: [
+          {
+            id: 11, title: 'Buy milk, eggs', description: 'The "good" milk\nfrom the shop', order: 2,
+            due_date: '2026-03-05', due_time: '15:00', do_date: null, estimate: 20, priority: 'high',
+            labels: [21], checklist: [], pomodoros: 0,
+          },
+          {
+            id: 10, title: 'Call dentist', description: '', order: 1,
+            due_date: null, do_date: '2026-03-04', labels: [20, 99],
+            checklist: [{ text: 'Find number', done: true }, { text: 'Ring', done: false }],
+            pomodoros: 2, created_at: '2026-03-01T09:00:00Z',
+          },
+        ],
+      },
+    ],
+  };
+}
+
+describe('exportJson', () => {
+  it('writes columns and tasks in order, with labels by name', () => {
+    const data = JSON.parse(exportJson(makeBoard(), LABELS, new Date('2026-03-02T10:00:00Z')));
+
+    expect(data).toMatchObject({ format: 'adhd-kanban', version: EXPORT_VERSION, exported_at: '2026-03-02T10:00:00.000Z' });
+    expect(data.board.columns.map(c => c.name)).toEqual(['To Do', 'Done']);
+    expect(data.board.columns[0]).toMatchObject({ wip_limit: 3, wip_block: true });
+    expect(data.board.columns[0].tasks.map(t => t.title)).toEqual(['Call dentist', 'Buy milk, eggs']);
+    expect(data.board.columns[0].tasks[0]).toMatchObject({
+      labels: ['Health'],
+      checklist: [{ text: 'Find number', done: true }, { text: 'Ring', done: false }],
+      pomodoros: 2,
+      do_date: '2026-03-04',
+      created_at: '2026-03-01T09:00:00Z',
+    });
+    expect(data.labels).toEqual([{ name: 'Health', color: '#2ecc71' }, { name: 'Errand', color: '#e67e22' }]);
+  });
+
+  it('reads back in as the same board', () => {
+    const { data, problems } = readImport(exportJson(makeBoard(), LABELS), 'home.json');
+
+    expect(problems).toEqual([]);
+    expect(data.columns[0]).toMatchObject({ name: 'To Do', wip_limit: 3, wip_block: true });
+    expect(data.columns[0].tasks[0]).toEqual({
+      title: 'Call dentist',
+      description: '',
+      due_date: null,
+      due_time: null,
+      do_date: '2026-03-04',
+      estimate: null,
+      priority: null,
+      labels: ['Health'],
+      checklist: [{ text: 'Find number', done: true }, { text: 'Ring', done: false }],
+      pomodoros: 2,
+    });
+    expect(data.columns[0].tasks[1]).toMatchObject({
+      description: 'The "good" milk\nfrom the shop',
+      due_time: '15:00',
+      estimate: 20,
+      priority: 'high',
+    });
+    expect(data.labels).toHaveLength(2);
+  });
+});
+
+describe('exportCsv', () => {
+  it('writes a row per task, quoting where needed', () => {
+    expect(exportCsv(makeBoard().columns)).toBe(
+      'column,title,description,due_date,do_date,order\r\n'
+      + 'To Do,Call dentist,,,2026-03-04,1\r\n'
+      + 'To Do,"Buy milk, eggs","The ""good"" milk\nfrom the shop",2026-03-05,,2\r\n'
+      + 'Done,Pay rent,,,,1\r\n'
+    );
+  });
+
+  it('keeps spreadsheets from running text as a formula, and reads it back', () => {
+    const columns = [{
+      id: 1, name: 'To Do', order: 1, tasks: [
+        { id: 1, title: '=HYPERLINK("http://x.test","Click")', description: '-1 day', order: 1 },
+        { id: 2, title: '@home', description: "+ milk, 'eggs'", order: 2 },
+      ],
+    }];
+    const csv = exportCsv(columns);
+
+    expect(csv.split('\r\n')[1]).toBe('To Do,"\'=HYPERLINK(""http://x.test"",""Click"")",\'-1 day,,,1');
+    expect(csv.split('\r\n')[2]).toBe('To Do,\'@home,"\'+ milk, \'eggs\'",,,2');
+    const { data } = readImport(csv, 'a.csv');
+    expect(data.columns[0].tasks.map(t => [t.title, t.description])).toEqual([
+      ['=HYPERLINK("http://x.test","Click")', '-1 day'],
+      ['@home', "+ milk, 'eggs'"],
+    ]);
+  });
+
+  it('reads back in with columns and tasks in order', () => {
+    const { data, problems } = readImport(exportCsv(makeBoard().columns), 'home.csv');
+
+    expect(problems).toEqual([]);
+    expect(data.columns.map(c => c.name)).toEqual(['To Do', 'Done']);
+    expect(data.columns[0].tasks.map(t => t.title)).toEqual(['Call dentist', 'Buy milk, eggs']);
+    expect(data.columns[0].tasks[1]).toMatchObject({
+      description: 'The "good" milk\nfrom the shop',
+      due_date: '2026-03-05',
+    });
+  });
+});
+
+describe('exportMarkdown', () => {
+  it('writes a checklist per column, ticking the last column', () => {
+    expect(exportMarkdown(makeBoard())).toBe([
+      '# Home',
+      '',
+      '## To Do',
+      '',
+      '- [ ] Call dentist',
+      '  - [x] Find number',
+      '  - [ ] Ring',
+      '- [ ] Buy milk, eggs (due 2026-03-05)',
+      '',
+      '## Done',
+      '',
+      '- [x] Pay rent',
+      '',
+    ].join('\n'));
+  });
+
+  it('marks empty columns', () => {
+    const markdown = exportMarkdown({ name: 'Empty', columns: [{ name: 'To Do', tasks: [] }] });
+
+    expect(markdown).toContain('## To Do\n\n_No tasks_');
+  });
+});
+
+describe('getExportFileName', () => {
+  it('names the file after the board and day', () => {
+    expect(getExportFileName('Work & Home!', 'markdown', new Date(2026, 2, 5))).toBe('adhd-kanban-work-home-2026-03-05.md');
+    expect(getExportFileName('???', 'csv', new Date(2026, 2, 5))).toBe('adhd-kanban-2026-03-05.csv');
+  });
+});
+
+describe('parseCsv', () => {
+  it('handles quotes, commas, line breaks and CRLF', () => {
+    expect(parseCsv('a,"b,c"\r\n"say ""hi""","two\nlines"\n')).toEqual([
+      ['a', 'b,c'],
+      ['say "hi"', 'two\nlines'],
+    ]);
+  });
+
+  it('gives null for a quote that never ends', () => {
+    expect(parseCsv('a,"b\nc')).toBeNull();
+  });
+});
+
+describe('readImport', () => {
+  it('tells a backup from a CSV by its contents without a file name', () => {
+    expect(readImport(exportJson(makeBoard(), LABELS)).data.labels).toHaveLength(2);
+    expect(readImport('column,title\nTo Do,Walk').data.columns[0].tasks[0].title).toBe('Walk');
+  });
+
+  it('refuses files that aren\'t backups', () => {
+    expect(readImport('{nope', 'a.json').problems).toEqual(['The file isn\'t valid JSON.']);
+    expect(readImport('{"columns": []}', 'a.json').problems).toEqual(['This isn\'t an ADHD Kanban backup.']);
+    expect(readImport(JSON.stringify({ format: 'adhd-kanban', version: EXPORT_VERSION + 1, board: { columns: [] } }), 'a.json').problems[0])
+      .toMatch(/newer version/);
+  });
+
+  it('lists what\'s wrong with a backup', () => {
+    const backup = {
+      format: 'adhd-kanban',
+      version: 1,
+      board: {
+        columns: [
+          { name: 'To Do', wip_limit: 0, tasks: [{ title: '' }, { title: 'Walk', due_date: '2026-02-30' }] },
+          { name: 'Later', tasks: [{ title: 'Read', due_time: '15:00', estimate: 0, priority: 'urgent' }] },
+          { name: ' ', tasks: [] },
+          { name: 'to do', tasks: [] },
+        ],
+      },
+    };
+
+    expect(readImport(JSON.stringify(backup), 'a.json').problems).toEqual([
+      '"To Do" has an invalid work-in-progress limit.',
+      'Task 1 in "To Do" has no title.',
+      '"Walk" in "To Do" has an invalid due date (use YYYY-MM-DD).',
+      '"Read" in "Later" has an invalid due time (use HH:MM, with a due date).',
+      '"Read" in "Later" has an invalid estimate.',
+      '"Read" in "Later" has an invalid priority.',
+      'Column 3 has no name.',
+      'There\'s more than one column called "to do".',
+    ]);
+  });
+
+  it('needs column and title headings in a CSV', () => {
+    expect(readImport('name,notes\nWalk,', 'a.csv').problems).toEqual(['The CSV needs "column" and "title" headings.']);
+  });
+
+  it('lists what\'s wrong with CSV rows, counting from the heading', () => {
+    const csv = 'Title,Column,Do_Date,Order\nWalk,,,\n,To Do,,\nRead,To Do,tomorrow,x\n,,,\n';
+
+    expect(readImport(csv, 'a.csv').problems).toEqual([
+      'Row 2 has no column.',
+      'Row 3 has no title.',
+      'Row 4 has an order that isn\'t a number.',
+      'Row 4 has an invalid "do on" date (use YYYY-MM-DD).',
+    ]);
+  });
+
+  it('groups CSV rows by column, ignoring case, and sorts by order', () => {
+    const csv = 'column,title,order\nDone,Old,\nTo Do,Second,2\nto do,First,1\n';
+    const { data } = readImport(csv, 'a.csv');
+
+    expect(data.columns.map(c => c.name)).toEqual(['Done', 'To Do']);
+    expect(data.columns[1].tasks.map(t => t.title)).toEqual(['First', 'Second']);
+  });
+
+  it('refuses a CSV with no tasks', () => {
+    expect(readImport('column,title\n', 'a.csv').problems).toEqual(['There are no tasks in this file.']);
+  });
+});
+
+describe('planImport', () => {
+  const boardColumns = [{ id: 1, name: 'To Do' }, { id: 2, name: 'Done' }];
+
+  it('puts tasks into columns of the same name and adds the rest', () => {
+    const data = {
+      columns: [
+        { name: 'to do', tasks: [{ title: 'A', labels: ['health', 'Shop'] }] },
+        { name: 'Waiting', tasks: [{ title: 'B', labels: ['Shop'] }, { title: 'C', labels: [] }] },
+      ],
+      labels: [{ name: 'Shop', color: '#3498db' }],
+    };
+    const plan = planImport(data, boardColumns, LABELS, 12);
+
+    expect(plan.columns.map(c => c.existing)).toEqual([boardColumns[0], null]);
+    expect(plan).toMatchObject({ newColumns: 1, taskCount: 3, problems: [] });
+    expect(plan.newLabels).toEqual([{ name: 'Shop', color: '#3498db' }]);
+  });
+
+  it('refuses an import that would go over the column limit', () => {
+    const data = { columns: [{ name: 'A', tasks: [] }, { name: 'B', tasks: [] }], labels: [] };
+
+    expect(planImport(data, boardColumns, [], 3).problems).toEqual([
+      'This would need 4 columns on this board; the limit is 3.',
+    ]);
+  });
+
+  it('refuses an import that adds nothing', () => {
+    const data = { columns: [{ name: 'Done', tasks: [] }], labels: [] };
+
+    expect(planImport(data, boardColumns, [], 12).problems).toEqual(['There\'s nothing in this file to add.']);
+  });
+});